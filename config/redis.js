@@ -157,6 +157,69 @@ const redisHelper = {
         }
     },
     
+    // Atomic counter; the expiry is set when the counter is created and not extended by later increments.
+    // Creating the key with its expiry and incrementing it in one transaction means a counter never
+    // exists without an expiry (which would lock a rate-limited user out for good)
+    increment: async (key, expireInSeconds = 300) => {
+        try {
+            const [, count] = await redisClient.multi()
+                .set(key, '0', { EX: expireInSeconds, NX: true })
+                .incr(key)
+                .exec();
+            return count;
+        } catch (error) {
+            console.error('Redis increment error:', error);
+            return null;
+        }
+    },
+    
+    // Read and delete in one step, so a single-use value can only be claimed once
+    take: async (key) => {
+        try {
+            const [data] = await redisClient.multi().get(key).del(key).exec();
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('Redis take error:', error);
+            return null;
+        }
+    },
+    
+    // Leases: a key held by one owner until it expires, for work only one server process may do.
+    // Taking the lease again while holding it extends it; returns whether the caller holds it
+    acquireLease: async (key, owner, ttlMilliseconds) => {
+        try {
+            const result = await redisClient.eval(`
+                if redis.call('GET', KEYS[1]) == ARGV[1] then
+                    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+                end
+                if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+                    return 1
+                end
+                return 0
+            `, { keys: [key], arguments: [owner, String(ttlMilliseconds)] });
+            return result === 1;
+        } catch (error) {
+            console.error('Redis acquireLease error:', error);
+            return false;
+        }
+    },
+    
+    // Give a lease up, only if the caller still holds it
+    releaseLease: async (key, owner) => {
+        try {
+            await redisClient.eval(`
+                if redis.call('GET', KEYS[1]) == ARGV[1] then
+                    return redis.call('DEL', KEYS[1])
+                end
+                return 0
+            `, { keys: [key], arguments: [owner] });
+            return true;
+        } catch (error) {
+            console.error('Redis releaseLease error:', error);
+            return false;
+        }
+    },
+    
     del: async (key) => {
         try {
             await redisClient.del(key);
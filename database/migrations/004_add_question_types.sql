@@ -0,0 +1,35 @@
+-- Migration: Add question types to questions table
+-- Date: Current
+-- Purpose: Support true/false, multi-select, 2-8 option and numeric-entry questions
+
+-- Question type column
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS question_type VARCHAR(20) NOT NULL DEFAULT 'single_choice';
+
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE questions ADD CONSTRAINT questions_question_type_check
+    CHECK (question_type IN ('single_choice', 'true_false', 'multi_select', 'numeric'));
+
+-- Allow 2-8 options: options C and D become optional, E-H are added
+ALTER TABLE questions ALTER COLUMN option_a DROP NOT NULL;
+ALTER TABLE questions ALTER COLUMN option_b DROP NOT NULL;
+ALTER TABLE questions ALTER COLUMN option_c DROP NOT NULL;
+ALTER TABLE questions ALTER COLUMN option_d DROP NOT NULL;
+
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS option_e VARCHAR(500),
+ADD COLUMN IF NOT EXISTS option_f VARCHAR(500),
+ADD COLUMN IF NOT EXISTS option_g VARCHAR(500),
+ADD COLUMN IF NOT EXISTS option_h VARCHAR(500);
+
+-- correct_answer now holds a key ('a'), a comma-separated key list ('a,c') or a number ('42.5')
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_correct_answer_check;
+ALTER TABLE questions ALTER COLUMN correct_answer TYPE VARCHAR(100);
+
+-- Accepted +/- range for numeric answers
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS numeric_tolerance DECIMAL(12,4) DEFAULT 0;
+
+-- Participant answers use the same canonical format as correct_answer
+ALTER TABLE participant_answers DROP CONSTRAINT IF EXISTS participant_answers_selected_answer_check;
+ALTER TABLE participant_answers ALTER COLUMN selected_answer TYPE VARCHAR(100);
@@ -0,0 +1,22 @@
+-- Migration: Add weighted scoring settings
+-- Date: Current
+-- Purpose: Per-question point weights, negative marking and multi-select partial credit
+
+-- Points awarded for a fully correct answer
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS points DECIMAL(6,2) NOT NULL DEFAULT 1;
+
+-- Quiz scoring settings
+-- negative_marking is the fraction of a question's points deducted for a wrong answer (e.g. 0.25)
+ALTER TABLE quizzes
+ADD COLUMN IF NOT EXISTS negative_marking DECIMAL(4,2) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS partial_credit BOOLEAN NOT NULL DEFAULT false;
+
+-- Weighted scores can exceed the old 999.99 limit and may be negative
+ALTER TABLE results ALTER COLUMN total_score TYPE DECIMAL(8,2);
+ALTER TABLE results
+ADD COLUMN IF NOT EXISTS max_score DECIMAL(8,2) NOT NULL DEFAULT 0;
+ALTER TABLE prize_winners ALTER COLUMN score TYPE DECIMAL(8,2);
+
+-- Existing results were scored at 1 point per question
+UPDATE results SET max_score = total_questions WHERE max_score = 0;
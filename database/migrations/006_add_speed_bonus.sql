@@ -0,0 +1,20 @@
+-- Migration: Add speed-bonus scoring mode
+-- Date: Current
+-- Purpose: Optionally award more points for faster correct answers
+
+-- Quiz settings: correct answers earn full points when instant, falling to half at the end of the window
+ALTER TABLE quizzes
+ADD COLUMN IF NOT EXISTS speed_bonus_enabled BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS speed_bonus_window_seconds INTEGER NOT NULL DEFAULT 30;
+
+-- When each participant first saw each question (response time = answered_at - first_shown_at)
+CREATE TABLE IF NOT EXISTS question_views (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES quiz_sessions(id) ON DELETE CASCADE,
+    participant_id INTEGER REFERENCES participants(id) ON DELETE CASCADE,
+    question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+    first_shown_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, participant_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_views_session_participant ON question_views(session_id, participant_id);
@@ -0,0 +1,47 @@
+-- Migration: Shared question bank
+-- Date: Current
+-- Purpose: Reuse questions across quizzes, tagged by topic with a category and difficulty
+
+-- Bank metadata
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS category VARCHAR(100),
+ADD COLUMN IF NOT EXISTS difficulty VARCHAR(10) NOT NULL DEFAULT 'medium',
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_difficulty_check;
+ALTER TABLE questions ADD CONSTRAINT questions_difficulty_check
+    CHECK (difficulty IN ('easy', 'medium', 'hard'));
+
+-- Questions are linked to quizzes many-to-many; the order is per quiz
+CREATE TABLE IF NOT EXISTS quiz_questions (
+    id SERIAL PRIMARY KEY,
+    quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+    question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+    question_order INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(quiz_id, question_id)
+);
+
+-- Move existing quiz links and ordering into quiz_questions, then drop the old columns
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'questions' AND column_name = 'quiz_id'
+    ) THEN
+        INSERT INTO quiz_questions (quiz_id, question_id, question_order)
+        SELECT quiz_id, id, question_order FROM questions WHERE quiz_id IS NOT NULL
+        ON CONFLICT (quiz_id, question_id) DO NOTHING;
+
+        ALTER TABLE questions DROP COLUMN quiz_id;
+        ALTER TABLE questions DROP COLUMN question_order;
+    END IF;
+END $$;
+
+DROP INDEX IF EXISTS idx_questions_quiz_id;
+DROP INDEX IF EXISTS idx_questions_quiz_order;
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz_order ON quiz_questions(quiz_id, question_order);
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_question ON quiz_questions(question_id);
+CREATE INDEX IF NOT EXISTS idx_questions_category ON questions(category);
+CREATE INDEX IF NOT EXISTS idx_questions_tags ON questions USING GIN (tags);
@@ -0,0 +1,8 @@
+-- Migration: Add randomised question pools
+-- Date: Current
+-- Purpose: Let a quiz draw a different subset of its questions for each participant
+
+-- Draw rules, e.g. [{"count": 5, "difficulty": "easy", "tag": "POSH"}, {"count": 10, "difficulty": "medium"}]
+-- NULL means every participant answers every question of the quiz
+ALTER TABLE quizzes
+ADD COLUMN IF NOT EXISTS draw_rules JSONB;
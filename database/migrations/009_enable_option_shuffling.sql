@@ -0,0 +1,16 @@
+-- Migration: Make option shuffling opt-in
+-- Date: Current
+-- Purpose: quizzes.shuffle_options now really shuffles answer options. It defaulted to true while
+--          shuffling was disabled in code, so reset it to keep existing quizzes unchanged
+
+-- Only runs while the old default is still in place, so re-running never undoes an admin's choice
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'quizzes' AND column_name = 'shuffle_options' AND column_default = 'true'
+    ) THEN
+        ALTER TABLE quizzes ALTER COLUMN shuffle_options SET DEFAULT false;
+        UPDATE quizzes SET shuffle_options = false;
+    END IF;
+END $$;
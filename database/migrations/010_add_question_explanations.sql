@@ -0,0 +1,7 @@
+-- Migration: Add question explanations and references
+-- Date: Current
+-- Purpose: Explain the correct answer in the results review and cite the statute/section it comes from
+
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS explanation TEXT,
+ADD COLUMN IF NOT EXISTS reference VARCHAR(255);
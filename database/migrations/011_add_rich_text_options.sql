@@ -0,0 +1,13 @@
+-- Migration: Allow rich text options
+-- Date: Current
+-- Purpose: Options may contain Markdown and image references, which do not fit in VARCHAR(500)
+
+ALTER TABLE questions
+ALTER COLUMN option_a TYPE TEXT,
+ALTER COLUMN option_b TYPE TEXT,
+ALTER COLUMN option_c TYPE TEXT,
+ALTER COLUMN option_d TYPE TEXT,
+ALTER COLUMN option_e TYPE TEXT,
+ALTER COLUMN option_f TYPE TEXT,
+ALTER COLUMN option_g TYPE TEXT,
+ALTER COLUMN option_h TYPE TEXT;
@@ -0,0 +1,8 @@
+-- Migration: Store mobile numbers in E.164 format
+-- Date: Current
+-- Purpose: Participants can come from any supported country, so mobile numbers keep their country code.
+-- Numbers stored before this were always Indian 10-digit numbers without a country code.
+
+UPDATE participants
+SET mobile = '+91' || mobile
+WHERE mobile ~ '^[6-9][0-9]{9}$';
@@ -0,0 +1,14 @@
+-- Migration: Add credential type and forced password change
+-- Date: Current
+-- Purpose: Passwords can be random or passphrases instead of the mobile number,
+-- and participants can be made to choose their own password on first login
+
+ALTER TABLE user_credentials
+ADD COLUMN IF NOT EXISTS credential_type VARCHAR(20) DEFAULT 'mobile',
+ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+-- mobile: derived from the mobile number, random/passphrase: generated, custom: chosen by the participant
+ALTER TABLE user_credentials DROP CONSTRAINT IF EXISTS user_credentials_credential_type_check;
+ALTER TABLE user_credentials ADD CONSTRAINT user_credentials_credential_type_check
+    CHECK (credential_type IN ('mobile', 'random', 'passphrase', 'custom'));
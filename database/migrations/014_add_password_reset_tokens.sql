@@ -0,0 +1,17 @@
+-- Migration: Add password reset tokens
+-- Date: Current
+-- Purpose: Single-use, expiring password reset links for participants and admins.
+-- Only a SHA-256 hash of each token is stored, so a database leak does not expose working links.
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('participant', 'admin')),
+    user_id INTEGER NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_type, user_id, created_at);
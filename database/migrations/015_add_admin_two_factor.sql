@@ -0,0 +1,29 @@
+-- Migration: Add two-factor authentication for admins
+-- Date: Current
+-- Purpose: Optional TOTP (authenticator app) second login step for admin accounts, single-use
+-- recovery codes, and an app-wide setting a super admin can use to make two-factor mandatory.
+
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_secret TEXT; -- encrypted, see utils/totp.js
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT; -- last accepted time step, so a code cannot be used twice
+
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin ON admin_recovery_codes(admin_id);
+
+CREATE TABLE IF NOT EXISTS app_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO app_settings (key, value) VALUES ('admin_two_factor_required', 'false')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,8 @@
+-- Migration: Add permission-based admin roles
+-- Date: Current
+-- Purpose: Admin accounts can be question authors, proctors, analysts or credential managers as well as
+-- admins and super admins. What each role may do is defined in utils/adminPermissions.js.
+
+ALTER TABLE admin_users DROP CONSTRAINT IF EXISTS admin_users_role_check;
+ALTER TABLE admin_users ADD CONSTRAINT admin_users_role_check
+    CHECK (role IN ('super_admin', 'admin', 'question_author', 'proctor', 'analyst', 'credential_manager'));
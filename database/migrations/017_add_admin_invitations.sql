@@ -0,0 +1,19 @@
+-- Migration: Add admin user management
+-- Date: Current
+-- Purpose: Super admins invite, deactivate and delete admins from the admin panel. Invited admins
+-- record who invited them. Audit log entries keep the admin's username, so they stay readable
+-- after the admin account is deleted.
+
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS invited_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS invited_at TIMESTAMP;
+
+ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS admin_username VARCHAR(50);
+
+UPDATE admin_audit_log l SET admin_username = a.username
+FROM admin_users a
+WHERE l.admin_id = a.id AND l.admin_username IS NULL;
+
+-- Deleting an admin keeps their audit entries
+ALTER TABLE admin_audit_log DROP CONSTRAINT IF EXISTS admin_audit_log_admin_id_fkey;
+ALTER TABLE admin_audit_log ADD CONSTRAINT admin_audit_log_admin_id_fkey
+    FOREIGN KEY (admin_id) REFERENCES admin_users(id) ON DELETE SET NULL;
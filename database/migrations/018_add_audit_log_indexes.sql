@@ -0,0 +1,9 @@
+-- Migration: Add audit log indexes
+-- Date: Current
+-- Purpose: The admin audit screen lists entries newest first and filters them by admin, action
+-- and entity, so these lookups should not scan the whole log.
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_admin ON admin_audit_log(admin_username, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action ON admin_audit_log(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_entity ON admin_audit_log(entity_type, entity_id);
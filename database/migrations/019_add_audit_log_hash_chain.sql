@@ -0,0 +1,18 @@
+-- Migration: Add audit log hash chain
+-- Date: Current
+-- Purpose: Each new audit log entry stores a keyed hash of itself and of the entry before it, so
+-- editing or removing entries can be detected (GET /api/admin/audit-log/verify). Entries written
+-- before this migration stay unchained. Their request bodies are scrubbed of the secrets that new
+-- entries never store.
+
+ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS previous_hash VARCHAR(64);
+ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS entry_hash VARCHAR(64);
+
+UPDATE admin_audit_log
+SET details = jsonb_set(details, '{body}',
+    (details->'body') - 'password' - 'newPassword' - 'new_password' - 'currentPassword' - 'current_password'
+        - 'confirmPassword' - 'token' - 'challengeToken' - 'code' - 'otp' - 'secret')
+WHERE entry_hash IS NULL
+  AND jsonb_typeof(details->'body') = 'object'
+  AND (details->'body') ?| ARRAY['password', 'newPassword', 'new_password', 'currentPassword', 'current_password',
+                                'confirmPassword', 'token', 'challengeToken', 'code', 'otp', 'secret'];
@@ -0,0 +1,60 @@
+-- Migration: Add organisations
+-- Date: Current
+-- Purpose: Participants, quizzes, sessions and question bank questions belong to an organisation, and
+-- admins only see the organisations they are assigned to (super admins see all of them). Existing data
+-- and admins are moved into a 'Default Organisation'; participants' free-text company is kept as is.
+
+CREATE TABLE IF NOT EXISTS organizations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS admin_organizations (
+    admin_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    PRIMARY KEY (admin_id, organization_id)
+);
+
+-- Only when there are none yet, so a re-run does not bring it back after it was renamed
+INSERT INTO organizations (name)
+SELECT 'Default Organisation'
+WHERE NOT EXISTS (SELECT 1 FROM organizations);
+
+ALTER TABLE participants ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id);
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id);
+ALTER TABLE quiz_sessions ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id);
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id);
+
+UPDATE participants SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL;
+UPDATE quizzes SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL;
+UPDATE questions SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL;
+
+-- A session always belongs to its quiz's organisation
+UPDATE quiz_sessions qs SET organization_id = q.organization_id
+FROM quizzes q
+WHERE qs.quiz_id = q.id AND qs.organization_id IS NULL;
+UPDATE quiz_sessions SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL;
+
+ALTER TABLE participants ALTER COLUMN organization_id SET NOT NULL;
+ALTER TABLE quizzes ALTER COLUMN organization_id SET NOT NULL;
+ALTER TABLE quiz_sessions ALTER COLUMN organization_id SET NOT NULL;
+ALTER TABLE questions ALTER COLUMN organization_id SET NOT NULL;
+
+-- Admins keep seeing what they saw before; super admins see every organisation without being assigned.
+-- Skipped once any admin has been assigned, so a re-run does not undo assignments made since
+INSERT INTO admin_organizations (admin_id, organization_id)
+SELECT a.id, (SELECT MIN(id) FROM organizations)
+FROM admin_users a
+WHERE a.role <> 'super_admin' AND NOT EXISTS (SELECT 1 FROM admin_organizations);
+
+CREATE INDEX IF NOT EXISTS idx_participants_organization ON participants(organization_id);
+CREATE INDEX IF NOT EXISTS idx_quizzes_organization ON quizzes(organization_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_organization ON quiz_sessions(organization_id);
+CREATE INDEX IF NOT EXISTS idx_questions_organization ON questions(organization_id);
+CREATE INDEX IF NOT EXISTS idx_admin_organizations_organization ON admin_organizations(organization_id);
+
+DROP TRIGGER IF EXISTS update_organizations_updated_at ON organizations;
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,50 @@
+-- Migration: Add participant groups and session invitations
+-- Date: Current
+-- Purpose: Participants can be put in groups (a department, a plant, an upload batch) and a session can be
+-- limited to the groups and participants invited to it. Existing sessions stay open to their whole
+-- organisation; new sessions are invitation-only unless the admin chooses otherwise.
+
+CREATE TABLE IF NOT EXISTS participant_groups (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(organization_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS participant_group_members (
+    group_id INTEGER NOT NULL REFERENCES participant_groups(id) ON DELETE CASCADE,
+    participant_id INTEGER NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (group_id, participant_id)
+);
+
+CREATE TABLE IF NOT EXISTS session_group_invitations (
+    session_id INTEGER NOT NULL REFERENCES quiz_sessions(id) ON DELETE CASCADE,
+    group_id INTEGER NOT NULL REFERENCES participant_groups(id) ON DELETE CASCADE,
+    invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (session_id, group_id)
+);
+
+CREATE TABLE IF NOT EXISTS session_participant_invitations (
+    session_id INTEGER NOT NULL REFERENCES quiz_sessions(id) ON DELETE CASCADE,
+    participant_id INTEGER NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
+    invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (session_id, participant_id)
+);
+
+-- 'organization': everyone in the session's organisation; 'invited': only invited groups and participants.
+-- Sessions that already exist keep 'organization'; the default for new ones is then changed
+ALTER TABLE quiz_sessions ADD COLUMN IF NOT EXISTS access_mode VARCHAR(20) NOT NULL DEFAULT 'organization'
+    CHECK (access_mode IN ('organization', 'invited'));
+ALTER TABLE quiz_sessions ALTER COLUMN access_mode SET DEFAULT 'invited';
+
+CREATE INDEX IF NOT EXISTS idx_participant_groups_organization ON participant_groups(organization_id);
+CREATE INDEX IF NOT EXISTS idx_participant_group_members_participant ON participant_group_members(participant_id);
+CREATE INDEX IF NOT EXISTS idx_session_group_invitations_group ON session_group_invitations(group_id);
+CREATE INDEX IF NOT EXISTS idx_session_participant_invitations_participant ON session_participant_invitations(participant_id);
+
+DROP TRIGGER IF EXISTS update_participant_groups_updated_at ON participant_groups;
+CREATE TRIGGER update_participant_groups_updated_at BEFORE UPDATE ON participant_groups FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
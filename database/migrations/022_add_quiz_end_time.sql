@@ -0,0 +1,17 @@
+-- Migration: Store the quiz phase deadline
+-- Date: Current
+-- Purpose: The end of the quiz phase is stored when it starts (quiz start + the quiz's time limit), so the
+-- session scheduler can auto-submit and end sessions whose time is up even after the server restarted.
+
+ALTER TABLE quiz_sessions ADD COLUMN IF NOT EXISTS quiz_end_time TIMESTAMP;
+
+-- Sessions running while this is applied get the deadline they would have had
+UPDATE quiz_sessions qs
+SET quiz_end_time = qs.quiz_start_time + INTERVAL '1 minute' * COALESCE(q.quiz_time_minutes, 15)
+FROM quizzes q
+WHERE q.id = qs.quiz_id
+  AND qs.status = 'active'
+  AND qs.quiz_start_time IS NOT NULL
+  AND qs.quiz_end_time IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_status_quiz_end ON quiz_sessions(status, quiz_end_time);
@@ -0,0 +1,7 @@
+-- Migration: Record when an admin's password last changed
+-- Date: Current
+-- Purpose: Tokens issued before the last password change (a reset by email or by a super admin) are refused
+-- by the auth middleware, so a reset signs out everyone still using the old password.
+-- Participants already have user_credentials.password_changed_at (013_add_credential_type.sql).
+
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
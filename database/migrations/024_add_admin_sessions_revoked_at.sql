@@ -0,0 +1,7 @@
+-- Migration: Sign out admins without two-factor when it becomes mandatory
+-- Date: Current
+-- Purpose: Making two-factor mandatory sets sessions_revoked_at for admins who have not set it up. Like
+-- password_changed_at, tokens issued before it are refused by the auth middleware, so those admins must
+-- log in again and set up two-factor.
+
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS sessions_revoked_at TIMESTAMP;
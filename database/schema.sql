@@ -1,13 +1,25 @@
 -- Quiz Competition Database Schema
 
+-- Organisations (tenants): participants, quizzes, sessions and questions each belong to one
+CREATE TABLE organizations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO organizations (name) VALUES ('Default Organisation');
+
 -- Participants table (uploaded via Excel/CSV)
 CREATE TABLE participants (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     designation VARCHAR(255),
     email VARCHAR(255) UNIQUE NOT NULL,
-    mobile VARCHAR(20),
+    mobile VARCHAR(20), -- E.164, e.g. +919876543210
     company VARCHAR(255),
+    organization_id INTEGER NOT NULL REFERENCES organizations(id),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -18,6 +30,10 @@ CREATE TABLE user_credentials (
     participant_id INTEGER REFERENCES participants(id) ON DELETE CASCADE,
     username VARCHAR(50) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
+    -- mobile: derived from the mobile number, random/passphrase: generated, custom: chosen by the participant
+    credential_type VARCHAR(20) DEFAULT 'mobile' CHECK (credential_type IN ('mobile', 'random', 'passphrase', 'custom')),
+    must_change_password BOOLEAN DEFAULT false,
+    password_changed_at TIMESTAMP,
     is_active BOOLEAN DEFAULT true,
     last_login TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -34,44 +50,116 @@ CREATE TABLE quizzes (
     quiz_time_minutes INTEGER DEFAULT 15,
     total_questions INTEGER DEFAULT 20,
     shuffle_questions BOOLEAN DEFAULT true,
-    shuffle_options BOOLEAN DEFAULT true,
+    shuffle_options BOOLEAN DEFAULT false,
+    -- Fraction of a question's points deducted for a wrong answer (0 = no negative marking)
+    negative_marking DECIMAL(4,2) NOT NULL DEFAULT 0,
+    partial_credit BOOLEAN NOT NULL DEFAULT false,
+    -- Speed bonus: correct answers earn full points when instant, falling to half at the end of the window
+    speed_bonus_enabled BOOLEAN NOT NULL DEFAULT false,
+    speed_bonus_window_seconds INTEGER NOT NULL DEFAULT 30,
+    -- Per-participant question draw, e.g. [{"count": 5, "difficulty": "easy"}] (NULL = all questions)
+    draw_rules JSONB,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id),
     is_active BOOLEAN DEFAULT false,
     created_by INTEGER,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Questions bank with correct answers
+-- Questions bank with correct answers (shared between quizzes via quiz_questions)
 CREATE TABLE questions (
     id SERIAL PRIMARY KEY,
-    quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+    question_type VARCHAR(20) NOT NULL DEFAULT 'single_choice' CHECK (question_type IN ('single_choice', 'true_false', 'multi_select', 'numeric')),
+    -- Question text, options and explanation may contain Markdown and ![alt](/uploads/question-images/...) images
     question_text TEXT NOT NULL,
-    option_a VARCHAR(500) NOT NULL,
-    option_b VARCHAR(500) NOT NULL,
-    option_c VARCHAR(500) NOT NULL,
-    option_d VARCHAR(500) NOT NULL,
-    correct_answer CHAR(1) CHECK (correct_answer IN ('a', 'b', 'c', 'd')) NOT NULL,
+    option_a TEXT,
+    option_b TEXT,
+    option_c TEXT,
+    option_d TEXT,
+    option_e TEXT,
+    option_f TEXT,
+    option_g TEXT,
+    option_h TEXT,
+    -- Option key ('a'), comma-separated keys for multi-select ('a,c') or a number for numeric questions
+    correct_answer VARCHAR(100) NOT NULL,
+    numeric_tolerance DECIMAL(12,4) DEFAULT 0,
+    points DECIMAL(6,2) NOT NULL DEFAULT 1,
+    -- Shown with the correct answer in the results review (e.g. "Payment of Wages Act s.5")
+    explanation TEXT,
+    reference VARCHAR(255),
+    category VARCHAR(100),
+    difficulty VARCHAR(10) NOT NULL DEFAULT 'medium' CHECK (difficulty IN ('easy', 'medium', 'hard')),
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    -- Only quizzes of the same organisation can use the question
+    organization_id INTEGER NOT NULL REFERENCES organizations(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Questions linked to each quiz, in display order
+CREATE TABLE quiz_questions (
+    id SERIAL PRIMARY KEY,
+    quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+    question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
     question_order INTEGER NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(quiz_id, question_id)
 );
 
 -- Active quiz sessions
 CREATE TABLE quiz_sessions (
     id SERIAL PRIMARY KEY,
     quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id), -- always the quiz's organisation
     session_name VARCHAR(255) NOT NULL,
     start_time TIMESTAMP NOT NULL,
     end_time TIMESTAMP,
     instruction_start_time TIMESTAMP,
     quiz_start_time TIMESTAMP,
+    quiz_end_time TIMESTAMP, -- deadline of the quiz phase, set when it starts
     status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'instruction', 'active', 'completed', 'cancelled')),
     max_participants INTEGER DEFAULT 1000,
     current_participants INTEGER DEFAULT 0,
     auto_start BOOLEAN DEFAULT FALSE,
     prizes_calculated BOOLEAN DEFAULT FALSE,
+    -- 'organization': everyone in the organisation may take it; 'invited': only invited groups and participants
+    access_mode VARCHAR(20) NOT NULL DEFAULT 'invited' CHECK (access_mode IN ('organization', 'invited')),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Groups of participants within an organisation (a department, a plant, an upload batch)
+CREATE TABLE participant_groups (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(organization_id, name)
+);
+
+CREATE TABLE participant_group_members (
+    group_id INTEGER NOT NULL REFERENCES participant_groups(id) ON DELETE CASCADE,
+    participant_id INTEGER NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (group_id, participant_id)
+);
+
+-- Who is invited to an invitation-only session
+CREATE TABLE session_group_invitations (
+    session_id INTEGER NOT NULL REFERENCES quiz_sessions(id) ON DELETE CASCADE,
+    group_id INTEGER NOT NULL REFERENCES participant_groups(id) ON DELETE CASCADE,
+    invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (session_id, group_id)
+);
+
+CREATE TABLE session_participant_invitations (
+    session_id INTEGER NOT NULL REFERENCES quiz_sessions(id) ON DELETE CASCADE,
+    participant_id INTEGER NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
+    invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (session_id, participant_id)
+);
+
 -- Participant session tracking
 CREATE TABLE session_participants (
     id SERIAL PRIMARY KEY,
@@ -92,13 +180,23 @@ CREATE TABLE participant_answers (
     session_id INTEGER REFERENCES quiz_sessions(id) ON DELETE CASCADE,
     participant_id INTEGER REFERENCES participants(id) ON DELETE CASCADE,
     question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
-    selected_answer CHAR(1) CHECK (selected_answer IN ('a', 'b', 'c', 'd')),
+    selected_answer VARCHAR(100),
     is_correct BOOLEAN,
     answered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     time_taken_seconds INTEGER,
     UNIQUE(session_id, participant_id, question_id)
 );
 
+-- When each participant first saw each question (used for speed-bonus scoring)
+CREATE TABLE question_views (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES quiz_sessions(id) ON DELETE CASCADE,
+    participant_id INTEGER REFERENCES participants(id) ON DELETE CASCADE,
+    question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+    first_shown_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, participant_id, question_id)
+);
+
 -- Score calculation, completion time, and rankings
 CREATE TABLE results (
     id SERIAL PRIMARY KEY,
@@ -108,7 +206,8 @@ CREATE TABLE results (
     correct_answers INTEGER NOT NULL DEFAULT 0,
     incorrect_answers INTEGER NOT NULL DEFAULT 0,
     unanswered INTEGER NOT NULL DEFAULT 0,
-    total_score DECIMAL(5,2) NOT NULL DEFAULT 0,
+    total_score DECIMAL(8,2) NOT NULL DEFAULT 0,
+    max_score DECIMAL(8,2) NOT NULL DEFAULT 0,
     percentage_score DECIMAL(5,2) NOT NULL DEFAULT 0,
     completion_time_seconds INTEGER NOT NULL,
     rank_position INTEGER,
@@ -123,7 +222,7 @@ CREATE TABLE prize_winners (
     session_id INTEGER REFERENCES quiz_sessions(id) ON DELETE CASCADE,
     participant_id INTEGER REFERENCES participants(id) ON DELETE CASCADE,
     prize_position INTEGER CHECK (prize_position IN (1, 2, 3)) NOT NULL,
-    score DECIMAL(5,2) NOT NULL,
+    score DECIMAL(8,2) NOT NULL,
     completion_time_seconds INTEGER NOT NULL,
     announced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(session_id, prize_position)
@@ -135,36 +234,105 @@ CREATE TABLE admin_users (
     username VARCHAR(50) UNIQUE NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
-    role VARCHAR(20) DEFAULT 'admin' CHECK (role IN ('admin', 'super_admin')),
+    role VARCHAR(20) DEFAULT 'admin' CHECK (role IN ('super_admin', 'admin', 'question_author', 'proctor', 'analyst', 'credential_manager')), -- see utils/adminPermissions.js
     is_active BOOLEAN DEFAULT true,
     last_login TIMESTAMP,
+    password_changed_at TIMESTAMP, -- tokens issued before this are refused (see middleware/auth.js)
+    sessions_revoked_at TIMESTAMP, -- likewise; set for admins without two-factor when it becomes mandatory
+    totp_secret TEXT, -- encrypted, see utils/totp.js
+    totp_enabled BOOLEAN DEFAULT false,
+    totp_enabled_at TIMESTAMP,
+    totp_last_step BIGINT, -- last accepted time step, so a code cannot be used twice
+    invited_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    invited_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Organisations an admin can see and manage (super admins see all of them without being assigned)
+CREATE TABLE admin_organizations (
+    admin_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    PRIMARY KEY (admin_id, organization_id)
+);
+
+-- Single-use two-factor recovery codes (SHA-256 hashes)
+CREATE TABLE admin_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- App-wide settings changed from the admin panel
+CREATE TABLE app_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO app_settings (key, value) VALUES ('admin_two_factor_required', 'false');
+
 -- Audit log for admin actions
 CREATE TABLE admin_audit_log (
     id SERIAL PRIMARY KEY,
-    admin_id INTEGER REFERENCES admin_users(id),
+    admin_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    admin_username VARCHAR(50), -- kept so entries stay readable after the admin is deleted
     action VARCHAR(100) NOT NULL,
     entity_type VARCHAR(50),
     entity_id INTEGER,
     details JSONB,
     ip_address INET,
+    -- Keyed hash chain (see utils/auditLog.js): editing or removing an entry breaks it
+    previous_hash VARCHAR(64),
+    entry_hash VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Password reset links (participants and admins); only the SHA-256 hash of a token is stored
+CREATE TABLE password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('participant', 'admin')),
+    user_id INTEGER NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    requested_ip VARCHAR(45),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Indexes for performance optimization
 CREATE INDEX idx_participants_email ON participants(email);
+CREATE INDEX idx_participants_organization ON participants(organization_id);
+CREATE INDEX idx_quizzes_organization ON quizzes(organization_id);
+CREATE INDEX idx_quiz_sessions_organization ON quiz_sessions(organization_id);
+CREATE INDEX idx_quiz_sessions_status_quiz_end ON quiz_sessions(status, quiz_end_time);
+CREATE INDEX idx_questions_organization ON questions(organization_id);
+CREATE INDEX idx_admin_organizations_organization ON admin_organizations(organization_id);
+CREATE INDEX idx_participant_groups_organization ON participant_groups(organization_id);
+CREATE INDEX idx_participant_group_members_participant ON participant_group_members(participant_id);
+CREATE INDEX idx_session_group_invitations_group ON session_group_invitations(group_id);
+CREATE INDEX idx_session_participant_invitations_participant ON session_participant_invitations(participant_id);
 CREATE INDEX idx_user_credentials_username ON user_credentials(username);
+CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_type, user_id, created_at);
+CREATE INDEX idx_admin_recovery_codes_admin ON admin_recovery_codes(admin_id);
 CREATE INDEX idx_user_credentials_participant_id ON user_credentials(participant_id);
-CREATE INDEX idx_questions_quiz_id ON questions(quiz_id);
-CREATE INDEX idx_questions_quiz_order ON questions(quiz_id, question_order);
+CREATE INDEX idx_quiz_questions_quiz_order ON quiz_questions(quiz_id, question_order);
+CREATE INDEX idx_quiz_questions_question ON quiz_questions(question_id);
+CREATE INDEX idx_questions_category ON questions(category);
+CREATE INDEX idx_questions_tags ON questions USING GIN (tags);
 CREATE INDEX idx_session_participants_session ON session_participants(session_id);
 CREATE INDEX idx_session_participants_participant ON session_participants(participant_id);
 CREATE INDEX idx_participant_answers_session_participant ON participant_answers(session_id, participant_id);
+CREATE INDEX idx_question_views_session_participant ON question_views(session_id, participant_id);
 CREATE INDEX idx_results_session_rank ON results(session_id, rank_position);
 CREATE INDEX idx_results_score_time ON results(total_score DESC, completion_time_seconds ASC);
 CREATE INDEX idx_prize_winners_session ON prize_winners(session_id);
+CREATE INDEX idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX idx_admin_audit_log_admin ON admin_audit_log(admin_username, created_at DESC);
+CREATE INDEX idx_admin_audit_log_action ON admin_audit_log(action, created_at DESC);
+CREATE INDEX idx_admin_audit_log_entity ON admin_audit_log(entity_type, entity_id);
 
 -- Update timestamp function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -177,4 +345,6 @@ $$ language 'plpgsql';
 
 -- Triggers for updated_at
 CREATE TRIGGER update_participants_updated_at BEFORE UPDATE ON participants FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-CREATE TRIGGER update_quizzes_updated_at BEFORE UPDATE ON quizzes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+CREATE TRIGGER update_quizzes_updated_at BEFORE UPDATE ON quizzes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_participant_groups_updated_at BEFORE UPDATE ON participant_groups FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
@@ -1,5 +1,12 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { hasPermission } = require('../utils/adminPermissions');
+const { getAuditEntity, redactBody, redactChanges, getOutcome } = require('../utils/auditLog');
+const auditLogService = require('../services/auditLogService');
+const organizationService = require('../services/organizationService');
+const sessionInvitationService = require('../services/sessionInvitationService');
+const sessionTimerService = require('../services/sessionTimerService');
+const { TENANT_ENTITIES, isInScope } = require('../utils/tenancy');
 
 // Generate JWT token
 const generateToken = (payload) => {
@@ -13,6 +20,13 @@ const verifyToken = (token) => {
     return jwt.verify(token, process.env.JWT_SECRET);
 };
 
+// Whether a token was issued before a time after which the account's earlier logins no longer count:
+// the last password change (e.g. a reset), or for admins the moment two-factor became mandatory.
+// iat is in whole seconds: a token issued in the same second as the change is still accepted.
+const isIssuedBefore = (decoded, changedAt) => {
+    return Boolean(changedAt) && decoded.iat < Math.floor(new Date(changedAt).getTime() / 1000);
+};
+
 // Authentication middleware for participants
 const authenticateParticipant = async (req, res, next) => {
     try {
@@ -40,7 +54,7 @@ const authenticateParticipant = async (req, res, next) => {
         
         // Verify participant exists and credentials are active
         const result = await db.query(`
-            SELECT p.*, uc.username, uc.is_active 
+            SELECT p.*, uc.username, uc.is_active, uc.must_change_password, uc.password_changed_at
             FROM participants p 
             JOIN user_credentials uc ON p.id = uc.participant_id 
             WHERE p.id = $1 AND uc.is_active = true
@@ -53,6 +67,23 @@ const authenticateParticipant = async (req, res, next) => {
             });
         }
         
+        if (isIssuedBefore(decoded, result.rows[0].password_changed_at)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Your password has been changed. Please log in again'
+            });
+        }
+        
+        // Participants with a generated password must choose their own before doing anything else,
+        // unless they logged in without it (emailed link, one-time code or SSO)
+        if (result.rows[0].must_change_password && (decoded.authMethod || 'password') === 'password' && !req.allowPendingPasswordChange) {
+            return res.status(403).json({
+                success: false,
+                code: 'PASSWORD_CHANGE_REQUIRED',
+                message: 'You must change your password before continuing'
+            });
+        }
+        
         req.user = result.rows[0];
         req.userType = 'participant';
         next();
@@ -80,6 +111,12 @@ const authenticateParticipant = async (req, res, next) => {
     }
 };
 
+// Authentication for the change-password endpoint, which must work while a password change is pending
+const authenticateParticipantForPasswordChange = (req, res, next) => {
+    req.allowPendingPasswordChange = true;
+    return authenticateParticipant(req, res, next);
+};
+
 // Authentication middleware for admin
 const authenticateAdmin = async (req, res, next) => {
     try {
@@ -117,7 +154,22 @@ const authenticateAdmin = async (req, res, next) => {
             });
         }
         
+        if (isIssuedBefore(decoded, result.rows[0].password_changed_at)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Your password has been changed. Please log in again'
+            });
+        }
+        
+        if (isIssuedBefore(decoded, result.rows[0].sessions_revoked_at)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Two-factor authentication is now required. Please log in again'
+            });
+        }
+        
         req.user = result.rows[0];
+        req.user.organizationIds = await organizationService.getScope(req.user);
         req.userType = 'admin';
         next();
         
@@ -144,8 +196,9 @@ const authenticateAdmin = async (req, res, next) => {
     }
 };
 
-// Authorization middleware for admin roles
-const authorizeAdmin = (requiredRole = 'admin') => {
+// Authorization middleware for admin permissions (see utils/adminPermissions.js)
+// Without a permission any active admin is allowed, whatever their role
+const authorizeAdmin = (permission = null) => {
     return (req, res, next) => {
         if (!req.user || req.userType !== 'admin') {
             return res.status(403).json({
@@ -154,10 +207,11 @@ const authorizeAdmin = (requiredRole = 'admin') => {
             });
         }
         
-        if (requiredRole === 'super_admin' && req.user.role !== 'super_admin') {
+        if (permission && !hasPermission(req.user.role, permission)) {
             return res.status(403).json({
                 success: false,
-                message: 'Super admin access required'
+                code: 'PERMISSION_DENIED',
+                message: 'Your role does not allow this action'
             });
         }
         
@@ -165,6 +219,38 @@ const authorizeAdmin = (requiredRole = 'admin') => {
     };
 };
 
+// Authorization middleware for records that belong to an organisation (see utils/tenancy.js)
+// A participant, quiz, session or question outside the admin's organisations is reported as not found,
+// so its existence is not revealed. Unknown IDs are left to the route's own not-found handling.
+const authorizeOrganization = (entityType, param = 'id') => {
+    return async (req, res, next) => {
+        try {
+            const scope = req.user.organizationIds;
+            const entityId = parseInt(req.params[param]);
+            
+            if (scope === null || isNaN(entityId)) {
+                return next();
+            }
+            
+            const organizationId = await organizationService.getEntityOrganization(entityType, entityId);
+            if (organizationId !== null && !isInScope(scope, organizationId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: `${TENANT_ENTITIES[entityType].label} not found`
+                });
+            }
+            
+            next();
+        } catch (error) {
+            console.error('Organisation access check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to verify organisation access'
+            });
+        }
+    };
+};
+
 // Middleware to check quiz session access
 const checkSessionAccess = async (req, res, next) => {
     try {
@@ -204,20 +290,16 @@ const checkSessionAccess = async (req, res, next) => {
             [sessionId, req.user.id]
         );
         
-        // TEMPORARY CHANGE: Auto-join participants if not already joined (bypass join requirement)
-        // TODO: Revert this change in the future to restore join requirement
-        // To revert: uncomment the original error return below and remove the auto-join logic
+        // Participants who have not joined are registered on their first visit, but only if they are
+        // invited (see services/sessionInvitationService.js). Sessions they may not take are not revealed.
         if (participantResult.rows.length === 0) {
-            // ORIGINAL CODE (commented temporarily):
-            // return res.status(403).json({
-            //     success: false,
-            //     message: 'Not registered for this quiz session'
-            // });
-            
-            // TEMPORARY AUTO-JOIN LOGIC:
-            console.log(`[TEMP] Auto-joining participant ${req.user.id} to session ${sessionId}`);
+            if (!(await sessionInvitationService.isEligible(session.id, req.user.id))) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Quiz session not found'
+                });
+            }
             
-            // Check if session is still available for joining
             if (session.status === 'completed' || session.status === 'cancelled') {
                 return res.status(403).json({
                     success: false,
@@ -225,15 +307,18 @@ const checkSessionAccess = async (req, res, next) => {
                 });
             }
             
-            // Auto-create session participant entry
-            const autoJoinResult = await db.query(`
-                INSERT INTO session_participants (session_id, participant_id, joined_at, status)
-                VALUES ($1, $2, CURRENT_TIMESTAMP, 'joined')
-                RETURNING *
-            `, [sessionId, req.user.id]);
+            const joined = await sessionInvitationService.join(sessionId, req.user.id);
+            if (joined && joined.error) {
+                return res.status(403).json({
+                    success: false,
+                    message: joined.error
+                });
+            }
             
-            participantResult.rows = autoJoinResult.rows;
-            console.log(`[TEMP] Successfully auto-joined participant ${req.user.id} to session ${sessionId}`);
+            participantResult = await db.query(
+                'SELECT * FROM session_participants WHERE session_id = $1 AND participant_id = $2',
+                [sessionId, req.user.id]
+            );
         }
         
         req.session = session;
@@ -289,30 +374,67 @@ const checkQuizState = (allowedStates) => {
     };
 };
 
+// Middleware to refuse quiz activity once the quiz phase's stored deadline has passed (use after checkQuizState)
+const checkQuizDeadline = (req, res, next) => {
+    if (!req.session) {
+        return res.status(400).json({
+            success: false,
+            message: 'Session not found'
+        });
+    }
+    
+    if (!sessionTimerService.isAcceptingAnswers(req.session)) {
+        return res.status(400).json({
+            success: false,
+            code: 'QUIZ_TIME_EXPIRED',
+            message: 'Quiz time has expired'
+        });
+    }
+    
+    next();
+};
+
 // Middleware to log admin actions
-const logAdminAction = (action) => {
-    return async (req, res, next) => {
+// entityType names what the action applies to (e.g. 'participant'); the ID is taken from the request,
+// see getAuditEntity in utils/auditLog.js. The entry is written once the request is over, so it records
+// the outcome and any changes the handler recorded with recordAuditChange. 'close' also fires when the
+// client disconnects early, and the action may still have happened.
+// Bodies and changes are redacted by the action's policy (AUDIT_POLICIES) before they are stored.
+const logAdminAction = (action, entityType = null) => {
+    return (req, res, next) => {
         if (req.userType === 'admin') {
-            try {
-                await db.query(`
-                    INSERT INTO admin_audit_log (admin_id, action, entity_type, entity_id, details, ip_address)
-                    VALUES ($1, $2, $3, $4, $5, $6)
-                `, [
-                    req.user.id,
-                    action,
-                    req.params.entityType || null,
-                    req.params.entityId || null,
-                    JSON.stringify({
+            res.once('close', async () => {
+                try {
+                    const { entityId, entityIds } = getAuditEntity(req, entityType);
+                    const details = {
                         method: req.method,
                         url: req.originalUrl,
-                        body: req.body,
+                        status: res.statusCode,
+                        outcome: getOutcome(res.statusCode, res.writableFinished),
+                        body: redactBody(action, req.body),
                         params: req.params
-                    }),
-                    req.ip
-                ]);
-            } catch (error) {
-                console.error('Failed to log admin action:', error);
-            }
+                    };
+                    if (entityIds) {
+                        details.entity_ids = entityIds;
+                    }
+                    // A failed request may have recorded changes that were then rolled back
+                    if (req.auditChanges && res.statusCode < 400) {
+                        details.changes = redactChanges(action, req.auditChanges);
+                    }
+                    
+                    await auditLogService.record({
+                        adminId: req.user.id,
+                        adminUsername: req.user.username,
+                        action,
+                        entityType,
+                        entityId,
+                        details,
+                        ipAddress: req.ip
+                    });
+                } catch (error) {
+                    console.error('Failed to log admin action:', error);
+                }
+            });
         }
         next();
     };
@@ -322,10 +444,13 @@ module.exports = {
     generateToken,
     verifyToken,
     authenticateParticipant,
+    authenticateParticipantForPasswordChange,
     authenticateAdmin,
     authorizeAdmin,
+    authorizeOrganization,
     checkSessionAccess,
     checkNotSubmitted,
     checkQuizState,
+    checkQuizDeadline,
     logAdminAction
 };
\ No newline at end of file
@@ -29,11 +29,14 @@ async function checkParticipantAuth(req, res, next) {
         
         // Check if participant still exists and is active
         const participantResult = await db.query(
-            'SELECT p.*, uc.is_active FROM participants p JOIN user_credentials uc ON p.id = uc.participant_id WHERE p.id = $1',
+            'SELECT p.*, uc.is_active, uc.must_change_password FROM participants p JOIN user_credentials uc ON p.id = uc.participant_id WHERE p.id = $1',
             [decoded.id]
         );
         
-        if (participantResult.rows.length === 0 || !participantResult.rows[0].is_active) {
+        // A pending password change keeps the participant on the login page, where the change form is shown
+        // (passwordless and SSO logins did not use the generated password and are let through)
+        const pendingPasswordChange = participantResult.rows.length > 0 && participantResult.rows[0].must_change_password && (decoded.authMethod || 'password') === 'password';
+        if (participantResult.rows.length === 0 || !participantResult.rows[0].is_active || pendingPasswordChange) {
             req.isAuthenticated = false;
             return next();
         }
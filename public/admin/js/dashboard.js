@@ -5,10 +5,11 @@ let authToken = localStorage.getItem('adminToken');
 let socket = null;
 let selectedParticipants = new Set();
 let currentCredentials = null;
+let currentAdmin = null;
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', async function() {
-    const isAuthenticated = await checkAuthentication();
+    const isAuthenticated = await checkAuthentication() && await loadCurrentAdmin();
     if (isAuthenticated) {
         // Hide loading screen and show main content
         document.getElementById('auth-loading').style.display = 'none';
@@ -20,6 +21,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         loadDashboard();
         initializeSidebar();
         initializeFileUpload();
+        loadPhoneCountries();
     }
     // If not authenticated, checkAuthentication() will redirect to login
 });
@@ -60,6 +62,68 @@ async function checkAuthentication() {
     }
 }
 
+// Role and permissions of the signed-in admin; actions their role cannot use are hidden
+async function loadCurrentAdmin() {
+    try {
+        const response = await fetch('/api/admin/me', {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.message || 'Failed to load admin profile');
+        }
+        
+        currentAdmin = data.data;
+        document.getElementById('admin-role').textContent = currentAdmin.roleLabel;
+        applyPermissions();
+        return true;
+    } catch (error) {
+        console.error('Load admin profile error:', error);
+        logout();
+        return false;
+    }
+}
+
+function can(permission) {
+    return Boolean(currentAdmin && currentAdmin.permissions.includes(permission));
+}
+
+// Organisation names are only shown to admins who see more than one organisation
+function organizationLabel(name) {
+    if (!currentAdmin || (!currentAdmin.allOrganizations && currentAdmin.organizations.length <= 1)) {
+        return '';
+    }
+    return `<div class="text-xs text-gray-400"><i class="fas fa-building mr-1"></i>${escapeHtml(name || '')}</div>`;
+}
+
+// Fill an organisation picker with the admin's active organisations (plus the current one when editing);
+// its wrapper, marked data-organization-field, is hidden when there is nothing to choose
+function fillOrganizationSelect(selectId, selectedId = null) {
+    const select = document.getElementById(selectId);
+    const organizations = currentAdmin.organizations.filter(org => org.is_active || org.id === selectedId);
+    const placeholder = selectedId === null && organizations.length > 1 ? '<option value="">Choose an organisation</option>' : '';
+    
+    select.innerHTML = placeholder + organizations.map(org =>
+        `<option value="${org.id}" ${org.id === selectedId ? 'selected' : ''}>${escapeHtml(org.name)}${org.is_active ? '' : ' (inactive)'}</option>`
+    ).join('');
+    select.closest('[data-organization-field]').classList.toggle('hidden', organizations.length <= 1);
+}
+
+// Elements marked data-permission="x" are hidden unless the role has x; a stylesheet rule is used
+// so table rows and buttons rendered later are covered too
+function applyPermissions() {
+    let style = document.getElementById('permission-styles');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'permission-styles';
+        document.head.appendChild(style);
+    }
+    
+    const allowed = currentAdmin.permissions.map(permission => `:not([data-permission="${permission}"])`).join('');
+    style.textContent = `[data-permission]${allowed} { display: none !important; }`;
+}
+
 function logout() {
     localStorage.removeItem('adminToken');
     window.location.href = '/admin/login.html';
@@ -174,6 +238,48 @@ function initializeFileUpload() {
     });
 }
 
+const CREDENTIAL_MODE_LABELS = {
+    mobile: 'mobile number',
+    random: 'random password',
+    passphrase: 'passphrase'
+};
+let defaultCredentialMode = 'mobile';
+
+// Generated passwords are changed on first login by default; mobile-number passwords are not
+function updateForcePasswordChange() {
+    const mode = document.getElementById('participantCredentialMode').value;
+    document.getElementById('participantForcePasswordChange').checked = mode !== 'mobile';
+}
+
+// Fill the country selects used for mobile numbers written without a country code
+function loadPhoneCountries() {
+    fetch('/api/admin/phone-countries', {
+        headers: { 'Authorization': `Bearer ${authToken}` }
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (!data.success) return;
+        
+        // Only admins who manage credentials see generated passwords, so only they can have them issued
+        defaultCredentialMode = can('credentials:manage') ? data.data.defaultCredentialMode : 'mobile';
+        const credentialModeSelect = document.getElementById('participantCredentialMode');
+        Array.from(credentialModeSelect.options).forEach(option => {
+            option.disabled = option.value !== 'mobile' && !can('credentials:manage');
+        });
+        credentialModeSelect.value = defaultCredentialMode;
+        updateForcePasswordChange();
+        
+        document.querySelectorAll('select[data-phone-country]').forEach(select => {
+            select.innerHTML = data.data.countries.map(country => `
+                <option value="${country.code}" ${country.code === data.data.defaultCountry ? 'selected' : ''}>${escapeHtml(country.name)} (${country.callingCode})</option>
+            `).join('');
+        });
+    })
+    .catch(error => {
+        console.error('Load phone countries error:', error);
+    });
+}
+
 function validateFile(file) {
     // Validate file type
     const allowedTypes = ['.csv', '.xlsx', '.xls'];
@@ -204,6 +310,9 @@ function updateUploadArea(file) {
     const fileSize = (file.size / 1024).toFixed(1);
     const fileIcon = file.name.toLowerCase().endsWith('.csv') ? 'fa-file-csv' : 'fa-file-excel';
     
+    // A report from a previous file no longer applies
+    resetParticipantUploadReport();
+    
     uploadArea.innerHTML = `
         <div class="upload-area-content text-center">
             <i class="fas ${fileIcon} text-3xl text-green-500 mb-4"></i>
@@ -263,6 +372,9 @@ function showSection(sectionName) {
             case 'participants':
                 loadParticipants();
                 break;
+            case 'groups':
+                loadGroups();
+                break;
             case 'quizzes':
                 loadQuizzes();
                 break;
@@ -273,6 +385,23 @@ function showSection(sectionName) {
                 loadResultsDashboard();
                 loadSessionResults();
                 break;
+            case 'questionBank':
+                loadQuestionFilters();
+                loadQuestionBank();
+                break;
+            case 'security':
+                loadTwoFactorStatus();
+                break;
+            case 'admins':
+                loadAdmins();
+                break;
+            case 'organizations':
+                loadOrganizations();
+                break;
+            case 'auditLog':
+                loadAuditLogFilters();
+                loadAuditLog();
+                break;
         }
     }
 }
@@ -479,7 +608,10 @@ function updateParticipantsTable(participants) {
                                 </div>
                             </div>
                         </td>
-                        <td class="py-4 px-6 text-sm text-gray-900">${participant.email}</td>
+                        <td class="py-4 px-6 text-sm text-gray-900">
+                            ${participant.email}
+                            ${organizationLabel(participant.organization_name)}
+                        </td>
                         <td class="py-4 px-6 text-sm text-gray-500">${participant.company || 'N/A'}</td>
                         <td class="py-4 px-6">
                             <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${participant.is_active ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}">
@@ -487,8 +619,8 @@ function updateParticipantsTable(participants) {
                             </span>
                         </td>
                         <td class="py-4 px-6 text-sm font-medium">
-                            <button onclick="editParticipant(${participant.id})" class="text-blue-600 hover:text-blue-900 mr-3">Edit</button>
-                            <button onclick="toggleParticipantStatus(${participant.id}, '${participant.name}', ${participant.is_active})" class="text-${participant.is_active ? 'red' : 'green'}-600 hover:text-${participant.is_active ? 'red' : 'green'}-900">
+                            <button onclick="editParticipant(${participant.id})" data-permission="participants:manage" class="text-blue-600 hover:text-blue-900 mr-3">Edit</button>
+                            <button onclick="toggleParticipantStatus(${participant.id}, '${participant.name}', ${participant.is_active})" data-permission="participants:manage" class="text-${participant.is_active ? 'red' : 'green'}-600 hover:text-${participant.is_active ? 'red' : 'green'}-900">
                                 ${participant.is_active ? 'Deactivate' : 'Activate'}
                             </button>
                         </td>
@@ -668,19 +800,28 @@ function displayCredentialsTable(credentials) {
                             </div>
                         </td>
                         <td class="py-4 px-6">
-                            <div class="flex items-center space-x-2">
-                                <code class="bg-gray-100 px-2 py-1 rounded text-sm">${cred.password}</code>
-                                <button onclick="copyToClipboard('${cred.password}')" class="text-blue-600 hover:text-blue-800">
-                                    <i class="fas fa-copy"></i>
-                                </button>
-                            </div>
+                            ${cred.password ? `
+                                <div class="flex items-center space-x-2">
+                                    <code class="bg-gray-100 px-2 py-1 rounded text-sm">${escapeHtml(cred.password)}</code>
+                                    <button onclick="copyToClipboard('${cred.password}')" class="text-blue-600 hover:text-blue-800">
+                                        <i class="fas fa-copy"></i>
+                                    </button>
+                                </div>
+                            ` : `
+                                <span class="text-xs text-gray-500" title="Generated and self-chosen passwords are not stored. Reset the password to issue a new one">
+                                    ${cred.credentialType === 'custom' ? 'Set by participant' : 'Hidden'}
+                                </span>
+                            `}
+                            ${cred.mustChangePassword ? '<div class="text-xs text-orange-600 mt-1">Must change on first login</div>' : ''}
                         </td>
                         <td class="py-4 px-6 text-sm text-gray-500">${cred.company || 'N/A'}</td>
                         <td class="py-4 px-6">
                             <div class="flex items-center space-x-2">
-                                <button onclick="copyCredentials('${cred.username}', '${cred.password}')" class="text-green-600 hover:text-green-800 text-sm font-medium">
-                                    Copy Both
-                                </button>
+                                ${cred.password ? `
+                                    <button onclick="copyCredentials('${cred.username}', '${cred.password}')" class="text-green-600 hover:text-green-800 text-sm font-medium">
+                                        Copy Both
+                                    </button>
+                                ` : ''}
                                 <button onclick="resetPassword(${cred.id}, '${cred.name}')" class="text-orange-600 hover:text-orange-800 text-sm font-medium">
                                     Reset Password
                                 </button>
@@ -707,7 +848,7 @@ function exportCredentials() {
             cred.name,
             cred.email,
             cred.username,
-            cred.password,
+            cred.password || '',
             cred.designation || '',
             cred.company || ''
         ])
@@ -727,7 +868,24 @@ function exportCredentials() {
 }
 
 // File upload
+// Check the file first: shows new, changed, unchanged, invalid and missing participants without saving anything
 function uploadParticipants() {
+    sendParticipantsFile(true);
+}
+
+// Apply the checked file
+function confirmParticipantUpload() {
+    const sync = document.getElementById('participantSyncMode').checked;
+    const missingCount = parseInt(document.getElementById('participantUploadReport').dataset.missing || '0');
+    
+    if (sync && missingCount > 0 && !confirm(`Sync will deactivate ${missingCount} participant(s) that are not in the file. Continue?`)) {
+        return;
+    }
+    
+    sendParticipantsFile(false);
+}
+
+function sendParticipantsFile(dryRun) {
     const fileInput = document.getElementById('participantFile');
     const uploadButton = document.querySelector('#uploadParticipantsModal button[onclick="uploadParticipants()"]');
     
@@ -746,10 +904,17 @@ function uploadParticipants() {
     // Disable upload button to prevent multiple submissions
     if (uploadButton) {
         uploadButton.disabled = true;
-        uploadButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Uploading...';
+        uploadButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Checking...';
     }
     
     const formData = new FormData();
+    formData.append('dry_run', dryRun ? 'true' : 'false');
+    formData.append('sync', document.getElementById('participantSyncMode').checked ? 'true' : 'false');
+    formData.append('default_country', document.getElementById('participantDefaultCountry').value);
+    formData.append('credential_mode', document.getElementById('participantCredentialMode').value);
+    formData.append('force_password_change', document.getElementById('participantForcePasswordChange').checked ? 'true' : 'false');
+    formData.append('organization_id', document.getElementById('participantOrganization').value);
+    formData.append('group', document.getElementById('participantGroup').value.trim());
     formData.append('participantFile', file);
     
     showLoading();
@@ -769,35 +934,52 @@ function uploadParticipants() {
         return data;
     })
     .then(data => {
-        if (data.success) {
-            const successCount = data.data.successful || 0;
-            const failedCount = data.data.failed || 0;
-            const totalCount = successCount + failedCount;
-            
-            if (successCount > 0) {
-                showToast(`Successfully processed ${successCount} of ${totalCount} participants`, 'success');
-            }
-            
-            if (failedCount > 0) {
-                showToast(`${failedCount} participants failed to process. Check console for details.`, 'warning');
-                
-                // Log detailed error information for debugging
-                if (data.data.errors && data.data.errors.length > 0) {
-                    console.group('Participant Upload Errors:');
-                    data.data.errors.forEach((error, index) => {
-                        console.error(`Error ${index + 1}:`, error);
-                    });
-                    console.groupEnd();
-                }
-            }
-            
-            closeModal('uploadParticipantsModal');
-            loadParticipants(); // Reload the participants table
-            resetFileUpload(); // Reset the file upload area
-            selectedParticipants.clear(); // Clear selections
-        } else {
+        if (!data.success) {
             throw new Error(data.message || 'Upload failed');
         }
+        
+        if (dryRun) {
+            renderParticipantUploadReport(data.data);
+            showToast(data.message, data.data.summary.invalid > 0 ? 'warning' : 'success');
+            return;
+        }
+        
+        const successCount = data.data.successful || 0;
+        const failedCount = data.data.failed || 0;
+        const unchangedCount = data.data.unchanged || 0;
+        
+        showToast(`Saved ${successCount} participants, ${unchangedCount} unchanged` +
+            (data.data.deactivated ? `, ${data.data.deactivated} deactivated` : ''), 'success');
+        
+        if (failedCount > 0) {
+            showToast(`${failedCount} participants were skipped. Check console for details.`, 'warning');
+            
+            // Log detailed error information for debugging
+            console.group('Participant Upload Errors:');
+            data.data.results.errors.forEach((error, index) => {
+                console.error(`Error ${index + 1}:`, error);
+            });
+            console.groupEnd();
+        }
+        
+        closeModal('uploadParticipantsModal');
+        loadParticipants(); // Reload the participants table
+        resetFileUpload(); // Reset the file upload area
+        resetParticipantUploadReport();
+        selectedParticipants.clear(); // Clear selections
+        
+        // Generated passwords are not stored, so this is the only chance to see them
+        const issued = data.data.results.credentials.filter(cred => cred.password);
+        if (data.data.credentialMode !== 'mobile' && issued.length > 0) {
+            displayCredentialsTable(issued.map(cred => ({
+                ...cred,
+                id: cred.participantId,
+                credentialType: data.data.credentialMode,
+                mustChangePassword: document.getElementById('participantForcePasswordChange').checked
+            })));
+            openModal('viewCredentialsModal');
+            showToast('Export or send these passwords now. They cannot be shown again', 'warning', 8000);
+        }
     })
     .catch(error => {
         console.error('Upload error:', error);
@@ -809,11 +991,82 @@ function uploadParticipants() {
         // Re-enable upload button
         if (uploadButton) {
             uploadButton.disabled = false;
-            uploadButton.innerHTML = 'Upload';
+            uploadButton.innerHTML = 'Check File';
         }
     });
 }
 
+function resetParticipantUploadReport() {
+    const container = document.getElementById('participantUploadReport');
+    container.innerHTML = '';
+    container.dataset.missing = '0';
+    container.classList.add('hidden');
+    document.getElementById('participantSyncMode').checked = false;
+}
+
+function renderParticipantUploadReport(report) {
+    const container = document.getElementById('participantUploadReport');
+    const { summary } = report;
+    const toApply = summary.new + summary.changed + summary.unchanged;
+    container.dataset.missing = String(summary.missing);
+    
+    const participantRow = (participant, detail, rowClass = '') => `
+        <tr class="${rowClass}">
+            <td class="py-2 px-3 text-gray-500 align-top">${participant.row || ''}</td>
+            <td class="py-2 px-3 text-gray-900 align-top">${escapeHtml(participant.name || '')}</td>
+            <td class="py-2 px-3 text-gray-700 align-top">${escapeHtml(participant.email || '')}</td>
+            <td class="py-2 px-3 align-top">${detail}</td>
+        </tr>
+    `;
+    
+    const rows = [
+        ...report.invalid.map(participant => participantRow(participant,
+            `<span class="text-red-700"><i class="fas fa-times-circle mr-1"></i>${escapeHtml(participant.error)}</span>`, 'bg-red-50')),
+        ...report.new.map(participant => participantRow(participant,
+            '<span class="text-green-700"><i class="fas fa-plus mr-1"></i>New</span>')),
+        ...report.changed.map(participant => participantRow(participant,
+            participant.changes.map(change => `<div class="text-blue-700">${escapeHtml(change.field)}: <span class="line-through text-gray-500">${escapeHtml(change.from) || '(empty)'}</span> → ${escapeHtml(change.to) || '(empty)'}</div>`).join(''))),
+        ...report.missing.map(participant => participantRow(participant,
+            `<span class="text-yellow-700"><i class="fas fa-user-slash mr-1"></i>Not in file${report.sync ? ' - will be deactivated' : ''}</span>`, 'bg-yellow-50'))
+    ];
+    
+    container.innerHTML = `
+        <div class="border border-gray-200 rounded-lg bg-white">
+            <div class="p-3 border-b border-gray-200 flex items-center justify-between">
+                <div class="text-sm text-gray-700">
+                    <span class="font-medium">${summary.total} rows:</span>
+                    <span class="text-green-700">${summary.new} new</span> ·
+                    <span class="text-blue-700">${summary.changed} changed</span> ·
+                    <span class="text-gray-600">${summary.unchanged} unchanged</span> ·
+                    <span class="text-red-700">${summary.invalid} invalid</span> ·
+                    <span class="text-yellow-700">${summary.missing} not in file</span>
+                </div>
+                <button onclick="confirmParticipantUpload()" ${toApply > 0 ? '' : 'disabled'}
+                    class="px-3 py-1.5 rounded-lg text-sm font-medium ${toApply > 0 ? 'bg-blue-600 hover:bg-blue-700 text-white' : 'bg-gray-200 text-gray-500 cursor-not-allowed'}">
+                    Import ${summary.new + summary.changed} Changes
+                </button>
+            </div>
+            ${summary.invalid > 0 ? '<p class="px-3 pt-2 text-xs text-gray-500">Invalid rows are skipped; fix them and upload the file again to import them.</p>' : ''}
+            <div class="max-h-64 overflow-y-auto">
+                ${rows.length > 0 ? `
+                    <table class="w-full text-sm">
+                        <thead class="bg-gray-50 sticky top-0">
+                            <tr>
+                                <th class="text-left py-2 px-3 font-medium text-gray-700">Row</th>
+                                <th class="text-left py-2 px-3 font-medium text-gray-700">Name</th>
+                                <th class="text-left py-2 px-3 font-medium text-gray-700">Email</th>
+                                <th class="text-left py-2 px-3 font-medium text-gray-700">Changes</th>
+                            </tr>
+                        </thead>
+                        <tbody class="divide-y divide-gray-100">${rows.join('')}</tbody>
+                    </table>
+                ` : '<p class="p-3 text-sm text-gray-500">Every participant in the file is already up to date.</p>'}
+            </div>
+        </div>
+    `;
+    container.classList.remove('hidden');
+}
+
 // Utility functions
 function openModal(modalId) {
     // Handle special cases before opening modal
@@ -825,6 +1078,19 @@ function openModal(modalId) {
         document.getElementById('sessionDate').value = today;
     }
     
+    // Forms that create records ask which organisation they go into
+    const organizationSelects = {
+        createQuizModal: 'quizOrganization',
+        importQuizModal: 'importQuizOrganization',
+        uploadParticipantsModal: 'participantOrganization'
+    };
+    if (organizationSelects[modalId]) {
+        fillOrganizationSelect(organizationSelects[modalId]);
+    }
+    if (modalId === 'uploadParticipantsModal') {
+        fillGroupSuggestions();
+    }
+    
     document.getElementById(modalId).classList.remove('hidden');
 }
 
@@ -856,6 +1122,15 @@ function hideLoading() {
     document.getElementById('loading-overlay').classList.add('hidden');
 }
 
+// Escape text from uploaded files before putting it in HTML
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function showToast(message, type = 'info', duration = 5000) {
     const toastContainer = document.getElementById('toast-container');
     const toastId = 'toast-' + Date.now();
@@ -926,7 +1201,7 @@ function copyCredentials(username, password) {
 }
 
 function resetPassword(participantId, participantName) {
-    if (!confirm(`Are you sure you want to reset the password for ${participantName}?\n\nThis will generate a new password based on their mobile number.`)) {
+    if (!confirm(`Are you sure you want to reset the password for ${participantName}?\n\nThis will issue a new password (${CREDENTIAL_MODE_LABELS[defaultCredentialMode]}).`)) {
         return;
     }
     
@@ -952,6 +1227,8 @@ function resetPassword(participantId, participantName) {
                 const credIndex = currentCredentials.findIndex(cred => cred.id === participantId);
                 if (credIndex !== -1) {
                     currentCredentials[credIndex].password = data.data.newPassword;
+                    currentCredentials[credIndex].credentialType = defaultCredentialMode;
+                    currentCredentials[credIndex].mustChangePassword = data.data.mustChangePassword;
                     displayCredentialsTable(currentCredentials);
                 }
             }
@@ -990,6 +1267,7 @@ function editParticipant(participantId) {
             document.getElementById('editCompany').value = participant.company || '';
             document.getElementById('editDesignation').value = participant.designation || '';
             document.getElementById('editMobile').value = participant.mobile || '';
+            fillOrganizationSelect('editParticipantOrganization', participant.organization_id);
             
             openModal('editParticipantModal');
         } else {
@@ -1012,6 +1290,8 @@ function saveParticipant() {
     const company = document.getElementById('editCompany').value.trim();
     const designation = document.getElementById('editDesignation').value.trim();
     const mobile = document.getElementById('editMobile').value.trim();
+    const country = document.getElementById('editMobileCountry').value;
+    const organizationId = document.getElementById('editParticipantOrganization').value;
     
     if (!name || !email) {
         showToast('Name and email are required', 'error');
@@ -1031,7 +1311,9 @@ function saveParticipant() {
             email,
             company,
             designation,
-            mobile
+            mobile,
+            country,
+            organization_id: organizationId
         })
     })
     .then(response => response.json())
@@ -1213,6 +1495,7 @@ function updateQuizzesTable(quizzes) {
                             <div>
                                 <div class="text-sm font-medium text-gray-900">${quiz.title}</div>
                                 <div class="text-sm text-gray-500">${quiz.description || 'No description'}</div>
+                                ${organizationLabel(quiz.organization_name)}
                             </div>
                         </td>
                         <td class="py-4 px-6">
@@ -1229,12 +1512,18 @@ function updateQuizzesTable(quizzes) {
                             </span>
                         </td>
                         <td class="py-4 px-6 text-sm font-medium space-x-2">
-                            <button onclick="editQuiz(${quiz.id})" class="text-blue-600 hover:text-blue-900">Edit</button>
-                            <button onclick="manageQuestions(${quiz.id}, '${quiz.title}')" class="text-green-600 hover:text-green-900">Questions</button>
-                            <button onclick="toggleQuizStatus(${quiz.id}, '${quiz.title}', ${quiz.is_active})" class="text-${quiz.is_active ? 'red' : 'green'}-600 hover:text-${quiz.is_active ? 'red' : 'green'}-900">
+                            <button onclick="editQuiz(${quiz.id})" data-permission="quizzes:edit" class="text-blue-600 hover:text-blue-900">Edit</button>
+                            <button onclick="manageQuestions(${quiz.id}, '${quiz.title}')" data-permission="quizzes:edit" class="text-green-600 hover:text-green-900">Questions</button>
+                            <select onchange="exportQuiz(${quiz.id}, this.value); this.value = ''" class="text-sm text-gray-600 border-none bg-transparent cursor-pointer hover:text-gray-900" title="Export quiz">
+                                <option value="">Export</option>
+                                <option value="json">JSON</option>
+                                <option value="moodle">Moodle XML</option>
+                                <option value="gift">GIFT</option>
+                            </select>
+                            <button onclick="toggleQuizStatus(${quiz.id}, '${quiz.title}', ${quiz.is_active})" data-permission="quizzes:edit" class="text-${quiz.is_active ? 'red' : 'green'}-600 hover:text-${quiz.is_active ? 'red' : 'green'}-900">
                                 ${quiz.is_active ? 'Deactivate' : 'Activate'}
                             </button>
-                            <button onclick="deleteQuiz(${quiz.id}, '${quiz.title}')" class="text-red-600 hover:text-red-900">Delete</button>
+                            <button onclick="deleteQuiz(${quiz.id}, '${quiz.title}')" data-permission="quizzes:edit" class="text-red-600 hover:text-red-900">Delete</button>
                         </td>
                     </tr>
                 `).join('')}
@@ -1277,7 +1566,14 @@ function createQuiz() {
             instruction_time_minutes: instructionMinutes,
             quiz_time_minutes: quizMinutes,
             total_questions: totalQuestions,
-            is_active: isActive
+            negative_marking: parseFloat(document.getElementById('negativeMarking').value) || 0,
+            partial_credit: document.getElementById('partialCredit').checked,
+            speed_bonus_enabled: document.getElementById('speedBonusEnabled').checked,
+            speed_bonus_window_seconds: parseInt(document.getElementById('speedBonusWindow').value) || 30,
+            shuffle_questions: document.getElementById('shuffleQuestions').checked,
+            shuffle_options: document.getElementById('shuffleOptions').checked,
+            is_active: isActive,
+            organization_id: document.getElementById('quizOrganization').value
         })
     })
     .then(response => response.json())
@@ -1321,7 +1617,14 @@ function editQuiz(quizId) {
             document.getElementById('editInstructionMinutes').value = quiz.instruction_time_minutes || 5;
             document.getElementById('editQuizMinutes').value = quiz.quiz_time_minutes || 15;
             document.getElementById('editTotalQuestions').value = quiz.total_questions || 20;
+            document.getElementById('editNegativeMarking').value = parseFloat(quiz.negative_marking) || 0;
+            document.getElementById('editPartialCredit').checked = quiz.partial_credit || false;
+            document.getElementById('editSpeedBonusEnabled').checked = quiz.speed_bonus_enabled || false;
+            document.getElementById('editSpeedBonusWindow').value = quiz.speed_bonus_window_seconds || 30;
+            document.getElementById('editShuffleQuestions').checked = quiz.shuffle_questions !== false;
+            document.getElementById('editShuffleOptions').checked = quiz.shuffle_options || false;
             document.getElementById('editIsActive').checked = quiz.is_active || false;
+            renderDrawRules(quiz.draw_rules || []);
             
             openModal('editQuizModal');
         } else {
@@ -1370,6 +1673,13 @@ function updateQuiz() {
             instruction_time_minutes: instructionMinutes,
             quiz_time_minutes: quizMinutes,
             total_questions: totalQuestions,
+            negative_marking: parseFloat(document.getElementById('editNegativeMarking').value) || 0,
+            partial_credit: document.getElementById('editPartialCredit').checked,
+            speed_bonus_enabled: document.getElementById('editSpeedBonusEnabled').checked,
+            speed_bonus_window_seconds: parseInt(document.getElementById('editSpeedBonusWindow').value) || 30,
+            draw_rules: collectDrawRules(),
+            shuffle_questions: document.getElementById('editShuffleQuestions').checked,
+            shuffle_options: document.getElementById('editShuffleOptions').checked,
             is_active: isActive
         })
     })
@@ -1392,6 +1702,56 @@ function updateQuiz() {
     });
 }
 
+// Question draw rules (randomised pools)
+function renderDrawRules(rules) {
+    const container = document.getElementById('editDrawRulesContainer');
+    
+    if (rules.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500 italic">No draw rules - every participant answers every question</p>';
+        return;
+    }
+    
+    container.innerHTML = rules.map((rule, index) => `
+        <div class="draw-rule-row grid grid-cols-12 gap-2 items-center">
+            <input type="number" min="1" value="${rule.count || 1}" data-field="count" title="Number of questions to draw"
+                   class="col-span-2 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-blue-500 focus:border-blue-500">
+            <select data-field="difficulty" class="col-span-3 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-blue-500 focus:border-blue-500">
+                <option value="">Any difficulty</option>
+                ${['easy', 'medium', 'hard'].map(level => `<option value="${level}" ${rule.difficulty === level ? 'selected' : ''}>${level}</option>`).join('')}
+            </select>
+            <input type="text" value="${rule.category || ''}" data-field="category" placeholder="Any category"
+                   class="col-span-3 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-blue-500 focus:border-blue-500">
+            <input type="text" value="${rule.tag || ''}" data-field="tag" placeholder="Any tag"
+                   class="col-span-3 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-blue-500 focus:border-blue-500">
+            <button type="button" onclick="removeDrawRule(${index})" class="col-span-1 text-red-600 hover:text-red-800" title="Remove rule">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+function collectDrawRules() {
+    return Array.from(document.querySelectorAll('#editDrawRulesContainer .draw-rule-row')).map(row => {
+        const rule = {};
+        row.querySelectorAll('[data-field]').forEach(input => {
+            rule[input.dataset.field] = input.value.trim();
+        });
+        return rule;
+    });
+}
+
+function addDrawRule() {
+    const rules = collectDrawRules();
+    rules.push({ count: 1 });
+    renderDrawRules(rules);
+}
+
+function removeDrawRule(index) {
+    const rules = collectDrawRules();
+    rules.splice(index, 1);
+    renderDrawRules(rules);
+}
+
 // Toggle quiz status
 function toggleQuizStatus(quizId, quizTitle, isActive) {
     const action = isActive ? 'deactivate' : 'activate';
@@ -1457,6 +1817,93 @@ function deleteQuiz(quizId, quizTitle) {
     });
 }
 
+// Download a quiz (settings and questions) as JSON, Moodle XML or GIFT
+async function exportQuiz(quizId, format) {
+    if (!format) return;
+    
+    try {
+        showLoading();
+        
+        const response = await fetch(`/api/admin/quizzes/${quizId}/export?format=${format}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || 'Failed to export quiz');
+        }
+        
+        // Use the file name chosen by the server
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const fileNameMatch = disposition.match(/filename="([^"]+)"/);
+        
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = fileNameMatch ? fileNameMatch[1] : `quiz_${quizId}`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+        
+        showToast('Quiz exported successfully', 'success');
+    } catch (error) {
+        console.error('Export quiz error:', error);
+        showToast(error.message || 'Failed to export quiz', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Import a JSON, Moodle XML or GIFT file as a new quiz
+async function importQuiz() {
+    const fileInput = document.getElementById('importQuizFile');
+    const file = fileInput.files[0];
+    
+    if (!file) {
+        showToast('Please select a file to import', 'error');
+        return;
+    }
+    
+    const formData = new FormData();
+    formData.append('format', document.getElementById('importQuizFormat').value);
+    formData.append('title', document.getElementById('importQuizTitle').value.trim());
+    formData.append('start_date', document.getElementById('importQuizDate').value);
+    formData.append('organization_id', document.getElementById('importQuizOrganization').value);
+    formData.append('quizFile', file);
+    
+    try {
+        showLoading();
+        
+        const response = await fetch('/api/admin/quizzes/import', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${authToken}` },
+            body: formData
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.message || 'Failed to import quiz');
+        }
+        
+        showToast(data.message, 'success');
+        if (data.data.skipped.length > 0) {
+            showToast(`Skipped: ${data.data.skipped.join('; ')}`, 'warning');
+        }
+        
+        closeModal('importQuizModal');
+        document.getElementById('importQuizForm').reset();
+        loadQuizzes();
+    } catch (error) {
+        console.error('Import quiz error:', error);
+        showToast(error.message || 'Failed to import quiz', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
 // Manage questions
 function manageQuestions(quizId, quizTitle) {
     currentQuizForQuestions = quizId;
@@ -1585,6 +2032,138 @@ function loadQuestions(quizId) {
 }
 
 // Question management functions
+const QUESTION_TYPE_LABELS = {
+    single_choice: 'Single Choice',
+    true_false: 'True / False',
+    multi_select: 'Multiple Select',
+    numeric: 'Numeric'
+};
+const QUESTION_OPTION_KEYS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+const MIN_QUESTION_OPTIONS = 2;
+
+// Option keys shown in the editor: every filled option plus any empty slots the admin added
+function getEditorOptionKeys(question) {
+    if (question.question_type === 'true_false') {
+        return ['a', 'b'];
+    }
+    
+    let filled = 0;
+    QUESTION_OPTION_KEYS.forEach((key, i) => {
+        if (question[`option_${key}`] && String(question[`option_${key}`]).trim() !== '') {
+            filled = i + 1;
+        }
+    });
+    
+    const count = Math.max(question._optionCount || 0, filled, MIN_QUESTION_OPTIONS);
+    return QUESTION_OPTION_KEYS.slice(0, Math.min(count, QUESTION_OPTION_KEYS.length));
+}
+
+function renderQuestionOptionsEditor(question, index) {
+    const questionType = question.question_type || 'single_choice';
+    
+    if (questionType === 'numeric') {
+        return '';
+    }
+    
+    const keys = getEditorOptionKeys(question);
+    const canEdit = questionType !== 'true_false';
+    
+    return `
+        <div class="grid grid-cols-2 gap-3">
+            ${keys.map(key => `
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Option ${key.toUpperCase()}</label>
+                    <div class="flex items-center">
+                        <input 
+                            type="text" 
+                            class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            placeholder="Option ${key.toUpperCase()}"
+                            value="${question[`option_${key}`] || ''}"
+                            onchange="updateQuestionData(${index}, 'option_${key}', this.value)"
+                        >
+                        ${canEdit ? `
+                            <button onclick="insertQuestionImage(${index}, 'option_${key}')" class="ml-2 text-gray-500 hover:text-gray-700" title="Insert image">
+                                <i class="fas fa-image"></i>
+                            </button>
+                        ` : ''}
+                        ${canEdit && keys.length > MIN_QUESTION_OPTIONS && key === keys[keys.length - 1] ? `
+                            <button onclick="removeQuestionOption(${index})" class="ml-2 text-red-600 hover:text-red-800" title="Remove option">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+        ${canEdit && keys.length < QUESTION_OPTION_KEYS.length ? `
+            <button onclick="addQuestionOption(${index})" class="text-sm text-blue-600 hover:text-blue-800">
+                <i class="fas fa-plus mr-1"></i>Add Option
+            </button>
+        ` : ''}
+    `;
+}
+
+function renderCorrectAnswerEditor(question, index) {
+    const questionType = question.question_type || 'single_choice';
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+    
+    if (questionType === 'numeric') {
+        return `
+            <div class="grid grid-cols-2 gap-3">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Correct Answer</label>
+                    <input type="number" step="any" class="${inputClass}" placeholder="e.g. 12.5"
+                        value="${question.correct_answer || ''}"
+                        onchange="updateQuestionData(${index}, 'correct_answer', this.value)">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Tolerance (±)</label>
+                    <input type="number" step="any" min="0" class="${inputClass}" placeholder="0"
+                        value="${parseFloat(question.numeric_tolerance) || ''}"
+                        onchange="updateQuestionData(${index}, 'numeric_tolerance', this.value)">
+                </div>
+            </div>
+        `;
+    }
+    
+    const keys = getEditorOptionKeys(question);
+    
+    if (questionType === 'multi_select') {
+        const selected = (question.correct_answer || '').split(',');
+        return `
+            <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Correct Answers</label>
+                <div class="flex flex-wrap gap-4">
+                    ${keys.map(key => `
+                        <label class="flex items-center text-sm text-gray-700">
+                            <input type="checkbox" class="mr-1" ${selected.includes(key) ? 'checked' : ''}
+                                onchange="toggleCorrectAnswer(${index}, '${key}', this.checked)">
+                            Option ${key.toUpperCase()}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    return `
+        <div>
+            <label class="block text-sm font-medium text-gray-700 mb-1">Correct Answer</label>
+            <select 
+                class="${inputClass}"
+                onchange="updateQuestionData(${index}, 'correct_answer', this.value)"
+            >
+                <option value="">Select correct answer</option>
+                ${keys.map(key => `
+                    <option value="${key}" ${question.correct_answer === key ? 'selected' : ''}>
+                        ${questionType === 'true_false' ? (question[`option_${key}`] || (key === 'a' ? 'True' : 'False')) : `Option ${key.toUpperCase()}`}
+                    </option>
+                `).join('')}
+            </select>
+        </div>
+    `;
+}
+
 function displayQuestions(questions) {
     const questionsContainer = document.getElementById('questionsContainer');
     const questionsCount = document.getElementById('questionsCount');
@@ -1613,6 +2192,30 @@ function displayQuestions(questions) {
             </div>
             
             <div class="space-y-3">
+                <div class="grid grid-cols-2 gap-3">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Question Type</label>
+                    <select 
+                        class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        onchange="changeQuestionType(${index}, this.value)"
+                    >
+                        ${Object.entries(QUESTION_TYPE_LABELS).map(([type, label]) => `
+                            <option value="${type}" ${(question.question_type || 'single_choice') === type ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Points</label>
+                    <input 
+                        type="number" step="0.5" min="0"
+                        class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        value="${question.points !== undefined && question.points !== null ? parseFloat(question.points) : 1}"
+                        onchange="updateQuestionData(${index}, 'points', this.value)"
+                    >
+                </div>
+                </div>
+                
                 <div>
                     <label class="block text-sm font-medium text-gray-700 mb-1">Question Text</label>
                     <textarea 
@@ -1621,64 +2224,79 @@ function displayQuestions(questions) {
                         placeholder="Enter question text"
                         onchange="updateQuestionData(${index}, 'question_text', this.value)"
                     >${question.question_text || ''}</textarea>
+                    <div class="flex justify-between items-center mt-1">
+                        <span class="text-xs text-gray-500">Supports **bold**, *italic*, \`code\`, lists and | tables |</span>
+                        <div class="space-x-3">
+                            <button onclick="insertQuestionImage(${index}, 'question_text')" class="text-sm text-blue-600 hover:text-blue-800">
+                                <i class="fas fa-image mr-1"></i>Insert Image
+                            </button>
+                            <button onclick="previewQuestion(${index})" class="text-sm text-blue-600 hover:text-blue-800">
+                                <i class="fas fa-eye mr-1"></i>Preview
+                            </button>
+                        </div>
+                    </div>
                 </div>
                 
-                <div class="grid grid-cols-2 gap-3">
+                <div class="grid grid-cols-3 gap-3">
                     <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Option A</label>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Category</label>
                         <input 
                             type="text" 
                             class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                            placeholder="Option A"
-                            value="${question.option_a || ''}"
-                            onchange="updateQuestionData(${index}, 'option_a', this.value)"
+                            placeholder="e.g. Labour law"
+                            value="${question.category || ''}"
+                            onchange="updateQuestionData(${index}, 'category', this.value)"
                         >
                     </div>
                     <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Option B</label>
-                        <input 
-                            type="text" 
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Difficulty</label>
+                        <select 
                             class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                            placeholder="Option B"
-                            value="${question.option_b || ''}"
-                            onchange="updateQuestionData(${index}, 'option_b', this.value)"
+                            onchange="updateQuestionData(${index}, 'difficulty', this.value)"
                         >
+                            ${['easy', 'medium', 'hard'].map(level => `
+                                <option value="${level}" ${(question.difficulty || 'medium') === level ? 'selected' : ''}>${level.charAt(0).toUpperCase() + level.slice(1)}</option>
+                            `).join('')}
+                        </select>
                     </div>
                     <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Option C</label>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Tags</label>
                         <input 
                             type="text" 
                             class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                            placeholder="Option C"
-                            value="${question.option_c || ''}"
-                            onchange="updateQuestionData(${index}, 'option_c', this.value)"
-                        >
-                    </div>
-                    <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Option D</label>
-                        <input 
-                            type="text" 
-                            class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                            placeholder="Option D"
-                            value="${question.option_d || ''}"
-                            onchange="updateQuestionData(${index}, 'option_d', this.value)"
+                            placeholder="e.g. POSH, PF/ESI"
+                            value="${Array.isArray(question.tags) ? question.tags.join(', ') : (question.tags || '')}"
+                            onchange="updateQuestionData(${index}, 'tags', this.value)"
                         >
                     </div>
                 </div>
                 
+                ${renderQuestionOptionsEditor(question, index)}
+                
+                ${renderCorrectAnswerEditor(question, index)}
+                
                 <div>
-                    <label class="block text-sm font-medium text-gray-700 mb-1">Correct Answer</label>
-                    <select 
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Explanation (shown in the results review)</label>
+                    <textarea 
                         class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        onchange="updateQuestionData(${index}, 'correct_answer', this.value)"
+                        rows="2"
+                        placeholder="Why is this the correct answer?"
+                        onchange="updateQuestionData(${index}, 'explanation', this.value)"
+                    >${escapeHtml(question.explanation)}</textarea>
+                </div>
+                
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                    <input 
+                        type="text" maxlength="255"
+                        class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="e.g. Payment of Wages Act s.5"
+                        value="${escapeHtml(question.reference)}"
+                        onchange="updateQuestionData(${index}, 'reference', this.value)"
                     >
-                        <option value="">Select correct answer</option>
-                        <option value="a" ${question.correct_answer === 'a' ? 'selected' : ''}>Option A</option>
-                        <option value="b" ${question.correct_answer === 'b' ? 'selected' : ''}>Option B</option>
-                        <option value="c" ${question.correct_answer === 'c' ? 'selected' : ''}>Option C</option>
-                        <option value="d" ${question.correct_answer === 'd' ? 'selected' : ''}>Option D</option>
-                    </select>
                 </div>
+                
+                <div id="questionPreview-${index}" class="hidden bg-white border border-gray-200 rounded-md p-4"></div>
             </div>
         </div>
     `).join('');
@@ -1693,14 +2311,166 @@ function updateQuestionData(index, field, value) {
     questionsData[index][field] = value;
 }
 
+// Upload an image and append its Markdown to a question field (question_text or option_x)
+function insertQuestionImage(index, field) {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'image/png,image/jpeg,image/gif,image/webp';
+    
+    fileInput.onchange = async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        if (file.size > 2 * 1024 * 1024) {
+            showToast('Image must be 2MB or smaller', 'error');
+            return;
+        }
+        
+        const formData = new FormData();
+        formData.append('image', file);
+        
+        showLoading();
+        
+        try {
+            const response = await fetch('/api/admin/question-images', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${authToken}` },
+                body: formData
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to upload image');
+            }
+            
+            const current = questionsData[index][field] || '';
+            const separator = field === 'question_text' && current ? '\n\n' : (current ? ' ' : '');
+            updateQuestionData(index, field, current + separator + data.data.markdown);
+            displayQuestions(questionsData);
+            previewQuestion(index);
+            showToast('Image inserted', 'success');
+        } catch (error) {
+            console.error('Upload question image error:', error);
+            showToast(error.message || 'Failed to upload image', 'error');
+        } finally {
+            hideLoading();
+        }
+    };
+    
+    fileInput.click();
+}
+
+// Show a question as participants will see it, rendered by the server
+async function previewQuestion(index) {
+    const question = questionsData[index];
+    const previewContainer = document.getElementById(`questionPreview-${index}`);
+    if (!question || !previewContainer) return;
+    
+    try {
+        const response = await fetch('/api/admin/question-preview', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                question_text: question.question_text || '',
+                explanation: question.explanation || '',
+                options: (question.question_type || 'single_choice') === 'numeric'
+                    ? []
+                    : getEditorOptionKeys(question).map(key => ({ key, text: question[`option_${key}`] || '' }))
+            })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.message || 'Failed to render preview');
+        }
+        
+        const preview = data.data;
+        previewContainer.innerHTML = `
+            <div class="flex justify-between items-center mb-2">
+                <span class="text-xs font-medium text-gray-500 uppercase">Participant Preview</span>
+                <button onclick="document.getElementById('questionPreview-${index}').classList.add('hidden')" class="text-gray-400 hover:text-gray-600">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="rich-text font-medium text-gray-900 mb-3">${preview.question_html || '<span class="text-gray-400">No question text</span>'}</div>
+            ${preview.options.map(option => `
+                <div class="flex items-start border border-gray-200 rounded-md p-2 mb-2">
+                    <span class="font-semibold text-gray-600 w-6">${option.key.toUpperCase()}</span>
+                    <span class="rich-text flex-1">${option.html}</span>
+                </div>
+            `).join('')}
+            ${preview.explanation_html ? `
+                <div class="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm">
+                    <strong>Explanation:</strong>
+                    <div class="rich-text">${preview.explanation_html}</div>
+                </div>
+            ` : ''}
+        `;
+        previewContainer.classList.remove('hidden');
+    } catch (error) {
+        console.error('Preview question error:', error);
+        showToast(error.message || 'Failed to render preview', 'error');
+    }
+}
+
+function changeQuestionType(index, questionType) {
+    const question = questionsData[index];
+    question.question_type = questionType;
+    question.correct_answer = '';
+    
+    if (questionType === 'true_false') {
+        question.option_a = question.option_a || 'True';
+        question.option_b = question.option_b || 'False';
+    }
+    
+    displayQuestions(questionsData);
+}
+
+function addQuestionOption(index) {
+    const question = questionsData[index];
+    question._optionCount = getEditorOptionKeys(question).length + 1;
+    displayQuestions(questionsData);
+}
+
+function removeQuestionOption(index) {
+    const question = questionsData[index];
+    const keys = getEditorOptionKeys(question);
+    const removedKey = keys[keys.length - 1];
+    
+    question[`option_${removedKey}`] = '';
+    question._optionCount = keys.length - 1;
+    question.correct_answer = (question.correct_answer || '')
+        .split(',')
+        .filter(key => key && key !== removedKey)
+        .join(',');
+    
+    displayQuestions(questionsData);
+}
+
+function toggleCorrectAnswer(index, key, checked) {
+    const question = questionsData[index];
+    const selected = (question.correct_answer || '').split(',').filter(k => k && k !== key);
+    
+    if (checked) {
+        selected.push(key);
+    }
+    
+    question.correct_answer = selected.sort().join(',');
+}
+
 function addNewQuestion() {
     const newQuestion = {
+        question_type: 'single_choice',
         question_text: '',
         option_a: '',
         option_b: '',
         option_c: '',
         option_d: '',
-        correct_answer: ''
+        correct_answer: '',
+        _optionCount: 4
     };
     
     questionsData.push(newQuestion);
@@ -1923,7 +2693,17 @@ function toggleBulkUpload() {
     section.classList.toggle('hidden');
 }
 
+// Check a question file without importing it; the report lists errors and warnings per row
 function uploadQuestionsFile() {
+    sendQuestionsFile(true);
+}
+
+// Import the checked file
+function confirmQuestionUpload() {
+    sendQuestionsFile(false);
+}
+
+function sendQuestionsFile(dryRun) {
     const fileInput = document.getElementById('questionsFile');
     const file = fileInput.files[0];
     
@@ -1933,7 +2713,10 @@ function uploadQuestionsFile() {
     }
     
     const quizId = document.getElementById('questionsQuizId').value;
+    const mode = document.querySelector('input[name="questionUploadMode"]:checked').value;
     const formData = new FormData();
+    formData.append('dry_run', dryRun ? 'true' : 'false');
+    formData.append('mode', mode);
     formData.append('questionsFile', file);
     
     showLoading();
@@ -1947,13 +2730,20 @@ function uploadQuestionsFile() {
     })
     .then(response => response.json())
     .then(data => {
-        if (data.success) {
+        if (data.data && data.data.rows) {
+            renderQuestionUploadReport(data.data);
+        }
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to upload questions', 'error');
+        } else if (dryRun) {
+            showToast(data.message, data.data.summary.withErrors > 0 ? 'warning' : 'success');
+        } else {
             showToast(data.message, 'success');
             loadQuestions(quizId); // Reload questions to show uploaded ones
             toggleBulkUpload(); // Hide upload section
             fileInput.value = ''; // Clear file input
-        } else {
-            showToast(data.message || 'Failed to upload questions', 'error');
+            document.getElementById('questionUploadReport').classList.add('hidden');
         }
     })
     .catch(error => {
@@ -1965,13 +2755,67 @@ function uploadQuestionsFile() {
     });
 }
 
+function renderQuestionUploadReport(report) {
+    const container = document.getElementById('questionUploadReport');
+    const { summary, rows, mode } = report;
+    const canImport = summary.withErrors === 0;
+    
+    container.innerHTML = `
+        <div class="border border-gray-200 rounded-lg bg-white">
+            <div class="p-3 border-b border-gray-200 flex items-center justify-between">
+                <div class="text-sm text-gray-700">
+                    <span class="font-medium">${summary.total} rows:</span>
+                    <span class="text-green-700">${summary.valid} ready</span> ·
+                    <span class="text-red-700">${summary.withErrors} with errors</span> ·
+                    <span class="text-yellow-700">${summary.withWarnings} with warnings</span>
+                </div>
+                <button onclick="confirmQuestionUpload()" ${canImport ? '' : 'disabled'}
+                    class="px-3 py-1.5 rounded-lg text-sm font-medium ${canImport ? 'bg-blue-600 hover:bg-blue-700 text-white' : 'bg-gray-200 text-gray-500 cursor-not-allowed'}"
+                    title="${canImport ? '' : 'Fix the rows with errors and check the file again'}">
+                    ${mode === 'append' ? `Append ${summary.total} Questions` : `Replace with ${summary.total} Questions`}
+                </button>
+            </div>
+            <div class="max-h-64 overflow-y-auto">
+                <table class="w-full text-sm">
+                    <thead class="bg-gray-50 sticky top-0">
+                        <tr>
+                            <th class="text-left py-2 px-3 font-medium text-gray-700">Row</th>
+                            <th class="text-left py-2 px-3 font-medium text-gray-700">Question</th>
+                            <th class="text-left py-2 px-3 font-medium text-gray-700">Answer</th>
+                            <th class="text-left py-2 px-3 font-medium text-gray-700">Problems</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${rows.map(row => `
+                            <tr class="${row.errors.length > 0 ? 'bg-red-50' : row.warnings.length > 0 ? 'bg-yellow-50' : ''}">
+                                <td class="py-2 px-3 text-gray-500 align-top">${row.row}</td>
+                                <td class="py-2 px-3 text-gray-900 align-top">
+                                    <div class="truncate max-w-xs" title="${escapeHtml(row.question_text)}">${escapeHtml(row.question_text) || '<span class="text-gray-400">(empty)</span>'}</div>
+                                    <div class="text-xs text-gray-500">${QUESTION_TYPE_LABELS[row.question_type] || escapeHtml(row.question_type) || ''}</div>
+                                </td>
+                                <td class="py-2 px-3 text-gray-700 align-top">${escapeHtml(row.correct_answer)}</td>
+                                <td class="py-2 px-3 align-top">
+                                    ${row.errors.map(error => `<div class="text-red-700"><i class="fas fa-times-circle mr-1"></i>${escapeHtml(error)}</div>`).join('')}
+                                    ${row.warnings.map(warning => `<div class="text-yellow-700"><i class="fas fa-exclamation-triangle mr-1"></i>${escapeHtml(warning)}</div>`).join('')}
+                                    ${row.errors.length === 0 && row.warnings.length === 0 ? '<span class="text-green-700"><i class="fas fa-check mr-1"></i>OK</span>' : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+    container.classList.remove('hidden');
+}
+
 function downloadTemplate() {
-    const csvContent = `question_text,option_a,option_b,option_c,option_d,correct_answer
-"Which one of the following is not coming under EPF?","UAN (Universal Account Number)","PPO (Provident Fund Office)","EPS (Employee Pension Scheme)","None of these",d
-"What is the contribution rate for ESI scheme by employee?","0.75% of wages","1.75% of wages","3.25% of wages","4.75% of wages",1
-"Under POSH Act, Internal Committee should be constituted if workplace has:","5 or more employees","10 or more employees","15 or more employees","20 or more employees",2
-"Payment of Bonus Act applies to establishments employing:","10 or more persons","20 or more persons","30 or more persons","50 or more persons",b
-"Minimum wage rates are revised every:","3 years","4 years","5 years","6 years",3`;
+    const csvContent = `question_type,question_text,option_a,option_b,option_c,option_d,option_e,correct_answer,numeric_tolerance,explanation,reference
+single_choice,"Which one of the following is not coming under EPF?","UAN (Universal Account Number)","PPO (Provident Fund Office)","EPS (Employee Pension Scheme)","None of these",,d,,,
+single_choice,"What is the contribution rate for ESI scheme by employee?","0.75% of wages","1.75% of wages","3.25% of wages","4.75% of wages",,1,,"Employees contribute 0.75% and employers 3.25% of wages","ESI Act s.39"
+true_false,"Under POSH Act, an Internal Committee is required for workplaces with 10 or more employees.",,,,,,true,,"Every employer with 10 or more employees must constitute an Internal Committee","POSH Act s.4"
+multi_select,"Which of the following are social security schemes?","EPF","ESI","POSH","Gratuity","Bonus","a,b,d",,,
+numeric,"What is the employee ESI contribution rate in percent?",,,,,,0.75,0.01,,`;
     
     const blob = new Blob([csvContent], { type: 'text/csv' });
     const url = window.URL.createObjectURL(blob);
@@ -1999,33 +2843,48 @@ function clearAllQuestions() {
 // Enhanced question validation
 function validateQuestion(question, index) {
     const errors = [];
+    const questionType = question.question_type || 'single_choice';
     
     if (!question.question_text || question.question_text.trim().length < 10) {
         errors.push(`Question ${index + 1}: Question text must be at least 10 characters long`);
     }
     
-    if (!question.option_a || question.option_a.trim().length < 1) {
-        errors.push(`Question ${index + 1}: Option A is required`);
+    if (question.points !== undefined && question.points !== '' &&
+        (isNaN(parseFloat(question.points)) || parseFloat(question.points) < 0)) {
+        errors.push(`Question ${index + 1}: Points must be zero or a positive number`);
     }
     
-    if (!question.option_b || question.option_b.trim().length < 1) {
-        errors.push(`Question ${index + 1}: Option B is required`);
+    if (questionType === 'numeric') {
+        if (question.correct_answer === undefined || question.correct_answer === null ||
+            String(question.correct_answer).trim() === '' || isNaN(parseFloat(question.correct_answer))) {
+            errors.push(`Question ${index + 1}: Please enter a numeric correct answer`);
+        }
+        
+        if (question.numeric_tolerance && (isNaN(parseFloat(question.numeric_tolerance)) || parseFloat(question.numeric_tolerance) < 0)) {
+            errors.push(`Question ${index + 1}: Tolerance must be zero or a positive number`);
+        }
+        
+        return errors;
     }
     
-    if (!question.option_c || question.option_c.trim().length < 1) {
-        errors.push(`Question ${index + 1}: Option C is required`);
-    }
+    const keys = getEditorOptionKeys(question);
+    const options = keys.map(key => (question[`option_${key}`] || '').trim());
     
-    if (!question.option_d || question.option_d.trim().length < 1) {
-        errors.push(`Question ${index + 1}: Option D is required`);
-    }
+    options.forEach((option, i) => {
+        if (option.length < 1) {
+            errors.push(`Question ${index + 1}: Option ${keys[i].toUpperCase()} is required`);
+        }
+    });
+    
+    const correctKeys = (question.correct_answer || '').toLowerCase().split(',').filter(key => key);
     
-    if (!question.correct_answer || !['a', 'b', 'c', 'd'].includes(question.correct_answer.toLowerCase())) {
-        errors.push(`Question ${index + 1}: Please select a valid correct answer (A, B, C, or D)`);
+    if (correctKeys.length === 0 || correctKeys.some(key => !keys.includes(key))) {
+        errors.push(`Question ${index + 1}: Please select a valid correct answer (${keys.map(key => key.toUpperCase()).join(', ')})`);
+    } else if (questionType !== 'multi_select' && correctKeys.length > 1) {
+        errors.push(`Question ${index + 1}: Only one correct answer can be selected`);
     }
     
     // Check for duplicate options
-    const options = [question.option_a, question.option_b, question.option_c, question.option_d];
     const uniqueOptions = [...new Set(options)];
     if (uniqueOptions.length !== options.length) {
         errors.push(`Question ${index + 1}: All options must be unique`);
@@ -2037,12 +2896,14 @@ function validateQuestion(question, index) {
 // Update the addNewQuestion function to scroll to the new question
 function addNewQuestion() {
     const newQuestion = {
+        question_type: 'single_choice',
         question_text: '',
         option_a: '',
         option_b: '',
         option_c: '',
         option_d: '',
-        correct_answer: ''
+        correct_answer: '',
+        _optionCount: 4
     };
     
     questionsData.push(newQuestion);
@@ -2065,6 +2926,275 @@ function addNewQuestion() {
     }, 100);
 }
 
+// Question Bank Functions
+
+let bankPickerQuestions = [];
+
+function getDifficultyBadgeClass(difficulty) {
+    switch (difficulty) {
+        case 'easy': return 'bg-green-100 text-green-800';
+        case 'hard': return 'bg-red-100 text-red-800';
+        default: return 'bg-yellow-100 text-yellow-800';
+    }
+}
+
+// Build the bank query string from the filter inputs with the given id prefix ("bank" or "picker")
+function getQuestionBankQuery(prefix, page) {
+    const params = new URLSearchParams({ page, limit: 20 });
+    
+    ['search', 'category', 'difficulty', 'tag'].forEach(filter => {
+        const element = document.getElementById(`${prefix}-${filter}-filter`);
+        if (element && element.value.trim()) {
+            params.append(filter, element.value.trim());
+        }
+    });
+    
+    return params;
+}
+
+// Load the categories and tags used by the bank into the filter dropdowns
+async function loadQuestionFilters() {
+    try {
+        const response = await fetch('/api/admin/question-bank/filters', {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            ['bank', 'picker'].forEach(prefix => {
+                const categorySelect = document.getElementById(`${prefix}-category-filter`);
+                const tagSelect = document.getElementById(`${prefix}-tag-filter`);
+                
+                if (categorySelect) {
+                    const selected = categorySelect.value;
+                    categorySelect.innerHTML = '<option value="">All categories</option>' +
+                        data.data.categories.map(row => `<option value="${row.category}" ${row.category === selected ? 'selected' : ''}>${row.category} (${row.question_count})</option>`).join('');
+                }
+                
+                if (tagSelect) {
+                    const selected = tagSelect.value;
+                    tagSelect.innerHTML = '<option value="">All tags</option>' +
+                        data.data.tags.map(row => `<option value="${row.tag}" ${row.tag === selected ? 'selected' : ''}>${row.tag} (${row.question_count})</option>`).join('');
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Load question filters error:', error);
+    }
+}
+
+function renderBankQuestionDetails(question) {
+    return `
+        <div class="text-sm font-medium text-gray-900 rich-text">${question.question_html || question.question_text}</div>
+        <div class="mt-1 flex flex-wrap gap-1 items-center">
+            <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">${QUESTION_TYPE_LABELS[question.question_type] || question.question_type}</span>
+            <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${getDifficultyBadgeClass(question.difficulty)}">${question.difficulty}</span>
+            ${question.category ? `<span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800">${question.category}</span>` : ''}
+            ${(question.tags || []).map(tag => `<span class="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-purple-50 text-purple-700">#${tag}</span>`).join('')}
+        </div>
+    `;
+}
+
+// Browse the bank from the Question Bank section
+async function loadQuestionBank(page = 1) {
+    const container = document.getElementById('question-bank-table-container');
+    const params = getQuestionBankQuery('bank', page);
+    
+    try {
+        showLoading();
+        
+        const response = await fetch(`/api/admin/question-bank?${params}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to load question bank', 'error');
+            return;
+        }
+        
+        const { questions, pagination } = data.data;
+        
+        if (questions.length === 0) {
+            container.innerHTML = `
+                <div class="text-center py-8 text-gray-500">
+                    <i class="fas fa-database text-4xl mb-4"></i>
+                    <p class="text-lg">No questions found</p>
+                    <p class="text-sm">Questions added to any quiz appear here</p>
+                </div>
+            `;
+        } else {
+            container.innerHTML = `
+                <table class="min-w-full">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Question</th>
+                            <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
+                            <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Used In</th>
+                            <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody class="bg-white divide-y divide-gray-200">
+                        ${questions.map(question => `
+                            <tr class="hover:bg-gray-50">
+                                <td class="py-4 px-6">${renderBankQuestionDetails(question)}</td>
+                                <td class="py-4 px-6 text-sm text-gray-900">${parseFloat(question.points)}</td>
+                                <td class="py-4 px-6 text-sm text-gray-500">
+                                    ${parseInt(question.quiz_count) > 0 ? question.quiz_titles.join(', ') : 'Not used'}
+                                </td>
+                                <td class="py-4 px-6 text-sm font-medium">
+                                    <button onclick="deleteBankQuestion(${question.id})" data-permission="quizzes:edit" class="text-red-600 hover:text-red-900" ${parseInt(question.quiz_count) > 0 ? 'disabled title="Remove it from its quizzes first"' : ''}>Delete</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        
+        document.getElementById('question-bank-pagination').innerHTML = pagination.totalPages > 1 ? `
+            <div class="flex items-center justify-between text-sm text-gray-700">
+                <span>Page ${pagination.page} of ${pagination.totalPages} (${pagination.total} questions)</span>
+                <div class="space-x-2">
+                    <button ${pagination.page === 1 ? 'disabled' : ''} onclick="loadQuestionBank(${pagination.page - 1})" class="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">Previous</button>
+                    <button ${pagination.page === pagination.totalPages ? 'disabled' : ''} onclick="loadQuestionBank(${pagination.page + 1})" class="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">Next</button>
+                </div>
+            </div>
+        ` : '';
+        
+    } catch (error) {
+        console.error('Load question bank error:', error);
+        showToast('Failed to load question bank', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function deleteBankQuestion(questionId) {
+    if (!confirm('Are you sure you want to delete this question from the bank? This action cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/admin/question-bank/${questionId}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast(data.message, 'success');
+            loadQuestionFilters();
+            loadQuestionBank();
+        } else {
+            showToast(data.message || 'Failed to delete question', 'error');
+        }
+    } catch (error) {
+        console.error('Delete bank question error:', error);
+        showToast('Failed to delete question', 'error');
+    }
+}
+
+// Pick bank questions to attach to the quiz open in the Manage Questions modal
+function openQuestionBankPicker() {
+    loadQuestionFilters();
+    loadQuestionBankPicker();
+    openModal('questionBankPickerModal');
+}
+
+async function loadQuestionBankPicker(page = 1) {
+    const quizId = document.getElementById('questionsQuizId').value;
+    const container = document.getElementById('question-bank-picker-list');
+    const params = getQuestionBankQuery('picker', page);
+    params.append('exclude_quiz_id', quizId);
+    
+    try {
+        const response = await fetch(`/api/admin/question-bank?${params}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to load question bank', 'error');
+            return;
+        }
+        
+        bankPickerQuestions = data.data.questions;
+        const { pagination } = data.data;
+        
+        container.innerHTML = bankPickerQuestions.length === 0 ? `
+            <div class="text-center py-8 text-gray-500">
+                <p>No matching questions that are not already in this quiz</p>
+            </div>
+        ` : bankPickerQuestions.map(question => `
+            <label class="flex items-start p-3 border-b border-gray-100 hover:bg-gray-50 cursor-pointer">
+                <input type="checkbox" class="bank-picker-checkbox mt-1 mr-3" value="${question.id}">
+                <div class="flex-1">${renderBankQuestionDetails(question)}</div>
+            </label>
+        `).join('') + (pagination.totalPages > 1 ? `
+            <div class="flex items-center justify-between p-3 text-sm text-gray-700">
+                <span>Page ${pagination.page} of ${pagination.totalPages}</span>
+                <div class="space-x-2">
+                    <button ${pagination.page === 1 ? 'disabled' : ''} onclick="loadQuestionBankPicker(${pagination.page - 1})" class="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">Previous</button>
+                    <button ${pagination.page === pagination.totalPages ? 'disabled' : ''} onclick="loadQuestionBankPicker(${pagination.page + 1})" class="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">Next</button>
+                </div>
+            </div>
+        ` : '');
+        
+    } catch (error) {
+        console.error('Load question bank picker error:', error);
+        showToast('Failed to load question bank', 'error');
+    }
+}
+
+async function attachSelectedQuestions() {
+    const quizId = document.getElementById('questionsQuizId').value;
+    const questionIds = Array.from(document.querySelectorAll('.bank-picker-checkbox:checked')).map(checkbox => parseInt(checkbox.value));
+    
+    if (questionIds.length === 0) {
+        showToast('Please select at least one question', 'error');
+        return;
+    }
+    
+    showLoading();
+    
+    try {
+        const response = await fetch(`/api/admin/quizzes/${quizId}/questions/attach`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: JSON.stringify({ questionIds })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            // Add to the editor list without reloading, so unsaved edits are kept
+            const attachedIds = data.data.attachedIds;
+            bankPickerQuestions
+                .filter(question => attachedIds.includes(question.id))
+                .forEach(question => questionsData.push({ ...question }));
+            
+            displayQuestions(questionsData);
+            closeModal('questionBankPickerModal');
+            showToast(data.message, 'success');
+        } else {
+            showToast(data.message || 'Failed to attach questions', 'error');
+        }
+    } catch (error) {
+        console.error('Attach questions error:', error);
+        showToast('Failed to attach questions', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
 // Session Management Functions
 
 // Load sessions data
@@ -2134,6 +3264,7 @@ function updateSessionsTable(sessions) {
                         <td class="py-4 px-6">
                             <div class="text-sm text-gray-900">${session.quiz_title}</div>
                             <div class="text-sm text-gray-500">${session.total_questions} questions</div>
+                            ${organizationLabel(session.organization_name)}
                         </td>
                         <td class="py-4 px-6">
                             <div class="text-sm text-gray-900">${formatDate(session.scheduled_date)}</div>
@@ -2142,6 +3273,7 @@ function updateSessionsTable(sessions) {
                         <td class="py-4 px-6">
                             <div class="text-sm text-gray-900">${session.connected_participants || 0}/${session.max_participants}</div>
                             <div class="text-sm text-gray-500">Max: ${session.max_participants}</div>
+                            ${sessionAccessLabel(session)}
                         </td>
                         <td class="py-4 px-6">
                             <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getSessionStatusColor(session.status)}">
@@ -2203,19 +3335,37 @@ function getSessionStatusLabel(status) {
     return labels[status] || 'Unknown';
 }
 
+// Who can take a session, shown under its participant count
+function sessionAccessLabel(session) {
+    if (session.access_mode === 'organization') {
+        return '<div class="text-xs text-gray-400"><i class="fas fa-building mr-1"></i>Whole organisation</div>';
+    }
+    
+    const groups = parseInt(session.invited_group_count) || 0;
+    const participants = parseInt(session.invited_participant_count) || 0;
+    const invited = groups + participants === 0
+        ? '<span class="text-orange-600">nobody invited yet</span>'
+        : `${groups} group${groups === 1 ? '' : 's'}, ${participants} participant${participants === 1 ? '' : 's'}`;
+    return `<div class="text-xs text-gray-400"><i class="fas fa-envelope mr-1"></i>Invited: ${invited}</div>`;
+}
+
 // Get session actions based on status
 function getSessionActions(session) {
     const actions = [];
     
     if (session.status === 'scheduled') {
         actions.push(`<button onclick="monitorSession(${session.id})" class="text-blue-600 hover:text-blue-900">Monitor</button>`);
-        actions.push(`<button onclick="editSession(${session.id})" class="text-green-600 hover:text-green-900">Edit</button>`);
-        actions.push(`<button onclick="deleteSession(${session.id}, '${session.title}')" class="text-red-600 hover:text-red-900">Delete</button>`);
+        actions.push(`<button onclick="editSession(${session.id})" data-permission="sessions:manage" class="text-green-600 hover:text-green-900">Edit</button>`);
+        actions.push(`<button onclick="deleteSession(${session.id}, '${session.title}')" data-permission="sessions:manage" class="text-red-600 hover:text-red-900">Delete</button>`);
     } else if (session.status === 'instruction' || session.status === 'active') {
         actions.push(`<button onclick="monitorSession(${session.id})" class="text-green-600 hover:text-green-900 font-medium">Live Monitor</button>`);
+    }
+    
+    if (session.status !== 'completed' && session.status !== 'cancelled') {
+        actions.push(`<button onclick="openSessionInvitations(${session.id})" data-permission="sessions:manage" class="text-indigo-600 hover:text-indigo-900">Invitations</button>`);
     } else {
-        actions.push(`<button onclick="viewSessionResults(${session.id})" class="text-blue-600 hover:text-blue-900">Results</button>`);
-        actions.push(`<button onclick="deleteSession(${session.id}, '${session.title}')" class="text-red-600 hover:text-red-900">Delete</button>`);
+        actions.push(`<button onclick="viewSessionResults(${session.id})" data-permission="results:view" class="text-blue-600 hover:text-blue-900">Results</button>`);
+        actions.push(`<button onclick="deleteSession(${session.id}, '${session.title}')" data-permission="sessions:manage" class="text-red-600 hover:text-red-900">Delete</button>`);
     }
     
     return actions.join(' ');
@@ -2243,6 +3393,7 @@ async function createSession(event) {
     const instructionTime = parseInt(document.getElementById('sessionInstructionTime').value);
     const description = document.getElementById('sessionDescription').value.trim();
     const autoStart = document.getElementById('sessionAutoStart').checked;
+    const accessMode = document.getElementById('sessionAccessMode').value;
     
     if (!title || !quizId || !scheduledDate || !scheduledTime) {
         showToast('Please fill in all required fields', 'error');
@@ -2266,7 +3417,8 @@ async function createSession(event) {
                 max_participants: maxParticipants,
                 instruction_time_minutes: instructionTime,
                 description,
-                auto_start: autoStart
+                auto_start: autoStart,
+                access_mode: accessMode
             })
         });
         
@@ -2277,6 +3429,11 @@ async function createSession(event) {
             closeModal('createSessionModal');
             document.getElementById('createSessionForm').reset();
             loadSessions();
+            
+            // Nobody can take an invitation-only session yet, so go straight to choosing who is invited
+            if (accessMode === 'invited') {
+                openSessionInvitations(data.data.id);
+            }
         } else {
             showToast(data.message || 'Failed to create session', 'error');
         }
@@ -2992,7 +4149,7 @@ function displayResultsTable(results) {
             </td>
             <td class="px-6 py-4 whitespace-nowrap">
                 <div class="text-sm font-bold text-gray-900">${Math.round(result.percentage_score)}%</div>
-                <div class="text-xs text-gray-500">(${result.total_score}/${result.total_questions})</div>
+                <div class="text-xs text-gray-500">(${parseFloat(result.total_score)}/${parseFloat(result.max_score) || result.total_questions})</div>
             </td>
             <td class="px-6 py-4 whitespace-nowrap">
                 <div class="text-sm text-gray-900">${result.correct_answers}</div>
@@ -3130,7 +4287,7 @@ function createSessionResultsModal() {
                             <i class="fas fa-download mr-2"></i>Export Results
                         </button>
                         <div class="space-x-3">
-                            <button onclick="recalculatePrizes()" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                            <button onclick="recalculatePrizes()" data-permission="results:manage" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
                                 <i class="fas fa-calculator mr-2"></i>Recalculate Prizes
                             </button>
                             <button onclick="closeModal('sessionResultsModal')" class="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Close</button>
@@ -3199,18 +4356,179 @@ function searchSessions() {
     loadSessions();
 }
 
-// ===== RESULTS SECTION FUNCTIONS =====
+// ===== SESSION INVITATION FUNCTIONS =====
 
-// Load results dashboard
-async function loadResultsDashboard() {
+let invitationGroups = [];
+let invitedParticipants = [];
+let invitationSearchResults = [];
+let invitationSearchTimeout;
+
+async function openSessionInvitations(sessionId) {
+    showLoading();
+    
     try {
-        const response = await fetch('/api/admin/results', {
+        const response = await fetch(`/api/admin/sessions/${sessionId}/invitations`, {
             headers: { 'Authorization': `Bearer ${authToken}` }
         });
-        
         const data = await response.json();
         
-        if (data.success) {
+        if (!data.success) {
+            showToast(data.message || 'Failed to load invitations', 'error');
+            return;
+        }
+        
+        const invitations = data.data;
+        
+        // Only groups of the session's organisation can be invited
+        const groupsResponse = await fetch(`/api/admin/participant-groups?organization_id=${invitations.organization_id}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const groupsData = await groupsResponse.json();
+        invitationGroups = groupsData.success ? groupsData.data : [];
+        invitedParticipants = invitations.participants;
+        
+        const invitedGroupIds = invitations.groups.map(group => group.id);
+        document.getElementById('invitationsSessionId').value = sessionId;
+        document.getElementById('invitationsSessionId').dataset.organizationId = invitations.organization_id;
+        document.getElementById('invitationsAccessMode').value = invitations.access_mode;
+        document.getElementById('invitationsParticipantSearch').value = '';
+        document.getElementById('invitationsSearchResults').innerHTML = '';
+        document.getElementById('invitationsGroupList').innerHTML = invitationGroups.map(group => `
+            <label class="flex items-center text-sm text-gray-700">
+                <input type="checkbox" value="${group.id}" ${invitedGroupIds.includes(group.id) ? 'checked' : ''} class="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500">
+                ${escapeHtml(group.name)}
+                <span class="text-xs text-gray-400 ml-1">(${group.member_count})</span>
+            </label>
+        `).join('') || '<p class="text-sm text-gray-500">No groups in this organisation yet</p>';
+        
+        renderInvitedParticipants();
+        updateInvitationsAccessMode();
+        openModal('sessionInvitationsModal');
+        
+    } catch (error) {
+        console.error('Load invitations error:', error);
+        showToast('Failed to load invitations', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Groups and participants only matter for invitation-only sessions
+function updateInvitationsAccessMode() {
+    const invitedOnly = document.getElementById('invitationsAccessMode').value === 'invited';
+    document.getElementById('invitationsPickers').classList.toggle('opacity-50', !invitedOnly);
+    document.querySelectorAll('#invitationsPickers input').forEach(input => {
+        input.disabled = !invitedOnly;
+    });
+}
+
+function renderInvitedParticipants() {
+    document.getElementById('invitationsParticipantList').innerHTML = invitedParticipants.map(participant => `
+        <div class="flex items-center justify-between text-sm">
+            <span class="text-gray-700">${escapeHtml(participant.name)} <span class="text-xs text-gray-400">${escapeHtml(participant.email)}</span></span>
+            <button onclick="removeInvitedParticipant(${participant.id})" class="text-red-600 hover:text-red-900" title="Remove"><i class="fas fa-times"></i></button>
+        </div>
+    `).join('') || '<p class="text-sm text-gray-500">No participants invited individually</p>';
+}
+
+function searchInvitationParticipants() {
+    clearTimeout(invitationSearchTimeout);
+    invitationSearchTimeout = setTimeout(async () => {
+        const search = document.getElementById('invitationsParticipantSearch').value.trim();
+        const results = document.getElementById('invitationsSearchResults');
+        
+        if (search.length < 2) {
+            results.innerHTML = '';
+            return;
+        }
+        
+        try {
+            const params = new URLSearchParams({
+                search,
+                limit: 10,
+                organization_id: document.getElementById('invitationsSessionId').dataset.organizationId
+            });
+            const response = await fetch(`/api/admin/participants?${params}`, {
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                results.innerHTML = '';
+                return;
+            }
+            
+            invitationSearchResults = data.data.participants;
+            results.innerHTML = data.data.participants
+                .filter(participant => !invitedParticipants.some(invited => invited.id === participant.id))
+                .map(participant => `
+                    <button onclick="addInvitedParticipant(${participant.id})" class="block w-full text-left text-sm px-2 py-1 rounded hover:bg-blue-50">
+                        <i class="fas fa-plus text-blue-600 mr-1"></i>${escapeHtml(participant.name)} <span class="text-xs text-gray-400">${escapeHtml(participant.email)}</span>
+                    </button>
+                `).join('') || '<p class="text-sm text-gray-500 px-2">No matching participants</p>';
+        } catch (error) {
+            console.error('Search participants error:', error);
+        }
+    }, 300);
+}
+
+function addInvitedParticipant(participantId) {
+    const participant = invitationSearchResults.find(item => item.id === participantId);
+    if (participant && !invitedParticipants.some(invited => invited.id === participantId)) {
+        invitedParticipants.push({ id: participant.id, name: participant.name, email: participant.email });
+        renderInvitedParticipants();
+    }
+    searchInvitationParticipants();
+}
+
+function removeInvitedParticipant(participantId) {
+    invitedParticipants = invitedParticipants.filter(participant => participant.id !== participantId);
+    renderInvitedParticipants();
+}
+
+async function saveSessionInvitations() {
+    const sessionId = document.getElementById('invitationsSessionId').value;
+    const groupIds = Array.from(document.querySelectorAll('#invitationsGroupList input:checked')).map(input => parseInt(input.value));
+    
+    try {
+        const response = await fetch(`/api/admin/sessions/${sessionId}/invitations`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                access_mode: document.getElementById('invitationsAccessMode').value,
+                groupIds,
+                participantIds: invitedParticipants.map(participant => participant.id)
+            })
+        });
+        const data = await response.json();
+        
+        showToast(data.message || 'Failed to update invitations', data.success ? 'success' : 'error');
+        if (data.success) {
+            closeModal('sessionInvitationsModal');
+            loadSessions();
+        }
+        
+    } catch (error) {
+        console.error('Update invitations error:', error);
+        showToast('Failed to update invitations', 'error');
+    }
+}
+
+// ===== RESULTS SECTION FUNCTIONS =====
+
+// Load results dashboard
+async function loadResultsDashboard() {
+    try {
+        const response = await fetch('/api/admin/results', {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
             updateResultsStatistics(data.data.statistics);
             updateRecentSessionsList(data.data.recentSessions);
             updateTopPerformersResults(data.data.topPerformers);
@@ -4008,11 +5326,11 @@ function filterParticipants() {
 }
 
 // Export session results to CSV
-async function exportSessionResults(sessionId) {
+async function exportSessionResults(sessionId, type = 'summary') {
     try {
         showLoading(true);
         
-        const response = await fetch(`/api/admin/results/export/${sessionId}`, {
+        const response = await fetch(`/api/admin/results/export/${sessionId}?type=${type}`, {
             headers: { 'Authorization': `Bearer ${authToken}` }
         });
         
@@ -4022,7 +5340,7 @@ async function exportSessionResults(sessionId) {
             const a = document.createElement('a');
             a.style.display = 'none';
             a.href = url;
-            a.download = `session_${sessionId}_results.csv`;
+            a.download = `session_${sessionId}_${type === 'answers' ? 'answers' : 'results'}.csv`;
             document.body.appendChild(a);
             a.click();
             window.URL.revokeObjectURL(url);
@@ -4041,6 +5359,35 @@ async function exportSessionResults(sessionId) {
     }
 }
 
+// Email participants their results with the answer review
+async function sendResultsEmails(sessionId) {
+    if (!confirm('Email every participant of this session their results and answer review?')) {
+        return;
+    }
+    
+    try {
+        showLoading(true);
+        
+        const response = await fetch(`/api/admin/sessions/${sessionId}/send-results`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast(data.data.failed > 0 ? `${data.message} (${data.data.failed} failed)` : data.message, data.data.failed > 0 ? 'warning' : 'success');
+        } else {
+            showToast(data.message || 'Failed to send results emails', 'error');
+        }
+    } catch (error) {
+        console.error('Send results emails error:', error);
+        showToast('Failed to send results emails', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
 // Export session results to PDF
 async function exportSessionPDF(sessionId) {
     try {
@@ -4372,15 +5719,23 @@ function displayQuestionReview(reviewData) {
     }
     
     container.innerHTML = questions.map((question, index) => {
-        const options = [
+        const options = question.options || [
             { key: 'a', text: question.option_a },
             { key: 'b', text: question.option_b },
             { key: 'c', text: question.option_c },
             { key: 'd', text: question.option_d }
         ];
         
-        const correctOption = options.find(opt => opt.key === question.correct_answer);
-        const selectedOption = options.find(opt => opt.key === question.selected_answer);
+        // Multi-select answers are stored as comma separated keys (e.g. "a,c")
+        const isNumeric = question.question_type === 'numeric';
+        const correctKeys = (question.correct_answer || '').split(',');
+        const selectedKeys = (question.selected_answer || '').split(',');
+        const correctOptions = options.filter(opt => correctKeys.includes(opt.key));
+        const correctAnswerText = isNumeric
+            ? `${escapeHtml(question.correct_answer)}${parseFloat(question.numeric_tolerance) ? ` (± ${parseFloat(question.numeric_tolerance)})` : ''}`
+            : correctOptions.length > 0
+                ? correctOptions.map(opt => `${opt.key.toUpperCase()}. ${opt.html || ''}`).join(', ')
+                : 'Not available';
         
         let statusIcon = '';
         let statusColor = '';
@@ -4407,26 +5762,37 @@ function displayQuestionReview(reviewData) {
                     <div class="flex-1">
                         <div class="flex items-start justify-between">
                             <div class="flex-1">
-                                <h5 class="font-medium text-gray-900 mb-3">${question.question_text}</h5>
+                                <div class="font-medium text-gray-900 mb-3 rich-text">${question.question_html || ''}</div>
+                                ${question.option_mapping ? `
+                                    <p class="text-xs text-gray-500 mb-2"><i class="fas fa-random mr-1"></i>Options are shown in the shuffled order this participant saw</p>
+                                ` : ''}
                                 
+                                ${isNumeric ? `
+                                    <div class="p-2 rounded border mb-3 text-sm ${
+                                        question.is_correct ? 'bg-green-50 border-green-200' : question.selected_answer ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'
+                                    }">
+                                        <span class="font-medium mr-2">Answer given:</span>${question.selected_answer !== null ? escapeHtml(question.selected_answer) : '-'}
+                                    </div>
+                                ` : `
                                 <div class="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
                                     ${options.map(option => `
                                         <div class="p-2 rounded border ${
-                                            option.key === question.correct_answer 
+                                            correctKeys.includes(option.key) 
                                                 ? 'bg-green-50 border-green-200' 
-                                                : option.key === question.selected_answer 
+                                                : selectedKeys.includes(option.key) 
                                                     ? (question.is_correct ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200')
                                                     : 'bg-gray-50 border-gray-200'
                                         }">
                                             <div class="flex items-center">
                                                 <span class="font-medium mr-2">${option.key.toUpperCase()}.</span>
-                                                <span class="text-sm">${option.text}</span>
-                                                ${option.key === question.correct_answer ? '<i class="fas fa-check text-green-600 ml-auto"></i>' : ''}
-                                                ${option.key === question.selected_answer && !question.is_correct ? '<i class="fas fa-times text-red-600 ml-auto"></i>' : ''}
+                                                <span class="text-sm rich-text">${option.html || ''}</span>
+                                                ${correctKeys.includes(option.key) ? '<i class="fas fa-check text-green-600 ml-auto"></i>' : ''}
+                                                ${selectedKeys.includes(option.key) && !correctKeys.includes(option.key) ? '<i class="fas fa-times text-red-600 ml-auto"></i>' : ''}
                                             </div>
                                         </div>
                                     `).join('')}
                                 </div>
+                                `}
                                 
                                 <div class="flex items-center justify-between text-sm text-gray-600">
                                     <div class="flex items-center space-x-4">
@@ -4452,10 +5818,17 @@ function displayQuestionReview(reviewData) {
                                     <div class="mt-2 p-2 bg-blue-50 border border-blue-200 rounded">
                                         <div class="text-sm">
                                             <span class="font-medium text-blue-800">Correct Answer:</span>
-                                            <span class="text-blue-700">${correctOption ? `${correctOption.key.toUpperCase()}. ${correctOption.text}` : 'Not available'}</span>
+                                            <span class="text-blue-700">${correctAnswerText}</span>
                                         </div>
                                     </div>
                                 ` : ''}
+                                
+                                ${question.explanation || question.reference ? `
+                                    <div class="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded text-sm text-gray-700">
+                                        ${question.explanation ? `<div><span class="font-medium">Explanation:</span><div class="rich-text">${question.explanation_html}</div></div>` : ''}
+                                        ${question.reference ? `<div class="text-gray-500"><span class="font-medium">Reference:</span> ${escapeHtml(question.reference)}</div>` : ''}
+                                    </div>
+                                ` : ''}
                             </div>
                         </div>
                     </div>
@@ -4682,4 +6055,1254 @@ function updatePagination(pagination) {
     `;
     
     container.innerHTML = paginationHtml;
-}
\ No newline at end of file
+}
+
+// ===== SECURITY SECTION FUNCTIONS =====
+
+async function loadTwoFactorStatus() {
+    try {
+        const response = await fetch('/api/admin/two-factor', {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to load two-factor status', 'error');
+            return;
+        }
+        
+        const status = data.data;
+        const badge = document.getElementById('twoFactorStatusBadge');
+        badge.textContent = status.enabled ? 'Enabled' : 'Not enabled';
+        badge.className = `px-3 py-1 rounded-full text-sm font-medium ${status.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`;
+        
+        document.getElementById('twoFactorDetails').textContent = status.enabled
+            ? `Enabled on ${new Date(status.enabledAt).toLocaleDateString()}. ${status.recoveryCodesRemaining} of 10 recovery codes left.`
+            : (status.required
+                ? 'Two-factor authentication is required for all admins. Set it up now or you will be asked to at your next login.'
+                : 'Two-factor authentication is off for your account.');
+        
+        document.getElementById('twoFactorSetupButton').classList.toggle('hidden', status.enabled);
+        document.getElementById('recoveryCodesButton').classList.toggle('hidden', !status.enabled);
+        document.getElementById('twoFactorDisableButton').classList.toggle('hidden', !status.enabled || status.required);
+        document.getElementById('twoFactorSetupPanel').classList.add('hidden');
+        
+        document.getElementById('twoFactorRequirementPanel').classList.toggle('hidden', !status.canChangeRequirement);
+        document.getElementById('twoFactorRequired').checked = status.required;
+        
+    } catch (error) {
+        console.error('Load two-factor status error:', error);
+        showToast('Failed to load two-factor status', 'error');
+    }
+}
+
+async function startTwoFactorSetup() {
+    try {
+        const response = await fetch('/api/admin/two-factor/setup', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to start two-factor setup', 'error');
+            return;
+        }
+        
+        const qrContainer = document.getElementById('twoFactorQrCode');
+        qrContainer.innerHTML = '';
+        new QRCode(qrContainer, { text: data.data.otpauthUri, width: 180, height: 180 });
+        
+        document.getElementById('twoFactorSecret').textContent = data.data.secret;
+        document.getElementById('twoFactorSetupCode').value = '';
+        document.getElementById('twoFactorSetupPanel').classList.remove('hidden');
+        document.getElementById('twoFactorSetupButton').classList.add('hidden');
+        document.getElementById('twoFactorSetupCode').focus();
+        
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        showToast('Failed to start two-factor setup', 'error');
+    }
+}
+
+async function confirmTwoFactorSetup() {
+    const code = document.getElementById('twoFactorSetupCode').value.trim();
+    if (!code) {
+        showToast('Enter the 6-digit code from your authenticator app', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/admin/two-factor/enable', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to enable two-factor authentication', 'error');
+            return;
+        }
+        
+        showToast(data.message, 'success');
+        await loadTwoFactorStatus();
+        showRecoveryCodes(data.data.recoveryCodes);
+        
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        showToast('Failed to enable two-factor authentication', 'error');
+    }
+}
+
+async function regenerateRecoveryCodes() {
+    const code = prompt('Enter a code from your authenticator app to generate new recovery codes.\n\nYour current recovery codes will stop working.');
+    if (!code) return;
+    
+    try {
+        const response = await fetch('/api/admin/two-factor/recovery-codes', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to generate recovery codes', 'error');
+            return;
+        }
+        
+        await loadTwoFactorStatus();
+        showRecoveryCodes(data.data.recoveryCodes);
+        
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        showToast('Failed to generate recovery codes', 'error');
+    }
+}
+
+async function disableTwoFactor() {
+    const code = prompt('Enter a code from your authenticator app (or a recovery code) to turn off two-factor authentication.');
+    if (!code) return;
+    
+    try {
+        const response = await fetch('/api/admin/two-factor/disable', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to disable two-factor authentication', 'error');
+            return;
+        }
+        
+        showToast(data.message, 'success');
+        document.getElementById('recoveryCodesPanel').classList.add('hidden');
+        loadTwoFactorStatus();
+        
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        showToast('Failed to disable two-factor authentication', 'error');
+    }
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('recoveryCodesList').innerHTML = codes.map(code => `<span>${escapeHtml(code)}</span>`).join('');
+    document.getElementById('recoveryCodesPanel').classList.remove('hidden');
+}
+
+async function updateTwoFactorRequirement(required) {
+    if (required && !confirm('Require two-factor authentication for all admins?\n\nAdmins without it will have to set it up at their next login.')) {
+        document.getElementById('twoFactorRequired').checked = false;
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/admin/settings/two-factor', {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ required })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to update two-factor setting', 'error');
+            document.getElementById('twoFactorRequired').checked = !required;
+            return;
+        }
+        
+        const pending = data.data.adminsWithoutTwoFactor;
+        showToast(required && pending > 0 ? `${data.message}. ${pending} admin(s) without it have been signed out and will be asked to set it up when they log in again` : data.message, 'success');
+        loadTwoFactorStatus();
+        
+    } catch (error) {
+        console.error('Update two-factor requirement error:', error);
+        showToast('Failed to update two-factor setting', 'error');
+        document.getElementById('twoFactorRequired').checked = !required;
+    }
+}
+
+// ===== ADMINS SECTION FUNCTIONS =====
+
+let adminRoles = [];
+let adminsList = [];
+
+async function loadAdmins() {
+    const container = document.getElementById('admins-table-container');
+    
+    try {
+        const response = await fetch('/api/admin/admins', {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to load admins', 'error');
+            return;
+        }
+        
+        adminRoles = data.data.roles;
+        adminsList = data.data.admins;
+        displayAdmins(data.data.admins);
+        displayAdminRoles(data.data.roles, data.data.permissions);
+        
+    } catch (error) {
+        console.error('Load admins error:', error);
+        container.innerHTML = '<div class="p-6 text-center text-red-600">Failed to load admins</div>';
+    }
+}
+
+function displayAdmins(admins) {
+    const container = document.getElementById('admins-table-container');
+    
+    const roleOptions = selected => adminRoles.map(role =>
+        `<option value="${role.role}" ${role.role === selected ? 'selected' : ''}>${escapeHtml(role.label)}</option>`
+    ).join('');
+    
+    container.innerHTML = `
+        <table class="w-full">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Admin</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Organisations</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Login</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+                ${admins.map(admin => {
+                    const isSelf = admin.id === currentAdmin.id;
+                    const status = !admin.is_active
+                        ? '<span class="inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Deactivated</span>'
+                        : admin.invitationPending
+                            ? '<span class="inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Invited</span>'
+                            : '<span class="inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Active</span>';
+                    
+                    return `
+                        <tr class="hover:bg-gray-50">
+                            <td class="py-4 px-6">
+                                <div class="text-sm font-medium text-gray-900">${escapeHtml(admin.username)}${isSelf ? ' <span class="text-xs text-gray-500">(you)</span>' : ''}</div>
+                                <div class="text-sm text-gray-500">${escapeHtml(admin.email)}</div>
+                                ${admin.invited_by_username ? `<div class="text-xs text-gray-400">Invited by ${escapeHtml(admin.invited_by_username)}</div>` : ''}
+                            </td>
+                            <td class="py-4 px-6">
+                                ${isSelf
+                                    ? `<span class="text-sm text-gray-900">${escapeHtml(admin.roleLabel)}</span>`
+                                    : `<select onchange="changeAdminRole(${admin.id}, this)" data-current="${admin.role}" class="text-sm border border-gray-300 rounded-lg px-2 py-1">${roleOptions(admin.role)}</select>`}
+                            </td>
+                            <td class="py-4 px-6 text-sm text-gray-900">
+                                ${seesAllOrganizations(admin.role)
+                                    ? '<span class="text-gray-500">All organisations</span>'
+                                    : escapeHtml(admin.organizations.map(org => org.name).join(', ')) || '<span class="text-red-600">None</span>'}
+                                ${isSelf ? '' : `<button onclick="openAdminOrganizationsModal(${admin.id})" class="text-blue-600 hover:text-blue-900 ml-2" title="Change organisations"><i class="fas fa-pen"></i></button>`}
+                            </td>
+                            <td class="py-4 px-6">
+                                ${status}
+                                ${admin.totp_enabled ? '<i class="fas fa-shield-alt text-green-600 ml-2" title="Two-factor enabled"></i>' : ''}
+                            </td>
+                            <td class="py-4 px-6 text-sm text-gray-500">${admin.last_login ? new Date(admin.last_login).toLocaleString() : 'Never'}</td>
+                            <td class="py-4 px-6 text-sm font-medium space-x-3">
+                                ${isSelf ? '' : `
+                                    ${admin.is_active ? `<button onclick="resetAdminPassword(${admin.id}, '${escapeHtml(admin.username)}', ${admin.invitationPending})" class="text-blue-600 hover:text-blue-900">${admin.invitationPending ? 'Resend Invite' : 'Reset Password'}</button>` : ''}
+                                    <button onclick="setAdminActive(${admin.id}, '${escapeHtml(admin.username)}', ${!admin.is_active})" class="text-${admin.is_active ? 'orange' : 'green'}-600 hover:text-${admin.is_active ? 'orange' : 'green'}-900">${admin.is_active ? 'Deactivate' : 'Activate'}</button>
+                                    <button onclick="deleteAdmin(${admin.id}, '${escapeHtml(admin.username)}')" class="text-red-600 hover:text-red-900">Delete</button>
+                                `}
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// What each role can do, for reference when choosing one
+function displayAdminRoles(roles, permissions) {
+    document.getElementById('admin-roles-container').innerHTML = roles.map(role => `
+        <div class="bg-white rounded-xl card-shadow border border-gray-100 p-4">
+            <h4 class="font-semibold text-gray-900 mb-2">${escapeHtml(role.label)}</h4>
+            <ul class="text-sm text-gray-600 space-y-1">
+                ${role.permissions.map(permission => `<li><i class="fas fa-check text-green-600 mr-2"></i>${escapeHtml(permissions[permission])}</li>`).join('')}
+            </ul>
+        </div>
+    `).join('');
+}
+
+// Roles with 'organizations:all' see every organisation, so their assignments do not matter
+function seesAllOrganizations(roleName) {
+    const role = adminRoles.find(item => item.role === roleName);
+    return Boolean(role && role.permissions.includes('organizations:all'));
+}
+
+// One checkbox per organisation, ticked for the IDs given
+function renderOrganizationCheckboxes(containerId, selectedIds) {
+    document.getElementById(containerId).innerHTML = currentAdmin.organizations.map(org => `
+        <label class="flex items-center text-sm text-gray-700">
+            <input type="checkbox" value="${org.id}" ${selectedIds.includes(org.id) ? 'checked' : ''} class="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500">
+            ${escapeHtml(org.name)}${org.is_active ? '' : ' <span class="text-xs text-gray-400 ml-1">(inactive)</span>'}
+        </label>
+    `).join('') || '<p class="text-sm text-gray-500">No organisations yet</p>';
+}
+
+function getCheckedOrganizations(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input:checked`)).map(input => parseInt(input.value));
+}
+
+function openInviteAdminModal() {
+    document.getElementById('inviteAdminForm').reset();
+    document.getElementById('inviteAdminRole').innerHTML = adminRoles.map(role =>
+        `<option value="${role.role}" ${role.role === 'admin' ? 'selected' : ''}>${escapeHtml(role.label)}</option>`
+    ).join('');
+    renderOrganizationCheckboxes('inviteAdminOrganizations',
+        currentAdmin.organizations.length === 1 ? [currentAdmin.organizations[0].id] : []);
+    openModal('inviteAdminModal');
+}
+
+function openAdminOrganizationsModal(adminId) {
+    const admin = adminsList.find(item => item.id === adminId);
+    if (!admin) {
+        return;
+    }
+    
+    document.getElementById('adminOrganizationsId').value = admin.id;
+    document.getElementById('adminOrganizationsUsername').textContent = admin.username;
+    document.getElementById('adminOrganizationsAllNote').classList.toggle('hidden', !seesAllOrganizations(admin.role));
+    renderOrganizationCheckboxes('adminOrganizationsList', admin.organizations.map(org => org.id));
+    openModal('adminOrganizationsModal');
+}
+
+async function saveAdminOrganizations() {
+    const adminId = document.getElementById('adminOrganizationsId').value;
+    
+    try {
+        const response = await fetch(`/api/admin/admins/${adminId}/organizations`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ organizationIds: getCheckedOrganizations('adminOrganizationsList') })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to update organisations', 'error');
+            return;
+        }
+        
+        closeModal('adminOrganizationsModal');
+        showToast(data.message, 'success');
+        loadAdmins();
+        
+    } catch (error) {
+        console.error('Change admin organisations error:', error);
+        showToast('Failed to update organisations', 'error');
+    }
+}
+
+// The link is only returned when the email could not be sent
+function showAdminLink(message, link) {
+    const panel = document.getElementById('adminLinkPanel');
+    panel.classList.toggle('hidden', !link);
+    document.getElementById('adminLinkMessage').textContent = message;
+    document.getElementById('adminLink').textContent = link || '';
+}
+
+async function inviteAdmin(event) {
+    event.preventDefault();
+    showLoading();
+    
+    try {
+        const response = await fetch('/api/admin/admins', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                username: document.getElementById('inviteAdminUsername').value.trim(),
+                email: document.getElementById('inviteAdminEmail').value.trim(),
+                role: document.getElementById('inviteAdminRole').value,
+                organizationIds: getCheckedOrganizations('inviteAdminOrganizations')
+            })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to invite admin', 'error');
+            return;
+        }
+        
+        closeModal('inviteAdminModal');
+        showToast(data.message, data.data.emailSent ? 'success' : 'warning', 8000);
+        showAdminLink(`${data.message}:`, data.data.link);
+        loadAdmins();
+        
+    } catch (error) {
+        console.error('Invite admin error:', error);
+        showToast('Failed to invite admin', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function changeAdminRole(adminId, select) {
+    const role = select.value;
+    
+    try {
+        const response = await fetch(`/api/admin/admins/${adminId}/role`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ role })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to change role', 'error');
+            select.value = select.dataset.current;
+            return;
+        }
+        
+        select.dataset.current = role;
+        showToast(data.message, 'success');
+        
+    } catch (error) {
+        console.error('Change admin role error:', error);
+        showToast('Failed to change role', 'error');
+        select.value = select.dataset.current;
+    }
+}
+
+async function resetAdminPassword(adminId, username, invitationPending) {
+    const question = invitationPending
+        ? `Send the invitation to ${username} again? The previous link will stop working.`
+        : `Reset the password of ${username}? Their current password stops working straight away and they will be emailed a link to choose a new one.`;
+    if (!confirm(question)) {
+        return;
+    }
+    
+    showLoading();
+    
+    try {
+        const response = await fetch(`/api/admin/admins/${adminId}/reset-password`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to reset password', 'error');
+            return;
+        }
+        
+        showToast(data.message, data.data.emailSent ? 'success' : 'warning', 8000);
+        showAdminLink(`${data.message}:`, data.data.link);
+        
+    } catch (error) {
+        console.error('Reset admin password error:', error);
+        showToast('Failed to reset password', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function setAdminActive(adminId, username, isActive) {
+    if (!isActive && !confirm(`Deactivate ${username}? They will be signed out and cannot log in until activated again.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/admin/admins/${adminId}/status`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ is_active: isActive })
+        });
+        const data = await response.json();
+        
+        showToast(data.message || 'Failed to change admin status', data.success ? 'success' : 'error');
+        if (data.success) {
+            loadAdmins();
+        }
+        
+    } catch (error) {
+        console.error('Change admin status error:', error);
+        showToast('Failed to change admin status', 'error');
+    }
+}
+
+async function deleteAdmin(adminId, username) {
+    if (!confirm(`Delete ${username}? This cannot be undone. Their entries in the audit log are kept. Deactivate them instead if they may need access again.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/admin/admins/${adminId}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        showToast(data.message || 'Failed to delete admin', data.success ? 'success' : 'error');
+        if (data.success) {
+            loadAdmins();
+        }
+        
+    } catch (error) {
+        console.error('Delete admin error:', error);
+        showToast('Failed to delete admin', 'error');
+    }
+}
+
+// ===== GROUPS SECTION FUNCTIONS =====
+
+let groupsList = [];
+
+async function loadGroups() {
+    const container = document.getElementById('groups-table-container');
+    
+    try {
+        const response = await fetch('/api/admin/participant-groups', {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to load groups', 'error');
+            return;
+        }
+        
+        groupsList = data.data;
+        displayGroups(data.data);
+        
+    } catch (error) {
+        console.error('Load groups error:', error);
+        container.innerHTML = '<div class="p-6 text-center text-red-600">Failed to load groups</div>';
+    }
+}
+
+function displayGroups(groups) {
+    const container = document.getElementById('groups-table-container');
+    
+    if (groups.length === 0) {
+        container.innerHTML = '<div class="p-8 text-center text-gray-500">No groups yet</div>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="w-full">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Group</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Members</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+                ${groups.map(group => `
+                    <tr class="hover:bg-gray-50">
+                        <td class="py-4 px-6">
+                            <div class="text-sm font-medium text-gray-900">${escapeHtml(group.name)}</div>
+                            <div class="text-sm text-gray-500">${escapeHtml(group.description || '')}</div>
+                            ${organizationLabel(group.organization_name)}
+                        </td>
+                        <td class="py-4 px-6 text-sm text-gray-500">${group.member_count}</td>
+                        <td class="py-4 px-6 text-sm text-gray-500">${formatDate(group.created_at)}</td>
+                        <td class="py-4 px-6 text-sm font-medium space-x-3">
+                            <button onclick="viewGroupMembers(${group.id})" class="text-blue-600 hover:text-blue-900">Members</button>
+                            <button onclick="openGroupModal(${group.id})" data-permission="participants:manage" class="text-green-600 hover:text-green-900">Edit</button>
+                            <button onclick="deleteGroup(${group.id})" data-permission="participants:manage" class="text-red-600 hover:text-red-900">Delete</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// New group, or edit one when an ID is given; a group stays in the organisation it was created in
+function openGroupModal(groupId = null) {
+    const group = groupId ? groupsList.find(item => item.id === groupId) : null;
+    
+    document.getElementById('groupModalTitle').textContent = group ? 'Edit Group' : 'New Group';
+    document.getElementById('groupId').value = group ? group.id : '';
+    document.getElementById('groupName').value = group ? group.name : '';
+    document.getElementById('groupDescription').value = group ? group.description || '' : '';
+    
+    if (group) {
+        document.getElementById('groupOrganizationField').classList.add('hidden');
+    } else {
+        fillOrganizationSelect('groupOrganization');
+    }
+    
+    openModal('groupModal');
+}
+
+async function saveGroup(event) {
+    event.preventDefault();
+    
+    const groupId = document.getElementById('groupId').value;
+    const body = {
+        name: document.getElementById('groupName').value.trim(),
+        description: document.getElementById('groupDescription').value.trim()
+    };
+    if (!groupId) {
+        body.organization_id = document.getElementById('groupOrganization').value;
+    }
+    
+    try {
+        const response = await fetch(groupId ? `/api/admin/participant-groups/${groupId}` : '/api/admin/participant-groups', {
+            method: groupId ? 'PUT' : 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        
+        showToast(data.message || 'Failed to save group', data.success ? 'success' : 'error');
+        if (data.success) {
+            closeModal('groupModal');
+            loadGroups();
+        }
+        
+    } catch (error) {
+        console.error('Save group error:', error);
+        showToast('Failed to save group', 'error');
+    }
+}
+
+async function deleteGroup(groupId) {
+    const group = groupsList.find(item => item.id === groupId);
+    if (!confirm(`Delete the group "${group.name}"? Its members are kept, but sessions it was invited to no longer admit them through it.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/admin/participant-groups/${groupId}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        showToast(data.message || 'Failed to delete group', data.success ? 'success' : 'error');
+        if (data.success) {
+            loadGroups();
+        }
+        
+    } catch (error) {
+        console.error('Delete group error:', error);
+        showToast('Failed to delete group', 'error');
+    }
+}
+
+async function viewGroupMembers(groupId) {
+    const group = groupsList.find(item => item.id === groupId);
+    document.getElementById('groupMembersId').value = groupId;
+    document.getElementById('groupMembersName').textContent = group.name;
+    
+    try {
+        const response = await fetch(`/api/admin/participant-groups/${groupId}/members`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to load members', 'error');
+            return;
+        }
+        
+        document.getElementById('groupMembersList').innerHTML = data.data.length === 0
+            ? '<p class="p-4 text-center text-sm text-gray-500">No members yet. Add participants from the Participants page.</p>'
+            : `
+                <table class="w-full">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="py-2 px-4 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                            <th class="py-2 px-4 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                            <th class="py-2 px-4 text-left text-xs font-medium text-gray-500 uppercase">Added</th>
+                            <th class="py-2 px-4"></th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200">
+                        ${data.data.map(member => `
+                            <tr>
+                                <td class="py-2 px-4 text-sm text-gray-900">${escapeHtml(member.name)}${member.is_active === false ? ' <span class="text-xs text-gray-400">(inactive)</span>' : ''}</td>
+                                <td class="py-2 px-4 text-sm text-gray-500">${escapeHtml(member.email)}</td>
+                                <td class="py-2 px-4 text-sm text-gray-500">${formatDate(member.added_at)}</td>
+                                <td class="py-2 px-4 text-right">
+                                    <button onclick="removeGroupMember(${member.id})" data-permission="participants:manage" class="text-red-600 hover:text-red-900 text-sm">Remove</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        openModal('groupMembersModal');
+        
+    } catch (error) {
+        console.error('Load group members error:', error);
+        showToast('Failed to load members', 'error');
+    }
+}
+
+async function removeGroupMember(participantId) {
+    const groupId = parseInt(document.getElementById('groupMembersId').value);
+    
+    try {
+        const response = await fetch(`/api/admin/participant-groups/${groupId}/members/remove`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ participantIds: [participantId] })
+        });
+        const data = await response.json();
+        
+        showToast(data.message || 'Failed to remove member', data.success ? 'success' : 'error');
+        if (data.success) {
+            viewGroupMembers(groupId);
+            loadGroups();
+        }
+        
+    } catch (error) {
+        console.error('Remove group member error:', error);
+        showToast('Failed to remove member', 'error');
+    }
+}
+
+// Add the participants ticked on the Participants page to a group
+async function openAddToGroup() {
+    if (selectedParticipants.size === 0) {
+        showToast('Please select participants first', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/admin/participant-groups', {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to load groups', 'error');
+            return;
+        }
+        if (data.data.length === 0) {
+            showToast('Create a group on the Groups page first', 'error');
+            return;
+        }
+        
+        const showOrganization = currentAdmin.allOrganizations || currentAdmin.organizations.length > 1;
+        document.getElementById('addToGroupCount').textContent = selectedParticipants.size;
+        document.getElementById('addToGroupSelect').innerHTML = data.data.map(group =>
+            `<option value="${group.id}">${escapeHtml(group.name)}${showOrganization ? ` (${escapeHtml(group.organization_name)})` : ''}</option>`
+        ).join('');
+        openModal('addToGroupModal');
+        
+    } catch (error) {
+        console.error('Load groups error:', error);
+        showToast('Failed to load groups', 'error');
+    }
+}
+
+async function addSelectedToGroup() {
+    const groupId = document.getElementById('addToGroupSelect').value;
+    
+    try {
+        const response = await fetch(`/api/admin/participant-groups/${groupId}/members`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ participantIds: Array.from(selectedParticipants) })
+        });
+        const data = await response.json();
+        
+        showToast(data.message || 'Failed to add participants to the group', data.success ? 'success' : 'error');
+        if (data.success) {
+            closeModal('addToGroupModal');
+        }
+        
+    } catch (error) {
+        console.error('Add to group error:', error);
+        showToast('Failed to add participants to the group', 'error');
+    }
+}
+
+// Suggest the existing groups of the organisation chosen in the upload form
+async function fillGroupSuggestions() {
+    const organizationId = document.getElementById('participantOrganization').value;
+    const datalist = document.getElementById('participantGroupOptions');
+    
+    if (!organizationId) {
+        datalist.innerHTML = '';
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/admin/participant-groups?organization_id=${organizationId}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        datalist.innerHTML = data.success
+            ? data.data.map(group => `<option value="${escapeHtml(group.name)}">`).join('')
+            : '';
+    } catch (error) {
+        console.error('Load group suggestions error:', error);
+    }
+}
+
+// ===== ORGANISATIONS SECTION FUNCTIONS =====
+
+let organizationsList = [];
+
+async function loadOrganizations() {
+    const container = document.getElementById('organizations-table-container');
+    
+    try {
+        const response = await fetch('/api/admin/organizations', {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to load organisations', 'error');
+            return;
+        }
+        
+        // Keep the pickers on other pages in step with changes made here
+        currentAdmin.organizations = data.data.map(({ id, name, is_active }) => ({ id, name, is_active }));
+        organizationsList = data.data;
+        displayOrganizations(data.data);
+        
+    } catch (error) {
+        console.error('Load organisations error:', error);
+        container.innerHTML = '<div class="p-6 text-center text-red-600">Failed to load organisations</div>';
+    }
+}
+
+function displayOrganizations(organizations) {
+    const container = document.getElementById('organizations-table-container');
+    
+    if (organizations.length === 0) {
+        container.innerHTML = '<div class="p-8 text-center text-gray-500">No organisations found</div>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="w-full">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Organisation</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Participants</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quizzes</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sessions</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Admins</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+                ${organizations.map(org => `
+                    <tr class="hover:bg-gray-50">
+                        <td class="py-4 px-6 text-sm font-medium text-gray-900">${escapeHtml(org.name)}</td>
+                        <td class="py-4 px-6 text-sm text-gray-500">${org.participant_count}</td>
+                        <td class="py-4 px-6 text-sm text-gray-500">${org.quiz_count}</td>
+                        <td class="py-4 px-6 text-sm text-gray-500">${org.session_count}</td>
+                        <td class="py-4 px-6 text-sm text-gray-500">${org.admin_count}</td>
+                        <td class="py-4 px-6">
+                            <span class="inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${org.is_active ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}">
+                                ${org.is_active ? 'Active' : 'Inactive'}
+                            </span>
+                        </td>
+                        <td class="py-4 px-6 text-sm font-medium space-x-3">
+                            <button onclick="renameOrganization(${org.id})" class="text-blue-600 hover:text-blue-900">Rename</button>
+                            <button onclick="setOrganizationActive(${org.id}, ${!org.is_active})" class="text-${org.is_active ? 'orange' : 'green'}-600 hover:text-${org.is_active ? 'orange' : 'green'}-900">${org.is_active ? 'Deactivate' : 'Activate'}</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function createOrganization() {
+    const name = prompt('Name of the new organisation:');
+    if (!name || !name.trim()) {
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/admin/organizations', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        const data = await response.json();
+        
+        showToast(data.message || 'Failed to create organisation', data.success ? 'success' : 'error');
+        if (data.success) {
+            loadOrganizations();
+        }
+        
+    } catch (error) {
+        console.error('Create organisation error:', error);
+        showToast('Failed to create organisation', 'error');
+    }
+}
+
+async function updateOrganization(organizationId, changes) {
+    try {
+        const response = await fetch(`/api/admin/organizations/${organizationId}`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(changes)
+        });
+        const data = await response.json();
+        
+        showToast(data.message || 'Failed to update organisation', data.success ? 'success' : 'error');
+        if (data.success) {
+            loadOrganizations();
+        }
+        
+    } catch (error) {
+        console.error('Update organisation error:', error);
+        showToast('Failed to update organisation', 'error');
+    }
+}
+
+function renameOrganization(organizationId) {
+    const currentName = organizationsList.find(org => org.id === organizationId).name;
+    const name = prompt('New name:', currentName);
+    if (name && name.trim() && name.trim() !== currentName) {
+        updateOrganization(organizationId, { name: name.trim() });
+    }
+}
+
+function setOrganizationActive(organizationId, isActive) {
+    if (!isActive && !confirm('Deactivate this organisation? Its data is kept, but no new participants, quizzes or sessions can be added to it.')) {
+        return;
+    }
+    updateOrganization(organizationId, { is_active: isActive });
+}
+
+// ===== AUDIT LOG SECTION FUNCTIONS =====
+
+let auditLogEntries = [];
+
+function getAuditLogQuery(page) {
+    const params = new URLSearchParams({ page, limit: 50 });
+    
+    ['admin', 'action', 'entity_type', 'entity_id', 'outcome', 'from', 'to'].forEach(filter => {
+        const element = document.getElementById(`audit-${filter}-filter`);
+        if (element && element.value.trim()) {
+            params.append(filter, element.value.trim());
+        }
+    });
+    
+    return params;
+}
+
+// Admins, actions and entity types found in the log, for the filter dropdowns
+async function loadAuditLogFilters() {
+    try {
+        const response = await fetch('/api/admin/audit-log/filters', {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (data.success) {
+            const fill = (filter, allLabel, values) => {
+                const select = document.getElementById(`audit-${filter}-filter`);
+                const selected = select.value;
+                select.innerHTML = `<option value="">${allLabel}</option>` +
+                    values.map(value => `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(value)}</option>`).join('');
+            };
+            
+            fill('admin', 'All admins', data.data.admins);
+            fill('action', 'All actions', data.data.actions);
+            fill('entity_type', 'All entities', data.data.entityTypes);
+        }
+    } catch (error) {
+        console.error('Load audit log filters error:', error);
+    }
+}
+
+async function loadAuditLog(page = 1) {
+    const container = document.getElementById('audit-log-table-container');
+    
+    try {
+        showLoading();
+        
+        const response = await fetch(`/api/admin/audit-log?${getAuditLogQuery(page)}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to load audit log', 'error');
+            return;
+        }
+        
+        const { entries, pagination } = data.data;
+        auditLogEntries = entries;
+        
+        if (entries.length === 0) {
+            container.innerHTML = `
+                <div class="text-center py-8 text-gray-500">
+                    <i class="fas fa-clipboard-list text-4xl mb-4"></i>
+                    <p class="text-lg">No audit log entries found</p>
+                    <p class="text-sm">Try widening the filters</p>
+                </div>
+            `;
+        } else {
+            container.innerHTML = `
+                <table class="min-w-full">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                            <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Admin</th>
+                            <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                            <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entity</th>
+                            <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                            <th class="py-3 px-6 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                        </tr>
+                    </thead>
+                    <tbody class="bg-white divide-y divide-gray-200">
+                        ${entries.map(entry => renderAuditLogRow(entry)).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        
+        document.getElementById('audit-log-pagination').innerHTML = pagination.totalPages > 1 ? `
+            <div class="flex items-center justify-between text-sm text-gray-700">
+                <span>Page ${pagination.page} of ${pagination.totalPages} (${pagination.total} entries)</span>
+                <div class="space-x-2">
+                    <button ${pagination.page === 1 ? 'disabled' : ''} onclick="loadAuditLog(${pagination.page - 1})" class="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">Previous</button>
+                    <button ${pagination.page === pagination.totalPages ? 'disabled' : ''} onclick="loadAuditLog(${pagination.page + 1})" class="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">Next</button>
+                </div>
+            </div>
+        ` : '';
+        
+    } catch (error) {
+        console.error('Load audit log error:', error);
+        showToast('Failed to load audit log', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderAuditLogRow(entry) {
+    const details = entry.details || {};
+    const entityIds = details.entity_ids ? details.entity_ids.join(', ') : '';
+    const entity = entry.entity_type
+        ? `${escapeHtml(entry.entity_type)} ${entry.entity_id ? `#${entry.entity_id}` : escapeHtml(entityIds)}`
+        : '-';
+    // Entries written before outcomes were recorded have no status
+    const outcomeColors = { success: 'green', denied: 'orange', rejected: 'yellow', error: 'red', aborted: 'gray' };
+    const outcome = details.outcome || (details.status ? (details.status < 400 ? 'success' : 'error') : null);
+    const status = !outcome
+        ? '<span class="text-gray-400">-</span>'
+        : `<span class="inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium bg-${outcomeColors[outcome]}-100 text-${outcomeColors[outcome]}-800">${outcome}${details.status ? ` (${details.status})` : ''}</span>`;
+    
+    return `
+        <tr class="hover:bg-gray-50">
+            <td class="py-4 px-6 text-sm text-gray-500 whitespace-nowrap">${new Date(entry.created_at).toLocaleString()}</td>
+            <td class="py-4 px-6">
+                <div class="text-sm font-medium text-gray-900">${escapeHtml(entry.admin_username || 'Unknown')}</div>
+                ${entry.ip_address ? `<div class="text-xs text-gray-400">${escapeHtml(entry.ip_address)}</div>` : ''}
+            </td>
+            <td class="py-4 px-6 text-sm text-gray-900">${escapeHtml(entry.action)}</td>
+            <td class="py-4 px-6 text-sm text-gray-500">${entity}</td>
+            <td class="py-4 px-6 text-sm">${status}</td>
+            <td class="py-4 px-6 text-sm font-medium">
+                <button onclick="toggleAuditLogDetails(${entry.id})" class="text-blue-600 hover:text-blue-900">
+                    ${details.changes ? `${details.changes.length} change${details.changes.length === 1 ? '' : 's'}` : 'View'}
+                </button>
+            </td>
+        </tr>
+        <tr id="audit-details-${entry.id}" class="hidden bg-gray-50">
+            <td colspan="6" class="px-6 py-4"></td>
+        </tr>
+    `;
+}
+
+// Details are rendered when first opened
+function toggleAuditLogDetails(entryId) {
+    const row = document.getElementById(`audit-details-${entryId}`);
+    const cell = row.querySelector('td');
+    
+    if (!cell.innerHTML.trim()) {
+        const entry = auditLogEntries.find(item => item.id === entryId);
+        cell.innerHTML = renderAuditLogDetails(entry.details || {});
+    }
+    row.classList.toggle('hidden');
+}
+
+// Field-by-field diff of what the action changed, then the request itself
+function renderAuditLogDetails(details) {
+    const formatValue = value => value === null || value === undefined
+        ? '<span class="text-gray-400 italic">empty</span>'
+        : escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+    
+    const changes = (details.changes || []).map(change => `
+        <div class="mb-4">
+            <h4 class="text-sm font-semibold text-gray-900 mb-2">${escapeHtml(change.entity_type)}${change.entity_id ? ` #${change.entity_id}` : ''}</h4>
+            <table class="min-w-full text-sm border border-gray-200 bg-white">
+                <thead class="bg-gray-100">
+                    <tr>
+                        <th class="py-2 px-3 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                        <th class="py-2 px-3 text-left text-xs font-medium text-gray-500 uppercase">Before</th>
+                        <th class="py-2 px-3 text-left text-xs font-medium text-gray-500 uppercase">After</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${change.changes.map(({ field, before, after }) => `
+                        <tr>
+                            <td class="py-2 px-3 font-mono text-gray-700">${escapeHtml(field)}</td>
+                            <td class="py-2 px-3 bg-red-50 text-red-800 break-all">${formatValue(before)}</td>
+                            <td class="py-2 px-3 bg-green-50 text-green-800 break-all">${formatValue(after)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `).join('');
+    
+    return `
+        ${changes || '<p class="text-sm text-gray-500 mb-4">No field changes were recorded for this action.</p>'}
+        <p class="text-xs text-gray-500 mb-1">Secrets are redacted and emails and phone numbers are stored as keyed hashes (hmac:...).</p>
+        <p class="text-xs text-gray-500 mb-1">${escapeHtml(details.method || '')} ${escapeHtml(details.url || '')}</p>
+        ${details.body && Object.keys(details.body).length > 0
+            ? `<pre class="text-xs bg-white border border-gray-200 rounded p-3 overflow-x-auto">${escapeHtml(JSON.stringify(details.body, null, 2))}</pre>`
+            : ''}
+    `;
+}
+
+// Check that no entry was changed or removed since it was written
+async function verifyAuditLog() {
+    const panel = document.getElementById('auditChainStatus');
+    
+    try {
+        showLoading();
+        
+        const response = await fetch('/api/admin/audit-log/verify', {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showToast(data.message || 'Failed to verify audit log', 'error');
+            return;
+        }
+        
+        const { valid, unchained } = data.data;
+        panel.className = `rounded-lg p-4 mb-6 text-sm ${valid ? 'bg-green-50 border border-green-200 text-green-800' : 'bg-red-50 border border-red-200 text-red-800'}`;
+        panel.innerHTML = `
+            <i class="fas ${valid ? 'fa-check-circle' : 'fa-exclamation-triangle'} mr-2"></i>${escapeHtml(data.message)}
+            ${unchained > 0 ? `<span class="block text-xs mt-1 opacity-75">${unchained} older entries were written before the chain was introduced and cannot be checked.</span>` : ''}
+        `;
+        
+    } catch (error) {
+        console.error('Verify audit log error:', error);
+        showToast('Failed to verify audit log', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Download the entries matching the current filters
+async function exportAuditLog() {
+    try {
+        showLoading();
+        
+        const params = getAuditLogQuery(1);
+        params.delete('page');
+        params.delete('limit');
+        
+        const response = await fetch(`/api/admin/audit-log/export?${params}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        if (response.ok) {
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.style.display = 'none';
+            a.href = url;
+            a.download = `admin_audit_log_${new Date().toISOString().split('T')[0]}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+            
+            if (response.headers.get('X-Export-Truncated') === 'true') {
+                showToast('Only the first 50,000 entries were exported. Narrow the filters to export the rest', 'warning');
+            } else {
+                showToast('Audit log exported successfully', 'success');
+            }
+        } else {
+            const data = await response.json();
+            showToast(data.message || 'Failed to export audit log', 'error');
+        }
+    } catch (error) {
+        console.error('Export audit log error:', error);
+        showToast('Failed to export audit log', 'error');
+    } finally {
+        hideLoading();
+    }
+}
@@ -240,8 +240,7 @@ function renderSessionAction(session, statusInfo) {
         `;
     }
     
-    // TEMPORARY CHANGE: For instruction/active sessions, allow direct entry (auto-join)
-    // TODO: Revert this to restore join requirement - show "Join Session" button for scheduled sessions
+    // Only sessions the participant is invited to are listed; they are registered when they first enter
     if (session.status === 'instruction' || session.status === 'active') {
         return `
             <button onclick="enterQuiz(${session.id})" class="px-4 py-2 bg-gray-900 text-white rounded-lg text-xs font-medium">
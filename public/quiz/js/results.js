@@ -180,15 +180,26 @@ function showDetailedReview() {
     `;
     
     const questionsHtml = window.answersData.map((answer, index) => {
-        const options = [
+        const options = answer.options || [
             { key: 'a', text: answer.option_a },
             { key: 'b', text: answer.option_b },
             { key: 'c', text: answer.option_c },
             { key: 'd', text: answer.option_d }
         ];
         
-        const correctOption = options.find(opt => opt.key === answer.correct_answer);
-        const selectedOption = options.find(opt => opt.key === answer.selected_answer);
+        // Multi-select answers are stored as comma separated keys (e.g. "a,c")
+        const isNumeric = answer.question_type === 'numeric';
+        const correctKeys = (answer.correct_answer || '').split(',');
+        const selectedKeys = (answer.selected_answer || '').split(',');
+        const isCorrectKey = key => correctKeys.includes(key);
+        const isSelectedKey = key => selectedKeys.includes(key);
+        
+        const correctOptions = options.filter(opt => isCorrectKey(opt.key));
+        const correctAnswerText = isNumeric
+            ? escapeHtml(answer.correct_answer)
+            : correctOptions.length > 0
+                ? correctOptions.map(opt => `${opt.key.toUpperCase()}. ${opt.html || ''}`).join(', ')
+                : 'Not available';
         
         let statusClass = '';
         let statusIcon = '';
@@ -222,41 +233,58 @@ function showDetailedReview() {
                                 <span class="text-sm font-medium">${statusText}</span>
                             </div>
                         </div>
-                        <h5 class="font-medium text-gray-900 leading-relaxed">${answer.question_text}</h5>
+                        <div class="font-medium text-gray-900 leading-relaxed rich-text">${answer.question_html || ''}</div>
                     </div>
                 </div>
                 
                 <!-- Answer Options -->
+                ${isNumeric ? `
+                    <div class="p-2 rounded text-sm ${answer.is_correct ? 'bg-green-50 border border-green-200 text-green-700' : answer.selected_answer ? 'bg-red-50 border border-red-200 text-red-700' : 'bg-gray-50 text-gray-600'}">
+                        <strong>Your Answer:</strong> ${answer.selected_answer !== null ? escapeHtml(answer.selected_answer) : 'Not answered'}
+                    </div>
+                ` : `
                 <div class="space-y-3 text-sm">
                     ${options.map(option => `
                         <div class="flex items-start p-2 rounded ${
-                            option.key === answer.correct_answer ? 'bg-green-50 border border-green-200' : 
-                            option.key === answer.selected_answer && !answer.is_correct ? 'bg-red-50 border border-red-200' : 'bg-gray-50'
+                            isCorrectKey(option.key) ? 'bg-green-50 border border-green-200' : 
+                            isSelectedKey(option.key) && !answer.is_correct ? 'bg-red-50 border border-red-200' : 'bg-gray-50'
                         }">
                             <span class="w-6 font-medium flex-shrink-0 ${
-                                option.key === answer.correct_answer ? 'text-green-700' : 
-                                option.key === answer.selected_answer && !answer.is_correct ? 'text-red-700' : 'text-gray-600'
+                                isCorrectKey(option.key) ? 'text-green-700' : 
+                                isSelectedKey(option.key) && !answer.is_correct ? 'text-red-700' : 'text-gray-600'
                             }">${option.key.toUpperCase()}.</span>
                             <span class="flex-1 ${
-                                option.key === answer.correct_answer ? 'text-green-700 font-medium' : 
-                                option.key === answer.selected_answer && !answer.is_correct ? 'text-red-700' : 'text-gray-600'
-                            }">${option.text}</span>
+                                isCorrectKey(option.key) ? 'text-green-700 font-medium' : 
+                                isSelectedKey(option.key) && !answer.is_correct ? 'text-red-700' : 'text-gray-600'
+                            } rich-text">${option.html || ''}</span>
                             <div class="flex-shrink-0 ml-2">
-                                ${option.key === answer.correct_answer ? '<i class="fas fa-check text-green-600"></i>' : ''}
-                                ${option.key === answer.selected_answer && answer.is_correct ? '<i class="fas fa-user-check text-blue-600" title="Your answer"></i>' : ''}
+                                ${isCorrectKey(option.key) ? '<i class="fas fa-check text-green-600"></i>' : ''}
+                                ${isSelectedKey(option.key) && answer.is_correct ? '<i class="fas fa-user-check text-blue-600" title="Your answer"></i>' : ''}
                             </div>
                         </div>
                     `).join('')}
                 </div>
+                `}
                 
                 ${!answer.is_correct && answer.selected_answer ? `
                     <div class="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
                         <div class="text-sm text-blue-800">
                             <i class="fas fa-info-circle mr-1"></i>
-                            <strong>Correct Answer:</strong> ${correctOption ? `${correctOption.key.toUpperCase()}. ${correctOption.text}` : 'Not available'}
+                            <strong>Correct Answer:</strong> ${correctAnswerText}
                         </div>
                     </div>
                 ` : ''}
+                
+                ${answer.explanation || answer.reference ? `
+                    <div class="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-gray-800">
+                        ${answer.explanation ? `
+                            <div><i class="fas fa-lightbulb text-yellow-600 mr-1"></i><strong>Explanation:</strong><div class="rich-text">${answer.explanation_html}</div></div>
+                        ` : ''}
+                        ${answer.reference ? `
+                            <div class="${answer.explanation ? 'mt-1 ' : ''}text-gray-600"><i class="fas fa-book mr-1"></i><strong>Reference:</strong> ${escapeHtml(answer.reference)}</div>
+                        ` : ''}
+                    </div>
+                ` : ''}
             </div>
         `;
     }).join('');
@@ -330,4 +358,12 @@ function formatDuration(seconds) {
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
-}
\ No newline at end of file
+}
+// Escape stored text (e.g. a question's reference) before putting it in HTML
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
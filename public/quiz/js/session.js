@@ -297,36 +297,66 @@ async function loadQuestions() {
 }
 
 // Display current question
-function displayQuestion(index) {
+async function displayQuestion(index) {
     if (!questions[index]) return;
     
-    const question = questions[index];
     currentQuestionIndex = index;
     
-    // Update question text
-    document.getElementById('questionText').textContent = question.question_text;
-    document.getElementById('currentQuestionNumber').textContent = index + 1;
+    // Quizzes with a speed bonus only send an outline; each question is fetched when first shown
+    if (questions[index].question_html === undefined) {
+        const loaded = await loadQuestion(questions[index].id);
+        if (!loaded) return;
+        questions[index] = { ...questions[index], ...loaded };
+        
+        // Another question may have been opened while this one was loading
+        if (currentQuestionIndex !== index) return;
+    }
     
-    // Create options
-    const options = [
-        { key: 'a', text: question.option_a },
-        { key: 'b', text: question.option_b },
-        { key: 'c', text: question.option_c },
-        { key: 'd', text: question.option_d }
-    ];
+    const question = questions[index];
+    
+    // Update question text (question_html is rendered and sanitised by the server)
+    document.getElementById('questionText').innerHTML = question.question_html || '';
+    document.getElementById('currentQuestionNumber').textContent = index + 1;
     
     const container = document.getElementById('optionsContainer');
-    container.innerHTML = options.map(option => `
-        <div class="option-card ${answers[question.id] === option.key ? 'selected' : ''}" 
-             onclick="selectOption('${question.id}', '${option.key}')">
-            <div class="flex items-center">
-                <div class="w-8 h-8 rounded-full border-2 border-gray-300 flex items-center justify-center mr-4 ${answers[question.id] === option.key ? 'border-gray-900 bg-gray-900' : ''}">
-                    ${answers[question.id] === option.key ? '<i class="fas fa-check text-white text-sm"></i>' : `<span class="font-semibold text-gray-600">${option.key.toUpperCase()}</span>`}
+    
+    if (question.question_type === 'numeric') {
+        const value = answers[question.id] !== undefined ? answers[question.id] : '';
+        container.innerHTML = `
+            <div class="option-card">
+                <label for="numericAnswer" class="block text-sm text-gray-600 mb-2">Enter your answer as a number</label>
+                <input type="number" step="any" id="numericAnswer" value="${value}"
+                       class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-gray-900"
+                       onchange="submitNumericAnswer('${question.id}', this.value)">
+            </div>
+        `;
+    } else {
+        // Fall back to the four fixed options for questions loaded before question types existed
+        const options = question.options || [
+            { key: 'a', text: question.option_a },
+            { key: 'b', text: question.option_b },
+            { key: 'c', text: question.option_c },
+            { key: 'd', text: question.option_d }
+        ];
+        const isMultiSelect = question.question_type === 'multi_select';
+        const isSelected = key => isMultiSelect
+            ? (answers[question.id] || []).includes(key)
+            : answers[question.id] === key;
+        
+        container.innerHTML = (isMultiSelect
+            ? '<p class="text-sm text-gray-600 mb-3"><i class="fas fa-info-circle mr-1"></i>Select all answers that apply</p>'
+            : '') + options.map(option => `
+            <div class="option-card ${isSelected(option.key) ? 'selected' : ''}" 
+                 onclick="${isMultiSelect ? 'toggleOption' : 'selectOption'}('${question.id}', '${option.key}')">
+                <div class="flex items-center">
+                    <div class="w-8 h-8 ${isMultiSelect ? 'rounded' : 'rounded-full'} border-2 border-gray-300 flex items-center justify-center mr-4 ${isSelected(option.key) ? 'border-gray-900 bg-gray-900' : ''}">
+                        ${isSelected(option.key) ? '<i class="fas fa-check text-white text-sm"></i>' : `<span class="font-semibold text-gray-600">${option.key.toUpperCase()}</span>`}
+                    </div>
+                    <span class="text-gray-900 rich-text">${option.html || ''}</span>
                 </div>
-                <span class="text-gray-900">${option.text}</span>
             </div>
-        </div>
-    `).join('');
+        `).join('');
+    }
     
     // Update navigation buttons
     updateNavigationButtons();
@@ -340,7 +370,75 @@ async function selectOption(questionId, optionKey) {
     // Update UI
     displayQuestion(currentQuestionIndex);
     
-    // Submit answer to backend
+    await submitAnswer(questionId, optionKey);
+}
+
+// Toggle an option of a multi-select question
+async function toggleOption(questionId, optionKey) {
+    const selected = answers[questionId] || [];
+    const updated = selected.includes(optionKey)
+        ? selected.filter(key => key !== optionKey)
+        : [...selected, optionKey].sort();
+    
+    if (updated.length > 0) {
+        answers[questionId] = updated;
+    } else {
+        delete answers[questionId];
+    }
+    
+    // Update UI
+    displayQuestion(currentQuestionIndex);
+    
+    if (updated.length > 0) {
+        await submitAnswer(questionId, updated);
+    } else {
+        await clearAnswer(questionId);
+    }
+}
+
+// Save the answer of a numeric question
+async function submitNumericAnswer(questionId, value) {
+    if (value === '') {
+        delete answers[questionId];
+        updateProgress();
+        await clearAnswer(questionId);
+        return;
+    }
+    if (isNaN(parseFloat(value))) {
+        return;
+    }
+    
+    answers[questionId] = value;
+    updateProgress();
+    
+    await submitAnswer(questionId, value);
+}
+
+// Fetch one question; the server notes when it was first shown (used for speed-bonus scoring)
+async function loadQuestion(questionId) {
+    try {
+        const response = await fetch(`/api/participant/sessions/${sessionId}/questions/${questionId}`, {
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.message);
+    } catch (error) {
+        console.error('Load question error:', error);
+        showError('Failed to load the question');
+        return null;
+    }
+}
+
+// Submit answer to backend
+async function submitAnswer(questionId, answer) {
     try {
         const timeTaken = Date.now() - quizStartTime;
         await fetch(`/api/participant/sessions/${sessionId}/answers`, {
@@ -351,7 +449,7 @@ async function selectOption(questionId, optionKey) {
             },
             body: JSON.stringify({
                 questionId: parseInt(questionId),
-                answer: optionKey,
+                answer: answer,
                 timeTaken: timeTaken
             })
         });
@@ -360,6 +458,21 @@ async function selectOption(questionId, optionKey) {
     }
 }
 
+// Withdraw the answer to a question so it is not graded
+async function clearAnswer(questionId) {
+    try {
+        await fetch(`/api/participant/sessions/${sessionId}/answers/${parseInt(questionId)}`, {
+            method: 'DELETE',
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+    } catch (error) {
+        console.error('Clear answer error:', error);
+    }
+}
+
 // Navigation functions
 function nextQuestion() {
     if (currentQuestionIndex < questions.length - 1) {
@@ -4,12 +4,41 @@ const XLSX = require('xlsx');
 const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
-const { authenticateAdmin, authorizeAdmin, logAdminAction } = require('../middleware/auth');
+const { authenticateAdmin, authorizeAdmin, authorizeOrganization, logAdminAction } = require('../middleware/auth');
 const participantService = require('../services/participantService');
+const twoFactorService = require('../services/twoFactorService');
+const adminUserService = require('../services/adminUserService');
+const auditLogService = require('../services/auditLogService');
+const organizationService = require('../services/organizationService');
+const participantGroupService = require('../services/participantGroupService');
+const sessionInvitationService = require('../services/sessionInvitationService');
+const sessionTimerService = require('../services/sessionTimerService');
 const notificationService = require('../services/notificationService');
 const db = require('../config/database');
 const { redisHelper } = require('../config/redis');
 const { createTimezoneDate, formatInTimezone, getTimezoneInfo } = require('../utils/timezone');
+const { getQuestionOptions } = require('../utils/questionTypes');
+const {
+    normalizeBankQuestion,
+    insertQuestion,
+    updateQuestion,
+    isQuestionAnswered,
+    changesAnswerKey,
+    setQuizQuestions,
+    attachQuestionsToQuiz,
+    updateQuizQuestionCount
+} = require('../utils/questionBank');
+const { normalizeDrawRules, checkDrawRules, resolveParticipantQuestionIds } = require('../utils/questionPool');
+const { applyOptionMapping, getStoredOptionMapping, mapAnswerToShown } = require('../utils/questionShuffler');
+const { addRichTextHtml, toPlainText } = require('../utils/richText');
+const { QUIZ_FORMATS, detectQuizFormat, exportQuiz, parseQuizFile } = require('../utils/quizInterchange');
+const { UPLOAD_MODES, validateQuestionRows, addExistingQuestionWarnings, summarizeReport } = require('../utils/questionUpload');
+const { PHONE_COUNTRIES, getDefaultCountry, normalizeCountry } = require('../utils/phoneNumber');
+const { CREDENTIAL_MODES, getDefaultCredentialMode } = require('../utils/credentials');
+const { PERMISSIONS, ADMIN_ROLES, ROLE_LABELS, getRolePermissions, hasPermission } = require('../utils/adminPermissions');
+const { getBaseUrl } = require('../utils/appUrl');
+const { recordAuditChange, setAuditEntity } = require('../utils/auditLog');
+const { TENANT_ENTITIES, scopeCondition, isInScope } = require('../utils/tenancy');
 
 const router = express.Router();
 
@@ -45,33 +74,113 @@ const upload = multer({
     }
 });
 
+// Whole-quiz imports (JSON, Moodle XML, GIFT)
+const quizFileUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (detectQuizFormat(req.body.format, file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only JSON, Moodle XML and GIFT files are allowed.'));
+        }
+    }
+});
+
+// Question images are served from /uploads/question-images and referenced from question Markdown
+const imageUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            const imageDir = path.join(__dirname, '../uploads/question-images');
+            if (!fs.existsSync(imageDir)) {
+                fs.mkdirSync(imageDir, { recursive: true });
+            }
+            cb(null, imageDir);
+        },
+        filename: (req, file, cb) => {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            cb(null, 'question-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+        }
+    }),
+    limits: {
+        fileSize: 2 * 1024 * 1024 // 2MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+        const allowedMimeTypes = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+        const fileExt = path.extname(file.originalname).toLowerCase();
+        
+        if (allowedTypes.includes(fileExt) && allowedMimeTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only PNG, JPEG, GIF and WebP images are allowed.'));
+        }
+    }
+});
+
 // Apply authentication to all admin routes
 router.use(authenticateAdmin);
 
+// Signed-in admin with the permissions of their role, so the dashboard can hide what they cannot use,
+// and the organisations they can see
+router.get('/me', authorizeAdmin(), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                id: req.user.id,
+                username: req.user.username,
+                email: req.user.email,
+                role: req.user.role,
+                roleLabel: ROLE_LABELS[req.user.role] || req.user.role,
+                permissions: getRolePermissions(req.user.role),
+                allOrganizations: req.user.organizationIds === null,
+                organizations: (await organizationService.list(req.user.organizationIds))
+                    .map(({ id, name, is_active }) => ({ id, name, is_active }))
+            }
+        });
+    } catch (error) {
+        console.error('Get current admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load your account'
+        });
+    }
+});
+
 // Dashboard - Get overview statistics
 router.get('/dashboard', authorizeAdmin(), async (req, res) => {
     try {
-        // Get dashboard statistics
+        const scope = req.user.organizationIds;
+        
+        // Get dashboard statistics (admins are counted across all organisations)
+        const statsParams = [];
+        const inScope = scopeCondition(scope, 'organization_id', statsParams);
         const stats = await db.query(`
             SELECT 
-                (SELECT COUNT(*) FROM participants) as total_participants,
-                (SELECT COUNT(*) FROM quizzes) as total_quizzes,
-                (SELECT COUNT(*) FROM quiz_sessions WHERE status = 'active') as active_sessions,
-                (SELECT COUNT(*) FROM quiz_sessions WHERE status = 'completed') as completed_sessions,
+                (SELECT COUNT(*) FROM participants WHERE ${inScope}) as total_participants,
+                (SELECT COUNT(*) FROM quizzes WHERE ${inScope}) as total_quizzes,
+                (SELECT COUNT(*) FROM quiz_sessions WHERE status = 'active' AND ${inScope}) as active_sessions,
+                (SELECT COUNT(*) FROM quiz_sessions WHERE status = 'completed' AND ${inScope}) as completed_sessions,
                 (SELECT COUNT(*) FROM admin_users WHERE is_active = true) as active_admins,
-                (SELECT COUNT(*) FROM results) as total_results
-        `);
+                (SELECT COUNT(*) FROM results WHERE session_id IN (SELECT id FROM quiz_sessions WHERE ${inScope})) as total_results
+        `, statsParams);
         
         // Get recent sessions
+        const recentParams = [];
         const recentSessions = await db.query(`
             SELECT qs.*, q.title as quiz_title, q.description
             FROM quiz_sessions qs
             JOIN quizzes q ON qs.quiz_id = q.id
+            WHERE ${scopeCondition(scope, 'qs.organization_id', recentParams)}
             ORDER BY qs.created_at DESC
             LIMIT 5
-        `);
+        `, recentParams);
         
         // Get top performers (last 30 days)
+        const topParams = [];
         const topPerformers = await db.query(`
             SELECT p.name, p.email, r.total_score, r.completion_time_seconds, q.title as quiz_title
             FROM results r
@@ -79,9 +188,10 @@ router.get('/dashboard', authorizeAdmin(), async (req, res) => {
             JOIN quiz_sessions qs ON r.session_id = qs.id
             JOIN quizzes q ON qs.quiz_id = q.id
             WHERE r.created_at >= CURRENT_DATE - INTERVAL '30 days'
+              AND ${scopeCondition(scope, 'qs.organization_id', topParams)}
             ORDER BY r.total_score DESC, r.completion_time_seconds ASC
             LIMIT 10
-        `);
+        `, topParams);
         
         res.json({
             success: true,
@@ -102,897 +212,2561 @@ router.get('/dashboard', authorizeAdmin(), async (req, res) => {
 });
 
 // Participant Management - Upload participants
-router.post('/participants/upload', authorizeAdmin(), upload.single('participantFile'), logAdminAction('upload_participants'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                message: 'No file uploaded'
-            });
-        }
-        
-        const { sessionId } = req.body;
-        const filePath = req.file.path;
-        const fileExt = path.extname(req.file.originalname).toLowerCase();
-        
-        let participantsData = [];
-        
-        // Parse file based on type
-        if (fileExt === '.csv') {
-            // Parse CSV
-            const csvData = fs.readFileSync(filePath, 'utf8');
-            participantsData = await participantService.parseParticipantData(csvData, 'csv');
-        } else if (fileExt === '.xlsx' || fileExt === '.xls') {
-            // Parse Excel
-            const workbook = XLSX.readFile(filePath);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const jsonData = XLSX.utils.sheet_to_json(worksheet);
-            participantsData = await participantService.parseParticipantData(jsonData, 'excel');
+// Read credential_mode / force_password_change from a form or JSON body
+// Returns null if the mode is not supported
+function getCredentialOptions(body) {
+    const mode = body.credential_mode || getDefaultCredentialMode();
+    if (!CREDENTIAL_MODES.includes(mode)) return null;
+    
+    const force = body.force_password_change;
+    return {
+        mode,
+        forcePasswordChange: force === undefined || force === '' ? undefined : force === true || force === 'true'
+    };
+}
+
+// Send a 404 when IDs from the request body belong to an organisation outside the admin's scope,
+// as authorizeOrganization does for IDs in the URL. Returns true when the response has been sent
+async function rejectOutsideScope(req, res, entityType, ids) {
+    const outside = await organizationService.findOutsideScope(req.user.organizationIds, entityType, ids);
+    if (outside.length === 0) {
+        return false;
+    }
+    
+    res.status(404).json({
+        success: false,
+        message: `${TENANT_ENTITIES[entityType].label} not found`
+    });
+    return true;
+}
+
+// Countries supported for participant mobile numbers and the default credential mode
+router.get('/phone-countries', authorizeAdmin(), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            defaultCountry: getDefaultCountry(),
+            defaultCredentialMode: getDefaultCredentialMode(),
+            countries: Object.entries(PHONE_COUNTRIES).map(([code, country]) => ({
+                code,
+                name: country.name,
+                callingCode: `+${country.callingCode}`
+            }))
         }
-        
-        // Bulk upload participants
-        const results = await participantService.bulkUploadParticipants(participantsData, sessionId);
-        
-        // Clean up uploaded file
-        fs.unlinkSync(filePath);
-        
+    });
+});
+
+// Two-factor status for the signed-in admin
+router.get('/two-factor', authorizeAdmin(), async (req, res) => {
+    try {
         res.json({
             success: true,
-            message: `Processed ${participantsData.length} participants`,
             data: {
-                totalProcessed: participantsData.length,
-                successful: results.success.length,
-                failed: results.errors.length,
-                results: results
+                ...(await twoFactorService.getStatus(req.user.id)),
+                canChangeRequirement: hasPermission(req.user.role, 'settings:manage')
             }
         });
-        
     } catch (error) {
-        console.error('Upload participants error:', error);
-        
-        // Clean up file on error
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-        }
-        
+        console.error('Get two-factor status error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to upload participants',
-            error: error.message
+            message: 'Failed to load two-factor status'
         });
     }
 });
 
-// Get credentials for manual distribution
-router.post('/participants/get-credentials', authorizeAdmin(), logAdminAction('get_credentials'), async (req, res) => {
+// Start two-factor setup: returns the secret and otpauth URI for the QR code
+router.post('/two-factor/setup', authorizeAdmin(), async (req, res) => {
     try {
-        const { participantIds } = req.body;
-        
-        if (!participantIds || !Array.isArray(participantIds)) {
+        if (req.user.totp_enabled) {
             return res.status(400).json({
                 success: false,
-                message: 'Participant IDs array is required'
+                message: 'Two-factor authentication is already enabled'
             });
         }
         
-        const credentials = await participantService.getCredentialsForDisplay(participantIds);
-        
         res.json({
             success: true,
-            message: 'Credentials retrieved successfully',
-            data: credentials
+            data: await twoFactorService.startEnrolment(req.user)
         });
-        
     } catch (error) {
-        console.error('Get credentials error:', error);
+        console.error('Two-factor setup error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to get credentials'
+            message: 'Failed to start two-factor setup'
         });
     }
 });
 
-// Reset participant password
-router.post('/participants/reset-password', authorizeAdmin(), logAdminAction('reset_password'), async (req, res) => {
+// Finish two-factor setup with the first code from the app; returns the recovery codes
+router.post('/two-factor/enable', authorizeAdmin(), logAdminAction('enable_two_factor'), async (req, res) => {
     try {
-        const { participantId } = req.body;
-        
-        if (!participantId) {
+        if (!req.body.code) {
             return res.status(400).json({
                 success: false,
-                message: 'Participant ID is required'
+                message: 'Code is required'
             });
         }
         
-        const result = await participantService.resetParticipantPassword(participantId);
+        const result = await twoFactorService.confirmEnrolment(req.user.id, req.body.code);
+        
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
         
         res.json({
             success: true,
-            message: 'Password reset successfully',
-            data: {
-                participantId: participantId,
-                newPassword: result.newPassword
-            }
+            message: 'Two-factor authentication enabled',
+            data: { recoveryCodes: result.recoveryCodes }
         });
-        
     } catch (error) {
-        console.error('Reset password error:', error);
+        console.error('Enable two-factor error:', error);
         res.status(500).json({
             success: false,
-            message: error.message || 'Failed to reset password'
+            message: 'Failed to enable two-factor authentication'
         });
     }
 });
 
-// Get participant details
-router.get('/participants/:id', authorizeAdmin(), async (req, res) => {
+router.post('/two-factor/disable', authorizeAdmin(), logAdminAction('disable_two_factor'), async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        const result = await db.query(`
-            SELECT p.*, uc.is_active
-            FROM participants p
-            LEFT JOIN user_credentials uc ON p.id = uc.participant_id
-            WHERE p.id = $1
-        `, [id]);
+        const disableError = await twoFactorService.disable(req.user.id, req.body.code);
         
-        if (result.rows.length === 0) {
-            return res.status(404).json({
+        if (disableError) {
+            return res.status(400).json({
                 success: false,
-                message: 'Participant not found'
+                message: disableError
             });
         }
         
         res.json({
             success: true,
-            data: result.rows[0]
+            message: 'Two-factor authentication disabled'
         });
-        
     } catch (error) {
-        console.error('Get participant error:', error);
+        console.error('Disable two-factor error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to get participant'
+            message: 'Failed to disable two-factor authentication'
         });
     }
 });
 
-// Update participant information
-router.put('/participants/:id', authorizeAdmin(), logAdminAction('edit_participant'), async (req, res) => {
+router.post('/two-factor/recovery-codes', authorizeAdmin(), logAdminAction('regenerate_recovery_codes'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { name, email, company, designation, mobile } = req.body;
+        const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
         
-        if (!name || !email) {
+        if (result.error) {
             return res.status(400).json({
                 success: false,
-                message: 'Name and email are required'
+                message: result.error
             });
         }
         
-        // Check if email is already used by another participant
-        const existingResult = await db.query(
-            'SELECT id FROM participants WHERE email = $1 AND id != $2',
-            [email, id]
-        );
+        res.json({
+            success: true,
+            message: 'New recovery codes generated',
+            data: { recoveryCodes: result.recoveryCodes }
+        });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate recovery codes'
+        });
+    }
+});
+
+// Make two-factor mandatory for all admins (super admin only)
+// Admins without it are signed out and asked to set it up when they log in again
+router.put('/settings/two-factor', authorizeAdmin('settings:manage'), logAdminAction('update_two_factor_requirement'), async (req, res) => {
+    try {
+        const required = req.body.required === true || req.body.required === 'true';
         
-        if (existingResult.rows.length > 0) {
+        if (required && !req.user.totp_enabled) {
             return res.status(400).json({
                 success: false,
-                message: 'Email is already used by another participant'
+                message: 'Set up two-factor authentication for your own account before making it mandatory'
             });
         }
         
-        // Clean mobile number if provided
-        let cleanedMobile = mobile;
-        if (mobile) {
-            try {
-                cleanedMobile = participantService.cleanMobileNumber(mobile);
-            } catch (error) {
-                return res.status(400).json({
-                    success: false,
-                    message: error.message
-                });
-            }
-        }
-        
-        // Update participant
-        const result = await db.query(`
-            UPDATE participants 
-            SET name = $1, email = $2, company = $3, designation = $4, mobile = $5, updated_at = CURRENT_TIMESTAMP
-            WHERE id = $6
-            RETURNING *
-        `, [name, email, company, designation, cleanedMobile, id]);
+        const wasRequired = await twoFactorService.isRequired();
+        await twoFactorService.setRequired(required, req.user.id);
+        recordAuditChange(req, 'setting', null, { admin_two_factor_required: wasRequired }, { admin_two_factor_required: required });
         
-        if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Participant not found'
-            });
-        }
+        const signedOut = required && !wasRequired ? await twoFactorService.signOutAdminsWithoutTwoFactor() : 0;
         
-        // Update username if email changed
-        await db.query(
-            'UPDATE user_credentials SET username = $1 WHERE participant_id = $2',
-            [email.toLowerCase().trim(), id]
+        const countResult = await db.query(
+            'SELECT COUNT(*) as count FROM admin_users WHERE is_active = true AND totp_enabled IS NOT TRUE'
         );
         
-        // Update password if mobile changed
-        if (mobile && cleanedMobile) {
-            const newPassword = participantService.generatePassword(cleanedMobile);
-            const passwordHash = await require('bcryptjs').hash(newPassword, 10);
-            await db.query(
-                'UPDATE user_credentials SET password_hash = $1 WHERE participant_id = $2',
-                [passwordHash, id]
-            );
-        }
-        
         res.json({
             success: true,
-            message: 'Participant updated successfully',
-            data: result.rows[0]
+            message: required ? 'Two-factor authentication is now required for all admins' : 'Two-factor authentication is now optional',
+            data: {
+                required,
+                adminsWithoutTwoFactor: parseInt(countResult.rows[0].count),
+                adminsSignedOut: signedOut
+            }
         });
-        
     } catch (error) {
-        console.error('Update participant error:', error);
+        console.error('Update two-factor requirement error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update participant'
+            message: 'Failed to update two-factor setting'
         });
     }
 });
 
-// Toggle participant activation status
-router.patch('/participants/:id/toggle-status', authorizeAdmin(), logAdminAction('toggle_participant_status'), async (req, res) => {
+// Admin accounts (super admins only)
+router.get('/admins', authorizeAdmin('admins:manage'), async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        // Get current status
-        const participantResult = await db.query(
-            'SELECT p.name, uc.is_active FROM participants p JOIN user_credentials uc ON p.id = uc.participant_id WHERE p.id = $1',
-            [id]
-        );
-        
-        if (participantResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Participant not found'
-            });
-        }
-        
-        const currentStatus = participantResult.rows[0].is_active;
-        const newStatus = !currentStatus;
-        const participantName = participantResult.rows[0].name;
-        
-        // Update status
-        await db.query(
-            'UPDATE user_credentials SET is_active = $1 WHERE participant_id = $2',
-            [newStatus, id]
-        );
-        
         res.json({
             success: true,
-            message: `Participant ${newStatus ? 'activated' : 'deactivated'} successfully`,
             data: {
-                participantId: id,
-                participantName: participantName,
-                isActive: newStatus
+                admins: await adminUserService.listAdmins(),
+                roles: ADMIN_ROLES.map(role => ({
+                    role,
+                    label: ROLE_LABELS[role],
+                    permissions: getRolePermissions(role)
+                })),
+                permissions: PERMISSIONS
             }
         });
-        
     } catch (error) {
-        console.error('Toggle participant status error:', error);
+        console.error('Get admins error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update participant status'
+            message: 'Failed to get admins'
         });
     }
 });
 
-// Send credentials to participants
-router.post('/participants/send-credentials', authorizeAdmin(), logAdminAction('send_credentials'), async (req, res) => {
+// Invite an admin: the account is created and a link to choose a password is emailed
+// When email is not configured the link is returned so it can be shared another way
+router.post('/admins', authorizeAdmin('admins:manage'), logAdminAction('invite_admin', 'admin'), async (req, res) => {
     try {
-        const { participantIds, method = 'email' } = req.body;
+        const result = await adminUserService.inviteAdmin(req.body, req.user, { baseUrl: getBaseUrl(req), ip: req.ip });
         
-        if (!participantIds || !Array.isArray(participantIds)) {
+        if (result.error) {
             return res.status(400).json({
                 success: false,
-                message: 'Participant IDs array is required'
+                message: result.error
             });
         }
         
-        // Get participant credentials
-        const credentialsResult = await db.query(`
-            SELECT p.id as participant_id, p.name, p.email, p.mobile, uc.username, uc.password_hash
-            FROM participants p
-            JOIN user_credentials uc ON p.id = uc.participant_id
-            WHERE p.id = ANY($1) AND uc.is_active = true
-        `, [participantIds]);
+        setAuditEntity(req, result.admin.id);
         
-        if (credentialsResult.rows.length === 0) {
+        res.status(201).json({
+            success: true,
+            message: result.emailSent
+                ? `Invitation sent to ${result.admin.email}`
+                : 'Admin created, but the invitation email could not be sent. Share the link with them directly',
+            data: result
+        });
+    } catch (error) {
+        console.error('Invite admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to invite admin'
+        });
+    }
+});
+
+router.put('/admins/:id/role', authorizeAdmin('admins:manage'), logAdminAction('change_admin_role', 'admin'), async (req, res) => {
+    try {
+        const result = await adminUserService.setRole(req.params.id, req.body.role, req.user);
+        
+        if (!result) {
             return res.status(404).json({
                 success: false,
-                message: 'No valid participants found'
+                message: 'Admin not found'
             });
         }
-        
-        // For security, we can't retrieve original passwords, so we need to generate new ones
-        const credentialsList = [];
-        
-        for (const participant of credentialsResult.rows) {
-            // Generate new password and update
-            const newPassword = Math.random().toString(36).slice(-8);
-            const bcrypt = require('bcryptjs');
-            const passwordHash = await bcrypt.hash(newPassword, 10);
-            
-            await db.query(
-                'UPDATE user_credentials SET password_hash = $1 WHERE participant_id = $2',
-                [passwordHash, participant.participant_id]
-            );
-            
-            credentialsList.push({
-                participantId: participant.participant_id,
-                name: participant.name,
-                email: participant.email,
-                mobile: participant.mobile,
-                username: participant.username,
-                password: newPassword
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
             });
         }
         
-        // Send credentials
-        const sendResults = await participantService.sendCredentials(credentialsList, method);
+        recordAuditChange(req, 'admin', result.admin.id, { role: result.previousRole }, { role: result.admin.role });
         
         res.json({
             success: true,
-            message: `Credentials sent via ${method}`,
-            data: {
-                sent: sendResults.sent.length,
-                failed: sendResults.failed.length,
-                details: sendResults
-            }
+            message: `${result.admin.username} is now ${ROLE_LABELS[result.admin.role]}`,
+            data: result.admin
         });
-        
     } catch (error) {
-        console.error('Send credentials error:', error);
+        console.error('Change admin role error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to send credentials'
+            message: 'Failed to change role'
         });
     }
 });
 
-// Get participants list
-router.get('/participants', authorizeAdmin(), async (req, res) => {
+// Deactivate or reactivate an admin (is_active)
+router.put('/admins/:id/status', authorizeAdmin('admins:manage'), logAdminAction('change_admin_status', 'admin'), async (req, res) => {
     try {
-        const { page = 1, limit = 50, search = '' } = req.query;
-        const offset = (page - 1) * limit;
+        const isActive = req.body.is_active === true || req.body.is_active === 'true';
+        const result = await adminUserService.setActive(req.params.id, isActive, req.user);
         
-        let querySQL, countSQL, queryParams, countParams;
-        
-        if (search && search.trim()) {
-            // With search
-            querySQL = `
-                SELECT p.*, uc.username, uc.is_active, uc.last_login
-                FROM participants p
-                LEFT JOIN user_credentials uc ON p.id = uc.participant_id
-                WHERE p.name ILIKE $3 OR p.email ILIKE $3 OR p.company ILIKE $3 OR p.designation ILIKE $3
-                ORDER BY p.created_at DESC
-                LIMIT $1 OFFSET $2
-            `;
-            queryParams = [parseInt(limit), parseInt(offset), `%${search.trim()}%`];
-            
-            countSQL = `
-                SELECT COUNT(*) FROM participants p
-                WHERE p.name ILIKE $1 OR p.email ILIKE $1 OR p.company ILIKE $1 OR p.designation ILIKE $1
-            `;
-            countParams = [`%${search.trim()}%`];
-        } else {
-            // Without search
-            querySQL = `
-                SELECT p.*, uc.username, uc.is_active, uc.last_login
-                FROM participants p
-                LEFT JOIN user_credentials uc ON p.id = uc.participant_id
-                ORDER BY p.created_at DESC
-                LIMIT $1 OFFSET $2
-            `;
-            queryParams = [parseInt(limit), parseInt(offset)];
-            
-            countSQL = `SELECT COUNT(*) FROM participants`;
-            countParams = [];
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
         }
         
-        const result = await db.query(querySQL, queryParams);
-        const countResult = await db.query(countSQL, countParams);
+        recordAuditChange(req, 'admin', result.admin.id, { is_active: result.wasActive }, { is_active: result.admin.is_active });
         
         res.json({
             success: true,
-            data: {
-                participants: result.rows,
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total: parseInt(countResult.rows[0].count),
-                    totalPages: Math.ceil(countResult.rows[0].count / limit)
-                }
-            }
+            message: `${result.admin.username} has been ${isActive ? 'activated' : 'deactivated'}`,
+            data: result.admin
         });
-        
     } catch (error) {
-        console.error('Get participants error:', error);
+        console.error('Change admin status error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to retrieve participants'
+            message: 'Failed to change admin status'
         });
     }
 });
 
-// ==================== QUIZ MANAGEMENT ENDPOINTS ====================
-
-// Get all quizzes with search and pagination
-router.get('/quizzes', authorizeAdmin(), async (req, res) => {
+// Organisations an admin can see and manage (organizationIds replaces the current list)
+// Super admins see every organisation whatever they are assigned to
+router.put('/admins/:id/organizations', authorizeAdmin('admins:manage'), logAdminAction('change_admin_organizations', 'admin'), async (req, res) => {
     try {
-        const { page = 1, limit = 20, search = '' } = req.query;
-        const offset = (page - 1) * limit;
-        
-        let querySQL, countSQL, queryParams, countParams;
+        const result = await organizationService.setAdminOrganizations(req.params.id, req.body.organizationIds);
         
-        if (search && search.trim()) {
-            querySQL = `
-                SELECT * FROM quizzes
-                WHERE title ILIKE $3 OR description ILIKE $3
-                ORDER BY created_at DESC
-                LIMIT $1 OFFSET $2
-            `;
-            queryParams = [parseInt(limit), parseInt(offset), `%${search.trim()}%`];
-            
-            countSQL = `
-                SELECT COUNT(*) FROM quizzes
-                WHERE title ILIKE $1 OR description ILIKE $1
-            `;
-            countParams = [`%${search.trim()}%`];
-        } else {
-            querySQL = `
-                SELECT * FROM quizzes
-                ORDER BY created_at DESC
-                LIMIT $1 OFFSET $2
-            `;
-            queryParams = [parseInt(limit), parseInt(offset)];
-            
-            countSQL = `SELECT COUNT(*) FROM quizzes`;
-            countParams = [];
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
         }
         
-        const result = await db.query(querySQL, queryParams);
-        const countResult = await db.query(countSQL, countParams);
+        recordAuditChange(req, 'admin', req.params.id,
+            { organization_ids: result.previousIds },
+            { organization_ids: result.organizationIds });
         
         res.json({
             success: true,
-            data: {
-                quizzes: result.rows,
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total: parseInt(countResult.rows[0].count),
-                    totalPages: Math.ceil(countResult.rows[0].count / limit)
-                }
-            }
+            message: 'Organisations updated',
+            data: { organizationIds: result.organizationIds }
         });
-        
     } catch (error) {
-        console.error('Get quizzes error:', error);
+        console.error('Change admin organisations error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to retrieve quizzes'
+            message: 'Failed to update organisations'
         });
     }
 });
 
-// Get single quiz details
-router.get('/quizzes/:id', authorizeAdmin(), async (req, res) => {
+// Email a link to choose a new password (or resend the invitation); the current password stops working
+router.post('/admins/:id/reset-password', authorizeAdmin('admins:manage'), logAdminAction('reset_admin_password', 'admin'), async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        const result = await db.query('SELECT * FROM quizzes WHERE id = $1', [id]);
+        const result = await adminUserService.resetPassword(req.params.id, req.user, { baseUrl: getBaseUrl(req), ip: req.ip });
         
-        if (result.rows.length === 0) {
+        if (!result) {
             return res.status(404).json({
                 success: false,
-                message: 'Quiz not found'
+                message: 'Admin not found'
+            });
+        }
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
             });
         }
         
+        const sent = result.invitation ? 'Invitation sent again' : 'Password reset link sent';
         res.json({
             success: true,
-            data: result.rows[0]
+            message: result.emailSent ? sent : 'The email could not be sent. Share the link with the admin directly',
+            data: result
         });
-        
     } catch (error) {
-        console.error('Get quiz error:', error);
+        console.error('Reset admin password error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to get quiz'
+            message: 'Failed to reset password'
         });
     }
 });
 
-// Create quiz
-router.post('/quizzes', authorizeAdmin(), logAdminAction('create_quiz'), async (req, res) => {
+router.delete('/admins/:id', authorizeAdmin('admins:manage'), logAdminAction('delete_admin', 'admin'), async (req, res) => {
     try {
-        const { 
-            title, 
-            description, 
-            start_date, 
-            start_time = '04:00:00', 
-            instruction_time_minutes = 5, 
-            quiz_time_minutes = 15, 
-            total_questions = 20,
-            is_active = false
-        } = req.body;
+        const result = await adminUserService.deleteAdmin(req.params.id, req.user);
         
-        if (!title || !start_date || !start_time) {
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+        if (result.error) {
             return res.status(400).json({
                 success: false,
-                message: 'Title, start date, and start time are required'
+                message: result.error
             });
         }
         
-        const result = await db.query(`
-            INSERT INTO quizzes (title, description, start_date, start_time, instruction_time_minutes, quiz_time_minutes, total_questions, is_active, created_by)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            RETURNING *
-        `, [title, description, start_date, start_time, instruction_time_minutes, quiz_time_minutes, total_questions, is_active, req.user.id]);
-        
         res.json({
             success: true,
-            message: 'Quiz created successfully',
-            data: result.rows[0]
+            message: `${result.admin.username} has been deleted`
         });
-        
     } catch (error) {
-        console.error('Create quiz error:', error);
+        console.error('Delete admin error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to create quiz'
+            message: 'Failed to delete admin'
         });
     }
 });
 
-// Update quiz
-router.put('/quizzes/:id', authorizeAdmin(), logAdminAction('edit_quiz'), async (req, res) => {
+// ===== ORGANISATION ENDPOINTS =====
+
+// Organisations the admin can see, with how many participants, quizzes, sessions and admins each has
+router.get('/organizations', authorizeAdmin(), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { 
-            title, 
-            description, 
-            start_date, 
-            start_time, 
-            instruction_time_minutes, 
-            quiz_time_minutes, 
-            total_questions,
-            is_active
-        } = req.body;
+        res.json({
+            success: true,
+            data: await organizationService.list(req.user.organizationIds)
+        });
+    } catch (error) {
+        console.error('Get organisations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get organisations'
+        });
+    }
+});
+
+router.post('/organizations', authorizeAdmin('organizations:manage'), logAdminAction('create_organization', 'organization'), async (req, res) => {
+    try {
+        const result = await organizationService.create(req.body);
         
-        if (!title || !start_date || !start_time) {
+        if (result.error) {
             return res.status(400).json({
                 success: false,
-                message: 'Title, start date, and start time are required'
+                message: result.error
             });
         }
         
-        const result = await db.query(`
-            UPDATE quizzes 
-            SET title = $1, description = $2, start_date = $3, start_time = $4, 
-                instruction_time_minutes = $5, quiz_time_minutes = $6, total_questions = $7, 
-                is_active = $8, updated_at = CURRENT_TIMESTAMP
-            WHERE id = $9
-            RETURNING *
-        `, [title, description, start_date, start_time, instruction_time_minutes, quiz_time_minutes, total_questions, is_active, id]);
+        setAuditEntity(req, result.organization.id);
         
-        if (result.rows.length === 0) {
+        res.status(201).json({
+            success: true,
+            message: `${result.organization.name} created`,
+            data: result.organization
+        });
+    } catch (error) {
+        console.error('Create organisation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create organisation'
+        });
+    }
+});
+
+// Rename or deactivate an organisation; an inactive organisation keeps its data but gets no new records
+router.put('/organizations/:id', authorizeAdmin('organizations:manage'), logAdminAction('edit_organization', 'organization'), async (req, res) => {
+    try {
+        const result = await organizationService.update(req.params.id, req.body);
+        
+        if (!result) {
             return res.status(404).json({
                 success: false,
-                message: 'Quiz not found'
+                message: 'Organisation not found'
+            });
+        }
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
             });
         }
         
+        recordAuditChange(req, 'organization', result.organization.id, result.before, result.organization, ['name', 'is_active']);
+        
         res.json({
             success: true,
-            message: 'Quiz updated successfully',
-            data: result.rows[0]
+            message: 'Organisation updated',
+            data: result.organization
         });
+    } catch (error) {
+        console.error('Update organisation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update organisation'
+        });
+    }
+});
+
+// ===== PARTICIPANT GROUP ENDPOINTS =====
+
+// Groups of participants (a department, a plant, an upload batch) that sessions can be limited to
+router.get('/participant-groups', authorizeAdmin('participants:view'), async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id);
         
+        res.json({
+            success: true,
+            data: await participantGroupService.list(req.user.organizationIds, isNaN(organizationId) ? null : organizationId)
+        });
     } catch (error) {
-        console.error('Update quiz error:', error);
+        console.error('Get participant groups error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update quiz'
+            message: 'Failed to get participant groups'
         });
     }
 });
 
-// Toggle quiz status
-router.patch('/quizzes/:id/toggle-status', authorizeAdmin(), logAdminAction('toggle_quiz_status'), async (req, res) => {
+router.post('/participant-groups', authorizeAdmin('participants:manage'), logAdminAction('create_participant_group', 'group'), async (req, res) => {
     try {
-        const { id } = req.params;
+        const organization = await organizationService.resolveForCreate(req.user.organizationIds, req.body.organization_id);
+        if (organization.error) {
+            return res.status(400).json({
+                success: false,
+                message: organization.error
+            });
+        }
         
-        const quizResult = await db.query(
-            'SELECT title, is_active FROM quizzes WHERE id = $1',
-            [id]
-        );
+        const result = await participantGroupService.create(req.body, organization.organizationId);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
         
-        if (quizResult.rows.length === 0) {
+        setAuditEntity(req, result.group.id);
+        
+        res.status(201).json({
+            success: true,
+            message: `Group ${result.group.name} created`,
+            data: result.group
+        });
+    } catch (error) {
+        console.error('Create participant group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create group'
+        });
+    }
+});
+
+router.put('/participant-groups/:id', authorizeAdmin('participants:manage'), authorizeOrganization('group'), logAdminAction('edit_participant_group', 'group'), async (req, res) => {
+    try {
+        const result = await participantGroupService.update(req.params.id, req.body);
+        
+        if (!result) {
             return res.status(404).json({
                 success: false,
-                message: 'Quiz not found'
+                message: 'Group not found'
+            });
+        }
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
             });
         }
         
-        const currentStatus = quizResult.rows[0].is_active;
-        const newStatus = !currentStatus;
-        const quizTitle = quizResult.rows[0].title;
-        
-        await db.query(
-            'UPDATE quizzes SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-            [newStatus, id]
-        );
+        recordAuditChange(req, 'group', req.params.id, result.before, result.group, ['name', 'description']);
         
         res.json({
             success: true,
-            message: `Quiz "${quizTitle}" ${newStatus ? 'activated' : 'deactivated'} successfully`,
-            data: {
-                quizId: id,
-                quizTitle: quizTitle,
-                isActive: newStatus
-            }
+            message: 'Group updated',
+            data: result.group
         });
-        
     } catch (error) {
-        console.error('Toggle quiz status error:', error);
+        console.error('Update participant group error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update quiz status'
+            message: 'Failed to update group'
         });
     }
 });
 
-// Delete quiz
-router.delete('/quizzes/:id', authorizeAdmin(), logAdminAction('delete_quiz'), async (req, res) => {
+router.delete('/participant-groups/:id', authorizeAdmin('participants:manage'), authorizeOrganization('group'), logAdminAction('delete_participant_group', 'group'), async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        const result = await db.query('DELETE FROM quizzes WHERE id = $1 RETURNING title', [id]);
+        const group = await participantGroupService.delete(req.params.id);
         
-        if (result.rows.length === 0) {
+        if (!group) {
             return res.status(404).json({
                 success: false,
-                message: 'Quiz not found'
+                message: 'Group not found'
             });
         }
         
         res.json({
             success: true,
-            message: `Quiz "${result.rows[0].title}" deleted successfully`
+            message: `Group ${group.name} deleted`
         });
-        
     } catch (error) {
-        console.error('Delete quiz error:', error);
+        console.error('Delete participant group error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to delete quiz'
+            message: 'Failed to delete group'
         });
     }
 });
 
-// Get questions for a quiz
-router.get('/quizzes/:quizId/questions', authorizeAdmin(), async (req, res) => {
+router.get('/participant-groups/:id/members', authorizeAdmin('participants:view'), authorizeOrganization('group'), async (req, res) => {
     try {
-        const { quizId } = req.params;
-        
-        const result = await db.query(`
-            SELECT * FROM questions 
-            WHERE quiz_id = $1 
-            ORDER BY question_order ASC
-        `, [quizId]);
+        res.json({
+            success: true,
+            data: await participantGroupService.getMembers(req.params.id)
+        });
+    } catch (error) {
+        console.error('Get participant group members error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get group members'
+        });
+    }
+});
+
+// participantIds are added to the group; participants already in it are left as they are
+router.post('/participant-groups/:id/members', authorizeAdmin('participants:manage'), authorizeOrganization('group'), logAdminAction('add_group_members', 'group'), async (req, res) => {
+    try {
+        const result = await participantGroupService.addMembers(req.params.id, req.body.participantIds);
+        
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: `${result.added} participant(s) added to the group`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Add participant group members error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add participants to the group'
+        });
+    }
+});
+
+router.post('/participant-groups/:id/members/remove', authorizeAdmin('participants:manage'), authorizeOrganization('group'), logAdminAction('remove_group_members', 'group'), async (req, res) => {
+    try {
+        const result = await participantGroupService.removeMembers(req.params.id, req.body.participantIds);
+        
+        res.json({
+            success: true,
+            message: `${result.removed} participant(s) removed from the group`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Remove participant group members error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove participants from the group'
+        });
+    }
+});
+
+// ===== AUDIT LOG ENDPOINTS =====
+
+// Admin actions, filtered by admin, action, entity, outcome and date range (from/to as YYYY-MM-DD)
+router.get('/audit-log', authorizeAdmin('audit:view'), async (req, res) => {
+    try {
+        const result = await auditLogService.list(req.query);
+        
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load audit log'
+        });
+    }
+});
+
+// Values for the audit log filters
+router.get('/audit-log/filters', authorizeAdmin('audit:view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await auditLogService.getFilterOptions()
+        });
+    } catch (error) {
+        console.error('Get audit log filters error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load audit log filters'
+        });
+    }
+});
+
+// Check the hash chain: reports the first entry that was changed or removed after it was written
+router.get('/audit-log/verify', authorizeAdmin('audit:view'), logAdminAction('verify_audit_log'), async (req, res) => {
+    try {
+        const result = await auditLogService.verifyChain();
+        
+        res.json({
+            success: true,
+            message: result.valid
+                ? `All ${result.checked} chained entries are intact`
+                : `The audit log was tampered with at entry ${result.brokenAt.id}: ${result.brokenAt.reason}`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Verify audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify audit log'
+        });
+    }
+});
+
+// Download the filtered audit log as CSV (the export itself is logged)
+router.get('/audit-log/export', authorizeAdmin('audit:view'), logAdminAction('export_audit_log'), async (req, res) => {
+    try {
+        const result = await auditLogService.exportCsv(req.query);
+        
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+        
+        const filename = `admin_audit_log_${new Date().toISOString().split('T')[0]}.csv`;
+        
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('X-Export-Truncated', result.truncated ? 'true' : 'false');
+        res.send(result.csv);
+    } catch (error) {
+        console.error('Export audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export audit log'
+        });
+    }
+});
+
+// dry_run=true compares the file with existing participants and returns the diff without writing anything;
+// sync=true also deactivates active participants that are missing from the file;
+// participants go into organization_id, or into the session's organisation when sessionId is given;
+// group names a group of that organisation (created if needed) that every valid row of the file is added to;
+// default_country is used for mobile numbers without a country code (a Country column overrides it per row);
+// credential_mode and force_password_change control the passwords of participants that get new credentials
+router.post('/participants/upload', authorizeAdmin('participants:manage'), upload.single('participantFile'), logAdminAction('upload_participants', 'participant'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+        
+        const { sessionId } = req.body;
+        const dryRun = req.body.dry_run === 'true' || req.body.dry_run === true;
+        const sync = req.body.sync === 'true' || req.body.sync === true;
+        const defaultCountry = req.body.default_country ? normalizeCountry(req.body.default_country) : getDefaultCountry();
+        const credentialOptions = getCredentialOptions(req.body);
+        const filePath = req.file.path;
+        const fileExt = path.extname(req.file.originalname).toLowerCase();
+        
+        if (!defaultCountry) {
+            fs.unlinkSync(filePath);
+            return res.status(400).json({
+                success: false,
+                message: `Unsupported default country: ${req.body.default_country}`
+            });
+        }
+        
+        if (!credentialOptions) {
+            fs.unlinkSync(filePath);
+            return res.status(400).json({
+                success: false,
+                message: `Invalid credential mode. Must be one of: ${CREDENTIAL_MODES.join(', ')}`
+            });
+        }
+        
+        // Generated passwords are only shown once, to the admin who uploads, and cannot be rebuilt afterwards
+        if (credentialOptions.mode !== 'mobile' && !hasPermission(req.user.role, 'credentials:manage')) {
+            fs.unlinkSync(filePath);
+            return res.status(403).json({
+                success: false,
+                message: 'Random passwords and passphrases can only be issued by admins who manage credentials. Choose mobile number passwords or ask a credential manager to upload the file'
+            });
+        }
+        
+        // Participants go into the session's organisation, or the one chosen for the upload
+        let organization;
+        if (sessionId) {
+            const sessionResult = await db.query('SELECT organization_id FROM quiz_sessions WHERE id = $1', [sessionId]);
+            if (sessionResult.rows.length === 0 || !isInScope(req.user.organizationIds, sessionResult.rows[0].organization_id)) {
+                fs.unlinkSync(filePath);
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found'
+                });
+            }
+            organization = { organizationId: sessionResult.rows[0].organization_id };
+        } else {
+            organization = await organizationService.resolveForCreate(req.user.organizationIds, req.body.organization_id);
+        }
+        
+        if (organization.error) {
+            fs.unlinkSync(filePath);
+            return res.status(400).json({
+                success: false,
+                message: organization.error
+            });
+        }
+        const { organizationId } = organization;
+        
+        const groupName = String(req.body.group || '').trim();
+        if (groupName) {
+            const validated = participantGroupService.validate({ name: groupName });
+            if (validated.error) {
+                fs.unlinkSync(filePath);
+                return res.status(400).json({
+                    success: false,
+                    message: validated.error
+                });
+            }
+        }
+        
+        let participantsData = [];
+        
+        // Parse file based on type
+        if (fileExt === '.csv') {
+            // Parse CSV
+            const csvData = fs.readFileSync(filePath, 'utf8');
+            participantsData = await participantService.parseParticipantData(csvData, 'csv', { defaultCountry });
+        } else if (fileExt === '.xlsx' || fileExt === '.xls') {
+            // Parse Excel
+            const workbook = XLSX.readFile(filePath);
+            const sheetName = workbook.SheetNames[0];
+            const worksheet = workbook.Sheets[sheetName];
+            const jsonData = XLSX.utils.sheet_to_json(worksheet);
+            participantsData = await participantService.parseParticipantData(jsonData, 'excel', { defaultCountry });
+        }
+        
+        // Clean up uploaded file
+        fs.unlinkSync(filePath);
+        
+        const diff = await participantService.diffParticipants(participantsData, organizationId);
+        const summary = {
+            total: participantsData.length,
+            new: diff.new.length,
+            changed: diff.changed.length,
+            unchanged: diff.unchanged.length,
+            invalid: diff.invalid.length,
+            missing: diff.missing.length
+        };
+        
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: `Checked ${summary.total} rows: ${summary.new} new, ${summary.changed} changed, ${summary.unchanged} unchanged, ${summary.invalid} invalid`,
+                data: { summary, sync, organizationId, ...diff }
+            });
+        }
+        
+        // An empty or unreadable file would otherwise deactivate everyone
+        if (sync && diff.new.length + diff.changed.length + diff.unchanged.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'The file has no valid participants. Sync was not applied - nothing was changed',
+                data: { summary, sync, ...diff }
+            });
+        }
+        
+        let groupId = null;
+        if (groupName) {
+            groupId = (await participantGroupService.findOrCreate(organizationId, groupName)).groupId;
+        }
+        
+        const results = await participantService.applyParticipantDiff(diff, { organizationId, sessionId, groupId, sync, credentialOptions });
+        
+        // Mobile-number passwords are only shown to admins who may hand out credentials (get-credentials rebuilds them)
+        if (!hasPermission(req.user.role, 'credentials:manage')) {
+            results.success.forEach(row => {
+                if (row.credentials) row.credentials = { ...row.credentials, password: null };
+            });
+            results.credentials = results.credentials.map(cred => ({ ...cred, password: null }));
+        }
+        
+        // Invalid rows are skipped and reported next to the rows that failed to save
+        diff.invalid.forEach(row => {
+            results.errors.push({ participant: row, error: `Row ${row.row}: ${row.error}` });
+        });
+        
+        res.json({
+            success: true,
+            message: `Processed ${participantsData.length} participants`,
+            data: {
+                totalProcessed: participantsData.length,
+                successful: results.success.length,
+                failed: results.errors.length,
+                unchanged: diff.unchanged.length,
+                deactivated: results.deactivated,
+                credentialMode: credentialOptions.mode,
+                organizationId,
+                groupId,
+                summary,
+                results: results
+            }
+        });
+        
+    } catch (error) {
+        console.error('Upload participants error:', error);
+        
+        // Clean up file on error
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload participants',
+            error: error.message
+        });
+    }
+});
+
+// Get credentials for manual distribution
+router.post('/participants/get-credentials', authorizeAdmin('credentials:manage'), logAdminAction('get_credentials', 'participant'), async (req, res) => {
+    try {
+        const { participantIds } = req.body;
+        
+        if (!participantIds || !Array.isArray(participantIds)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Participant IDs array is required'
+            });
+        }
+        
+        if (await rejectOutsideScope(req, res, 'participant', participantIds)) {
+            return;
+        }
+        
+        const credentials = await participantService.getCredentialsForDisplay(participantIds);
+        
+        res.json({
+            success: true,
+            message: 'Credentials retrieved successfully',
+            data: credentials
+        });
+        
+    } catch (error) {
+        console.error('Get credentials error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get credentials'
+        });
+    }
+});
+
+// Reset participant password
+router.post('/participants/reset-password', authorizeAdmin('credentials:manage'), logAdminAction('reset_password', 'participant'), async (req, res) => {
+    try {
+        const { participantId } = req.body;
+        const credentialOptions = getCredentialOptions(req.body);
+        
+        if (!participantId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Participant ID is required'
+            });
+        }
+        
+        if (!credentialOptions) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid credential mode. Must be one of: ${CREDENTIAL_MODES.join(', ')}`
+            });
+        }
+        
+        if (await rejectOutsideScope(req, res, 'participant', [participantId])) {
+            return;
+        }
+        
+        const result = await participantService.resetParticipantPassword(participantId, credentialOptions);
+        
+        res.json({
+            success: true,
+            message: 'Password reset successfully',
+            data: {
+                participantId: participantId,
+                newPassword: result.newPassword,
+                mustChangePassword: result.mustChangePassword
+            }
+        });
+        
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to reset password'
+        });
+    }
+});
+
+// Get participant details
+router.get('/participants/:id', authorizeAdmin('participants:view'), authorizeOrganization('participant'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const result = await db.query(`
+            SELECT p.*, uc.is_active, o.name as organization_name
+            FROM participants p
+            LEFT JOIN user_credentials uc ON p.id = uc.participant_id
+            JOIN organizations o ON p.organization_id = o.id
+            WHERE p.id = $1
+        `, [id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Participant not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Get participant error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get participant'
+        });
+    }
+});
+
+// Update participant information; organization_id moves the participant to another of the admin's organisations
+router.put('/participants/:id', authorizeAdmin('participants:manage'), authorizeOrganization('participant'), logAdminAction('edit_participant', 'participant'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, email, company, designation, mobile, country, organization_id } = req.body;
+        
+        if (!name || !email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name and email are required'
+            });
+        }
+        
+        const previous = await db.query('SELECT * FROM participants WHERE id = $1', [id]);
+        
+        if (previous.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Participant not found'
+            });
+        }
+        
+        let organizationId = previous.rows[0].organization_id;
+        if (organization_id !== undefined && parseInt(organization_id) !== organizationId) {
+            const organization = await organizationService.resolveForCreate(req.user.organizationIds, organization_id);
+            if (organization.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: organization.error
+                });
+            }
+            organizationId = organization.organizationId;
+        }
+        
+        // Check if email is already used by another participant
+        const existingResult = await db.query(
+            'SELECT id FROM participants WHERE email = $1 AND id != $2',
+            [email, id]
+        );
+        
+        if (existingResult.rows.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already used by another participant'
+            });
+        }
+        
+        // Clean mobile number if provided; numbers without a country code use the given or default country
+        let cleanedMobile = mobile;
+        if (mobile) {
+            const mobileCountry = country ? normalizeCountry(country) : getDefaultCountry();
+            if (!mobileCountry) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unsupported country: ${country}`
+                });
+            }
+            
+            try {
+                cleanedMobile = participantService.cleanMobileNumber(mobile, mobileCountry);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        }
+        
+        // Update participant
+        const result = await db.query(`
+            UPDATE participants 
+            SET name = $1, email = $2, company = $3, designation = $4, mobile = $5, organization_id = $6, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $7
+            RETURNING *
+        `, [name, email, company, designation, cleanedMobile, organizationId, id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Participant not found'
+            });
+        }
+        
+        recordAuditChange(req, 'participant', id, previous.rows[0], result.rows[0]);
+        
+        if (organizationId !== previous.rows[0].organization_id) {
+            await participantGroupService.removeFromOtherOrganizations(id, organizationId);
+        }
+        
+        // Update username if email changed
+        await db.query(
+            'UPDATE user_credentials SET username = $1 WHERE participant_id = $2',
+            [email.toLowerCase().trim(), id]
+        );
+        
+        // Update password if mobile changed (only when the password is the mobile number)
+        if (mobile && cleanedMobile) {
+            const newPassword = participantService.generatePassword(cleanedMobile);
+            const passwordHash = await require('bcryptjs').hash(newPassword, 10);
+            await db.query(
+                'UPDATE user_credentials SET password_hash = $1 WHERE participant_id = $2 AND credential_type = $3',
+                [passwordHash, id, 'mobile']
+            );
+        }
+        
+        res.json({
+            success: true,
+            message: 'Participant updated successfully',
+            data: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Update participant error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update participant'
+        });
+    }
+});
+
+// Toggle participant activation status
+router.patch('/participants/:id/toggle-status', authorizeAdmin('participants:manage'), authorizeOrganization('participant'), logAdminAction('toggle_participant_status', 'participant'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Get current status
+        const participantResult = await db.query(
+            'SELECT p.name, uc.is_active FROM participants p JOIN user_credentials uc ON p.id = uc.participant_id WHERE p.id = $1',
+            [id]
+        );
+        
+        if (participantResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Participant not found'
+            });
+        }
+        
+        const currentStatus = participantResult.rows[0].is_active;
+        const newStatus = !currentStatus;
+        const participantName = participantResult.rows[0].name;
+        
+        // Update status
+        await db.query(
+            'UPDATE user_credentials SET is_active = $1 WHERE participant_id = $2',
+            [newStatus, id]
+        );
+        recordAuditChange(req, 'participant', id, { is_active: currentStatus }, { is_active: newStatus });
+        
+        res.json({
+            success: true,
+            message: `Participant ${newStatus ? 'activated' : 'deactivated'} successfully`,
+            data: {
+                participantId: id,
+                participantName: participantName,
+                isActive: newStatus
+            }
+        });
+        
+    } catch (error) {
+        console.error('Toggle participant status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update participant status'
+        });
+    }
+});
+
+// Send credentials to participants
+router.post('/participants/send-credentials', authorizeAdmin('credentials:manage'), logAdminAction('send_credentials', 'participant'), async (req, res) => {
+    try {
+        const { participantIds, method = 'email' } = req.body;
+        
+        if (!participantIds || !Array.isArray(participantIds)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Participant IDs array is required'
+            });
+        }
+        
+        if (await rejectOutsideScope(req, res, 'participant', participantIds)) {
+            return;
+        }
+        
+        // Get participant credentials
+        const credentialsResult = await db.query(`
+            SELECT p.id as participant_id, p.name, p.email, p.mobile, uc.username, uc.password_hash
+            FROM participants p
+            JOIN user_credentials uc ON p.id = uc.participant_id
+            WHERE p.id = ANY($1) AND uc.is_active = true
+        `, [participantIds]);
+        
+        if (credentialsResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No valid participants found'
+            });
+        }
+        
+        const credentialOptions = getCredentialOptions(req.body);
+        if (!credentialOptions) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid credential mode. Must be one of: ${CREDENTIAL_MODES.join(', ')}`
+            });
+        }
+        
+        // For security, we can't retrieve original passwords, so we need to generate new ones
+        const credentialsList = [];
+        
+        for (const participant of credentialsResult.rows) {
+            // Generate new password and update
+            const { newPassword } = await participantService.resetParticipantPassword(participant.participant_id, credentialOptions);
+            
+            credentialsList.push({
+                participantId: participant.participant_id,
+                name: participant.name,
+                email: participant.email,
+                mobile: participant.mobile,
+                username: participant.username,
+                password: newPassword
+            });
+        }
+        
+        // Send credentials
+        const sendResults = await participantService.sendCredentials(credentialsList, method);
+        
+        res.json({
+            success: true,
+            message: `Credentials sent via ${method}`,
+            data: {
+                sent: sendResults.sent.length,
+                failed: sendResults.failed.length,
+                details: sendResults
+            }
+        });
+        
+    } catch (error) {
+        console.error('Send credentials error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send credentials'
+        });
+    }
+});
+
+// Get participants list (organization_id narrows it to one of the admin's organisations)
+router.get('/participants', authorizeAdmin('participants:view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 50, search = '', organization_id } = req.query;
+        const offset = (page - 1) * limit;
+        
+        const countParams = [];
+        const conditions = [scopeCondition(req.user.organizationIds, 'p.organization_id', countParams)];
+        
+        if (organization_id && !isNaN(parseInt(organization_id))) {
+            countParams.push(parseInt(organization_id));
+            conditions.push(`p.organization_id = $${countParams.length}`);
+        }
+        
+        if (search && search.trim()) {
+            countParams.push(`%${search.trim()}%`);
+            const term = `$${countParams.length}`;
+            conditions.push(`(p.name ILIKE ${term} OR p.email ILIKE ${term} OR p.company ILIKE ${term} OR p.designation ILIKE ${term})`);
+        }
+        
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+        const querySQL = `
+            SELECT p.*, uc.username, uc.is_active, uc.last_login, o.name as organization_name
+            FROM participants p
+            LEFT JOIN user_credentials uc ON p.id = uc.participant_id
+            JOIN organizations o ON p.organization_id = o.id
+            ${whereClause}
+            ORDER BY p.created_at DESC
+            LIMIT $${countParams.length + 1} OFFSET $${countParams.length + 2}
+        `;
+        const queryParams = [...countParams, parseInt(limit), parseInt(offset)];
+        const countSQL = `SELECT COUNT(*) FROM participants p ${whereClause}`;
+        
+        const result = await db.query(querySQL, queryParams);
+        const countResult = await db.query(countSQL, countParams);
+        
+        res.json({
+            success: true,
+            data: {
+                participants: result.rows,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: parseInt(countResult.rows[0].count),
+                    totalPages: Math.ceil(countResult.rows[0].count / limit)
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get participants error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve participants'
+        });
+    }
+});
+
+// ==================== QUIZ MANAGEMENT ENDPOINTS ====================
+
+// Get all quizzes in the admin's organisations with search and pagination
+router.get('/quizzes', authorizeAdmin('quizzes:view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, search = '', organization_id } = req.query;
+        const offset = (page - 1) * limit;
+        
+        const countParams = [];
+        const conditions = [scopeCondition(req.user.organizationIds, 'q.organization_id', countParams)];
+        
+        if (organization_id && !isNaN(parseInt(organization_id))) {
+            countParams.push(parseInt(organization_id));
+            conditions.push(`q.organization_id = $${countParams.length}`);
+        }
+        
+        if (search && search.trim()) {
+            countParams.push(`%${search.trim()}%`);
+            conditions.push(`(q.title ILIKE $${countParams.length} OR q.description ILIKE $${countParams.length})`);
+        }
+        
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+        const querySQL = `
+            SELECT q.*, o.name as organization_name
+            FROM quizzes q
+            JOIN organizations o ON q.organization_id = o.id
+            ${whereClause}
+            ORDER BY q.created_at DESC
+            LIMIT $${countParams.length + 1} OFFSET $${countParams.length + 2}
+        `;
+        const queryParams = [...countParams, parseInt(limit), parseInt(offset)];
+        const countSQL = `SELECT COUNT(*) FROM quizzes q ${whereClause}`;
+        
+        const result = await db.query(querySQL, queryParams);
+        const countResult = await db.query(countSQL, countParams);
+        
+        res.json({
+            success: true,
+            data: {
+                quizzes: result.rows,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: parseInt(countResult.rows[0].count),
+                    totalPages: Math.ceil(countResult.rows[0].count / limit)
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get quizzes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve quizzes'
+        });
+    }
+});
+
+// Get single quiz details
+router.get('/quizzes/:id', authorizeAdmin('quizzes:view'), authorizeOrganization('quiz'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const result = await db.query('SELECT * FROM quizzes WHERE id = $1', [id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Get quiz error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get quiz'
+        });
+    }
+});
+
+// Export a quiz with its settings and questions (?format=json|moodle|gift)
+router.get('/quizzes/:id/export', authorizeAdmin('quizzes:view'), authorizeOrganization('quiz'), logAdminAction('export_quiz', 'quiz'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const format = detectQuizFormat(req.query.format || 'json');
+        
+        if (!format) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown export format. Use one of: ${Object.keys(QUIZ_FORMATS).join(', ')}`
+            });
+        }
+        
+        const quizResult = await db.query('SELECT * FROM quizzes WHERE id = $1', [id]);
+        
+        if (quizResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+        
+        const questionsResult = await db.query(`
+            SELECT q.*
+            FROM quiz_questions qq
+            JOIN questions q ON qq.question_id = q.id
+            WHERE qq.quiz_id = $1
+            ORDER BY qq.question_order ASC
+        `, [id]);
+        
+        const quiz = quizResult.rows[0];
+        const fileName = `${quiz.title.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '') || 'quiz'}_${id}${QUIZ_FORMATS[format].extension}`;
+        
+        res.setHeader('Content-Type', `${QUIZ_FORMATS[format].contentType}; charset=utf-8`);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(exportQuiz(format, quiz, questionsResult.rows));
+        
+    } catch (error) {
+        console.error('Export quiz error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export quiz'
+        });
+    }
+});
+
+// Import a quiz file as a new, inactive quiz in organization_id (questions are added to that organisation's bank)
+router.post('/quizzes/import', authorizeAdmin('quizzes:edit'), quizFileUpload.single('quizFile'), logAdminAction('import_quiz', 'quiz'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+        
+        const format = detectQuizFormat(req.body.format, req.file.originalname);
+        const fileContent = fs.readFileSync(req.file.path, 'utf8');
+        fs.unlinkSync(req.file.path);
+        
+        let imported;
+        let drawRules;
+        try {
+            imported = parseQuizFile(format, fileContent);
+            drawRules = normalizeDrawRules(imported.settings.draw_rules);
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+        
+        const settings = imported.settings;
+        const title = (req.body.title || settings.title || path.basename(req.file.originalname, path.extname(req.file.originalname))).trim();
+        const negativeMarking = settings.negative_marking || 0;
+        const speedBonusWindowSeconds = settings.speed_bonus_window_seconds || 30;
+        
+        if (!isValidNegativeMarking(negativeMarking)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Negative marking must be a number between 0 and 1'
+            });
+        }
+        
+        if (!(parseInt(speedBonusWindowSeconds) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Speed bonus window must be a positive number of seconds'
+            });
+        }
+        
+        if (drawRules) {
+            const problems = checkDrawRules(imported.questions, drawRules);
+            if (problems.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Not enough questions for the draw rules: ${problems.join('; ')}`
+                });
+            }
+        }
+        
+        const organization = await organizationService.resolveForCreate(req.user.organizationIds, req.body.organization_id);
+        if (organization.error) {
+            return res.status(400).json({
+                success: false,
+                message: organization.error
+            });
+        }
+        
+        const client = await db.getClient();
+        try {
+            await client.query('BEGIN');
+            
+            const quizResult = await client.query(`
+                INSERT INTO quizzes (title, description, start_date, start_time, instruction_time_minutes, quiz_time_minutes, total_questions, negative_marking, partial_credit, speed_bonus_enabled, speed_bonus_window_seconds, draw_rules, shuffle_questions, shuffle_options, is_active, created_by, organization_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, false, $15, $16)
+                RETURNING *
+            `, [
+                title,
+                settings.description || null,
+                req.body.start_date || formatInTimezone(new Date(), 'YYYY-MM-DD'),
+                req.body.start_time || '04:00:00',
+                parseInt(settings.instruction_time_minutes) || 5,
+                parseInt(settings.quiz_time_minutes) || 15,
+                imported.questions.length,
+                negativeMarking,
+                !!settings.partial_credit,
+                !!settings.speed_bonus_enabled,
+                parseInt(speedBonusWindowSeconds),
+                drawRules ? JSON.stringify(drawRules) : null,
+                settings.shuffle_questions !== undefined ? !!settings.shuffle_questions : true,
+                !!settings.shuffle_options,
+                req.user.id,
+                organization.organizationId
+            ]);
+            const quiz = quizResult.rows[0];
+            
+            const questionIds = [];
+            for (const question of imported.questions) {
+                questionIds.push(await insertQuestion(client, question, quiz.organization_id));
+            }
+            await setQuizQuestions(client, quiz.id, questionIds);
+            
+            await client.query('COMMIT');
+            setAuditEntity(req, quiz.id);
+            
+            res.json({
+                success: true,
+                message: `Imported "${quiz.title}" with ${questionIds.length} questions${imported.skipped.length > 0 ? ` (${imported.skipped.length} skipped)` : ''}`,
+                data: {
+                    quiz,
+                    questionsCount: questionIds.length,
+                    skipped: imported.skipped
+                }
+            });
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+    } catch (error) {
+        console.error('Import quiz error:', error);
+        
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import quiz'
+        });
+    }
+});
+
+// Create quiz (in organization_id, which can be left out by admins with a single organisation)
+router.post('/quizzes', authorizeAdmin('quizzes:edit'), logAdminAction('create_quiz', 'quiz'), async (req, res) => {
+    try {
+        const { 
+            title, 
+            description, 
+            start_date, 
+            start_time = '04:00:00', 
+            instruction_time_minutes = 5, 
+            quiz_time_minutes = 15, 
+            total_questions = 20,
+            negative_marking = 0,
+            partial_credit = false,
+            speed_bonus_enabled = false,
+            speed_bonus_window_seconds = 30,
+            draw_rules = null,
+            shuffle_questions = true,
+            shuffle_options = false,
+            is_active = false
+        } = req.body;
+        
+        if (!title || !start_date || !start_time) {
+            return res.status(400).json({
+                success: false,
+                message: 'Title, start date, and start time are required'
+            });
+        }
+        
+        if (!isValidNegativeMarking(negative_marking)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Negative marking must be a number between 0 and 1'
+            });
+        }
+        
+        if (!(parseInt(speed_bonus_window_seconds) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Speed bonus window must be a positive number of seconds'
+            });
+        }
+        
+        let drawRules;
+        try {
+            drawRules = normalizeDrawRules(draw_rules);
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+        
+        const organization = await organizationService.resolveForCreate(req.user.organizationIds, req.body.organization_id);
+        if (organization.error) {
+            return res.status(400).json({
+                success: false,
+                message: organization.error
+            });
+        }
+        
+        const result = await db.query(`
+            INSERT INTO quizzes (title, description, start_date, start_time, instruction_time_minutes, quiz_time_minutes, total_questions, negative_marking, partial_credit, speed_bonus_enabled, speed_bonus_window_seconds, draw_rules, shuffle_questions, shuffle_options, is_active, created_by, organization_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+            RETURNING *
+        `, [title, description, start_date, start_time, instruction_time_minutes, quiz_time_minutes, total_questions, negative_marking || 0, !!partial_credit, !!speed_bonus_enabled, parseInt(speed_bonus_window_seconds), drawRules ? JSON.stringify(drawRules) : null, !!shuffle_questions, !!shuffle_options, is_active, req.user.id, organization.organizationId]);
+        
+        setAuditEntity(req, result.rows[0].id);
+        
+        res.json({
+            success: true,
+            message: 'Quiz created successfully',
+            data: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Create quiz error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create quiz'
+        });
+    }
+});
+
+// Update quiz
+router.put('/quizzes/:id', authorizeAdmin('quizzes:edit'), authorizeOrganization('quiz'), logAdminAction('edit_quiz', 'quiz'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { 
+            title, 
+            description, 
+            start_date, 
+            start_time, 
+            instruction_time_minutes, 
+            quiz_time_minutes, 
+            total_questions,
+            negative_marking = 0,
+            partial_credit = false,
+            speed_bonus_enabled = false,
+            speed_bonus_window_seconds = 30,
+            draw_rules = null,
+            shuffle_questions = true,
+            shuffle_options = false,
+            is_active
+        } = req.body;
+        
+        if (!title || !start_date || !start_time) {
+            return res.status(400).json({
+                success: false,
+                message: 'Title, start date, and start time are required'
+            });
+        }
+        
+        if (!isValidNegativeMarking(negative_marking)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Negative marking must be a number between 0 and 1'
+            });
+        }
+        
+        if (!(parseInt(speed_bonus_window_seconds) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Speed bonus window must be a positive number of seconds'
+            });
+        }
+        
+        let drawRules;
+        try {
+            drawRules = normalizeDrawRules(draw_rules);
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+        
+        // Every participant must be able to get a full draw from the current question pool
+        if (drawRules) {
+            const poolResult = await db.query(`
+                SELECT q.id, q.difficulty, q.category, q.tags
+                FROM quiz_questions qq
+                JOIN questions q ON qq.question_id = q.id
+                WHERE qq.quiz_id = $1
+            `, [id]);
+            
+            const problems = checkDrawRules(poolResult.rows, drawRules);
+            if (problems.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Not enough questions for the draw rules: ${problems.join('; ')}`
+                });
+            }
+        }
+        
+        const previous = await db.query('SELECT * FROM quizzes WHERE id = $1', [id]);
+        
+        const result = await db.query(`
+            UPDATE quizzes 
+            SET title = $1, description = $2, start_date = $3, start_time = $4, 
+                instruction_time_minutes = $5, quiz_time_minutes = $6, total_questions = $7, 
+                negative_marking = $8, partial_credit = $9,
+                speed_bonus_enabled = $10, speed_bonus_window_seconds = $11,
+                draw_rules = $12, shuffle_questions = $13, shuffle_options = $14,
+                is_active = $15, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $16
+            RETURNING *
+        `, [title, description, start_date, start_time, instruction_time_minutes, quiz_time_minutes, total_questions, negative_marking || 0, !!partial_credit, !!speed_bonus_enabled, parseInt(speed_bonus_window_seconds), drawRules ? JSON.stringify(drawRules) : null, !!shuffle_questions, !!shuffle_options, is_active, id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+        
+        recordAuditChange(req, 'quiz', id, previous.rows[0], result.rows[0]);
+        
+        res.json({
+            success: true,
+            message: 'Quiz updated successfully',
+            data: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Update quiz error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update quiz'
+        });
+    }
+});
+
+// Toggle quiz status
+router.patch('/quizzes/:id/toggle-status', authorizeAdmin('quizzes:edit'), authorizeOrganization('quiz'), logAdminAction('toggle_quiz_status', 'quiz'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const quizResult = await db.query(
+            'SELECT title, is_active FROM quizzes WHERE id = $1',
+            [id]
+        );
+        
+        if (quizResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+        
+        const currentStatus = quizResult.rows[0].is_active;
+        const newStatus = !currentStatus;
+        const quizTitle = quizResult.rows[0].title;
+        
+        await db.query(
+            'UPDATE quizzes SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [newStatus, id]
+        );
+        recordAuditChange(req, 'quiz', id, { is_active: currentStatus }, { is_active: newStatus });
+        
+        res.json({
+            success: true,
+            message: `Quiz "${quizTitle}" ${newStatus ? 'activated' : 'deactivated'} successfully`,
+            data: {
+                quizId: id,
+                quizTitle: quizTitle,
+                isActive: newStatus
+            }
+        });
+        
+    } catch (error) {
+        console.error('Toggle quiz status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update quiz status'
+        });
+    }
+});
+
+// Delete quiz
+router.delete('/quizzes/:id', authorizeAdmin('quizzes:edit'), authorizeOrganization('quiz'), logAdminAction('delete_quiz', 'quiz'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const result = await db.query('DELETE FROM quizzes WHERE id = $1 RETURNING title', [id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: `Quiz "${result.rows[0].title}" deleted successfully`
+        });
+        
+    } catch (error) {
+        console.error('Delete quiz error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete quiz'
+        });
+    }
+});
+
+// Get questions for a quiz
+router.get('/quizzes/:quizId/questions', authorizeAdmin('quizzes:view'), authorizeOrganization('quiz', 'quizId'), async (req, res) => {
+    try {
+        const { quizId } = req.params;
+        
+        const result = await db.query(`
+            SELECT q.*, qq.question_order
+            FROM quiz_questions qq
+            JOIN questions q ON qq.question_id = q.id
+            WHERE qq.quiz_id = $1 
+            ORDER BY qq.question_order ASC
+        `, [quizId]);
+        
+        res.json({
+            success: true,
+            data: result.rows
+        });
+        
+    } catch (error) {
+        console.error('Get quiz questions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get quiz questions'
+        });
+    }
+});
+
+// Create or update multiple questions for a quiz
+router.post('/quizzes/:quizId/questions', authorizeAdmin('quizzes:edit'), authorizeOrganization('quiz', 'quizId'), logAdminAction('manage_questions', 'quiz'), async (req, res) => {
+    try {
+        const { quizId } = req.params;
+        const { questions } = req.body;
+        
+        if (!Array.isArray(questions)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Questions must be an array'
+            });
+        }
+        
+        const quizResult = await db.query('SELECT organization_id FROM quizzes WHERE id = $1', [quizId]);
+        if (quizResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+        const organizationId = quizResult.rows[0].organization_id;
+        
+        const client = await db.getClient();
+        try {
+            await client.query('BEGIN');
+            
+            // Current versions, so the audit log shows what each save changed (e.g. an answer key)
+            // Questions of other organisations are not edited; their IDs are saved as new questions
+            const previousResult = await client.query(
+                'SELECT * FROM questions WHERE id = ANY($1::int[]) AND organization_id = $2',
+                [questions.map(question => parseInt(question.id)).filter(Boolean), organizationId]
+            );
+            const linkedResult = await client.query(
+                'SELECT question_id FROM quiz_questions WHERE quiz_id = $1 ORDER BY question_order',
+                [quizId]
+            );
+            
+            // Update bank questions that already exist and add new ones to the bank
+            const questionIds = [];
+            for (let i = 0; i < questions.length; i++) {
+                let question;
+                try {
+                    question = normalizeBankQuestion(questions[i]);
+                } catch (validationError) {
+                    throw new Error(`Question ${i + 1}: ${validationError.message}`);
+                }
+                
+                const existingId = parseInt(questions[i].id);
+                let previous = previousResult.rows.find(row => row.id === existingId);
+                
+                // An answered question keeps its key for past results; a changed key is saved as a new question
+                if (previous && changesAnswerKey(previous, question) && await isQuestionAnswered(client, existingId)) {
+                    previous = null;
+                }
+                
+                if (previous && await updateQuestion(client, existingId, question)) {
+                    questionIds.push(existingId);
+                    recordAuditChange(req, 'question', existingId, previous, question, Object.keys(question));
+                } else {
+                    const newId = await insertQuestion(client, question, organizationId);
+                    questionIds.push(newId);
+                    recordAuditChange(req, 'question', newId, null, question);
+                }
+            }
+            
+            // Link the questions to the quiz in editor order (removed ones stay in the bank)
+            await setQuizQuestions(client, quizId, questionIds);
+            recordAuditChange(req, 'quiz', quizId,
+                { question_ids: linkedResult.rows.map(row => row.question_id) },
+                { question_ids: questionIds });
+            
+            await client.query('COMMIT');
+            
+            res.json({
+                success: true,
+                message: `Successfully saved ${questions.length} questions`
+            });
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+    } catch (error) {
+        console.error('Save quiz questions error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to save quiz questions'
+        });
+    }
+});
+
+// Remove a question from a quiz (the question stays in the bank)
+router.delete('/quizzes/:quizId/questions/:questionId', authorizeAdmin('quizzes:edit'), authorizeOrganization('quiz', 'quizId'), logAdminAction('delete_question', 'question'), async (req, res) => {
+    try {
+        const { quizId, questionId } = req.params;
+        
+        const result = await db.query(
+            'DELETE FROM quiz_questions WHERE question_id = $1 AND quiz_id = $2 RETURNING *',
+            [questionId, quizId]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question not found'
+            });
+        }
+        
+        await updateQuizQuestionCount(db, quizId);
+        
+        res.json({
+            success: true,
+            message: 'Question removed from quiz successfully'
+        });
+        
+    } catch (error) {
+        console.error('Delete question error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete question'
+        });
+    }
+});
+
+// Upload quiz questions
+// dry_run=true only checks the file and returns a row-by-row report; mode=append keeps the quiz's current questions
+router.post('/quizzes/:quizId/questions/upload', authorizeAdmin('quizzes:edit'), authorizeOrganization('quiz', 'quizId'), upload.single('questionsFile'), logAdminAction('upload_questions', 'quiz'), async (req, res) => {
+    try {
+        const { quizId } = req.params;
+        const dryRun = req.body.dry_run === 'true' || req.body.dry_run === true;
+        const mode = req.body.mode || 'replace';
+        
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+        
+        if (!UPLOAD_MODES.includes(mode)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({
+                success: false,
+                message: `Invalid upload mode. Must be one of: ${UPLOAD_MODES.join(', ')}`
+            });
+        }
+        
+        const filePath = req.file.path;
+        const fileExt = path.extname(req.file.originalname).toLowerCase();
+        
+        let questionsData = [];
+        
+        // Parse questions file
+        if (fileExt === '.csv') {
+            const csvData = fs.readFileSync(filePath, 'utf8');
+            questionsData = parseQuestionsCSV(csvData);
+        } else if (fileExt === '.xlsx' || fileExt === '.xls') {
+            const workbook = XLSX.readFile(filePath);
+            const sheetName = workbook.SheetNames[0];
+            const worksheet = workbook.Sheets[sheetName];
+            const jsonData = XLSX.utils.sheet_to_json(worksheet);
+            questionsData = parseQuestionsExcel(jsonData);
+        }
+        
+        // Clean up file
+        fs.unlinkSync(filePath);
+        
+        if (questionsData.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No questions found in the file. It needs a header row with at least question_text and correct_answer columns'
+            });
+        }
+        
+        // Validate every row before anything is written
+        const report = validateQuestionRows(questionsData);
+        await addExistingQuestionWarnings(db, quizId, report);
+        const summary = summarizeReport(report);
+        const rows = report.map(({ question, ...item }) => item);
+        
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: `Checked ${summary.total} rows: ${summary.valid} ready to import, ${summary.withErrors} with errors, ${summary.withWarnings} with warnings`,
+                data: { mode, summary, rows }
+            });
+        }
+        
+        if (summary.withErrors > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${summary.withErrors} row(s) have errors. Fix them and upload the file again - nothing was imported`,
+                data: { mode, summary, rows }
+            });
+        }
+        
+        const quizResult = await db.query('SELECT organization_id FROM quizzes WHERE id = $1', [quizId]);
+        if (quizResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+        
+        // Insert questions
+        const client = await db.getClient();
+        try {
+            await client.query('BEGIN');
+            
+            // Uploaded questions are added to the quiz organisation's bank, then replace or follow the quiz's current questions
+            const questionIds = [];
+            for (const item of report) {
+                questionIds.push(await insertQuestion(client, item.question, quizResult.rows[0].organization_id));
+            }
+            
+            if (mode === 'append') {
+                await attachQuestionsToQuiz(client, quizId, questionIds);
+            } else {
+                await setQuizQuestions(client, quizId, questionIds);
+            }
+            
+            await client.query('COMMIT');
+            
+            res.json({
+                success: true,
+                message: mode === 'append'
+                    ? `Added ${questionIds.length} questions to the quiz successfully`
+                    : `Uploaded ${questionIds.length} questions successfully`,
+                data: { mode, summary, questionsCount: questionIds.length }
+            });
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+    } catch (error) {
+        console.error('Upload questions error:', error);
+        
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload questions'
+        });
+    }
+});
+
+// ===== QUESTION BANK ENDPOINTS =====
+
+// Browse, search and filter the question bank of the admin's organisations
+router.get('/question-bank', authorizeAdmin('quizzes:view'), async (req, res) => {
+    try {
+        const { search, category, difficulty, tag, question_type, exclude_quiz_id, organization_id, page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+        
+        const params = [];
+        const conditions = [scopeCondition(req.user.organizationIds, 'q.organization_id', params)];
+        
+        if (organization_id && !isNaN(parseInt(organization_id))) {
+            params.push(parseInt(organization_id));
+            conditions.push(`q.organization_id = $${params.length}`);
+        }
+        
+        if (search) {
+            params.push(`%${search}%`);
+            conditions.push(`q.question_text ILIKE $${params.length}`);
+        }
+        
+        if (category) {
+            params.push(category);
+            conditions.push(`q.category = $${params.length}`);
+        }
+        
+        if (difficulty) {
+            params.push(difficulty);
+            conditions.push(`q.difficulty = $${params.length}`);
+        }
+        
+        if (tag) {
+            params.push(tag);
+            conditions.push(`$${params.length} = ANY(q.tags)`);
+        }
+        
+        if (question_type) {
+            params.push(question_type);
+            conditions.push(`q.question_type = $${params.length}`);
+        }
+        
+        // Only offer questions the quiz being edited can use: its organisation's, not already attached
+        if (exclude_quiz_id) {
+            params.push(parseInt(exclude_quiz_id));
+            conditions.push(`NOT EXISTS (SELECT 1 FROM quiz_questions x WHERE x.question_id = q.id AND x.quiz_id = $${params.length})`);
+            conditions.push(`q.organization_id = (SELECT organization_id FROM quizzes WHERE id = $${params.length})`);
+        }
+        
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+        
+        const result = await db.query(`
+            SELECT q.*, o.name as organization_name,
+                   COUNT(qq.quiz_id) as quiz_count,
+                   COALESCE(array_agg(qz.title ORDER BY qz.title) FILTER (WHERE qz.id IS NOT NULL), '{}') as quiz_titles
+            FROM questions q
+            JOIN organizations o ON q.organization_id = o.id
+            LEFT JOIN quiz_questions qq ON qq.question_id = q.id
+            LEFT JOIN quizzes qz ON qq.quiz_id = qz.id
+            ${whereClause}
+            GROUP BY q.id, o.name
+            ORDER BY q.created_at DESC, q.id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, parseInt(limit), parseInt(offset)]);
+        
+        const countResult = await db.query(`SELECT COUNT(*) FROM questions q ${whereClause}`, params);
+        
+        result.rows.forEach(question => {
+            question.options = getQuestionOptions(question);
+            addRichTextHtml(question);
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                questions: result.rows,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: parseInt(countResult.rows[0].count),
+                    totalPages: Math.ceil(countResult.rows[0].count / limit)
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get question bank error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load question bank'
+        });
+    }
+});
+
+// Categories and tags in use in the admin's organisations, for the bank filters
+router.get('/question-bank/filters', authorizeAdmin('quizzes:view'), async (req, res) => {
+    try {
+        const params = [];
+        const inScope = scopeCondition(req.user.organizationIds, 'organization_id', params);
+        
+        const categories = await db.query(`
+            SELECT category, COUNT(*) as question_count
+            FROM questions
+            WHERE category IS NOT NULL AND ${inScope}
+            GROUP BY category
+            ORDER BY category
+        `, params);
+        
+        const tags = await db.query(`
+            SELECT tag, COUNT(*) as question_count
+            FROM questions, unnest(tags) as tag
+            WHERE ${inScope}
+            GROUP BY tag
+            ORDER BY tag
+        `, params);
+        
+        res.json({
+            success: true,
+            data: {
+                categories: categories.rows,
+                tags: tags.rows
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get question bank filters error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load question bank filters'
+        });
+    }
+});
+
+// Add a question to the bank of organization_id
+router.post('/question-bank', authorizeAdmin('quizzes:edit'), logAdminAction('create_bank_question', 'question'), async (req, res) => {
+    try {
+        let question;
+        try {
+            question = normalizeBankQuestion(req.body);
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+        
+        const organization = await organizationService.resolveForCreate(req.user.organizationIds, req.body.organization_id);
+        if (organization.error) {
+            return res.status(400).json({
+                success: false,
+                message: organization.error
+            });
+        }
+        
+        const questionId = await insertQuestion(db, question, organization.organizationId);
+        setAuditEntity(req, questionId);
+        recordAuditChange(req, 'question', questionId, null, question);
+        
+        res.json({
+            success: true,
+            message: 'Question added to bank successfully',
+            data: { id: questionId }
+        });
+        
+    } catch (error) {
+        console.error('Create bank question error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add question to bank'
+        });
+    }
+});
+
+// Update a bank question (applies to every quiz using it)
+router.put('/question-bank/:id', authorizeAdmin('quizzes:edit'), authorizeOrganization('question'), logAdminAction('edit_bank_question', 'question'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        let question;
+        try {
+            question = normalizeBankQuestion(req.body);
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+        
+        const previous = await db.query('SELECT * FROM questions WHERE id = $1', [id]);
+        
+        if (previous.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question not found'
+            });
+        }
+        
+        // Past results are scored against the stored key, so only wording and metadata can change once answered
+        if (changesAnswerKey(previous.rows[0], question) && await isQuestionAnswered(db, id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Question has already been answered in a session, so its type, options, answer and points cannot be changed. Add a new question instead.'
+            });
+        }
+        
+        await updateQuestion(db, id, question);
+        
+        recordAuditChange(req, 'question', id, previous.rows[0], question, Object.keys(question));
+        
+        res.json({
+            success: true,
+            message: 'Question updated successfully'
+        });
+        
+    } catch (error) {
+        console.error('Update bank question error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update question'
+        });
+    }
+});
+
+// Delete a bank question that is not used by any quiz and was never answered
+router.delete('/question-bank/:id', authorizeAdmin('quizzes:edit'), authorizeOrganization('question'), logAdminAction('delete_bank_question', 'question'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Deleting would cascade to the answers of past sessions and change their results
+        if (await isQuestionAnswered(db, id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Question has been answered in past sessions and is kept for their results.'
+            });
+        }
+        
+        const usage = await db.query(`
+            SELECT qz.title
+            FROM quiz_questions qq
+            JOIN quizzes qz ON qq.quiz_id = qz.id
+            WHERE qq.question_id = $1
+        `, [id]);
+        
+        if (usage.rows.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Question is used by ${usage.rows.length} quiz(zes): ${usage.rows.map(row => row.title).join(', ')}. Remove it from those quizzes first.`
+            });
+        }
+        
+        const result = await db.query('DELETE FROM questions WHERE id = $1 RETURNING id', [id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question not found'
+            });
+        }
         
         res.json({
             success: true,
-            data: result.rows
+            message: 'Question deleted from bank successfully'
         });
         
     } catch (error) {
-        console.error('Get quiz questions error:', error);
+        console.error('Delete bank question error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to get quiz questions'
+            message: 'Failed to delete question'
         });
     }
 });
 
-// Create or update multiple questions for a quiz
-router.post('/quizzes/:quizId/questions', authorizeAdmin(), logAdminAction('manage_questions'), async (req, res) => {
-    try {
-        const { quizId } = req.params;
-        const { questions } = req.body;
-        
-        if (!Array.isArray(questions)) {
+// Upload an image for use in question text, options or explanations
+router.post('/question-images', authorizeAdmin('quizzes:edit'), logAdminAction('upload_question_image'), (req, res) => {
+    imageUpload.single('image')(req, res, (uploadError) => {
+        if (uploadError) {
             return res.status(400).json({
                 success: false,
-                message: 'Questions must be an array'
+                message: uploadError.code === 'LIMIT_FILE_SIZE' ? 'Image must be 2MB or smaller' : uploadError.message
             });
         }
         
-        const client = await db.getClient();
-        try {
-            await client.query('BEGIN');
-            
-            // Clear existing questions
-            await client.query('DELETE FROM questions WHERE quiz_id = $1', [quizId]);
-            
-            // Insert new questions
-            for (let i = 0; i < questions.length; i++) {
-                const q = questions[i];
-                if (!q.question_text || !q.option_a || !q.option_b || !q.option_c || !q.option_d || !q.correct_answer) {
-                    throw new Error(`Question ${i + 1} is missing required fields`);
-                }
-                
-                await client.query(`
-                    INSERT INTO questions (quiz_id, question_text, option_a, option_b, option_c, option_d, correct_answer, question_order)
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                `, [quizId, q.question_text, q.option_a, q.option_b, q.option_c, q.option_d, q.correct_answer, i + 1]);
-            }
-            
-            // Update total questions count in quiz
-            await client.query('UPDATE quizzes SET total_questions = $1 WHERE id = $2', [questions.length, quizId]);
-            
-            await client.query('COMMIT');
-            
-            res.json({
-                success: true,
-                message: `Successfully saved ${questions.length} questions`
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No image uploaded'
             });
-            
-        } catch (error) {
-            await client.query('ROLLBACK');
-            throw error;
-        } finally {
-            client.release();
         }
         
-    } catch (error) {
-        console.error('Save quiz questions error:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message || 'Failed to save quiz questions'
+        const url = `/uploads/question-images/${req.file.filename}`;
+        
+        res.json({
+            success: true,
+            message: 'Image uploaded successfully',
+            data: {
+                url,
+                markdown: `![${path.basename(req.file.originalname, path.extname(req.file.originalname)).replace(/[\[\]]/g, '')}](${url})`
+            }
         });
-    }
+    });
 });
 
-// Delete a specific question
-router.delete('/quizzes/:quizId/questions/:questionId', authorizeAdmin(), logAdminAction('delete_question'), async (req, res) => {
+// Render question Markdown exactly as participants will see it (editor preview)
+router.post('/question-preview', authorizeAdmin('quizzes:edit'), (req, res) => {
     try {
-        const { quizId, questionId } = req.params;
-        
-        const result = await db.query(
-            'DELETE FROM questions WHERE id = $1 AND quiz_id = $2 RETURNING *',
-            [questionId, quizId]
-        );
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Question not found'
-            });
-        }
+        const question = addRichTextHtml({
+            question_text: req.body.question_text || '',
+            explanation: req.body.explanation || '',
+            options: (req.body.options || []).map(option => ({ key: option.key, text: option.text || '' }))
+        });
         
         res.json({
             success: true,
-            message: 'Question deleted successfully'
+            data: {
+                question_html: question.question_html,
+                explanation_html: question.explanation_html,
+                options: question.options
+            }
         });
         
     } catch (error) {
-        console.error('Delete question error:', error);
+        console.error('Question preview error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to delete question'
+            message: 'Failed to render preview'
         });
     }
 });
 
-// Upload quiz questions
-router.post('/quizzes/:quizId/questions/upload', authorizeAdmin(), upload.single('questionsFile'), logAdminAction('upload_questions'), async (req, res) => {
+// Attach bank questions to a quiz (appended after its current questions; other organisations' questions are skipped)
+router.post('/quizzes/:quizId/questions/attach', authorizeAdmin('quizzes:edit'), authorizeOrganization('quiz', 'quizId'), logAdminAction('attach_questions', 'quiz'), async (req, res) => {
     try {
         const { quizId } = req.params;
+        const { questionIds } = req.body;
         
-        if (!req.file) {
+        if (!Array.isArray(questionIds) || questionIds.length === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'No file uploaded'
+                message: 'Question IDs must be a non-empty array'
             });
         }
         
-        const filePath = req.file.path;
-        const fileExt = path.extname(req.file.originalname).toLowerCase();
-        
-        let questionsData = [];
+        if (await rejectOutsideScope(req, res, 'question', questionIds)) {
+            return;
+        }
         
-        // Parse questions file
-        if (fileExt === '.csv') {
-            const csvData = fs.readFileSync(filePath, 'utf8');
-            questionsData = parseQuestionsCSV(csvData);
-        } else if (fileExt === '.xlsx' || fileExt === '.xls') {
-            const workbook = XLSX.readFile(filePath);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const jsonData = XLSX.utils.sheet_to_json(worksheet);
-            questionsData = parseQuestionsExcel(jsonData);
+        const quizResult = await db.query('SELECT id FROM quizzes WHERE id = $1', [quizId]);
+        if (quizResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
         }
         
-        // Insert questions
         const client = await db.getClient();
         try {
             await client.query('BEGIN');
             
-            // Clear existing questions
-            await client.query('DELETE FROM questions WHERE quiz_id = $1', [quizId]);
-            
-            for (let i = 0; i < questionsData.length; i++) {
-                const q = questionsData[i];
-                
-                // Debug log the original data
-                console.log(`Processing question ${i + 1}:`, {
-                    original_correct_answer: q.correct_answer,
-                    question_text: q.question || q.question_text,
-                    option_a: q.option_a,
-                    option_b: q.option_b,
-                    option_c: q.option_c,
-                    option_d: q.option_d
-                });
-                
-                // Validate and clean the correct_answer field
-                let correctAnswer = (q.correct_answer || '').toString().toLowerCase().trim();
-                
-                // Convert numeric answers to letters (1->a, 2->b, 3->c, 4->d)
-                const numericMap = { '1': 'a', '2': 'b', '3': 'c', '4': 'd' };
-                if (numericMap[correctAnswer]) {
-                    correctAnswer = numericMap[correctAnswer];
-                }
-                
-                // Extract just the first character if it's longer than 1
-                if (correctAnswer.length > 1) {
-                    // Check if it starts with a, b, c, or d
-                    const match = correctAnswer.match(/^[abcd]/);
-                    correctAnswer = match ? match[0] : '';
-                }
-                
-                console.log(`Cleaned correct_answer for question ${i + 1}: "${correctAnswer}"`);
-                
-                // Validate that it's a valid option
-                if (!['a', 'b', 'c', 'd'].includes(correctAnswer)) {
-                    throw new Error(`Invalid correct_answer "${q.correct_answer}" for question ${i + 1}. Must be 'a', 'b', 'c', 'd' or '1', '2', '3', '4'. 
-                    
-Check your CSV format - it should be:
-question_text,option_a,option_b,option_c,option_d,correct_answer
-
-Your file appears to have the columns in wrong order or the correct_answer column contains option text instead of a letter/number.`);
-                }
-                
-                await client.query(`
-                    INSERT INTO questions (quiz_id, question_text, option_a, option_b, option_c, option_d, correct_answer, question_order)
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                `, [quizId, q.question || q.question_text, q.option_a, q.option_b, q.option_c, q.option_d, correctAnswer, i + 1]);
-            }
-            
-            // Update quiz total questions
-            await client.query('UPDATE quizzes SET total_questions = $1 WHERE id = $2', [questionsData.length, quizId]);
+            const attached = await attachQuestionsToQuiz(client, quizId, questionIds.map(id => parseInt(id)).filter(id => id));
             
             await client.query('COMMIT');
             
             res.json({
                 success: true,
-                message: `Uploaded ${questionsData.length} questions successfully`,
-                data: { questionsCount: questionsData.length }
+                message: `Attached ${attached.length} question(s) to the quiz`,
+                data: { attachedIds: attached }
             });
             
         } catch (error) {
@@ -1002,25 +2776,17 @@ Your file appears to have the columns in wrong order or the correct_answer colum
             client.release();
         }
         
-        // Clean up file
-        fs.unlinkSync(filePath);
-        
     } catch (error) {
-        console.error('Upload questions error:', error);
-        
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-        }
-        
+        console.error('Attach questions error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to upload questions'
+            message: 'Failed to attach questions'
         });
     }
 });
 
 // Session Management - Create quiz session (OLD - DISABLED)
-/*router.post('/sessions', authorizeAdmin(), logAdminAction('create_session'), async (req, res) => {
+/*router.post('/sessions', authorizeAdmin(), logAdminAction('create_session', 'session'), async (req, res) => {
     try {
         const { quizId, sessionName, startTime, maxParticipants = 1000 } = req.body;
         
@@ -1053,7 +2819,7 @@ Your file appears to have the columns in wrong order or the correct_answer colum
 });*/
 
 // Start quiz session (instruction phase) (OLD - DISABLED)
-/*router.post('/sessions/:sessionId/start-instruction', authorizeAdmin(), logAdminAction('start_instruction'), async (req, res) => {
+/*router.post('/sessions/:sessionId/start-instruction', authorizeAdmin(), logAdminAction('start_instruction', 'session'), async (req, res) => {
     try {
         const { sessionId } = req.params;
         
@@ -1086,19 +2852,33 @@ Your file appears to have the columns in wrong order or the correct_answer colum
 });
 
 // Start quiz timer
-router.post('/sessions/:sessionId/start-quiz', authorizeAdmin(), logAdminAction('start_quiz'), async (req, res) => {
+router.post('/sessions/:sessionId/start-quiz', authorizeAdmin('sessions:run'), authorizeOrganization('session', 'sessionId'), logAdminAction('start_quiz', 'session'), async (req, res) => {
     try {
         const { sessionId } = req.params;
         
-        await db.query(
-            'UPDATE quiz_sessions SET status = $1, quiz_start_time = CURRENT_TIMESTAMP WHERE id = $2',
-            ['active', sessionId]
+        // The quiz's time limit runs from now; the session scheduler ends the session at the stored deadline.
+        // Only a session in its instruction phase can start, so a running or ended one keeps its deadline
+        const result = await db.query(
+            `UPDATE quiz_sessions SET ${sessionTimerService.quizPhaseAssignments('CURRENT_TIMESTAMP')}
+             WHERE id = $1 AND status = 'instruction'
+             RETURNING quiz_start_time, quiz_end_time`,
+            [sessionId]
         );
         
+        if (result.rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Session not found or cannot start quiz phase'
+            });
+        }
+        
+        const startTime = new Date(result.rows[0].quiz_start_time).getTime();
+        const duration = new Date(result.rows[0].quiz_end_time).getTime() - startTime;
+        
         // Set timer in Redis
         const timerData = {
-            startTime: Date.now(),
-            duration: 15 * 60 * 1000, // 15 minutes
+            startTime,
+            duration,
             sessionId: sessionId
         };
         
@@ -1109,15 +2889,15 @@ router.post('/sessions/:sessionId/start-quiz', authorizeAdmin(), logAdminAction(
         if (io) {
             io.to(`session_${sessionId}`).emit('quiz_started', {
                 sessionId: sessionId,
-                startTime: Date.now(),
-                duration: 15 * 60 * 1000
+                startTime,
+                duration
             });
         }
         
         res.json({
             success: true,
             message: 'Quiz timer started',
-            data: { startTime: Date.now(), duration: 15 * 60 * 1000 }
+            data: { startTime, duration }
         });
         
     } catch (error) {
@@ -1130,7 +2910,7 @@ router.post('/sessions/:sessionId/start-quiz', authorizeAdmin(), logAdminAction(
 });
 
 // Get session participants and live monitoring
-router.get('/sessions/:sessionId/participants', authorizeAdmin(), async (req, res) => {
+router.get('/sessions/:sessionId/participants', authorizeAdmin('sessions:view'), authorizeOrganization('session', 'sessionId'), async (req, res) => {
     try {
         const { sessionId } = req.params;
         
@@ -1158,7 +2938,7 @@ router.get('/sessions/:sessionId/participants', authorizeAdmin(), async (req, re
 });
 
 // Results and reporting
-router.get('/sessions/:sessionId/results', authorizeAdmin(), async (req, res) => {
+router.get('/sessions/:sessionId/results', authorizeAdmin('results:view'), authorizeOrganization('session', 'sessionId'), async (req, res) => {
     try {
         const { sessionId } = req.params;
         
@@ -1188,7 +2968,8 @@ router.get('/sessions/:sessionId/results', authorizeAdmin(), async (req, res) =>
 
 // Helper functions for parsing questions
 function parseQuestionsCSV(csvData) {
-    const lines = csvData.split('\n');
+    // Excel adds a byte order mark to "CSV UTF-8" files
+    const lines = csvData.replace(/^\uFEFF/, '').split('\n');
     const questions = [];
     
     if (lines.length < 2) return questions;
@@ -1237,6 +3018,18 @@ function parseQuestionsCSV(csvData) {
     const optionCIndex = getColumnIndex(['option_c', 'option c', 'c']);
     const optionDIndex = getColumnIndex(['option_d', 'option d', 'd']);
     const correctAnswerIndex = getColumnIndex(['correct_answer', 'correct answer', 'answer', 'ans']);
+    const questionTypeIndex = getColumnIndex(['question_type', 'question type', 'type']);
+    const toleranceIndex = getColumnIndex(['numeric_tolerance', 'numeric tolerance', 'tolerance']);
+    const pointsIndex = getColumnIndex(['points', 'marks', 'weight']);
+    const categoryIndex = getColumnIndex(['category', 'topic']);
+    const difficultyIndex = getColumnIndex(['difficulty', 'level']);
+    const tagsIndex = getColumnIndex(['tags', 'tag']);
+    const explanationIndex = getColumnIndex(['explanation', 'rationale']);
+    const referenceIndex = getColumnIndex(['reference', 'citation', 'statute', 'section']);
+    const extraOptionIndices = ['e', 'f', 'g', 'h'].reduce((indices, key) => {
+        indices[key] = getColumnIndex([`option_${key}`, `option ${key}`, key]);
+        return indices;
+    }, {});
     
     console.log('CSV column mapping:', {
         headers,
@@ -1245,7 +3038,16 @@ function parseQuestionsCSV(csvData) {
         optionBIndex,
         optionCIndex,
         optionDIndex,
-        correctAnswerIndex
+        extraOptionIndices,
+        correctAnswerIndex,
+        questionTypeIndex,
+        toleranceIndex,
+        pointsIndex,
+        categoryIndex,
+        difficultyIndex,
+        tagsIndex,
+        explanationIndex,
+        referenceIndex
     });
     
     for (let i = 1; i < lines.length; i++) { // Skip header
@@ -1256,16 +3058,30 @@ function parseQuestionsCSV(csvData) {
         
         console.log(`CSV Line ${i} parsed fields:`, fields);
         
-        if (fields.length >= 6 && questionIndex !== -1 && correctAnswerIndex !== -1) {
-            questions.push({
+        if (questionIndex !== -1 && correctAnswerIndex !== -1) {
+            const question = {
+                row: i + 1,
+                question_type: questionTypeIndex !== -1 ? fields[questionTypeIndex] || '' : '',
                 question: fields[questionIndex] || '',
                 option_a: fields[optionAIndex] || '',
                 option_b: fields[optionBIndex] || '',
                 option_c: fields[optionCIndex] || '',
                 option_d: fields[optionDIndex] || '',
                 correct_answer: (fields[correctAnswerIndex] || '').toString().toLowerCase().trim(),
-                explanation: ''
+                numeric_tolerance: toleranceIndex !== -1 ? fields[toleranceIndex] || '' : '',
+                points: pointsIndex !== -1 ? fields[pointsIndex] || '' : '',
+                category: categoryIndex !== -1 ? fields[categoryIndex] || '' : '',
+                difficulty: difficultyIndex !== -1 ? fields[difficultyIndex] || '' : '',
+                tags: tagsIndex !== -1 ? fields[tagsIndex] || '' : '',
+                explanation: explanationIndex !== -1 ? fields[explanationIndex] || '' : '',
+                reference: referenceIndex !== -1 ? fields[referenceIndex] || '' : ''
+            };
+            
+            Object.entries(extraOptionIndices).forEach(([key, index]) => {
+                question[`option_${key}`] = index !== -1 ? fields[index] || '' : '';
             });
+            
+            questions.push(question);
         }
     }
     
@@ -1273,27 +3089,51 @@ function parseQuestionsCSV(csvData) {
 }
 
 function parseQuestionsExcel(jsonData) {
-    return jsonData.map(row => ({
-        question: row.Question || row.question || '',
+    return jsonData.map((row, index) => ({
+        // sheet_to_json skips blank rows and records the 0-based sheet row in __rowNum__
+        row: row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2,
+        question_type: row['Question Type'] || row.question_type || row.Type || row.type || '',
+        question: row.Question || row.question || row.question_text || '',
         option_a: row['Option A'] || row.option_a || '',
         option_b: row['Option B'] || row.option_b || '',
         option_c: row['Option C'] || row.option_c || '',
         option_d: row['Option D'] || row.option_d || '',
-        correct_answer: (row['Correct Answer'] || row.correct_answer || '').toString().toLowerCase().trim(),
-        explanation: row.Explanation || row.explanation || ''
+        option_e: row['Option E'] || row.option_e || '',
+        option_f: row['Option F'] || row.option_f || '',
+        option_g: row['Option G'] || row.option_g || '',
+        option_h: row['Option H'] || row.option_h || '',
+        correct_answer: (row['Correct Answer'] ?? row.correct_answer ?? '').toString().toLowerCase().trim(),
+        numeric_tolerance: row['Numeric Tolerance'] ?? row.numeric_tolerance ?? '',
+        points: row.Points ?? row.points ?? row.Marks ?? row.marks ?? '',
+        category: row.Category || row.category || row.Topic || row.topic || '',
+        difficulty: row.Difficulty || row.difficulty || '',
+        tags: row.Tags || row.tags || '',
+        explanation: row.Explanation || row.explanation || row.Rationale || row.rationale || '',
+        reference: row.Reference || row.reference || row.Citation || row.citation || ''
     }));
 }
 
+// Negative marking is the fraction of a question's points deducted for a wrong answer
+function isValidNegativeMarking(value) {
+    const fraction = parseFloat(value || 0);
+    return !isNaN(fraction) && fraction >= 0 && fraction <= 1;
+}
+
 // ===== SESSION MANAGEMENT ENDPOINTS =====
 
 // Get all sessions with filtering and pagination
-router.get('/sessions', authorizeAdmin(), async (req, res) => {
+router.get('/sessions', authorizeAdmin('sessions:view'), async (req, res) => {
     try {
-        const { search, status, page = 1, limit = 20 } = req.query;
+        const { search, status, organization_id, page = 1, limit = 20 } = req.query;
         const offset = (page - 1) * limit;
         
-        let conditions = [];
         let queryParams = [];
+        let conditions = [scopeCondition(req.user.organizationIds, 'qs.organization_id', queryParams)];
+        
+        if (organization_id && !isNaN(parseInt(organization_id))) {
+            conditions.push(`qs.organization_id = $${queryParams.length + 1}`);
+            queryParams.push(parseInt(organization_id));
+        }
         
         if (search) {
             conditions.push(`qs.session_name ILIKE $${queryParams.length + 1}`);
@@ -1305,7 +3145,7 @@ router.get('/sessions', authorizeAdmin(), async (req, res) => {
             queryParams.push(status);
         }
         
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
         
         // Main query - using the working pattern from dashboard
         const sessionsQuery = `
@@ -1314,9 +3154,13 @@ router.get('/sessions', authorizeAdmin(), async (req, res) => {
                 qs.session_name as title,
                 q.title as quiz_title,
                 q.total_questions,
-                qs.current_participants as connected_participants
+                qs.current_participants as connected_participants,
+                o.name as organization_name,
+                (SELECT COUNT(*) FROM session_group_invitations sgi WHERE sgi.session_id = qs.id) as invited_group_count,
+                (SELECT COUNT(*) FROM session_participant_invitations spi WHERE spi.session_id = qs.id) as invited_participant_count
             FROM quiz_sessions qs
             LEFT JOIN quizzes q ON qs.quiz_id = q.id
+            JOIN organizations o ON qs.organization_id = o.id
             ${whereClause}
             ORDER BY qs.created_at DESC
             LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
@@ -1334,6 +3178,7 @@ router.get('/sessions', authorizeAdmin(), async (req, res) => {
         }));
         
         // Get statistics
+        const statsParams = [];
         const statsQuery = `
             SELECT 
                 COUNT(CASE WHEN status IN ('instruction', 'active') THEN 1 END) as active,
@@ -1341,9 +3186,10 @@ router.get('/sessions', authorizeAdmin(), async (req, res) => {
                 COUNT(CASE WHEN DATE(start_time) = CURRENT_DATE THEN 1 END) as scheduled_today,
                 COALESCE(SUM(CASE WHEN status IN ('instruction', 'active') THEN current_participants ELSE 0 END), 0) as live_participants
             FROM quiz_sessions
+            WHERE ${scopeCondition(req.user.organizationIds, 'organization_id', statsParams)}
         `;
         
-        const stats = await db.query(statsQuery);
+        const stats = await db.query(statsQuery, statsParams);
         
         res.json({
             success: true,
@@ -1361,7 +3207,7 @@ router.get('/sessions', authorizeAdmin(), async (req, res) => {
 });
 
 // Get single session
-router.get('/sessions/:id', authorizeAdmin(), async (req, res) => {
+router.get('/sessions/:id', authorizeAdmin('sessions:view'), authorizeOrganization('session'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -1416,7 +3262,7 @@ router.get('/sessions/:id', authorizeAdmin(), async (req, res) => {
 });
 
 // Create new session
-router.post('/sessions', authorizeAdmin(), logAdminAction('create_session'), async (req, res) => {
+router.post('/sessions', authorizeAdmin('sessions:manage'), logAdminAction('create_session', 'session'), async (req, res) => {
     try {
         const {
             title,
@@ -1426,7 +3272,8 @@ router.post('/sessions', authorizeAdmin(), logAdminAction('create_session'), asy
             max_participants = 1000,
             instruction_time_minutes = 5,
             description,
-            auto_start = false
+            auto_start = false,
+            access_mode = 'invited'
         } = req.body;
         
         if (!title || !quiz_id || !scheduled_date || !scheduled_time) {
@@ -1436,10 +3283,19 @@ router.post('/sessions', authorizeAdmin(), logAdminAction('create_session'), asy
             });
         }
         
-        // Verify quiz exists and is active
+        if (!sessionInvitationService.isValidAccessMode(access_mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Access must be one of: ${sessionInvitationService.ACCESS_MODES.join(', ')}`
+            });
+        }
+        
+        // Verify quiz exists, is active and is in one of the admin's organisations
+        const quizParams = [quiz_id];
         const quizCheck = await db.query(
-            'SELECT id, title, total_questions FROM quizzes WHERE id = $1 AND is_active = true',
-            [quiz_id]
+            `SELECT id, title, total_questions, organization_id FROM quizzes
+             WHERE id = $1 AND is_active = true AND ${scopeCondition(req.user.organizationIds, 'organization_id', quizParams)}`,
+            quizParams
         );
         
         if (quizCheck.rows.length === 0) {
@@ -1475,17 +3331,19 @@ router.post('/sessions', authorizeAdmin(), logAdminAction('create_session'), asy
             timeDiffSeconds: timeDiff.toFixed(2)
         });
         
+        // A session belongs to its quiz's organisation; invitation-only sessions are invited to separately
         const result = await db.query(`
             INSERT INTO quiz_sessions (
-                session_name, quiz_id, start_time, max_participants, auto_start, status
-            ) VALUES ($1, $2, $3, $4, $5, 'scheduled')
+                session_name, quiz_id, start_time, max_participants, auto_start, status, organization_id, access_mode
+            ) VALUES ($1, $2, $3, $4, $5, 'scheduled', $6, $7)
             RETURNING *
         `, [
-            title, quiz_id, startDateTime, max_participants, auto_start
+            title, quiz_id, startDateTime, max_participants, auto_start, quizCheck.rows[0].organization_id, access_mode
         ]);
         
         // Add the computed fields
         const sessionData = result.rows[0];
+        setAuditEntity(req, sessionData.id);
         sessionData.title = sessionData.session_name;
         sessionData.scheduled_date = sessionData.start_time ? new Date(sessionData.start_time).toISOString().split('T')[0] : null;
         sessionData.scheduled_time = sessionData.start_time ? new Date(sessionData.start_time).toTimeString().split(' ')[0] : null;
@@ -1506,7 +3364,7 @@ router.post('/sessions', authorizeAdmin(), logAdminAction('create_session'), asy
 });
 
 // Update session
-router.put('/sessions/:id', authorizeAdmin(), logAdminAction('update_session'), async (req, res) => {
+router.put('/sessions/:id', authorizeAdmin('sessions:manage'), authorizeOrganization('session'), logAdminAction('update_session', 'session'), async (req, res) => {
     try {
         const { id } = req.params;
         const {
@@ -1521,7 +3379,7 @@ router.put('/sessions/:id', authorizeAdmin(), logAdminAction('update_session'),
         
         // Check if session can be updated
         const statusCheck = await db.query(
-            'SELECT status FROM quiz_sessions WHERE id = $1',
+            'SELECT * FROM quiz_sessions WHERE id = $1',
             [id]
         );
         
@@ -1577,6 +3435,7 @@ router.put('/sessions/:id', authorizeAdmin(), logAdminAction('update_session'),
         // Add computed fields
         if (result.rows.length > 0) {
             const session = result.rows[0];
+            recordAuditChange(req, 'session', id, statusCheck.rows[0], session, ['session_name', 'start_time', 'max_participants', 'auto_start']);
             session.title = session.session_name;
             session.scheduled_date = session.start_time ? new Date(session.start_time).toISOString().split('T')[0] : null;
             session.scheduled_time = session.start_time ? new Date(session.start_time).toTimeString().split(' ')[0] : null;
@@ -1597,8 +3456,67 @@ router.put('/sessions/:id', authorizeAdmin(), logAdminAction('update_session'),
     }
 });
 
+// Who may take a session: its access mode and the groups and participants invited to it
+router.get('/sessions/:id/invitations', authorizeAdmin('sessions:view'), authorizeOrganization('session'), async (req, res) => {
+    try {
+        const invitations = await sessionInvitationService.getInvitations(req.params.id);
+        
+        if (!invitations) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: invitations
+        });
+    } catch (error) {
+        console.error('Get session invitations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get invitations'
+        });
+    }
+});
+
+// Replace the invitations (access_mode, groupIds, participantIds); participants who already joined keep their place
+router.put('/sessions/:id/invitations', authorizeAdmin('sessions:manage'), authorizeOrganization('session'), logAdminAction('update_session_invitations', 'session'), async (req, res) => {
+    try {
+        const result = await sessionInvitationService.setInvitations(req.params.id, req.body);
+        
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+        
+        recordAuditChange(req, 'session', req.params.id, result.before, result.invitations);
+        
+        res.json({
+            success: true,
+            message: 'Invitations updated',
+            data: result.invitations
+        });
+    } catch (error) {
+        console.error('Update session invitations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update invitations'
+        });
+    }
+});
+
 // Delete session
-router.delete('/sessions/:id', authorizeAdmin(), logAdminAction('delete_session'), async (req, res) => {
+router.delete('/sessions/:id', authorizeAdmin('sessions:manage'), authorizeOrganization('session'), logAdminAction('delete_session', 'session'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -1642,7 +3560,7 @@ router.delete('/sessions/:id', authorizeAdmin(), logAdminAction('delete_session'
 });
 
 // Start instruction phase
-router.post('/sessions/:id/start-instruction', authorizeAdmin(), logAdminAction('start_instruction'), async (req, res) => {
+router.post('/sessions/:id/start-instruction', authorizeAdmin('sessions:run'), authorizeOrganization('session'), logAdminAction('start_instruction', 'session'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -1706,16 +3624,16 @@ router.post('/sessions/:id/start-instruction', authorizeAdmin(), logAdminAction(
 });
 
 // Start quiz phase
-router.post('/sessions/:id/start-quiz', authorizeAdmin(), logAdminAction('start_quiz'), async (req, res) => {
+router.post('/sessions/:id/start-quiz', authorizeAdmin('sessions:run'), authorizeOrganization('session'), logAdminAction('start_quiz', 'session'), async (req, res) => {
     try {
         const { id } = req.params;
         
         const result = await db.query(`
             UPDATE quiz_sessions 
-            SET status = 'active', 
-                quiz_start_time = instruction_start_time + INTERVAL '1 minute' * COALESCE((SELECT instruction_time_minutes FROM quizzes WHERE id = quiz_id), 5)
+            SET ${sessionTimerService.quizPhaseAssignments(sessionTimerService.INSTRUCTION_END)}
             WHERE id = $1 AND status = 'instruction'
-            RETURNING *, session_name as title
+            RETURNING *, session_name as title,
+                (SELECT quiz_time_minutes FROM quizzes WHERE id = quiz_id) as quiz_time_minutes
         `, [id]);
         
         if (result.rows.length === 0) {
@@ -1747,7 +3665,7 @@ router.post('/sessions/:id/start-quiz', authorizeAdmin(), logAdminAction('start_
 });
 
 // End session
-router.post('/sessions/:id/end', authorizeAdmin(), logAdminAction('end_session'), async (req, res) => {
+router.post('/sessions/:id/end', authorizeAdmin('sessions:run'), authorizeOrganization('session'), logAdminAction('end_session', 'session'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -1768,19 +3686,12 @@ router.post('/sessions/:id/end', authorizeAdmin(), logAdminAction('end_session')
         
         // Calculate results for all participants now that session has ended
         try {
-            const { calculateSessionResults, calculatePrizeWinners } = require('../utils/prizeCalculator');
             console.log(`Session ${id} ended - calculating all results and prize winners`);
-            
-            // Calculate all participant results with proper rankings
-            await calculateSessionResults(id);
-            
-            // Calculate and assign prize winners
-            await calculatePrizeWinners(id);
-            
+            await sessionTimerService.finalizeResults(id);
             console.log(`Results and prize winners calculated for session ${id}`);
         } catch (calcError) {
             console.error('Error calculating results when session ended:', calcError);
-            // Don't fail the session ending if result calculation fails
+            // Don't fail the session ending if result calculation fails; the session scheduler retries it
         }
         
         // Emit socket event to notify participants
@@ -1804,7 +3715,7 @@ router.post('/sessions/:id/end', authorizeAdmin(), logAdminAction('end_session')
 });
 
 // Get participants for a session
-router.get('/sessions/:id/participants', authorizeAdmin(), async (req, res) => {
+router.get('/sessions/:id/participants', authorizeAdmin('sessions:view'), authorizeOrganization('session'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -1836,7 +3747,7 @@ router.get('/sessions/:id/participants', authorizeAdmin(), async (req, res) => {
 });
 
 // Get session results
-router.get('/sessions/:id/results', authorizeAdmin(), async (req, res) => {
+router.get('/sessions/:id/results', authorizeAdmin('results:view'), authorizeOrganization('session'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -1867,11 +3778,119 @@ router.get('/sessions/:id/results', authorizeAdmin(), async (req, res) => {
     }
 });
 
+// Email each participant their results with an answer review (explanations and references)
+router.post('/sessions/:id/send-results', authorizeAdmin('results:manage'), authorizeOrganization('session'), logAdminAction('send_results', 'session'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const result = await db.query(`
+            SELECT r.*, p.name, p.email
+            FROM results r
+            JOIN participants p ON r.participant_id = p.id
+            WHERE r.session_id = $1 AND p.email IS NOT NULL
+        `, [id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No results found for this session'
+            });
+        }
+        
+        const sendResults = { sent: [], failed: [] };
+        
+        for (const row of result.rows) {
+            try {
+                const answers = await getResultsEmailAnswers(id, row.participant_id);
+                
+                await notificationService.sendQuizResultsEmail(row.email, row.name, {
+                    totalQuestions: row.total_questions,
+                    correctAnswers: row.correct_answers,
+                    incorrectAnswers: row.incorrect_answers,
+                    unanswered: row.unanswered,
+                    percentageScore: parseFloat(row.percentage_score) || 0,
+                    performanceCategory: row.performance_category,
+                    answers
+                });
+                
+                sendResults.sent.push({ participantId: row.participant_id, email: row.email });
+            } catch (error) {
+                sendResults.failed.push({ participantId: row.participant_id, email: row.email, error: error.message });
+            }
+        }
+        
+        res.json({
+            success: true,
+            message: `Results emailed to ${sendResults.sent.length} participants`,
+            data: {
+                sent: sendResults.sent.length,
+                failed: sendResults.failed.length,
+                details: sendResults
+            }
+        });
+        
+    } catch (error) {
+        console.error('Send results emails error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send results emails'
+        });
+    }
+});
+
+/**
+ * Build the answer review for a participant's results email
+ * Answers are written out as option text, since shuffled option letters differ per participant
+ * @param {number} sessionId - Session ID
+ * @param {number} participantId - Participant ID
+ * @returns {Promise<Array>} - Review items in quiz order
+ */
+async function getResultsEmailAnswers(sessionId, participantId) {
+    const assignedQuestionIds = await resolveParticipantQuestionIds(db, sessionId, participantId);
+    
+    const answersResult = await db.query(`
+        SELECT q.question_type, q.question_text,
+               q.option_a, q.option_b, q.option_c, q.option_d, q.option_e, q.option_f, q.option_g, q.option_h,
+               q.correct_answer, q.explanation, q.reference,
+               pa.selected_answer, pa.is_correct
+        FROM quiz_sessions qs
+        JOIN quiz_questions qq ON qq.quiz_id = qs.quiz_id
+        JOIN questions q ON qq.question_id = q.id
+        LEFT JOIN participant_answers pa ON pa.question_id = q.id
+            AND pa.session_id = qs.id AND pa.participant_id = $2
+        WHERE qs.id = $1 AND ($3::int[] IS NULL OR q.id = ANY($3::int[]))
+        ORDER BY qq.question_order ASC
+    `, [sessionId, participantId, assignedQuestionIds]);
+    
+    const toText = (question, answer) => {
+        if (answer === null || answer === undefined) return null;
+        if (question.question_type === 'numeric') return answer;
+        
+        const keys = answer.split(',');
+        return getQuestionOptions(question)
+            .filter(option => keys.includes(option.key))
+            .map(option => toPlainText(option.text))
+            .join('; ');
+    };
+    
+    return answersResult.rows.map(row => ({
+        questionText: toPlainText(row.question_text),
+        yourAnswer: toText(row, row.selected_answer),
+        correctAnswer: toText(row, row.correct_answer),
+        isCorrect: !!row.is_correct,
+        explanation: toPlainText(row.explanation),
+        reference: row.reference
+    }));
+}
+
 // ===== RESULTS & ANALYTICS ENDPOINTS =====
 
 // Get results dashboard overview
-router.get('/results', authorizeAdmin(), async (req, res) => {
+router.get('/results', authorizeAdmin('results:view'), async (req, res) => {
     try {
+        const params = [];
+        const inScope = scopeCondition(req.user.organizationIds, 'qs.organization_id', params);
+        
         // Get overall statistics
         const statsQuery = `
             SELECT 
@@ -1884,10 +3903,12 @@ router.get('/results', authorizeAdmin(), async (req, res) => {
                 COUNT(CASE WHEN r.performance_category = 'Needs Improvement' THEN 1 END) as needs_improvement_count,
                 COUNT(DISTINCT pw.participant_id) as total_prize_winners
             FROM results r
+            JOIN quiz_sessions qs ON r.session_id = qs.id
             LEFT JOIN prize_winners pw ON r.session_id = pw.session_id AND r.participant_id = pw.participant_id
+            WHERE ${inScope}
         `;
         
-        const stats = await db.query(statsQuery);
+        const stats = await db.query(statsQuery, params);
         
         // Get recent sessions with results
         const recentSessionsQuery = `
@@ -1903,14 +3924,14 @@ router.get('/results', authorizeAdmin(), async (req, res) => {
             FROM quiz_sessions qs
             JOIN quizzes q ON qs.quiz_id = q.id
             LEFT JOIN results r ON qs.id = r.session_id
-            WHERE qs.status = 'completed'
+            WHERE qs.status = 'completed' AND ${inScope}
             GROUP BY qs.id, qs.session_name, q.title, qs.start_time, qs.status
             HAVING COUNT(r.id) > 0
             ORDER BY qs.start_time DESC
             LIMIT 10
         `;
         
-        const recentSessions = await db.query(recentSessionsQuery);
+        const recentSessions = await db.query(recentSessionsQuery, params);
         
         // Get top performers (last 30 days)
         const topPerformersQuery = `
@@ -1929,12 +3950,12 @@ router.get('/results', authorizeAdmin(), async (req, res) => {
             JOIN quiz_sessions qs ON r.session_id = qs.id
             JOIN quizzes q ON qs.quiz_id = q.id
             LEFT JOIN prize_winners pw ON r.session_id = pw.session_id AND r.participant_id = pw.participant_id
-            WHERE r.created_at >= CURRENT_DATE - INTERVAL '30 days'
+            WHERE r.created_at >= CURRENT_DATE - INTERVAL '30 days' AND ${inScope}
             ORDER BY r.percentage_score DESC, r.completion_time_seconds ASC
             LIMIT 20
         `;
         
-        const topPerformers = await db.query(topPerformersQuery);
+        const topPerformers = await db.query(topPerformersQuery, params);
         
         res.json({
             success: true,
@@ -1955,13 +3976,13 @@ router.get('/results', authorizeAdmin(), async (req, res) => {
 });
 
 // Get session results list with filtering
-router.get('/results/sessions', authorizeAdmin(), async (req, res) => {
+router.get('/results/sessions', authorizeAdmin('results:view'), async (req, res) => {
     try {
         const { search, date_from, date_to, quiz_id, page = 1, limit = 20 } = req.query;
         const offset = (page - 1) * limit;
         
-        let conditions = [];
         let queryParams = [];
+        let conditions = [scopeCondition(req.user.organizationIds, 'qs.organization_id', queryParams)];
         
         if (search) {
             conditions.push(`(qs.session_name ILIKE $${queryParams.length + 1} OR q.title ILIKE $${queryParams.length + 1})`);
@@ -1983,7 +4004,7 @@ router.get('/results/sessions', authorizeAdmin(), async (req, res) => {
             queryParams.push(quiz_id);
         }
         
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')} AND` : 'WHERE';
+        const whereClause = `WHERE ${conditions.join(' AND ')} AND`;
         
         const sessionsQuery = `
             SELECT 
@@ -2048,7 +4069,7 @@ router.get('/results/sessions', authorizeAdmin(), async (req, res) => {
 });
 
 // Get detailed session analysis
-router.get('/results/session/:id', authorizeAdmin(), async (req, res) => {
+router.get('/results/session/:id', authorizeAdmin('results:view'), authorizeOrganization('session'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -2112,7 +4133,7 @@ router.get('/results/session/:id', authorizeAdmin(), async (req, res) => {
                 q.id,
                 q.question_text,
                 q.correct_answer,
-                q.question_order,
+                qq.question_order,
                 COUNT(pa.id) as total_attempts,
                 COUNT(CASE WHEN pa.is_correct = true THEN 1 END) as correct_answers,
                 COUNT(CASE WHEN pa.is_correct = false THEN 1 END) as incorrect_answers,
@@ -2122,11 +4143,12 @@ router.get('/results/session/:id', authorizeAdmin(), async (req, res) => {
                     (COUNT(CASE WHEN pa.is_correct = true THEN 1 END) * 100.0 / NULLIF(COUNT(pa.id), 0)), 2
                 ) as success_rate
             FROM questions q
-            JOIN quiz_sessions qs ON q.quiz_id = qs.quiz_id
+            JOIN quiz_questions qq ON qq.question_id = q.id
+            JOIN quiz_sessions qs ON qq.quiz_id = qs.quiz_id
             LEFT JOIN participant_answers pa ON q.id = pa.question_id AND pa.session_id = qs.id
             WHERE qs.id = $1
-            GROUP BY q.id, q.question_text, q.correct_answer, q.question_order
-            ORDER BY q.question_order ASC
+            GROUP BY q.id, q.question_text, q.correct_answer, qq.question_order
+            ORDER BY qq.question_order ASC
         `, [sessionId]);
         
         // Get performance distribution
@@ -2200,10 +4222,10 @@ router.get('/results/session/:id', authorizeAdmin(), async (req, res) => {
 });
 
 // Export session results
-router.get('/results/export/:id', authorizeAdmin(), async (req, res) => {
+router.get('/results/export/:id', authorizeAdmin('results:view'), authorizeOrganization('session'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { format = 'csv' } = req.query;
+        const { format = 'csv', type = 'summary' } = req.query;
         
         // Validate session ID
         if (!id || isNaN(parseInt(id))) {
@@ -2215,6 +4237,10 @@ router.get('/results/export/:id', authorizeAdmin(), async (req, res) => {
         
         const sessionId = parseInt(id);
         
+        if (type === 'answers') {
+            return exportSessionAnswers(sessionId, res);
+        }
+        
         // Get session info and results
         const exportData = await db.query(`
             SELECT 
@@ -2227,6 +4253,7 @@ router.get('/results/export/:id', authorizeAdmin(), async (req, res) => {
                 p.designation,
                 p.company,
                 r.total_score,
+                r.max_score,
                 r.percentage_score,
                 r.correct_answers,
                 r.incorrect_answers,
@@ -2245,7 +4272,7 @@ router.get('/results/export/:id', authorizeAdmin(), async (req, res) => {
             LEFT JOIN prize_winners pw ON r.session_id = pw.session_id AND r.participant_id = pw.participant_id
             LEFT JOIN session_participants sp ON r.session_id = sp.session_id AND r.participant_id = sp.participant_id
             WHERE r.session_id = $1
-            ORDER BY r.rank_position ASC NULLS LAST, r.total_score DESC
+            ORDER BY r.rank_position ASC NULLS LAST, r.total_score DESC, r.completion_time_seconds ASC
         `, [sessionId]);
         
         if (exportData.rows.length === 0) {
@@ -2259,7 +4286,7 @@ router.get('/results/export/:id', authorizeAdmin(), async (req, res) => {
             // Generate CSV
             const csvHeader = [
                 'Rank', 'Name', 'Email', 'Designation', 'Company',
-                'Score (%)', 'Correct', 'Incorrect', 'Unanswered',
+                'Score', 'Max Score', 'Score (%)', 'Correct', 'Incorrect', 'Unanswered',
                 'Completion Time (seconds)', 'Performance Category',
                 'Prize Position', 'Joined At', 'Started At', 'Submitted At'
             ];
@@ -2270,6 +4297,8 @@ router.get('/results/export/:id', authorizeAdmin(), async (req, res) => {
                 row.email,
                 row.designation || '',
                 row.company || '',
+                row.total_score,
+                row.max_score,
                 row.percentage_score,
                 row.correct_answers,
                 row.incorrect_answers,
@@ -2308,8 +4337,94 @@ router.get('/results/export/:id', authorizeAdmin(), async (req, res) => {
     }
 });
 
+/**
+ * Send a CSV with one row per answer, showing both the option letters each participant saw
+ * and the original letters (they differ when options were shuffled)
+ * @param {number} sessionId - Session ID
+ * @param {Object} res - Express response
+ */
+async function exportSessionAnswers(sessionId, res) {
+    const answersResult = await db.query(`
+        SELECT 
+            qs.session_name,
+            p.name,
+            p.email,
+            sp.shuffled_question_order,
+            q.id as question_id,
+            qq.question_order,
+            q.question_type,
+            q.question_text,
+            q.option_a, q.option_b, q.option_c, q.option_d,
+            q.option_e, q.option_f, q.option_g, q.option_h,
+            q.correct_answer,
+            pa.selected_answer,
+            pa.is_correct,
+            pa.time_taken_seconds
+        FROM participant_answers pa
+        JOIN participants p ON pa.participant_id = p.id
+        JOIN quiz_sessions qs ON pa.session_id = qs.id
+        JOIN questions q ON pa.question_id = q.id
+        LEFT JOIN quiz_questions qq ON qq.quiz_id = qs.quiz_id AND qq.question_id = q.id
+        LEFT JOIN session_participants sp ON sp.session_id = pa.session_id AND sp.participant_id = pa.participant_id
+        WHERE pa.session_id = $1
+        ORDER BY p.name ASC, p.id ASC, qq.question_order ASC
+    `, [sessionId]);
+    
+    if (answersResult.rows.length === 0) {
+        return res.status(404).json({
+            success: false,
+            message: 'No answers found for this session'
+        });
+    }
+    
+    const csvHeader = [
+        'Name', 'Email', 'Question No.', 'Shown As No.', 'Question',
+        'Answer (as shown)', 'Answer (original)', 'Answer Text',
+        'Correct Answer (as shown)', 'Correct Answer (original)', 'Correct', 'Time Taken (seconds)'
+    ];
+    
+    const csvRows = answersResult.rows.map(row => {
+        const optionMapping = getStoredOptionMapping(row.shuffled_question_order, row.question_id);
+        const orderItem = row.shuffled_question_order && Array.isArray(row.shuffled_question_order.order)
+            ? row.shuffled_question_order.order.find(item => item.questionId === row.question_id)
+            : null;
+        const answerText = row.question_type === 'numeric'
+            ? row.selected_answer
+            : getQuestionOptions(row)
+                .filter(option => (row.selected_answer || '').split(',').includes(option.key))
+                .map(option => toPlainText(option.text))
+                .join('; ');
+        
+        return [
+            row.name,
+            row.email,
+            row.question_order || '',
+            orderItem ? orderItem.shuffledOrder : '',
+            toPlainText(row.question_text),
+            mapAnswerToShown(row.selected_answer, optionMapping) || '',
+            row.selected_answer || '',
+            answerText || '',
+            mapAnswerToShown(row.correct_answer, optionMapping) || '',
+            row.correct_answer || '',
+            row.is_correct ? 'Yes' : 'No',
+            row.time_taken_seconds || ''
+        ];
+    });
+    
+    const csvContent = [csvHeader, ...csvRows]
+        .map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+    
+    const sessionName = answersResult.rows[0].session_name.replace(/[^a-z0-9]/gi, '_');
+    const filename = `${sessionName}_answers_${new Date().toISOString().split('T')[0]}.csv`;
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csvContent);
+}
+
 // Get participant performance history across sessions
-router.get('/participants/:id/history', authorizeAdmin(), async (req, res) => {
+router.get('/participants/:id/history', authorizeAdmin('results:view'), authorizeOrganization('participant'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -2344,7 +4459,8 @@ router.get('/participants/:id/history', authorizeAdmin(), async (req, res) => {
             });
         }
         
-        // Get session history with results
+        // Get session history with results (sessions of organisations the admin cannot see are left out)
+        const historyParams = [participantId];
         const sessionHistory = await db.query(`
             SELECT 
                 qs.id as session_id,
@@ -2353,6 +4469,7 @@ router.get('/participants/:id/history', authorizeAdmin(), async (req, res) => {
                 q.title as quiz_title,
                 q.total_questions,
                 r.total_score,
+                r.max_score,
                 r.percentage_score,
                 r.correct_answers,
                 r.incorrect_answers,
@@ -2369,9 +4486,9 @@ router.get('/participants/:id/history', authorizeAdmin(), async (req, res) => {
             JOIN quizzes q ON qs.quiz_id = q.id
             LEFT JOIN results r ON sp.session_id = r.session_id AND sp.participant_id = r.participant_id
             LEFT JOIN prize_winners pw ON sp.session_id = pw.session_id AND sp.participant_id = pw.participant_id
-            WHERE sp.participant_id = $1
+            WHERE sp.participant_id = $1 AND ${scopeCondition(req.user.organizationIds, 'qs.organization_id', historyParams)}
             ORDER BY qs.start_time DESC
-        `, [participantId]);
+        `, historyParams);
         
         // Calculate overall statistics
         const completedSessions = sessionHistory.rows.filter(session => session.total_score !== null);
@@ -2426,7 +4543,7 @@ router.get('/participants/:id/history', authorizeAdmin(), async (req, res) => {
 });
 
 // Get detailed question-by-question review for participant in a session
-router.get('/participants/:participantId/session/:sessionId/questions', authorizeAdmin(), async (req, res) => {
+router.get('/participants/:participantId/session/:sessionId/questions', authorizeAdmin('results:view'), authorizeOrganization('participant', 'participantId'), authorizeOrganization('session', 'sessionId'), async (req, res) => {
     try {
         const { participantId, sessionId } = req.params;
         
@@ -2465,17 +4582,28 @@ router.get('/participants/:participantId/session/:sessionId/questions', authoriz
             });
         }
         
+        // With a randomised pool, only show the questions drawn for this participant
+        const assignedQuestionIds = await resolveParticipantQuestionIds(db, sessionIdInt, participantIdInt);
+        
         // Get all questions with participant answers
         const questionDetails = await db.query(`
             SELECT 
                 q.id as question_id,
                 q.question_text,
+                q.question_type,
                 q.option_a,
                 q.option_b,
                 q.option_c,
                 q.option_d,
+                q.option_e,
+                q.option_f,
+                q.option_g,
+                q.option_h,
                 q.correct_answer,
-                q.question_order,
+                q.numeric_tolerance,
+                q.explanation,
+                q.reference,
+                qq.question_order,
                 pa.selected_answer,
                 pa.is_correct,
                 pa.answered_at,
@@ -2488,17 +4616,35 @@ router.get('/participants/:participantId/session/:sessionId/questions', authoriz
                      NULLIF(COUNT(pa_all.id), 0)) * 100, 2
                 ) as success_rate
             FROM questions q
-            JOIN quiz_sessions qs ON q.quiz_id = qs.quiz_id
+            JOIN quiz_questions qq ON qq.question_id = q.id
+            JOIN quiz_sessions qs ON qq.quiz_id = qs.quiz_id
             LEFT JOIN participant_answers pa ON q.id = pa.question_id 
                 AND pa.session_id = $2 AND pa.participant_id = $1
             LEFT JOIN participant_answers pa_all ON q.id = pa_all.question_id 
                 AND pa_all.session_id = $2
-            WHERE qs.id = $2
-            GROUP BY q.id, q.question_text, q.option_a, q.option_b, q.option_c, q.option_d, 
-                     q.correct_answer, q.question_order, pa.selected_answer, pa.is_correct, 
+            WHERE qs.id = $2 AND ($3::int[] IS NULL OR q.id = ANY($3::int[]))
+            GROUP BY q.id, q.question_text, q.question_type, q.option_a, q.option_b, q.option_c, q.option_d,
+                     q.option_e, q.option_f, q.option_g, q.option_h, q.correct_answer, q.numeric_tolerance,
+                     q.explanation, q.reference, qq.question_order, pa.selected_answer, pa.is_correct, 
                      pa.answered_at, pa.time_taken_seconds
-            ORDER BY q.question_order
-        `, [participantIdInt, sessionIdInt]);
+            ORDER BY qq.question_order
+        `, [participantIdInt, sessionIdInt, assignedQuestionIds]);
+        
+        // Show options in the order this participant saw them
+        const orderResult = await db.query(
+            'SELECT shuffled_question_order FROM session_participants WHERE session_id = $1 AND participant_id = $2',
+            [sessionIdInt, participantIdInt]
+        );
+        const storedOrder = orderResult.rows.length > 0 ? orderResult.rows[0].shuffled_question_order : null;
+        
+        questionDetails.rows = questionDetails.rows.map(row => {
+            const optionMapping = getStoredOptionMapping(storedOrder, row.question_id);
+            const question = applyOptionMapping(row, optionMapping);
+            
+            question.selected_answer = mapAnswerToShown(row.selected_answer, optionMapping);
+            question.options = getQuestionOptions(question);
+            return addRichTextHtml(question);
+        });
         
         // Calculate question-wise statistics
         const questionStats = {
@@ -1,11 +1,86 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { generateToken } = require('../middleware/auth');
+const { generateToken, authenticateParticipantForPasswordChange } = require('../middleware/auth');
 const db = require('../config/database');
 const { redisHelper } = require('../config/redis');
+const participantService = require('../services/participantService');
+const passwordResetService = require('../services/passwordResetService');
+const passwordlessLoginService = require('../services/passwordlessLoginService');
+const oidcService = require('../services/oidcService');
+const twoFactorService = require('../services/twoFactorService');
+const { MIN_PASSWORD_LENGTH } = require('../utils/credentials');
+const { getBaseUrl } = require('../utils/appUrl');
 const router = express.Router();
 
+// Cookie settings shared by the participant and admin tokens
+function getAuthCookieOptions() {
+    // Set secure HTTP-only cookie for authentication
+    // Configure for proxy environments
+    const cookieOptions = {
+        httpOnly: true,
+        maxAge: 24 * 60 * 60 * 1000, // 24 hours
+        path: '/'
+    };
+    
+    // Adjust security settings based on environment
+    if (process.env.NODE_ENV === 'production') {
+        // Behind Apache proxy, might need different settings
+        cookieOptions.secure = false; // Apache handles HTTPS termination
+        cookieOptions.sameSite = 'lax';
+    } else {
+        cookieOptions.secure = false; // Development
+        cookieOptions.sameSite = 'lax';
+    }
+    
+    return cookieOptions;
+}
+
+// Issue the participant token, session and cookie after a successful login
+// Passwordless and SSO logins never used the generated password, so they are not held up by a pending password change
+async function startParticipantSession(res, participant, authMethod = 'password') {
+    // Update last login
+    await db.query(
+        'UPDATE user_credentials SET last_login = CURRENT_TIMESTAMP WHERE participant_id = $1',
+        [participant.id]
+    );
+    
+    // Generate JWT token
+    const token = generateToken({
+        id: participant.id,
+        username: participant.username,
+        email: participant.email,
+        type: 'participant',
+        authMethod
+    });
+    
+    // Store session in Redis
+    await redisHelper.setSession(participant.id, {
+        participantId: participant.id,
+        username: participant.username,
+        email: participant.email,
+        authMethod,
+        loginTime: new Date().toISOString()
+    }, 24 * 60 * 60); // 24 hours
+    
+    res.cookie('participantToken', token, getAuthCookieOptions());
+    
+    console.log('Setting participant cookie for user:', participant.id, 'Token length:', token.length);
+    
+    return {
+        token,
+        participant: {
+            id: participant.id,
+            name: participant.name,
+            email: participant.email,
+            designation: participant.designation,
+            company: participant.company,
+            username: participant.username
+        },
+        mustChangePassword: authMethod === 'password' && participant.must_change_password === true
+    };
+}
+
 // Participant login
 router.post('/participant/login', async (req, res) => {
     try {
@@ -20,7 +95,7 @@ router.post('/participant/login', async (req, res) => {
         
         // Get participant with credentials
         const result = await db.query(`
-            SELECT p.*, uc.username, uc.password_hash, uc.is_active, uc.last_login
+            SELECT p.*, uc.username, uc.password_hash, uc.is_active, uc.last_login, uc.must_change_password
             FROM participants p 
             JOIN user_credentials uc ON p.id = uc.participant_id 
             WHERE uc.username = $1 AND uc.is_active = true
@@ -45,68 +120,126 @@ router.post('/participant/login', async (req, res) => {
             });
         }
         
-        // Update last login
-        await db.query(
-            'UPDATE user_credentials SET last_login = CURRENT_TIMESTAMP WHERE participant_id = $1',
-            [participant.id]
-        );
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: await startParticipantSession(res, participant)
+        });
         
-        // Generate JWT token
-        const token = generateToken({
-            id: participant.id,
-            username: participant.username,
-            email: participant.email,
-            type: 'participant'
+    } catch (error) {
+        console.error('Participant login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed'
         });
+    }
+});
+
+// Passwordless login request: sends a login link or a one-time code if the participant exists
+// The response is the same either way so it cannot be used to find out who is registered
+router.post('/participant/passwordless/request', async (req, res) => {
+    try {
+        const { email, mobile, method } = req.body;
         
-        // Store session in Redis
-        await redisHelper.setSession(participant.id, {
-            participantId: participant.id,
-            username: participant.username,
-            email: participant.email,
-            loginTime: new Date().toISOString()
-        }, 24 * 60 * 60); // 24 hours
+        if (!email && !mobile) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email or mobile number is required'
+            });
+        }
         
-        // Set secure HTTP-only cookie for authentication
-        // Configure for proxy environments
-        const cookieOptions = {
-            httpOnly: true,
-            maxAge: 24 * 60 * 60 * 1000, // 24 hours
-            path: '/'
-        };
-        
-        // Adjust security settings based on environment
-        if (process.env.NODE_ENV === 'production') {
-            // Behind Apache proxy, might need different settings
-            cookieOptions.secure = false; // Apache handles HTTPS termination
-            cookieOptions.sameSite = 'lax';
-        } else {
-            cookieOptions.secure = false; // Development
-            cookieOptions.sameSite = 'lax';
+        if (!passwordlessLoginService.LOGIN_METHODS.includes(method)) {
+            return res.status(400).json({
+                success: false,
+                message: `Method must be one of: ${passwordlessLoginService.LOGIN_METHODS.join(', ')}`
+            });
         }
         
-        res.cookie('participantToken', token, cookieOptions);
+        const baseUrl = getBaseUrl(req);
         
-        console.log('Setting participant cookie for user:', participant.id, 'Token length:', token.length);
+        await passwordlessLoginService.requestLogin({ email, mobile, method, baseUrl });
+        
+        res.json({
+            success: true,
+            message: method === 'email_link'
+                ? 'If the account exists, a login link has been sent to its email'
+                : `If the account exists, a login code has been sent by ${method === 'sms_otp' ? 'SMS' : 'email'}`
+        });
+        
+    } catch (error) {
+        console.error('Passwordless login request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send login code'
+        });
+    }
+});
 
+// Passwordless login with a one-time code
+router.post('/participant/passwordless/verify', async (req, res) => {
+    try {
+        const { email, mobile, code } = req.body;
+        
+        if ((!email && !mobile) || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email or mobile number and code are required'
+            });
+        }
+        
+        const participant = await passwordlessLoginService.verifyCode({ email, mobile, code });
+        
+        if (!participant) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired code'
+            });
+        }
+        
         res.json({
             success: true,
             message: 'Login successful',
-            data: {
-                token,
-                participant: {
-                    id: participant.id,
-                    name: participant.name,
-                    email: participant.email,
-                    designation: participant.designation,
-                    company: participant.company,
-                    username: participant.username
-                }
-            }
+            data: await startParticipantSession(res, participant, 'passwordless')
         });
         
     } catch (error) {
-        console.error('Participant login error:', error);
+        console.error('Passwordless login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed'
+        });
+    }
+});
+
+// Passwordless login with an emailed link (the login page posts the token from the link)
+router.post('/participant/magic-link', async (req, res) => {
+    try {
+        const { token } = req.body;
+        
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token is required'
+            });
+        }
+        
+        const participant = await passwordlessLoginService.verifyLink(token);
+        
+        if (!participant) {
+            return res.status(401).json({
+                success: false,
+                message: 'This login link is invalid or has expired. Please request a new one'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: await startParticipantSession(res, participant, 'passwordless')
+        });
+        
+    } catch (error) {
+        console.error('Magic link login error:', error);
         res.status(500).json({
             success: false,
             message: 'Login failed'
@@ -114,6 +247,101 @@ router.post('/participant/login', async (req, res) => {
     }
 });
 
+// Participant change password (also used for the forced change after logging in with a generated password)
+router.post('/participant/change-password', authenticateParticipantForPasswordChange, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password and new password are required'
+            });
+        }
+        
+        const validationError = await participantService.changeParticipantPassword(req.user.id, currentPassword, newPassword);
+        
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError,
+                data: { minLength: MIN_PASSWORD_LENGTH }
+            });
+        }
+        
+        // The change signs out every token issued before it, including this one, so start a new session
+        await startParticipantSession(res, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+        
+    } catch (error) {
+        console.error('Participant change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change password'
+        });
+    }
+});
+
+// Issue the admin token, session and cookie after a successful login
+async function startAdminSession(res, admin) {
+    // Update last login
+    await db.query(
+        'UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+        [admin.id]
+    );
+    
+    // Generate JWT token
+    const token = generateToken({
+        id: admin.id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role,
+        type: 'admin'
+    });
+    
+    // Store session in Redis
+    await redisHelper.setSession(`admin_${admin.id}`, {
+        adminId: admin.id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role,
+        loginTime: new Date().toISOString()
+    }, 24 * 60 * 60); // 24 hours
+    
+    res.cookie('adminToken', token, getAuthCookieOptions());
+    
+    console.log('Setting admin cookie for user:', admin.id, 'Token length:', token.length);
+    
+    return {
+        token,
+        admin: {
+            id: admin.id,
+            username: admin.username,
+            email: admin.email,
+            role: admin.role
+        }
+    };
+}
+
+// After the password (or SSO) check: start the session, or hand out a challenge for the two-factor step
+async function beginAdminLogin(res, admin) {
+    const requirement = await twoFactorService.getLoginRequirement(admin);
+    
+    if (!requirement) {
+        return startAdminSession(res, admin);
+    }
+    
+    return {
+        twoFactorRequired: requirement === 'verify',
+        twoFactorSetupRequired: requirement === 'enrol',
+        challengeToken: await twoFactorService.createChallenge(admin.id, requirement)
+    };
+}
+
 // Admin login
 router.post('/admin/login', async (req, res) => {
     try {
@@ -151,68 +379,134 @@ router.post('/admin/login', async (req, res) => {
             });
         }
         
-        // Update last login
-        await db.query(
-            'UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-            [admin.id]
-        );
+        const data = await beginAdminLogin(res, admin);
         
-        // Generate JWT token
-        const token = generateToken({
-            id: admin.id,
-            username: admin.username,
-            email: admin.email,
-            role: admin.role,
-            type: 'admin'
+        res.json({
+            success: true,
+            message: data.token ? 'Admin login successful' : 'Two-factor authentication required',
+            data
         });
         
-        // Store session in Redis
-        await redisHelper.setSession(`admin_${admin.id}`, {
-            adminId: admin.id,
-            username: admin.username,
-            email: admin.email,
-            role: admin.role,
-            loginTime: new Date().toISOString()
-        }, 24 * 60 * 60); // 24 hours
+    } catch (error) {
+        console.error('Admin login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed'
+        });
+    }
+});
+
+// Two-factor setup during login, when it is mandatory and the admin has not set it up yet
+router.post('/admin/2fa/setup', async (req, res) => {
+    try {
+        const challenge = await twoFactorService.getChallenge(req.body.challengeToken);
         
-        // Set secure HTTP-only cookie for admin authentication
-        // Configure for proxy environments
-        const cookieOptions = {
-            httpOnly: true,
-            maxAge: 24 * 60 * 60 * 1000, // 24 hours
-            path: '/'
-        };
-        
-        // Adjust security settings based on environment
-        if (process.env.NODE_ENV === 'production') {
-            // Behind Apache proxy, might need different settings
-            cookieOptions.secure = false; // Apache handles HTTPS termination
-            cookieOptions.sameSite = 'lax';
-        } else {
-            cookieOptions.secure = false; // Development
-            cookieOptions.sameSite = 'lax';
+        if (!challenge || challenge.purpose !== 'enrol') {
+            return res.status(401).json({
+                success: false,
+                message: 'Login has expired. Please log in again'
+            });
         }
         
-        res.cookie('adminToken', token, cookieOptions);
+        const result = await db.query('SELECT * FROM admin_users WHERE id = $1 AND is_active = true', [challenge.adminId]);
         
-        console.log('Setting admin cookie for user:', admin.id, 'Token length:', token.length);
+        if (result.rows.length === 0) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login has expired. Please log in again'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: await twoFactorService.startEnrolment(result.rows[0])
+        });
+        
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start two-factor setup'
+        });
+    }
+});
 
+// Second login step: a code from the authenticator app or a recovery code (or the first code when setting it up)
+router.post('/admin/2fa/verify', async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+        
+        if (!challengeToken || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Challenge token and code are required'
+            });
+        }
+        
+        const challenge = await twoFactorService.getChallenge(challengeToken);
+        
+        if (!challenge || !(await twoFactorService.consumeChallengeAttempt(challengeToken))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login has expired or there were too many attempts. Please log in again'
+            });
+        }
+        
+        const adminResult = await db.query('SELECT * FROM admin_users WHERE id = $1 AND is_active = true', [challenge.adminId]);
+        
+        if (adminResult.rows.length === 0) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login has expired. Please log in again'
+            });
+        }
+        
+        let recoveryCodes = null;
+        let method = 'totp';
+        
+        if (challenge.purpose === 'enrol') {
+            const enrolment = await twoFactorService.confirmEnrolment(challenge.adminId, code);
+            
+            if (enrolment.error) {
+                return res.status(401).json({
+                    success: false,
+                    message: enrolment.error
+                });
+            }
+            recoveryCodes = enrolment.recoveryCodes;
+        } else {
+            method = await twoFactorService.verify(challenge.adminId, code);
+            
+            if (!method) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid code'
+                });
+            }
+        }
+        
+        // The challenge is single use
+        if (!(await twoFactorService.completeChallenge(challengeToken))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login has expired. Please log in again'
+            });
+        }
+        
+        const data = await startAdminSession(res, adminResult.rows[0]);
+        
         res.json({
             success: true,
             message: 'Admin login successful',
             data: {
-                token,
-                admin: {
-                    id: admin.id,
-                    username: admin.username,
-                    email: admin.email,
-                    role: admin.role
-                }
+                ...data,
+                recoveryCodes,
+                usedRecoveryCode: method === 'recovery_code'
             }
         });
         
     } catch (error) {
-        console.error('Admin login error:', error);
+        console.error('Two-factor verify error:', error);
         res.status(500).json({
             success: false,
             message: 'Login failed'
@@ -343,7 +637,8 @@ router.get('/verify', async (req, res) => {
     }
 });
 
-// Password reset request (for demo purposes - in production, implement proper email verification)
+// Password reset request: emails a single-use link if the account exists
+// The response is the same either way so it cannot be used to find out which emails are registered
 router.post('/reset-password-request', async (req, res) => {
     try {
         const { email, userType } = req.body;
@@ -355,33 +650,203 @@ router.post('/reset-password-request', async (req, res) => {
             });
         }
         
-        let table = userType === 'admin' ? 'admin_users' : 'participants';
+        if (!['participant', 'admin'].includes(userType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User type must be participant or admin'
+            });
+        }
         
-        const result = await db.query(
-            `SELECT id, email FROM ${table} WHERE email = $1`,
-            [email]
-        );
+        const baseUrl = getBaseUrl(req);
         
-        if (result.rows.length === 0) {
-            // Don't reveal if email exists or not for security
+        await passwordResetService.requestReset(email, userType, { baseUrl, ip: req.ip });
+        
+        res.json({
+            success: true,
+            message: 'If the email is registered, a password reset link has been sent to it'
+        });
+        
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Password reset request failed'
+        });
+    }
+});
+
+// Password reset confirm: sets the new password and uses up the token
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+        
+        if (!token || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token and new password are required'
+            });
+        }
+        
+        const resetError = await passwordResetService.confirmReset(token, newPassword);
+        
+        if (resetError) {
+            return res.status(400).json({
+                success: false,
+                message: resetError
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Password has been reset. You can now log in with your new password'
+        });
+        
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Password reset failed'
+        });
+    }
+});
+
+// SSO (OpenID Connect, authorization code with PKCE)
+const OIDC_LOGIN_PAGES = {
+    admin: '/admin/login.html',
+    participant: '/quiz/login.html'
+};
+
+// Which login pages offer SSO, and the button label
+router.get('/oidc/config', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            providerName: oidcService.getConfig().providerName,
+            admin: oidcService.isEnabled('admin'),
+            participant: oidcService.isEnabled('participant')
+        }
+    });
+});
+
+// Start an SSO login: redirects to the identity provider
+router.get('/oidc/:userType/login', async (req, res) => {
+    const { userType } = req.params;
+    const loginPage = OIDC_LOGIN_PAGES[userType] || OIDC_LOGIN_PAGES.participant;
+    
+    if (!oidcService.isEnabled(userType)) {
+        return res.redirect(`${loginPage}?sso_error=disabled`);
+    }
+    
+    try {
+        const { url, state } = await oidcService.createAuthorizationRequest(userType, getBaseUrl(req));
+        
+        // Ties the callback to the browser that started the login
+        res.cookie('oidcState', state, {
+            httpOnly: true,
+            maxAge: 10 * 60 * 1000, // 10 minutes
+            path: '/api/auth/oidc',
+            secure: false,
+            sameSite: 'lax'
+        });
+        
+        res.redirect(url);
+        
+    } catch (error) {
+        console.error('SSO login start error:', error);
+        res.redirect(`${loginPage}?sso_error=failed`);
+    }
+});
+
+// Identity provider callback: verifies the login and hands it to the login page
+router.get('/oidc/callback', async (req, res) => {
+    const { code, state, error } = req.query;
+    let userType = 'participant';
+    
+    res.clearCookie('oidcState', { path: '/api/auth/oidc' });
+    
+    try {
+        if (error || !code || !state || state !== req.cookies?.oidcState) {
+            if (error) {
+                console.log('SSO login returned an error from the provider:', error, req.query.error_description || '');
+            }
+            
+            // Use up the state so it cannot be replayed from another browser
+            userType = (state && await oidcService.discardState(state)) || userType;
+            return res.redirect(`${OIDC_LOGIN_PAGES[userType]}?sso_error=${error === 'access_denied' ? 'cancelled' : 'expired'}`);
+        }
+        
+        const result = await oidcService.completeLogin({ code, state, baseUrl: getBaseUrl(req) });
+        userType = result.userType;
+        
+        if (result.error) {
+            return res.redirect(`${OIDC_LOGIN_PAGES[userType]}?sso_error=${result.error}`);
+        }
+        
+        const handoffCode = await oidcService.createHandoff(userType, result.account.id);
+        res.redirect(`${OIDC_LOGIN_PAGES[userType]}?sso_code=${handoffCode}`);
+        
+    } catch (callbackError) {
+        console.error('SSO callback error:', callbackError.message);
+        res.redirect(`${OIDC_LOGIN_PAGES[userType]}?sso_error=failed`);
+    }
+});
+
+// Exchange the SSO handoff code for the usual login response, token and cookie
+router.post('/oidc/session', async (req, res) => {
+    try {
+        const handoff = await oidcService.takeHandoff(req.body.code);
+        
+        if (!handoff) {
+            return res.status(401).json({
+                success: false,
+                message: 'SSO login has expired. Please try again'
+            });
+        }
+        
+        if (handoff.userType === 'admin') {
+            const result = await db.query('SELECT * FROM admin_users WHERE id = $1 AND is_active = true', [handoff.accountId]);
+            
+            if (result.rows.length === 0) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Account is not active'
+                });
+            }
+            
+            const data = await beginAdminLogin(res, result.rows[0]);
+            
             return res.json({
                 success: true,
-                message: 'If the email exists, a reset link will be sent'
+                message: data.token ? 'Admin login successful' : 'Two-factor authentication required',
+                data
+            });
+        }
+        
+        const result = await db.query(`
+            SELECT p.*, uc.username, uc.must_change_password
+            FROM participants p
+            JOIN user_credentials uc ON p.id = uc.participant_id
+            WHERE p.id = $1 AND uc.is_active = true
+        `, [handoff.accountId]);
+        
+        if (result.rows.length === 0) {
+            return res.status(401).json({
+                success: false,
+                message: 'Account is not active'
             });
         }
         
-        // In production, generate reset token and send email
-        // For demo, just return success
         res.json({
             success: true,
-            message: 'Password reset instructions sent to your email'
+            message: 'Login successful',
+            data: await startParticipantSession(res, result.rows[0], 'sso')
         });
         
     } catch (error) {
-        console.error('Password reset request error:', error);
+        console.error('SSO session error:', error);
         res.status(500).json({
             success: false,
-            message: 'Password reset request failed'
+            message: 'Login failed'
         });
     }
 });
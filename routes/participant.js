@@ -1,9 +1,20 @@
 const express = require('express');
-const { authenticateParticipant, checkSessionAccess, checkNotSubmitted, checkQuizState } = require('../middleware/auth');
+const { authenticateParticipant, checkSessionAccess, checkNotSubmitted, checkQuizState, checkQuizDeadline } = require('../middleware/auth');
 const db = require('../config/database');
 const { redisHelper } = require('../config/redis');
 const { triggerPrizeCalculation } = require('../utils/prizeCalculator');
-const { getShuffledQuestionsForParticipant } = require('../utils/questionShuffler');
+const {
+    getShuffledQuestionsForParticipant,
+    shuffleQuestionOptions,
+    applyOptionMapping,
+    getStoredOptionMapping,
+    mapAnswerToOriginal,
+    mapAnswerToShown
+} = require('../utils/questionShuffler');
+const { normalizeDrawRules, drawQuestions, resolveParticipantQuestionIds } = require('../utils/questionPool');
+const { getQuestionOptions, normalizeAnswer, isAnswerCorrect } = require('../utils/questionTypes');
+const { addRichTextHtml } = require('../utils/richText');
+const sessionInvitationService = require('../services/sessionInvitationService');
 
 const router = express.Router();
 
@@ -55,17 +66,23 @@ router.get('/profile', authenticateParticipant, async (req, res) => {
     }
 });
 
-// Get available quiz sessions for participant
+// Get available quiz sessions for participant: sessions they are invited to and any they already took part in
 router.get('/sessions', authenticateParticipant, async (req, res) => {
     try {
         const result = await withTimeout(
             db.query(`
-                SELECT qs.*, q.title, q.description, q.total_questions,
+                SELECT qs.*, q.title, q.description,
+                       -- With draw rules each participant only gets the drawn number of questions
+                       COALESCE(
+                           (SELECT SUM((rule->>'count')::int)::int FROM jsonb_array_elements(q.draw_rules) rule),
+                           q.total_questions
+                       ) as total_questions,
                        sp.status as participation_status, sp.joined_at, sp.submitted_at
                 FROM quiz_sessions qs
                 JOIN quizzes q ON qs.quiz_id = q.id
                 LEFT JOIN session_participants sp ON qs.id = sp.session_id AND sp.participant_id = $1
                 WHERE qs.status IN ('scheduled', 'instruction', 'active', 'completed')
+                  AND (sp.id IS NOT NULL OR ${sessionInvitationService.eligibleCondition('qs', '$1', '$2')})
                 ORDER BY 
                     CASE qs.status 
                         WHEN 'instruction' THEN 1
@@ -74,7 +91,7 @@ router.get('/sessions', authenticateParticipant, async (req, res) => {
                         WHEN 'completed' THEN 4
                     END,
                     qs.start_time DESC
-            `, [req.user.id]),
+            `, [req.user.id, req.user.organization_id]),
             5000,
             'Sessions list query timeout'
         );
@@ -98,11 +115,12 @@ router.post('/sessions/:sessionId/join', authenticateParticipant, async (req, re
     try {
         const { sessionId } = req.params;
         
-        // Check if session exists and is joinable
-        const sessionResult = await db.query(
-            'SELECT * FROM quiz_sessions WHERE id = $1 AND status IN ($2, $3)',
-            [sessionId, 'scheduled', 'instruction']
-        );
+        // Check if session exists, is joinable and the participant is invited to it
+        const sessionResult = await db.query(`
+            SELECT * FROM quiz_sessions qs
+            WHERE qs.id = $1 AND qs.status IN ('scheduled', 'instruction')
+              AND ${sessionInvitationService.eligibleCondition('qs', '$2', '$3')}
+        `, [sessionId, req.user.id, req.user.organization_id]);
         
         if (sessionResult.rows.length === 0) {
             return res.status(404).json({
@@ -111,8 +129,6 @@ router.post('/sessions/:sessionId/join', authenticateParticipant, async (req, re
             });
         }
         
-        const session = sessionResult.rows[0];
-        
         // Check if already joined or submitted
         const existingResult = await db.query(
             'SELECT id, status FROM session_participants WHERE session_id = $1 AND participant_id = $2',
@@ -134,26 +150,15 @@ router.post('/sessions/:sessionId/join', authenticateParticipant, async (req, re
             }
         }
         
-        // Check participant limit
-        const countResult = await db.query(
-            'SELECT COUNT(*) FROM session_participants WHERE session_id = $1',
-            [sessionId]
-        );
-        
-        const currentCount = parseInt(countResult.rows[0].count);
-        if (currentCount >= session.max_participants) {
+        // Join the session if it is not full
+        const joined = await sessionInvitationService.join(sessionId, req.user.id);
+        if (!joined || joined.error) {
             return res.status(400).json({
                 success: false,
-                message: 'Session is full'
+                message: joined ? joined.error : 'Session not found or not available for joining'
             });
         }
         
-        // Join the session
-        await db.query(
-            'INSERT INTO session_participants (session_id, participant_id) VALUES ($1, $2)',
-            [sessionId, req.user.id]
-        );
-        
         res.json({
             success: true,
             message: 'Successfully joined the quiz session'
@@ -168,136 +173,166 @@ router.post('/sessions/:sessionId/join', authenticateParticipant, async (req, re
     }
 });
 
-// Get quiz questions for a session
-router.get('/sessions/:sessionId/questions', authenticateParticipant, checkSessionAccess, checkNotSubmitted, checkQuizState(['active']), async (req, res) => {
-    try {
-        const { sessionId } = req.params;
-        const participantId = req.user.id;
-        
-        // Check if participant already has shuffled question order
-        const participantResult = await db.query(`
-            SELECT shuffled_question_order 
-            FROM session_participants 
-            WHERE session_id = $1 AND participant_id = $2
-        `, [sessionId, participantId]);
-        
-        if (participantResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Participant not found in session'
-            });
-        }
-        
-        // Get all questions for the quiz with shuffle settings
-        const questionsResult = await db.query(`
-            SELECT q.id, q.question_text, q.option_a, q.option_b, q.option_c, q.option_d, q.question_order, q.correct_answer,
-                   qz.shuffle_questions, qz.shuffle_options
-            FROM questions q
-            JOIN quiz_sessions qs ON q.quiz_id = qs.quiz_id
-            JOIN quizzes qz ON qs.quiz_id = qz.id
-            WHERE qs.id = $1
-            ORDER BY q.question_order ASC
-        `, [sessionId]);
-        
-        const originalQuestions = questionsResult.rows;
-        
-        if (originalQuestions.length === 0) {
-            return res.json({
-                success: true,
-                data: []
-            });
-        }
+// Build a participant's questions for a session in the order they see them, drawing, ordering and shuffling them
+// on the first call and storing the result. Returns null when the participant is not in the session.
+async function loadParticipantQuestions(sessionId, participantId) {
+    // Check if participant already has shuffled question order
+    const participantResult = await db.query(`
+        SELECT shuffled_question_order 
+        FROM session_participants 
+        WHERE session_id = $1 AND participant_id = $2
+    `, [sessionId, participantId]);
+    
+    if (participantResult.rows.length === 0) {
+        return null;
+    }
+    
+    // Get all questions for the quiz with shuffle settings
+    const questionsResult = await db.query(`
+        SELECT q.id, q.question_type, q.question_text, q.option_a, q.option_b, q.option_c, q.option_d,
+               q.option_e, q.option_f, q.option_g, q.option_h, qq.question_order, q.correct_answer,
+               q.difficulty, q.category, q.tags,
+               qz.shuffle_questions, qz.shuffle_options, qz.draw_rules, qz.speed_bonus_enabled
+        FROM questions q
+        JOIN quiz_questions qq ON qq.question_id = q.id
+        JOIN quiz_sessions qs ON qq.quiz_id = qs.quiz_id
+        JOIN quizzes qz ON qs.quiz_id = qz.id
+        WHERE qs.id = $1
+        ORDER BY qq.question_order ASC
+    `, [sessionId]);
+    
+    const originalQuestions = questionsResult.rows;
+    
+    if (originalQuestions.length === 0) {
+        return { questions: [], speedBonus: false };
+    }
+    
+    let storedOrder = participantResult.rows[0].shuffled_question_order;
+    
+    // First visit: draw, order and shuffle this participant's questions once and store the result
+    if (!storedOrder) {
+        // Randomised pools: draw this participant's subset before ordering it
+        const drawRules = normalizeDrawRules(originalQuestions[0].draw_rules);
+        const participantQuestions = drawRules
+            ? drawQuestions(originalQuestions, drawRules, participantId, sessionId)
+            : originalQuestions;
+        
+        // Get shuffle settings from quiz
+        const shuffleQuestions = originalQuestions[0].shuffle_questions;
+        const shuffleOptions = !!originalQuestions[0].shuffle_options;
         
         let shuffledData;
         
-        // Check if shuffled order already exists
-        if (participantResult.rows[0].shuffled_question_order) {
-            // Use existing shuffle order
-            const storedOrder = participantResult.rows[0].shuffled_question_order;
-            
-            // Reconstruct questions in shuffled order
-            const shuffledQuestions = storedOrder.order.map(orderItem => {
-                const question = originalQuestions.find(q => q.id === orderItem.questionId);
-                if (!question) return null;
-                
-                // DISABLED: Answer option shuffling - ignore any stored option mappings
-                // Always use original answer order even if previous shuffle data exists
-                return {
-                    ...question,
-                    display_order: orderItem.shuffledOrder
-                };
-            }).filter(q => q !== null);
-            
+        if (shuffleQuestions) {
+            // Generate new shuffle order
+            shuffledData = getShuffledQuestionsForParticipant(
+                participantQuestions, 
+                participantId, 
+                sessionId, 
+                shuffleOptions
+            );
+        } else {
+            // No question shuffling - keep the original order (options may still be shuffled)
             shuffledData = {
-                questions: shuffledQuestions,
+                questions: participantQuestions.map(q => shuffleOptions ? shuffleQuestionOptions(q, participantId) : q),
+                questionOrder: participantQuestions.map((q, index) => ({
+                    questionId: q.id,
+                    originalOrder: q.question_order || index + 1,
+                    shuffledOrder: index + 1
+                })),
                 participantId,
                 sessionId,
-                shuffleEnabled: !!storedOrder.shuffleEnabled
+                shuffleEnabled: shuffleOptions
             };
-        } else {
-            // Get shuffle settings from quiz
-            const shuffleQuestions = originalQuestions.length > 0 ? originalQuestions[0].shuffle_questions : true;
-            // DISABLED: Answer option shuffling - only shuffle questions, not answer options
-            // const shuffleOptions = originalQuestions.length > 0 ? originalQuestions[0].shuffle_options : true;
-            const shuffleOptions = false; // Always disable answer option shuffling
-            
-            if (shuffleQuestions) {
-                // Generate new shuffle order
-                shuffledData = getShuffledQuestionsForParticipant(
-                    originalQuestions, 
-                    participantId, 
-                    sessionId, 
-                    shuffleOptions
-                );
-            } else {
-                // No shuffling - return questions in original order
-                shuffledData = {
-                    questions: originalQuestions.map((q, index) => ({
-                        ...q,
-                        display_order: q.question_order || index + 1
-                    })),
-                    questionOrder: originalQuestions.map((q, index) => ({
-                        questionId: q.id,
-                        originalOrder: q.question_order || index + 1,
-                        shuffledOrder: q.question_order || index + 1
-                    })),
-                    participantId,
-                    sessionId,
-                    shuffleEnabled: false
+        }
+        
+        // Store the order with each question's option mapping so answers can be mapped back when grading
+        const orderToStore = {
+            order: shuffledData.questionOrder.map(orderItem => {
+                const question = shuffledData.questions.find(q => q.id === orderItem.questionId);
+                return {
+                    ...orderItem,
+                    optionMapping: (question && question.option_mapping) || null
                 };
-            }
+            }),
+            shuffleEnabled: shuffledData.shuffleEnabled,
+            drawRules,
+            generatedAt: new Date().toISOString()
+        };
+        
+        // Only the first request stores an order, so concurrent loads cannot overwrite each other
+        const storeResult = await db.query(`
+            UPDATE session_participants 
+            SET shuffled_question_order = $1 
+            WHERE session_id = $2 AND participant_id = $3 AND shuffled_question_order IS NULL
+            RETURNING shuffled_question_order
+        `, [JSON.stringify(orderToStore), sessionId, participantId]);
+        
+        if (storeResult.rows.length > 0) {
+            storedOrder = storeResult.rows[0].shuffled_question_order;
+        } else {
+            const existingResult = await db.query(`
+                SELECT shuffled_question_order 
+                FROM session_participants 
+                WHERE session_id = $1 AND participant_id = $2
+            `, [sessionId, participantId]);
+            storedOrder = existingResult.rows[0].shuffled_question_order;
+        }
+    }
+    
+    // Rebuild the questions exactly as stored: same order, same option positions
+    const questions = [...storedOrder.order]
+        .sort((a, b) => a.shuffledOrder - b.shuffledOrder)
+        .map(orderItem => {
+            const question = originalQuestions.find(q => q.id === orderItem.questionId);
+            if (!question) return null;
             
-            // Store the shuffled order in database
-            const orderToStore = {
-                order: shuffledData.questionOrder.map(orderItem => {
-                    // DISABLED: Answer option shuffling - never store option mappings
-                    return {
-                        ...orderItem,
-                        optionMapping: null // Always null since answer shuffling is disabled
-                    };
-                }),
-                shuffleEnabled: shuffledData.shuffleEnabled,
-                generatedAt: new Date().toISOString()
+            return {
+                ...applyOptionMapping(question, orderItem.optionMapping),
+                display_order: orderItem.shuffledOrder
             };
-            
-            await db.query(`
-                UPDATE session_participants 
-                SET shuffled_question_order = $1 
-                WHERE session_id = $2 AND participant_id = $3
-            `, [JSON.stringify(orderToStore), sessionId, participantId]);
+        })
+        .filter(q => q !== null);
+    
+    return { questions, speedBonus: !!originalQuestions[0].speed_bonus_enabled };
+}
+
+// Remove sensitive data before sending a question to the client
+// question_html and options[].html are rendered and sanitised here, never in the browser
+function toClientQuestion(q) {
+    return addRichTextHtml({
+        id: q.id,
+        question_type: q.question_type,
+        question_text: q.question_text,
+        option_a: q.option_a,
+        option_b: q.option_b,
+        option_c: q.option_c,
+        option_d: q.option_d,
+        options: getQuestionOptions(q),
+        display_order: q.display_order,
+        // Don't send correct answer or mapping to client
+    });
+}
+
+// Get quiz questions for a session
+router.get('/sessions/:sessionId/questions', authenticateParticipant, checkSessionAccess, checkNotSubmitted, checkQuizState(['active']), checkQuizDeadline, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        
+        const loaded = await loadParticipantQuestions(sessionId, req.user.id);
+        
+        if (!loaded) {
+            return res.status(404).json({
+                success: false,
+                message: 'Participant not found in session'
+            });
         }
         
-        // Remove sensitive data before sending to client
-        const clientQuestions = shuffledData.questions.map(q => ({
-            id: q.id,
-            question_text: q.question_text,
-            option_a: q.option_a,
-            option_b: q.option_b,
-            option_c: q.option_c,
-            option_d: q.option_d,
-            display_order: q.display_order || q.question_order,
-            // Don't send correct answer or mapping to client
-        }));
+        // With a speed bonus, response times start when the server hands out a question, so only the
+        // outline is sent here and each question is fetched on its own when shown
+        const clientQuestions = loaded.speedBonus
+            ? loaded.questions.map(q => ({ id: q.id, question_type: q.question_type, display_order: q.display_order }))
+            : loaded.questions.map(toClientQuestion);
         
         res.json({
             success: true,
@@ -315,24 +350,62 @@ router.get('/sessions/:sessionId/questions', authenticateParticipant, checkSessi
     }
 });
 
-// Submit answer for a question
-router.post('/sessions/:sessionId/answers', authenticateParticipant, checkSessionAccess, checkNotSubmitted, checkQuizState(['active']), async (req, res) => {
+// Get one question of the participant's quiz; the first fetch is when it was first shown (speed-bonus scoring)
+router.get('/sessions/:sessionId/questions/:questionId', authenticateParticipant, checkSessionAccess, checkNotSubmitted, checkQuizState(['active']), checkQuizDeadline, async (req, res) => {
     try {
         const { sessionId } = req.params;
-        const { questionId, answer, timeTaken } = req.body;
+        const questionId = parseInt(req.params.questionId);
         
-        if (!questionId || !answer) {
-            return res.status(400).json({
+        const loaded = await loadParticipantQuestions(sessionId, req.user.id);
+        
+        if (!loaded) {
+            return res.status(404).json({
                 success: false,
-                message: 'Question ID and answer are required'
+                message: 'Participant not found in session'
             });
         }
         
-        // Validate answer option
-        if (!['a', 'b', 'c', 'd'].includes(answer.toLowerCase())) {
+        // Only questions in the participant's stored draw can be shown
+        const question = loaded.questions.find(q => q.id === questionId);
+        if (!question) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question is not part of your quiz'
+            });
+        }
+        
+        // Only the first fetch counts, so later visits to the same question are ignored
+        await db.query(`
+            INSERT INTO question_views (session_id, participant_id, question_id)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (session_id, participant_id, question_id) DO NOTHING
+        `, [sessionId, req.user.id, questionId]);
+        
+        res.json({
+            success: true,
+            data: toClientQuestion(question)
+        });
+        
+    } catch (error) {
+        console.error('Get question error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get quiz question'
+        });
+    }
+});
+
+// Submit answer for a question
+router.post('/sessions/:sessionId/answers', authenticateParticipant, checkSessionAccess, checkNotSubmitted, checkQuizState(['active']), checkQuizDeadline, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { questionId, answer, timeTaken } = req.body;
+        
+        // Numeric answers can legitimately be 0, so only reject missing values
+        if (!questionId || answer === undefined || answer === null || answer === '') {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid answer option'
+                message: 'Question ID and answer are required'
             });
         }
         
@@ -350,11 +423,21 @@ router.post('/sessions/:sessionId/answers', authenticateParticipant, checkSessio
             });
         }
         
+        // With a randomised pool, only the participant's own draw can be answered
+        const assignedQuestionIds = await resolveParticipantQuestionIds(db, sessionId, req.user.id);
+        if (assignedQuestionIds && !assignedQuestionIds.includes(parseInt(questionId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Question is not part of your quiz'
+            });
+        }
+        
         // Get original question data
-        const questionResult = await db.query(
-            'SELECT correct_answer FROM questions WHERE id = $1',
-            [questionId]
-        );
+        const questionResult = await db.query(`
+            SELECT question_type, option_a, option_b, option_c, option_d, option_e, option_f, option_g, option_h,
+                   correct_answer, numeric_tolerance
+            FROM questions WHERE id = $1
+        `, [questionId]);
         
         if (questionResult.rows.length === 0) {
             return res.status(404).json({
@@ -363,17 +446,23 @@ router.post('/sessions/:sessionId/answers', authenticateParticipant, checkSessio
             });
         }
         
-        let isCorrect;
-        let originalAnswer = answer.toLowerCase();
+        const question = questionResult.rows[0];
         
-        // DISABLED: Answer option shuffling - ignore any stored option mappings
-        // Always use participant's answer directly without any mapping
-        // Note: Previously this code would check for shuffled question order and map answers
-        // back using stored optionMapping, but answer shuffling is now disabled so we use
-        // the original answer directly
+        // The participant answers with the keys they saw, so map shuffled options back to the original keys
+        const optionMapping = getStoredOptionMapping(participantResult.rows[0].shuffled_question_order, questionId);
         
-        const correctAnswer = questionResult.rows[0].correct_answer;
-        isCorrect = originalAnswer === correctAnswer.toLowerCase();
+        // Validate the answer for the question type
+        let originalAnswer;
+        try {
+            originalAnswer = normalizeAnswer(question, mapAnswerToOriginal(answer, { option_mapping: optionMapping }));
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+        
+        const isCorrect = isAnswerCorrect(question, originalAnswer);
         
         // Store answer
         await db.query(`
@@ -382,7 +471,7 @@ router.post('/sessions/:sessionId/answers', authenticateParticipant, checkSessio
             VALUES ($1, $2, $3, $4, $5, $6)
             ON CONFLICT (session_id, participant_id, question_id)
             DO UPDATE SET selected_answer = $4, is_correct = $5, time_taken_seconds = $6, answered_at = CURRENT_TIMESTAMP
-        `, [sessionId, req.user.id, questionId, answer.toLowerCase(), isCorrect, Math.floor(timeTaken / 1000)]);
+        `, [sessionId, req.user.id, questionId, originalAnswer, isCorrect, Math.floor(timeTaken / 1000)]);
         
         res.json({
             success: true,
@@ -398,6 +487,31 @@ router.post('/sessions/:sessionId/answers', authenticateParticipant, checkSessio
     }
 });
 
+// Withdraw the answer to a question (e.g. the last option of a multi-select was unticked)
+// so it is no longer graded
+router.delete('/sessions/:sessionId/answers/:questionId', authenticateParticipant, checkSessionAccess, checkNotSubmitted, checkQuizState(['active']), checkQuizDeadline, async (req, res) => {
+    try {
+        const { sessionId, questionId } = req.params;
+
+        await db.query(`
+            DELETE FROM participant_answers
+            WHERE session_id = $1 AND participant_id = $2 AND question_id = $3
+        `, [sessionId, req.user.id, questionId]);
+
+        res.json({
+            success: true,
+            message: 'Answer cleared successfully'
+        });
+
+    } catch (error) {
+        console.error('Clear answer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to clear answer'
+        });
+    }
+});
+
 // Submit quiz (final submission)
 router.post('/sessions/:sessionId/submit', authenticateParticipant, checkSessionAccess, checkNotSubmitted, async (req, res) => {
     try {
@@ -648,21 +762,46 @@ router.get('/sessions/:sessionId/results', authenticateParticipant, checkSession
         // Get detailed answers
         const answersResult = await withTimeout(
             db.query(`
-                SELECT pa.*, q.question_text, q.option_a, q.option_b, q.option_c, q.option_d, q.correct_answer
+                SELECT pa.*, q.question_type, q.question_text, q.option_a, q.option_b, q.option_c, q.option_d,
+                       q.option_e, q.option_f, q.option_g, q.option_h, q.correct_answer, q.numeric_tolerance,
+                       q.explanation, q.reference
                 FROM participant_answers pa
                 JOIN questions q ON pa.question_id = q.id
+                JOIN quiz_sessions qs ON pa.session_id = qs.id
+                LEFT JOIN quiz_questions qq ON qq.quiz_id = qs.quiz_id AND qq.question_id = q.id
                 WHERE pa.session_id = $1 AND pa.participant_id = $2
-                ORDER BY q.question_order ASC
+                ORDER BY qq.question_order ASC
             `, [sessionId, req.user.id]),
             5000,
             'Answers query timeout'
         );
         
+        // Show each question the way this participant saw it (shuffled options and shown letters)
+        const orderResult = await withTimeout(
+            db.query(`
+                SELECT shuffled_question_order 
+                FROM session_participants 
+                WHERE session_id = $1 AND participant_id = $2
+            `, [sessionId, req.user.id]),
+            5000,
+            'Question order query timeout'
+        );
+        const storedOrder = orderResult.rows.length > 0 ? orderResult.rows[0].shuffled_question_order : null;
+        
+        const answers = answersResult.rows.map(row => {
+            const optionMapping = getStoredOptionMapping(storedOrder, row.question_id);
+            const answer = applyOptionMapping(row, optionMapping);
+            
+            answer.selected_answer = mapAnswerToShown(row.selected_answer, optionMapping);
+            answer.options = getQuestionOptions(answer);
+            return addRichTextHtml(answer);
+        });
+        
         res.json({
             success: true,
             data: {
                 summary: result.rows[0],
-                answers: answersResult.rows
+                answers
             }
         });
         
@@ -1,7 +1,9 @@
 const express = require('express');
-const { authenticateAdmin, authenticateParticipant, authorizeAdmin } = require('../middleware/auth');
+const { authenticateAdmin, authenticateParticipant, authorizeAdmin, authorizeOrganization, logAdminAction } = require('../middleware/auth');
 const db = require('../config/database');
 const { triggerPrizeCalculation } = require('../utils/prizeCalculator');
+const { recordAuditChange } = require('../utils/auditLog');
+const { scopeCondition } = require('../utils/tenancy');
 
 const router = express.Router();
 
@@ -86,7 +88,9 @@ router.get('/session/:sessionId/status', async (req, res) => {
             };
         } else if (session.status === 'active' && session.quiz_start_time) {
             const quizStart = new Date(session.quiz_start_time);
-            const quizEnd = new Date(quizStart.getTime() + (session.quiz_time_minutes * 60 * 1000));
+            const quizEnd = session.quiz_end_time
+                ? new Date(session.quiz_end_time)
+                : new Date(quizStart.getTime() + (session.quiz_time_minutes * 60 * 1000));
             const remainingMs = Math.max(0, quizEnd.getTime() - now.getTime());
             
             timeInfo = {
@@ -115,14 +119,16 @@ router.get('/session/:sessionId/status', async (req, res) => {
 });
 
 // Get leaderboard for a session (Admin only)
-router.get('/session/:sessionId/leaderboard', authorizeAdmin(), async (req, res) => {
+router.get('/session/:sessionId/leaderboard', authorizeAdmin('results:view'), authorizeOrganization('session', 'sessionId'), async (req, res) => {
     try {
         const { sessionId } = req.params;
         
         const result = await db.query(`
-            SELECT r.*, p.name, p.company, pw.prize_position
+            SELECT r.*, p.name, p.company, pw.prize_position, q.speed_bonus_enabled
             FROM results r
             JOIN participants p ON r.participant_id = p.id
+            JOIN quiz_sessions qs ON r.session_id = qs.id
+            JOIN quizzes q ON qs.quiz_id = q.id
             LEFT JOIN prize_winners pw ON r.session_id = pw.session_id AND r.participant_id = pw.participant_id
             WHERE r.session_id = $1
             ORDER BY r.total_score DESC, r.completion_time_seconds ASC
@@ -146,16 +152,18 @@ router.get('/session/:sessionId/leaderboard', authorizeAdmin(), async (req, res)
 // Admin routes for quiz management
 router.use(authenticateAdmin); // All routes below require admin authentication
 
-// Get all quizzes
-router.get('/', authorizeAdmin(), async (req, res) => {
+// Get all quizzes in the admin's organisations
+router.get('/', authorizeAdmin('quizzes:view'), async (req, res) => {
     try {
+        const params = [];
         const result = await db.query(`
             SELECT q.*, 
-                   (SELECT COUNT(*) FROM questions WHERE quiz_id = q.id) as question_count,
+                   (SELECT COUNT(*) FROM quiz_questions WHERE quiz_id = q.id) as question_count,
                    (SELECT COUNT(*) FROM quiz_sessions WHERE quiz_id = q.id) as session_count
             FROM quizzes q
+            WHERE ${scopeCondition(req.user.organizationIds, 'q.organization_id', params)}
             ORDER BY q.created_at DESC
-        `);
+        `, params);
         
         res.json({
             success: true,
@@ -172,7 +180,7 @@ router.get('/', authorizeAdmin(), async (req, res) => {
 });
 
 // Get quiz by ID
-router.get('/:quizId', authorizeAdmin(), async (req, res) => {
+router.get('/:quizId', authorizeAdmin('quizzes:view'), authorizeOrganization('quiz', 'quizId'), async (req, res) => {
     try {
         const { quizId } = req.params;
         
@@ -186,10 +194,13 @@ router.get('/:quizId', authorizeAdmin(), async (req, res) => {
         }
         
         // Get questions
-        const questionsResult = await db.query(
-            'SELECT * FROM questions WHERE quiz_id = $1 ORDER BY question_order ASC',
-            [quizId]
-        );
+        const questionsResult = await db.query(`
+            SELECT q.*, qq.question_order
+            FROM quiz_questions qq
+            JOIN questions q ON qq.question_id = q.id
+            WHERE qq.quiz_id = $1
+            ORDER BY qq.question_order ASC
+        `, [quizId]);
         
         res.json({
             success: true,
@@ -209,11 +220,13 @@ router.get('/:quizId', authorizeAdmin(), async (req, res) => {
 });
 
 // Update quiz
-router.put('/:quizId', authorizeAdmin(), async (req, res) => {
+router.put('/:quizId', authorizeAdmin('quizzes:edit'), authorizeOrganization('quiz', 'quizId'), logAdminAction('edit_quiz', 'quiz'), async (req, res) => {
     try {
         const { quizId } = req.params;
         const { title, description, startDate, startTime, totalQuestions } = req.body;
         
+        const previous = await db.query('SELECT * FROM quizzes WHERE id = $1', [quizId]);
+        
         const result = await db.query(`
             UPDATE quizzes 
             SET title = $1, description = $2, start_date = $3, start_time = $4, total_questions = $5, updated_at = CURRENT_TIMESTAMP
@@ -228,6 +241,8 @@ router.put('/:quizId', authorizeAdmin(), async (req, res) => {
             });
         }
         
+        recordAuditChange(req, 'quiz', quizId, previous.rows[0], result.rows[0]);
+        
         res.json({
             success: true,
             message: 'Quiz updated successfully',
@@ -244,7 +259,7 @@ router.put('/:quizId', authorizeAdmin(), async (req, res) => {
 });
 
 // Delete quiz
-router.delete('/:quizId', authorizeAdmin(), async (req, res) => {
+router.delete('/:quizId', authorizeAdmin('quizzes:edit'), authorizeOrganization('quiz', 'quizId'), logAdminAction('delete_quiz', 'quiz'), async (req, res) => {
     try {
         const { quizId } = req.params;
         
@@ -285,7 +300,7 @@ router.delete('/:quizId', authorizeAdmin(), async (req, res) => {
 });
 
 // Get all sessions for a quiz
-router.get('/:quizId/sessions', authorizeAdmin(), async (req, res) => {
+router.get('/:quizId/sessions', authorizeAdmin('sessions:view'), authorizeOrganization('quiz', 'quizId'), async (req, res) => {
     try {
         const { quizId } = req.params;
         
@@ -312,7 +327,7 @@ router.get('/:quizId/sessions', authorizeAdmin(), async (req, res) => {
 });
 
 // Get session results for admin view
-router.get('/session/:sessionId/results', authorizeAdmin(), async (req, res) => {
+router.get('/session/:sessionId/results', authorizeAdmin('results:view'), authorizeOrganization('session', 'sessionId'), async (req, res) => {
     try {
         const { sessionId } = req.params;
         
@@ -377,7 +392,7 @@ router.get('/session/:sessionId/results', authorizeAdmin(), async (req, res) =>
 });
 
 // Manually trigger prize calculation for a session
-router.post('/session/:sessionId/calculate-prizes', authorizeAdmin(), async (req, res) => {
+router.post('/session/:sessionId/calculate-prizes', authorizeAdmin('results:manage'), authorizeOrganization('session', 'sessionId'), logAdminAction('calculate_prizes', 'session'), async (req, res) => {
     try {
         const { sessionId } = req.params;
         
@@ -419,7 +434,7 @@ router.post('/session/:sessionId/calculate-prizes', authorizeAdmin(), async (req
 });
 
 // Auto-submit participant when time expires (called by timer service)
-router.post('/session/:sessionId/auto-submit/:participantId', async (req, res) => {
+router.post('/session/:sessionId/auto-submit/:participantId', authorizeAdmin('sessions:run'), authorizeOrganization('session', 'sessionId'), logAdminAction('auto_submit_participant', 'session'), async (req, res) => {
     try {
         const { sessionId, participantId } = req.params;
         
@@ -0,0 +1,30 @@
+const db = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+// Applies every migration in database/migrations in filename order.
+// Migrations are written to be idempotent, so re-running is safe.
+async function applyMigrations() {
+    try {
+        const migrationsDir = path.join(__dirname, '../database/migrations');
+        const files = fs.readdirSync(migrationsDir)
+            .filter(file => file.endsWith('.sql'))
+            .sort();
+        
+        console.log(`Applying ${files.length} database migrations...`);
+        
+        for (const file of files) {
+            const migrationSQL = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+            await db.query(migrationSQL);
+            console.log(`✅ ${file}`);
+        }
+        
+        console.log('✅ All migrations applied successfully');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+applyMigrations();
@@ -28,8 +28,8 @@ async function createSimpleTestSession() {
         
         // Store as UTC timestamp (what the database naturally expects)
         const sessionResult = await db.query(`
-            INSERT INTO quiz_sessions (session_name, quiz_id, start_time, auto_start, status, max_participants)
-            VALUES ($1, $2, $3, $4, $5, $6)
+            INSERT INTO quiz_sessions (session_name, quiz_id, start_time, auto_start, status, max_participants, organization_id, access_mode)
+            VALUES ($1, $2, $3, $4, $5, $6, (SELECT organization_id FROM quizzes WHERE id = $2), 'organization')
             RETURNING id, session_name, start_time
         `, [
             'scheduler-test-simple-' + Date.now(),
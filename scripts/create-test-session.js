@@ -33,8 +33,8 @@ async function createTestSession() {
             console.log('❌ No quizzes found. Creating a test quiz first...');
             
             await db.query(`
-                INSERT INTO quizzes (title, description, total_questions, quiz_time_minutes, instruction_time_minutes, is_active)
-                VALUES ($1, $2, $3, $4, $5, $6)
+                INSERT INTO quizzes (title, description, total_questions, quiz_time_minutes, instruction_time_minutes, is_active, organization_id)
+                VALUES ($1, $2, $3, $4, $5, $6, (SELECT MIN(id) FROM organizations))
             `, [
                 'Test Quiz for Scheduler',
                 'Temporary quiz for testing session scheduler',
@@ -56,8 +56,8 @@ async function createTestSession() {
         
         // Create test session that should auto-start in 2 minutes
         const sessionResult = await db.query(`
-            INSERT INTO quiz_sessions (session_name, quiz_id, start_time, auto_start, status, max_participants)
-            VALUES ($1, $2, $3::timestamp, $4, $5, $6)
+            INSERT INTO quiz_sessions (session_name, quiz_id, start_time, auto_start, status, max_participants, organization_id, access_mode)
+            VALUES ($1, $2, $3::timestamp, $4, $5, $6, (SELECT organization_id FROM quizzes WHERE id = $2), 'organization')
             RETURNING id, session_name, start_time, start_time AT TIME ZONE $7 as start_time_local
         `, [
             'scheduler-test-' + Date.now(),
@@ -25,7 +25,7 @@ async function createWorkingTestSession() {
         // Create session using the CORRECT timezone method
         // Store current local time + 1 minute as naive timestamp
         const sessionResult = await db.query(`
-            INSERT INTO quiz_sessions (session_name, quiz_id, start_time, auto_start, status, max_participants)
+            INSERT INTO quiz_sessions (session_name, quiz_id, start_time, auto_start, status, max_participants, organization_id, access_mode)
             VALUES (
                 $1, 
                 $2, 
@@ -33,7 +33,9 @@ async function createWorkingTestSession() {
                 (timezone($3, NOW()) + INTERVAL '1 minute')::timestamp,
                 $4, 
                 $5, 
-                $6
+                $6,
+                (SELECT organization_id FROM quizzes WHERE id = $2),
+                'organization'
             )
             RETURNING id, session_name, start_time,
                      -- Show how it will be interpreted by scheduler
@@ -3,6 +3,7 @@
 const bcrypt = require('bcryptjs');
 const readline = require('readline');
 const db = require('../config/database');
+const { ADMIN_ROLES, isValidRole } = require('../utils/adminPermissions');
 require('dotenv').config();
 
 const rl = readline.createInterface({
@@ -103,7 +104,15 @@ async function createAdminUser(username, email, password, role = 'admin') {
             VALUES ($1, $2, $3, $4, true)
             RETURNING id, username, email, role, created_at
         `, [username, email, passwordHash, role]);
-        
+
+        // Super admins see every organisation; anyone else starts in the first one and can be moved from the admin panel
+        if (role !== 'super_admin') {
+            await db.query(
+                'INSERT INTO admin_organizations (admin_id, organization_id) SELECT $1, MIN(id) FROM organizations',
+                [result.rows[0].id]
+            );
+        }
+
         return result.rows[0];
     } catch (error) {
         console.error('Error creating admin user:', error);
@@ -208,8 +217,14 @@ async function createAdminWizard() {
         }
         
         // Ask for role
-        const roleInput = await question('Enter role (admin/super_admin) [admin]: ');
-        const role = roleInput.toLowerCase() === 'super_admin' ? 'super_admin' : 'admin';
+        const roleInput = (await question(`Enter role (${ADMIN_ROLES.join('/')}) [admin]: `)).trim().toLowerCase();
+        const role = roleInput || 'admin';
+        
+        if (!isValidRole(role)) {
+            console.log(`❌ Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`);
+            rl.close();
+            process.exit(1);
+        }
         
         // Create admin user
         console.log('\n🔄 Creating admin user...');
@@ -247,7 +262,7 @@ async function listAdminsCommand() {
             admins.forEach(admin => {
                 const activeStatus = admin.is_active ? '✅' : '❌';
                 const lastLogin = admin.last_login ? new Date(admin.last_login).toLocaleDateString() : 'Never';
-                console.log(`${admin.id}\t${admin.username.padEnd(15)}\t${admin.email.padEnd(20)}\t${admin.role.padEnd(10)}\t${activeStatus}\t${new Date(admin.created_at).toLocaleDateString()}`);
+                console.log(`${admin.id}\t${admin.username.padEnd(15)}\t${admin.email.padEnd(20)}\t${admin.role.padEnd(18)}\t${activeStatus}\t${new Date(admin.created_at).toLocaleDateString()}`);
             });
         }
         
@@ -283,6 +298,54 @@ async function activateAdminCommand(adminId) {
     }
 }
 
+async function setRoleCommand(adminId, role) {
+    try {
+        if (!isValidRole(role)) {
+            throw new Error(`Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`);
+        }
+        
+        const result = await db.query(
+            'UPDATE admin_users SET role = $1 WHERE id = $2 RETURNING username',
+            [role, adminId]
+        );
+        
+        if (result.rows.length === 0) {
+            throw new Error(`Admin user ${adminId} not found`);
+        }
+        
+        console.log(`✅ ${result.rows[0].username} is now ${role}.`);
+    } catch (error) {
+        console.error('❌ Failed to change role:', error.message);
+        process.exit(1);
+    } finally {
+        await db.end();
+    }
+}
+
+// For an admin who has lost both their authenticator app and recovery codes
+async function resetTwoFactorCommand(adminId) {
+    try {
+        const result = await db.query(`
+            UPDATE admin_users
+            SET totp_secret = NULL, totp_enabled = false, totp_enabled_at = NULL, totp_last_step = NULL
+            WHERE id = $1
+            RETURNING username
+        `, [adminId]);
+        
+        if (result.rows.length === 0) {
+            throw new Error(`Admin user ${adminId} not found`);
+        }
+        
+        await db.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [adminId]);
+        console.log(`✅ Two-factor authentication has been reset for ${result.rows[0].username}.`);
+    } catch (error) {
+        console.error('❌ Failed to reset two-factor authentication:', error.message);
+        process.exit(1);
+    } finally {
+        await db.end();
+    }
+}
+
 // Command line interface
 async function main() {
     const args = process.argv.slice(2);
@@ -317,6 +380,22 @@ async function main() {
             await activateAdminCommand(parseInt(args[1]));
             break;
             
+        case 'set-role':
+            if (!args[1] || !args[2]) {
+                console.log('❌ Please provide admin ID and role: npm run create-admin set-role <id> <role>');
+                process.exit(1);
+            }
+            await setRoleCommand(parseInt(args[1]), args[2].toLowerCase());
+            break;
+            
+        case 'reset-2fa':
+            if (!args[1]) {
+                console.log('❌ Please provide admin ID: npm run create-admin reset-2fa <id>');
+                process.exit(1);
+            }
+            await resetTwoFactorCommand(parseInt(args[1]));
+            break;
+            
         case 'help':
         case '--help':
         case '-h':
@@ -331,6 +410,8 @@ Commands:
   list, ls             List all admin users
   activate <id>        Activate an admin user
   deactivate <id>      Deactivate an admin user
+  set-role <id> <role> Change an admin user's role (${ADMIN_ROLES.join(', ')})
+  reset-2fa <id>       Turn off two-factor authentication for an admin user
   help                 Show this help message
 
 Examples:
@@ -338,6 +419,7 @@ Examples:
   npm run create-admin list
   npm run create-admin deactivate 1
   npm run create-admin activate 1
+  npm run create-admin set-role 2 proctor
             `);
             break;
             
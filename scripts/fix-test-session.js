@@ -24,8 +24,8 @@ async function fixTestSession() {
         // Create session using database's timezone-aware insertion
         // This tells the database to treat the timestamp as being in the app timezone
         const sessionResult = await db.query(`
-            INSERT INTO quiz_sessions (session_name, quiz_id, start_time, auto_start, status, max_participants)
-            VALUES ($1, $2, (NOW() AT TIME ZONE $3 + INTERVAL '1 minute')::timestamp, $4, $5, $6)
+            INSERT INTO quiz_sessions (session_name, quiz_id, start_time, auto_start, status, max_participants, organization_id, access_mode)
+            VALUES ($1, $2, (NOW() AT TIME ZONE $3 + INTERVAL '1 minute')::timestamp, $4, $5, $6, (SELECT organization_id FROM quizzes WHERE id = $2), 'organization')
             RETURNING id, session_name, start_time, 
                      start_time AT TIME ZONE $3 as start_time_local,
                      NOW() AT TIME ZONE $3 as current_local
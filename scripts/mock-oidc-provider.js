@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OpenID Connect provider for trying SSO locally
+ *
+ * Serves discovery, authorize (a form where you type the email to log in as), token (with PKCE checks),
+ * JWKS and userinfo. Keys and codes live in memory and are lost on restart.
+ *
+ * Usage:
+ *   npm run mock-oidc
+ *
+ * Then start the app with:
+ *   OIDC_ISSUER=http://localhost:4010
+ *   OIDC_CLIENT_ID=quiz-app
+ *   OIDC_CLIENT_SECRET=mock-secret   (optional; leave both unset to test a public client)
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'quiz-app';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = value => String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+const base64Url = buffer => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login form; the request parameters are carried through as hidden fields
+app.get('/authorize', (req, res) => {
+    const { client_id: clientId, response_type: responseType, code_challenge_method: challengeMethod } = req.query;
+
+    if (clientId !== CLIENT_ID || responseType !== 'code' || challengeMethod !== 'S256') {
+        return res.status(400).send('Invalid request: expected this client id, response_type=code and PKCE with S256');
+    }
+
+    const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('\n');
+
+    res.send(`<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; max-width: 400px; margin: 60px auto;">
+    <h2>Mock OIDC Provider</h2>
+    <form method="POST" action="/authorize">
+        ${hidden}
+        <p><label>Email<br><input type="email" name="email" required style="width: 100%;"></label></p>
+        <p><label>Name<br><input type="text" name="name" style="width: 100%;"></label></p>
+        <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+        <p>
+            <button type="submit">Log in</button>
+            <button type="submit" name="deny" value="true">Cancel</button>
+        </p>
+    </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const redirect = new URL(req.body.redirect_uri);
+    redirect.searchParams.set('state', req.body.state);
+
+    if (req.body.deny) {
+        redirect.searchParams.set('error', 'access_denied');
+        return res.redirect(redirect.toString());
+    }
+
+    const code = base64Url(crypto.randomBytes(24));
+    authorizationCodes.set(code, {
+        redirectUri: req.body.redirect_uri,
+        nonce: req.body.nonce,
+        codeChallenge: req.body.code_challenge,
+        user: {
+            sub: crypto.createHash('sha256').update(req.body.email.toLowerCase()).digest('hex').substring(0, 24),
+            email: req.body.email,
+            email_verified: req.body.email_verified === 'true',
+            name: req.body.name || req.body.email.split('@')[0]
+        },
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret || '';
+
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+        const [id, secret] = Buffer.from(authorization.substring(6), 'base64').toString().split(':');
+        clientId = decodeURIComponent(id);
+        clientSecret = decodeURIComponent(secret || '');
+    }
+
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = authorizationCodes.get(req.body.code);
+    authorizationCodes.delete(req.body.code);
+
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = base64Url(crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest());
+    if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const accessToken = base64Url(crypto.randomBytes(24));
+    accessTokens.set(accessToken, grant.user);
+
+    const idToken = jwt.sign({ ...grant.user, nonce: grant.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: '5m'
+    });
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+    const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+    if (!user) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(user);
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock OIDC provider running at ${ISSUER} (client id: ${CLIENT_ID}${CLIENT_SECRET ? ', with client secret' : ', public client'})`);
+});
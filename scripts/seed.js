@@ -17,17 +17,22 @@ async function seedDatabase() {
     try {
         console.log('🌱 Starting database seeding...');
         
+        // Everything is created in the first organisation (the 'Default Organisation' from schema.sql)
+        const organizationResult = await client.query('SELECT MIN(id) as id FROM organizations');
+        const organizationId = organizationResult.rows[0].id;
+        
         // Create sample quiz
         const quizResult = await client.query(`
-            INSERT INTO quizzes (title, description, start_date, total_questions, is_active)
-            VALUES ($1, $2, $3, $4, $5)
+            INSERT INTO quizzes (title, description, start_date, total_questions, is_active, organization_id)
+            VALUES ($1, $2, $3, $4, $5, $6)
             RETURNING id
         `, [
             'HR & Labour Law Compliance Quiz',
             'Test your knowledge of EPF, ESI, POSH Act, and other labour law compliance requirements',
             '2024-01-01',
             20,
-            true
+            true,
+            organizationId
         ]);
         
         const quizId = quizResult.rows[0].id;
@@ -39,24 +44,31 @@ async function seedDatabase() {
         // Insert questions
         for (let i = 0; i < questions.length; i++) {
             const q = questions[i];
+            const questionResult = await client.query(`
+                INSERT INTO questions (question_text, option_a, option_b, option_c, option_d, correct_answer, organization_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING id
+            `, [q.question, q.options.a, q.options.b, q.options.c, q.options.d, q.correct, organizationId]);
+            
             await client.query(`
-                INSERT INTO questions (quiz_id, question_text, option_a, option_b, option_c, option_d, correct_answer, question_order)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-            `, [quizId, q.question, q.options.a, q.options.b, q.options.c, q.options.d, q.correct, i + 1]);
+                INSERT INTO quiz_questions (quiz_id, question_id, question_order)
+                VALUES ($1, $2, $3)
+            `, [quizId, questionResult.rows[0].id, i + 1]);
         }
         
         console.log(`✅ Inserted ${questions.length} questions`);
         
-        // Create sample quiz session
+        // Create sample quiz session, open to every participant of the organisation
         const sessionResult = await client.query(`
-            INSERT INTO quiz_sessions (quiz_id, session_name, start_time, status)
-            VALUES ($1, $2, $3, $4)
+            INSERT INTO quiz_sessions (quiz_id, session_name, start_time, status, organization_id, access_mode)
+            VALUES ($1, $2, $3, $4, $5, 'organization')
             RETURNING id
         `, [
             quizId,
             'Sample Quiz Session',
             new Date(Date.now() + 24 * 60 * 60 * 1000), // Tomorrow
-            'scheduled'
+            'scheduled',
+            organizationId
         ]);
         
         const sessionId = sessionResult.rows[0].id;
@@ -69,15 +81,15 @@ async function seedDatabase() {
         for (const participant of participants) {
             // Insert participant (or get existing)
             let participantResult = await client.query(`
-                INSERT INTO participants (name, email, designation, mobile, company)
-                VALUES ($1, $2, $3, $4, $5)
+                INSERT INTO participants (name, email, designation, mobile, company, organization_id)
+                VALUES ($1, $2, $3, $4, $5, $6)
                 ON CONFLICT (email) DO UPDATE SET
                     name = EXCLUDED.name,
                     designation = EXCLUDED.designation,
                     mobile = EXCLUDED.mobile,
                     company = EXCLUDED.company
                 RETURNING id
-            `, [participant.name, participant.email, participant.designation, participant.mobile, participant.company]);
+            `, [participant.name, participant.email, participant.designation, participant.mobile, participant.company, organizationId]);
             
             const participantId = participantResult.rows[0].id;
             
@@ -229,70 +241,70 @@ function getSampleParticipants() {
             name: "Rahul Sharma",
             email: "rahul.sharma@company.com",
             designation: "HR Manager",
-            mobile: "9876543210",
+            mobile: "+919876543210",
             company: "Tech Solutions Pvt Ltd"
         },
         {
             name: "Priya Nair",
             email: "priya.nair@enterprise.com",
             designation: "Compliance Officer",
-            mobile: "9876543211",
+            mobile: "+919876543211",
             company: "Enterprise Corp"
         },
         {
             name: "Arjun Kumar",
             email: "arjun.kumar@startup.in",
             designation: "Operations Head",
-            mobile: "9876543212",
+            mobile: "+919876543212",
             company: "Startup Innovations"
         },
         {
             name: "Sneha Patel",
             email: "sneha.patel@manufacturing.com",
             designation: "Labor Relations Manager",
-            mobile: "9876543213",
+            mobile: "+919876543213",
             company: "Manufacturing Industries"
         },
         {
             name: "Vikram Singh",
             email: "vikram.singh@consulting.co.in",
             designation: "Legal Advisor",
-            mobile: "9876543214",
+            mobile: "+919876543214",
             company: "Legal Consulting Firm"
         },
         {
             name: "Anita Krishnan",
             email: "anita.krishnan@healthcare.org",
             designation: "Admin Manager",
-            mobile: "9876543215",
+            mobile: "+919876543215",
             company: "Healthcare Solutions"
         },
         {
             name: "Suresh Menon",
             email: "suresh.menon@finance.com",
             designation: "Finance Director",
-            mobile: "9876543216",
+            mobile: "+919876543216",
             company: "Financial Services Ltd"
         },
         {
             name: "Kavitha Reddy",
             email: "kavitha.reddy@retail.in",
             designation: "HR Executive",
-            mobile: "9876543217",
+            mobile: "+919876543217",
             company: "Retail Chain Stores"
         },
         {
             name: "Deepak Agarwal",
             email: "deepak.agarwal@logistics.com",
             designation: "Operations Manager",
-            mobile: "9876543218",
+            mobile: "+919876543218",
             company: "Logistics & Transport"
         },
         {
             name: "Meera Joshi",
             email: "meera.joshi@education.ac.in",
             designation: "Administrative Officer",
-            mobile: "9876543219",
+            mobile: "+919876543219",
             company: "Educational Institution"
         }
     ];
@@ -142,7 +142,7 @@ const authLimiter = rateLimit({
     // Custom key generator based on username instead of IP for auth endpoints
     keyGenerator: (req) => {
         // For auth endpoints, use username if available, otherwise fallback to IP
-        const username = req.body?.username || req.body?.email || req.body?.phone;
+        const username = req.body?.username || req.body?.email || req.body?.phone || req.body?.mobile;
         return username ? `auth_${username}` : `ip_${req.ip}`;
     }
 });
@@ -269,7 +269,7 @@ async function startServer() {
             console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
             
             // Start session scheduler
-            sessionScheduler.start();
+            sessionScheduler.start(io);
         });
     } catch (error) {
         console.error('❌ Failed to start server:', error.message);
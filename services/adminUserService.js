@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const validator = require('validator');
+const db = require('../config/database');
+const { redisHelper } = require('../config/redis');
+const notificationService = require('./notificationService');
+const passwordResetService = require('./passwordResetService');
+const organizationService = require('./organizationService');
+const { ADMIN_ROLES, ROLE_LABELS, isValidRole } = require('../utils/adminPermissions');
+
+class AdminUserService {
+
+    // How long an invitation link stays valid
+    getInvitationLifetimeHours() {
+        return parseInt(process.env.ADMIN_INVITE_HOURS) || 72;
+    }
+
+    // All admins with their status, for the admin management page
+    async listAdmins() {
+        const result = await db.query(`
+            SELECT a.id, a.username, a.email, a.role, a.is_active, a.last_login, a.totp_enabled,
+                   a.invited_at, a.created_at, inviter.username as invited_by_username,
+                   COALESCE((
+                       SELECT json_agg(json_build_object('id', o.id, 'name', o.name) ORDER BY o.name)
+                       FROM admin_organizations ao
+                       JOIN organizations o ON ao.organization_id = o.id
+                       WHERE ao.admin_id = a.id
+                   ), '[]') as organizations
+            FROM admin_users a
+            LEFT JOIN admin_users inviter ON a.invited_by = inviter.id
+            ORDER BY a.created_at ASC, a.id ASC
+        `);
+
+        return result.rows.map(admin => ({
+            ...admin,
+            roleLabel: ROLE_LABELS[admin.role] || admin.role,
+            // Invited admins cannot log in until they have chosen a password from the emailed link
+            invitationPending: Boolean(admin.invited_at) && !admin.last_login
+        }));
+    }
+
+    // Nobody can be left without access through their own action
+    checkNotSelf(adminId, actor, action) {
+        return parseInt(adminId) === actor.id ? `You cannot ${action} your own account` : null;
+    }
+
+    // Random password nobody knows; the account stays unusable until a password is set from an emailed link
+    async unusablePasswordHash() {
+        return bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    }
+
+    // Email a link to choose a password; returns { emailSent, link } so the link can be shared by hand
+    // when email is not configured
+    async sendPasswordLink(admin, { baseUrl, ip, invitation, invitedBy = null }) {
+        const link = await passwordResetService.createLink('admin', admin.id, {
+            baseUrl,
+            ip,
+            invitation,
+            lifetimeMinutes: invitation ? this.getInvitationLifetimeHours() * 60 : passwordResetService.getTokenLifetimeMinutes()
+        });
+
+        try {
+            if (invitation) {
+                await notificationService.sendAdminInvitationEmail(admin.email, admin.username, {
+                    link,
+                    roleLabel: ROLE_LABELS[admin.role] || admin.role,
+                    invitedBy,
+                    expiresInHours: this.getInvitationLifetimeHours()
+                });
+            } else {
+                await notificationService.sendPasswordResetEmail(admin.email, admin.username, link, passwordResetService.getTokenLifetimeMinutes());
+            }
+            return { emailSent: true, link: null };
+        } catch (error) {
+            console.error(`Password link email could not be sent for admin ${admin.id}:`, error.message);
+            return { emailSent: false, link };
+        }
+    }
+
+    // Create an admin in the given organisations and email them an invitation
+    // Returns { admin, emailSent, link } or { error }
+    async inviteAdmin({ username, email, role, organizationIds = [] }, actor, { baseUrl, ip }) {
+        username = String(username || '').trim();
+        email = String(email || '').trim().toLowerCase();
+
+        if (username.length < 3 || !/^[a-zA-Z0-9_]+$/.test(username)) {
+            return { error: 'Username must be at least 3 characters and contain only letters, numbers and underscores' };
+        }
+        if (!validator.isEmail(email)) {
+            return { error: 'Please enter a valid email address' };
+        }
+        if (!isValidRole(role)) {
+            return { error: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}` };
+        }
+
+        const organizations = await organizationService.validateOrganizationIds(organizationIds);
+        if (organizations.error) {
+            return organizations;
+        }
+
+        const existing = await db.query(
+            'SELECT id FROM admin_users WHERE LOWER(username) = LOWER($1) OR LOWER(email) = $2',
+            [username, email]
+        );
+        if (existing.rows.length > 0) {
+            return { error: 'An admin with this username or email already exists' };
+        }
+
+        const result = await db.query(`
+            INSERT INTO admin_users (username, email, password_hash, role, is_active, invited_by, invited_at)
+            VALUES ($1, $2, $3, $4, true, $5, CURRENT_TIMESTAMP)
+            RETURNING id, username, email, role, is_active
+        `, [username, email, await this.unusablePasswordHash(), role, actor.id]);
+
+        const admin = result.rows[0];
+        await organizationService.setAdminOrganizations(admin.id, organizations.organizationIds);
+        admin.organizationIds = organizations.organizationIds;
+
+        const delivery = await this.sendPasswordLink(admin, { baseUrl, ip, invitation: true, invitedBy: actor.username });
+
+        return { admin, ...delivery };
+    }
+
+    // Resend the invitation to an admin who has not set a password yet, or reset an existing admin's password.
+    // A reset stops the old password working straight away and signs the admin out.
+    // Returns { emailSent, link, invitation }, { error }, or null if the admin does not exist
+    async resetPassword(adminId, actor, { baseUrl, ip }) {
+        const selfError = this.checkNotSelf(adminId, actor, 'reset the password of');
+        if (selfError) {
+            return { error: `${selfError}. Use "Forgot your password?" on the login page instead` };
+        }
+
+        const result = await db.query(
+            'SELECT id, username, email, role, is_active, invited_at, last_login FROM admin_users WHERE id = $1',
+            [adminId]
+        );
+        const admin = result.rows[0];
+        if (!admin) {
+            return null;
+        }
+        if (!admin.is_active) {
+            return { error: 'Activate this admin before resetting their password' };
+        }
+
+        const invitation = Boolean(admin.invited_at) && !admin.last_login;
+
+        await db.query(
+            'UPDATE admin_users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [await this.unusablePasswordHash(), admin.id]
+        );
+        await redisHelper.deleteSession(`admin_${admin.id}`);
+
+        const delivery = await this.sendPasswordLink(admin, { baseUrl, ip, invitation, invitedBy: actor.username });
+        return { ...delivery, invitation };
+    }
+
+    // Returns { admin, previousRole }, { error }, or null if the admin does not exist
+    async setRole(adminId, role, actor) {
+        if (!isValidRole(role)) {
+            return { error: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}` };
+        }
+
+        const selfError = this.checkNotSelf(adminId, actor, 'change the role of');
+        if (selfError) {
+            return { error: selfError };
+        }
+
+        // The joined row still holds the values from before the update
+        const result = await db.query(`
+            UPDATE admin_users a SET role = $1
+            FROM admin_users old
+            WHERE a.id = $2 AND old.id = a.id
+            RETURNING a.id, a.username, a.email, a.role, a.is_active, old.role as previous_role
+        `, [role, adminId]);
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const { previous_role: previousRole, ...admin } = result.rows[0];
+        return { admin, previousRole };
+    }
+
+    // Deactivated admins cannot log in and are signed out; their account and history are kept
+    // Returns { admin, wasActive }, { error }, or null if the admin does not exist
+    async setActive(adminId, isActive, actor) {
+        const selfError = this.checkNotSelf(adminId, actor, 'deactivate');
+        if (selfError) {
+            return { error: selfError };
+        }
+
+        const result = await db.query(`
+            UPDATE admin_users a SET is_active = $1
+            FROM admin_users old
+            WHERE a.id = $2 AND old.id = a.id
+            RETURNING a.id, a.username, a.email, a.role, a.is_active, old.is_active as was_active
+        `, [Boolean(isActive), adminId]);
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        if (!isActive) {
+            await redisHelper.deleteSession(`admin_${adminId}`);
+        }
+
+        const { was_active: wasActive, ...admin } = result.rows[0];
+        return { admin, wasActive };
+    }
+
+    // Delete an admin; their audit log entries are kept with their username
+    // Returns { admin }, { error }, or null if the admin does not exist
+    async deleteAdmin(adminId, actor) {
+        const selfError = this.checkNotSelf(adminId, actor, 'delete');
+        if (selfError) {
+            return { error: selfError };
+        }
+
+        const client = await db.getClient();
+        let deleted;
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(
+                'DELETE FROM admin_users WHERE id = $1 RETURNING id, username, email, role',
+                [adminId]
+            );
+            deleted = result.rows[0];
+
+            await client.query(
+                'DELETE FROM password_reset_tokens WHERE user_type = $1 AND user_id = $2',
+                ['admin', adminId]
+            );
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (!deleted) {
+            return null;
+        }
+
+        await redisHelper.deleteSession(`admin_${adminId}`);
+        return { admin: deleted };
+    }
+}
+
+module.exports = new AdminUserService();
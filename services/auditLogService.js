@@ -0,0 +1,284 @@
+const db = require('../config/database');
+const { hashAuditEntry } = require('../utils/auditLog');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 50000;
+const VERIFY_BATCH_SIZE = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OUTCOMES = ['success', 'denied', 'rejected', 'error', 'aborted'];
+
+// Columns that go into an entry's hash; created_at as text so the hash does not depend on the server time zone
+const HASHED_COLUMNS = `
+    id, admin_username, action, entity_type, entity_id, details, ip_address,
+    to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') as created_at_text, previous_hash, entry_hash
+`;
+
+class AuditLogService {
+
+    // Append an entry, chained to the one before it
+    // Entries are written one at a time (advisory lock) so the chain follows the ID order
+    async record({ adminId, adminUsername, action, entityType, entityId, details, ipAddress }) {
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+            await client.query("SELECT pg_advisory_xact_lock(hashtext('admin_audit_log'))");
+
+            const previous = await client.query(
+                'SELECT entry_hash FROM admin_audit_log WHERE entry_hash IS NOT NULL ORDER BY id DESC LIMIT 1'
+            );
+            const previousHash = previous.rows.length > 0 ? previous.rows[0].entry_hash : null;
+
+            const inserted = await client.query(`
+                INSERT INTO admin_audit_log (admin_id, admin_username, action, entity_type, entity_id, details, ip_address, previous_hash)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING ${HASHED_COLUMNS}
+            `, [adminId, adminUsername, action, entityType, entityId, JSON.stringify(details), ipAddress, previousHash]);
+
+            // Hashed as read back, so verification sees exactly the same values
+            const entry = inserted.rows[0];
+            await client.query(
+                'UPDATE admin_audit_log SET entry_hash = $1 WHERE id = $2',
+                [hashAuditEntry(entry, previousHash), entry.id]
+            );
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Walk the whole chain and report the first entry that was edited, removed or inserted out of band
+    // Entries from before the chain was introduced have no hash and are only counted
+    // Returns { valid, checked, unchained, brokenAt: { id, reason } | null }
+    async verifyChain() {
+        let lastId = 0;
+        let previousHash = null;
+        let chainStarted = false;
+        let checked = 0;
+        let unchained = 0;
+
+        for (;;) {
+            const result = await db.query(`
+                SELECT ${HASHED_COLUMNS}
+                FROM admin_audit_log
+                WHERE id > $1
+                ORDER BY id ASC
+                LIMIT $2
+            `, [lastId, VERIFY_BATCH_SIZE]);
+
+            if (result.rows.length === 0) {
+                break;
+            }
+
+            for (const entry of result.rows) {
+                lastId = entry.id;
+
+                if (!chainStarted && !entry.entry_hash && !entry.previous_hash) {
+                    unchained++;
+                    continue;
+                }
+                chainStarted = true;
+
+                if (!entry.entry_hash) {
+                    return { valid: false, checked, unchained, brokenAt: { id: entry.id, reason: 'Entry has no hash' } };
+                }
+                if (entry.previous_hash !== previousHash) {
+                    return { valid: false, checked, unchained, brokenAt: { id: entry.id, reason: 'Does not follow the previous entry (an entry was removed or inserted)' } };
+                }
+                if (hashAuditEntry(entry, previousHash) !== entry.entry_hash) {
+                    return { valid: false, checked, unchained, brokenAt: { id: entry.id, reason: 'Entry was changed after it was written' } };
+                }
+
+                previousHash = entry.entry_hash;
+                checked++;
+            }
+        }
+
+        return { valid: true, checked, unchained, brokenAt: null };
+    }
+
+    // WHERE clause for the audit screen filters; dates are whole days (YYYY-MM-DD), both ends included
+    // Returns { whereClause, params } or { error }
+    buildFilters({ admin, action, entity_type, entity_id, outcome, from, to } = {}) {
+        const conditions = [];
+        const params = [];
+
+        // By username, so entries of deleted admins can still be found
+        if (admin) {
+            params.push(admin);
+            conditions.push(`l.admin_username = $${params.length}`);
+        }
+
+        if (action) {
+            params.push(action);
+            conditions.push(`l.action = $${params.length}`);
+        }
+
+        if (entity_type) {
+            params.push(entity_type);
+            conditions.push(`l.entity_type = $${params.length}`);
+        }
+
+        if (entity_id) {
+            if (isNaN(parseInt(entity_id))) {
+                return { error: 'Entity ID must be a number' };
+            }
+            // Actions on several entities at once list them in details.entity_ids
+            params.push(parseInt(entity_id));
+            conditions.push(`(l.entity_id = $${params.length} OR l.details->'entity_ids' @> to_jsonb($${params.length}::int))`);
+        }
+
+        if (outcome) {
+            if (!OUTCOMES.includes(outcome)) {
+                return { error: `Invalid outcome. Must be one of: ${OUTCOMES.join(', ')}` };
+            }
+            params.push(outcome);
+            conditions.push(`l.details->>'outcome' = $${params.length}`);
+        }
+
+        if (from) {
+            if (!DATE_PATTERN.test(from)) {
+                return { error: 'From date must be in YYYY-MM-DD format' };
+            }
+            params.push(from);
+            conditions.push(`l.created_at >= $${params.length}::date`);
+        }
+
+        if (to) {
+            if (!DATE_PATTERN.test(to)) {
+                return { error: 'To date must be in YYYY-MM-DD format' };
+            }
+            params.push(to);
+            conditions.push(`l.created_at < $${params.length}::date + 1`);
+        }
+
+        return {
+            whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    // One page of entries, newest first
+    // Returns { entries, pagination } or { error }
+    async list(query = {}) {
+        const filters = this.buildFilters(query);
+        if (filters.error) {
+            return filters;
+        }
+
+        const page = Math.max(parseInt(query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+        const { whereClause, params } = filters;
+
+        const result = await db.query(`
+            SELECT l.id, l.admin_id, l.admin_username, l.action, l.entity_type, l.entity_id,
+                   l.details, l.ip_address, l.created_at
+            FROM admin_audit_log l
+            ${whereClause}
+            ORDER BY l.created_at DESC, l.id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, (page - 1) * limit]);
+
+        const countResult = await db.query(`SELECT COUNT(*) FROM admin_audit_log l ${whereClause}`, params);
+        const total = parseInt(countResult.rows[0].count);
+
+        return {
+            entries: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    // Admins, actions and entity types that appear in the log, for the filter dropdowns
+    async getFilterOptions() {
+        const [admins, actions, entityTypes] = await Promise.all([
+            db.query('SELECT DISTINCT admin_username as value FROM admin_audit_log WHERE admin_username IS NOT NULL ORDER BY 1'),
+            db.query('SELECT DISTINCT action as value FROM admin_audit_log ORDER BY 1'),
+            db.query('SELECT DISTINCT entity_type as value FROM admin_audit_log WHERE entity_type IS NOT NULL ORDER BY 1')
+        ]);
+
+        return {
+            admins: admins.rows.map(row => row.value),
+            actions: actions.rows.map(row => row.value),
+            entityTypes: entityTypes.rows.map(row => row.value)
+        };
+    }
+
+    // Filtered entries as CSV text, oldest first; capped at MAX_EXPORT_ROWS
+    // Returns { csv, truncated } or { error }
+    async exportCsv(query = {}) {
+        const filters = this.buildFilters(query);
+        if (filters.error) {
+            return filters;
+        }
+
+        const { whereClause, params } = filters;
+        const result = await db.query(`
+            SELECT l.id, l.admin_username, l.action, l.entity_type, l.entity_id, l.details, l.ip_address, l.created_at, l.entry_hash
+            FROM admin_audit_log l
+            ${whereClause}
+            ORDER BY l.created_at ASC, l.id ASC
+            LIMIT $${params.length + 1}
+        `, [...params, MAX_EXPORT_ROWS + 1]);
+
+        const truncated = result.rows.length > MAX_EXPORT_ROWS;
+        const rows = truncated ? result.rows.slice(0, MAX_EXPORT_ROWS) : result.rows;
+
+        const csvHeader = [
+            'ID', 'Time', 'Admin', 'Action', 'Entity Type', 'Entity ID', 'Outcome', 'Status',
+            'Method', 'URL', 'IP Address', 'Changes', 'Request Body', 'Entry Hash'
+        ];
+
+        const csvRows = rows.map(row => {
+            const details = row.details || {};
+            const entityIds = details.entity_ids ? details.entity_ids.join(' ') : '';
+
+            return [
+                row.id,
+                new Date(row.created_at).toISOString(),
+                row.admin_username || '',
+                row.action,
+                row.entity_type || '',
+                row.entity_id || entityIds,
+                details.outcome || '',
+                details.status || '',
+                details.method || '',
+                details.url || '',
+                row.ip_address || '',
+                this.formatChanges(details.changes),
+                details.body ? JSON.stringify(details.body) : '',
+                row.entry_hash || ''
+            ];
+        });
+
+        const csv = [csvHeader, ...csvRows]
+            .map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+
+        return { csv, truncated };
+    }
+
+    // Recorded changes as one line of text, e.g. 'question 12: correct_answer "A" -> "C"'
+    formatChanges(changes) {
+        if (!Array.isArray(changes)) {
+            return '';
+        }
+
+        return changes.map(change => {
+            const fields = change.changes
+                .map(({ field, before, after }) => `${field} ${JSON.stringify(before)} -> ${JSON.stringify(after)}`)
+                .join(', ');
+            return `${change.entity_type}${change.entity_id ? ` ${change.entity_id}` : ''}: ${fields}`;
+        }).join('; ');
+    }
+}
+
+module.exports = new AuditLogService();
@@ -22,6 +22,7 @@ if (process.env.TWILIO_ACCOUNT_SID) {
     }
 }
 require('dotenv').config();
+const { escapeHtml } = require('../utils/richText');
 
 class NotificationService {
     constructor() {
@@ -121,6 +122,116 @@ class NotificationService {
         }
     }
     
+    // Send password reset link via email
+    async sendPasswordResetEmail(email, name, resetLink, expiresInMinutes) {
+        try {
+            if (!this.emailTransporter) {
+                throw new Error('Email service not configured');
+            }
+            
+            const mailOptions = {
+                from: process.env.EMAIL_USER,
+                to: email,
+                subject: 'Quiz Competition - Reset Your Password',
+                html: this.getPasswordResetEmailTemplate(name, resetLink, expiresInMinutes)
+            };
+            
+            const info = await this.emailTransporter.sendMail(mailOptions);
+            console.log(`Password reset email sent to ${email}: ${info.messageId}`);
+            
+            return {
+                success: true,
+                messageId: info.messageId
+            };
+            
+        } catch (error) {
+            console.error('Send password reset email error:', error);
+            throw error;
+        }
+    }
+    
+    // Send an invitation to a new admin with a link to choose their password
+    async sendAdminInvitationEmail(email, username, { link, roleLabel, invitedBy, expiresInHours }) {
+        try {
+            if (!this.emailTransporter) {
+                throw new Error('Email service not configured');
+            }
+            
+            const mailOptions = {
+                from: process.env.EMAIL_USER,
+                to: email,
+                subject: 'Quiz Competition - You Have Been Invited as an Admin',
+                html: this.getAdminInvitationEmailTemplate(username, { link, roleLabel, invitedBy, expiresInHours })
+            };
+            
+            const info = await this.emailTransporter.sendMail(mailOptions);
+            console.log(`Admin invitation email sent to ${email}: ${info.messageId}`);
+            
+            return {
+                success: true,
+                messageId: info.messageId
+            };
+            
+        } catch (error) {
+            console.error('Send admin invitation email error:', error);
+            throw error;
+        }
+    }
+    
+    // Send a one-time login link or code via email (pass link or code)
+    async sendLoginEmail(email, name, { link = null, code = null, expiresInMinutes }) {
+        try {
+            if (!this.emailTransporter) {
+                throw new Error('Email service not configured');
+            }
+            
+            const mailOptions = {
+                from: process.env.EMAIL_USER,
+                to: email,
+                subject: link ? 'Quiz Competition - Your Login Link' : `Quiz Competition - Your Login Code ${code}`,
+                html: this.getLoginEmailTemplate(name, { link, code, expiresInMinutes })
+            };
+            
+            const info = await this.emailTransporter.sendMail(mailOptions);
+            console.log(`Login ${link ? 'link' : 'code'} email sent to ${email}: ${info.messageId}`);
+            
+            return {
+                success: true,
+                messageId: info.messageId
+            };
+            
+        } catch (error) {
+            console.error('Send login email error:', error);
+            throw error;
+        }
+    }
+    
+    // Send a one-time login code via SMS
+    async sendLoginCodeSMS(mobile, code, expiresInMinutes) {
+        try {
+            if (!this.twilioClient) {
+                throw new Error('SMS service not configured');
+            }
+            
+            const result = await this.twilioClient.messages.create({
+                body: `${code} is your Quiz Competition login code. It expires in ${expiresInMinutes} minutes. Do not share it with anyone.`,
+                from: process.env.TWILIO_PHONE_NUMBER,
+                to: mobile
+            });
+            
+            console.log(`Login code SMS sent to ${mobile}: ${result.sid}`);
+            
+            return {
+                success: true,
+                messageSid: result.sid
+            };
+            
+        } catch (error) {
+            console.error('Send login code SMS error:', error);
+            throw error;
+        }
+    }
+    
     // Send quiz reminder email
     async sendQuizReminderEmail(email, name, quizTitle, startTime) {
         try {
@@ -271,6 +382,126 @@ class NotificationService {
         return `Hi ${name}, Your quiz login credentials: Username: ${username}, Password: ${password}. Quiz starts at 04:00 AM. Good luck!`;
     }
     
+    getPasswordResetEmailTemplate(name, resetLink, expiresInMinutes) {
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                    .header { background-color: #673AB7; color: white; padding: 20px; text-align: center; }
+                    .content { background-color: #f9f9f9; padding: 20px; }
+                    .button { display: inline-block; background-color: #673AB7; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; }
+                    .link { word-break: break-all; color: #666; font-size: 13px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>Reset Your Password</h1>
+                    </div>
+                    
+                    <div class="content">
+                        <p>Dear ${name},</p>
+                        
+                        <p>We received a request to reset the password for your Quiz Competition account.</p>
+                        
+                        <p style="text-align: center;"><a class="button" href="${resetLink}">Choose a New Password</a></p>
+                        
+                        <p class="link">If the button does not work, open this link: ${resetLink}</p>
+                        
+                        <p>The link can be used once and expires in ${expiresInMinutes} minutes.</p>
+                        
+                        <p>If you did not ask to reset your password, you can ignore this email. Your password will not change.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+    }
+    
+    getAdminInvitationEmailTemplate(username, { link, roleLabel, invitedBy, expiresInHours }) {
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                    .header { background-color: #673AB7; color: white; padding: 20px; text-align: center; }
+                    .content { background-color: #f9f9f9; padding: 20px; }
+                    .button { display: inline-block; background-color: #673AB7; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; }
+                    .link { word-break: break-all; color: #666; font-size: 13px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>Admin Invitation</h1>
+                    </div>
+                    
+                    <div class="content">
+                        <p>Hello,</p>
+                        
+                        <p>${invitedBy} has invited you to the Quiz Competition admin panel as <strong>${roleLabel}</strong>. Your username is <strong>${username}</strong>.</p>
+                        
+                        <p style="text-align: center;"><a class="button" href="${link}">Choose Your Password</a></p>
+                        
+                        <p class="link">If the button does not work, open this link: ${link}</p>
+                        
+                        <p>The link can be used once and expires in ${expiresInHours} hours. Ask for a new invitation if it has expired.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+    }
+    
+    getLoginEmailTemplate(name, { link, code, expiresInMinutes }) {
+        const body = link
+            ? `
+                <p style="text-align: center;"><a class="button" href="${link}">Log In to the Quiz</a></p>
+                <p class="link">If the button does not work, open this link: ${link}</p>
+                <p>The link can be used once and expires in ${expiresInMinutes} minutes.</p>
+            `
+            : `
+                <p>Enter this code on the login page:</p>
+                <div class="code">${code}</div>
+                <p>The code expires in ${expiresInMinutes} minutes.</p>
+            `;
+        
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                    .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+                    .content { background-color: #f9f9f9; padding: 20px; }
+                    .button { display: inline-block; background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; }
+                    .link { word-break: break-all; color: #666; font-size: 13px; }
+                    .code { font-size: 32px; font-weight: bold; letter-spacing: 8px; text-align: center; background-color: white; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>Quiz Competition Login</h1>
+                    </div>
+                    
+                    <div class="content">
+                        <p>Dear ${name},</p>
+                        ${body}
+                        <p>If you did not try to log in, you can ignore this email.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+    }
+    
     getQuizReminderEmailTemplate(name, quizTitle, startTime) {
         return `
             <!DOCTYPE html>
@@ -307,7 +538,23 @@ class NotificationService {
     }
     
     getQuizResultsEmailTemplate(name, resultsData) {
-        const { totalQuestions, correctAnswers, incorrectAnswers, unanswered, percentageScore, performanceCategory } = resultsData;
+        const { totalQuestions, correctAnswers, incorrectAnswers, unanswered, percentageScore, performanceCategory, answers = [] } = resultsData;
+        
+        // Answer review: correct answer, explanation and reference for each question
+        const reviewHtml = answers.length === 0 ? '' : `
+            <div class="results">
+                <h3>Answer Review:</h3>
+                ${answers.map((answer, index) => `
+                    <div class="review-item">
+                        <p><strong>Q${index + 1}. ${escapeHtml(answer.questionText)}</strong></p>
+                        <p class="${answer.isCorrect ? 'correct' : 'incorrect'}">Your answer: ${answer.yourAnswer ? escapeHtml(answer.yourAnswer) : 'Not answered'}</p>
+                        ${answer.isCorrect ? '' : `<p>Correct answer: ${escapeHtml(answer.correctAnswer || '')}</p>`}
+                        ${answer.explanation ? `<p>${escapeHtml(answer.explanation)}</p>` : ''}
+                        ${answer.reference ? `<p class="reference">Reference: ${escapeHtml(answer.reference)}</p>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
         
         return `
             <!DOCTYPE html>
@@ -320,6 +567,10 @@ class NotificationService {
                     .content { background-color: #f9f9f9; padding: 20px; }
                     .results { background-color: white; padding: 15px; border-left: 4px solid #2196F3; margin: 20px 0; }
                     .score { font-size: 24px; font-weight: bold; color: #4CAF50; text-align: center; margin: 20px 0; }
+                    .review-item { border-bottom: 1px solid #eee; padding: 10px 0; }
+                    .correct { color: #2e7d32; }
+                    .incorrect { color: #c62828; }
+                    .reference { color: #777; font-size: 13px; }
                 </style>
             </head>
             <body>
@@ -345,6 +596,8 @@ class NotificationService {
                             <p><strong>Unanswered:</strong> ${unanswered}</p>
                             <p><strong>Performance Category:</strong> ${performanceCategory}</p>
                         </div>
+                        
+                        ${reviewHtml}
                     </div>
                 </div>
             </body>
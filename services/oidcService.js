@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { redisHelper } = require('../config/redis');
+const participantService = require('./participantService');
+const organizationService = require('./organizationService');
+
+const USER_TYPES = ['admin', 'participant'];
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Provider metadata and signing keys rarely change; refetched after this long, or when a token uses an unknown key
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+class OidcService {
+
+    constructor() {
+        this.metadata = null;
+        this.metadataFetchedAt = 0;
+        this.signingKeys = new Map();
+    }
+
+    // Provider settings from the environment
+    getConfig() {
+        return {
+            issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+            clientId: process.env.OIDC_CLIENT_ID || '',
+            clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+            scopes: process.env.OIDC_SCOPES || 'openid email profile',
+            providerName: process.env.OIDC_PROVIDER_NAME || 'Company SSO',
+            emailClaim: process.env.OIDC_EMAIL_CLAIM || 'email',
+            loginFor: (process.env.OIDC_LOGIN_FOR || 'admin,participant').split(',').map(type => type.trim()),
+            createParticipants: process.env.OIDC_PARTICIPANT_JIT === 'true'
+        };
+    }
+
+    // Whether SSO is configured and offered to this kind of user
+    isEnabled(userType) {
+        const config = this.getConfig();
+        return Boolean(config.issuer && config.clientId) && config.loginFor.includes(userType);
+    }
+
+    getRedirectUri(baseUrl) {
+        return `${baseUrl}/api/auth/oidc/callback`;
+    }
+
+    // Fetch (and cache) the provider's discovery document
+    async getMetadata() {
+        if (this.metadata && Date.now() - this.metadataFetchedAt < METADATA_CACHE_MS) {
+            return this.metadata;
+        }
+
+        const { issuer } = this.getConfig();
+        const response = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+
+        if (response.data.issuer.replace(/\/$/, '') !== issuer) {
+            throw new Error(`Discovery document issuer ${response.data.issuer} does not match OIDC_ISSUER`);
+        }
+
+        this.metadata = response.data;
+        this.metadataFetchedAt = Date.now();
+        this.signingKeys.clear();
+        return this.metadata;
+    }
+
+    // Public key for an ID token's key id, from the provider's JWKS
+    async getSigningKey(kid) {
+        if (!this.signingKeys.has(kid)) {
+            const metadata = await this.getMetadata();
+            const response = await axios.get(metadata.jwks_uri, { timeout: 10000 });
+
+            this.signingKeys.clear();
+            response.data.keys
+                .filter(key => !key.use || key.use === 'sig')
+                .forEach(key => this.signingKeys.set(key.kid, crypto.createPublicKey({ key, format: 'jwk' })));
+        }
+
+        const key = this.signingKeys.get(kid);
+        if (!key) {
+            throw new Error(`No signing key found for key id ${kid}`);
+        }
+        return key;
+    }
+
+    base64Url(buffer) {
+        return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    hash(value) {
+        return crypto.createHash('sha256').update(String(value)).digest('hex');
+    }
+
+    // Start a login: returns the provider URL to redirect to and the state to bind to the browser
+    async createAuthorizationRequest(userType, baseUrl) {
+        if (!USER_TYPES.includes(userType)) {
+            throw new Error(`Invalid user type. Must be one of: ${USER_TYPES.join(', ')}`);
+        }
+
+        const config = this.getConfig();
+        const metadata = await this.getMetadata();
+
+        const state = this.base64Url(crypto.randomBytes(32));
+        const nonce = this.base64Url(crypto.randomBytes(32));
+        const codeVerifier = this.base64Url(crypto.randomBytes(32));
+        const codeChallenge = this.base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+        await redisHelper.set(`oidc_state:${this.hash(state)}`, { userType, nonce, codeVerifier }, 10 * 60);
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: config.clientId,
+            redirect_uri: this.getRedirectUri(baseUrl),
+            scope: config.scopes,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+
+        return {
+            url: `${metadata.authorization_endpoint}?${params.toString()}`,
+            state
+        };
+    }
+
+    // Exchange the authorization code and return the verified ID token claims
+    async exchangeCode(code, codeVerifier, nonce, baseUrl) {
+        const config = this.getConfig();
+        const metadata = await this.getMetadata();
+
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.getRedirectUri(baseUrl),
+            code_verifier: codeVerifier,
+            client_id: config.clientId
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+        // Confidential clients authenticate with HTTP Basic unless the provider only accepts the secret in the body
+        if (config.clientSecret) {
+            const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+            if (methods.includes('client_secret_basic')) {
+                const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+                headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+            } else {
+                body.set('client_secret', config.clientSecret);
+            }
+        }
+
+        const response = await axios.post(metadata.token_endpoint, body.toString(), { headers, timeout: 10000 });
+        const { id_token: idToken, access_token: accessToken } = response.data;
+
+        if (!idToken) {
+            throw new Error('Token response did not include an ID token');
+        }
+
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new Error('ID token could not be decoded');
+        }
+
+        const claims = jwt.verify(idToken, await this.getSigningKey(decoded.header.kid), {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: metadata.issuer,
+            audience: config.clientId
+        });
+
+        if (claims.nonce !== nonce) {
+            throw new Error('ID token nonce does not match the login request');
+        }
+
+        // Some providers only put the email on the userinfo endpoint
+        if (!claims[config.emailClaim] && metadata.userinfo_endpoint && accessToken) {
+            const userinfo = await axios.get(metadata.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${accessToken}` },
+                timeout: 10000
+            });
+
+            if (userinfo.data.sub === claims.sub) {
+                return { ...userinfo.data, ...claims };
+            }
+        }
+
+        return claims;
+    }
+
+    // Find (or, when enabled, create) the participant for a set of claims
+    async findOrCreateParticipant(email, claims) {
+        const result = await db.query(`
+            SELECT p.*, uc.username, uc.is_active, uc.must_change_password
+            FROM participants p
+            LEFT JOIN user_credentials uc ON p.id = uc.participant_id
+            WHERE LOWER(p.email) = LOWER($1)
+            ORDER BY p.id
+            LIMIT 1
+        `, [email]);
+
+        if (result.rows.length > 0) {
+            // Deactivated participants stay locked out; SSO must not bring them back
+            return result.rows[0].is_active ? result.rows[0] : null;
+        }
+
+        if (!this.getConfig().createParticipants) {
+            return null;
+        }
+
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const insertResult = await client.query(`
+                INSERT INTO participants (name, email, designation, company, organization_id)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [
+                claims.name || email.split('@')[0],
+                email,
+                claims.job_title || null,
+                claims.organization || null,
+                await organizationService.getDefaultOrganizationId(client)
+            ]);
+
+            const participant = insertResult.rows[0];
+
+            // The password is never shown; the participant keeps logging in through SSO (or resets it)
+            const { username } = await participantService.generateCredentials(
+                client, participant.id, participant.name, participant.email, null,
+                { mode: 'random', forcePasswordChange: false }
+            );
+
+            await client.query('COMMIT');
+            console.log(`Created participant ${participant.id} from SSO login`);
+
+            return { ...participant, username, is_active: true, must_change_password: false };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Drop a login request that will not be completed; returns its user type
+    async discardState(state) {
+        const stored = await redisHelper.take(`oidc_state:${this.hash(state)}`);
+        return stored ? stored.userType : null;
+    }
+
+    // Finish a login from the provider's callback
+    // Returns { userType, account } on success or { userType, error } with an error code for the login page
+    async completeLogin({ code, state, baseUrl }) {
+        const stored = state ? await redisHelper.take(`oidc_state:${this.hash(state)}`) : null;
+        if (!stored) {
+            return { userType: 'participant', error: 'expired' };
+        }
+
+        const { userType } = stored;
+        if (!this.isEnabled(userType)) {
+            return { userType, error: 'disabled' };
+        }
+
+        const claims = await this.exchangeCode(code, stored.codeVerifier, stored.nonce, baseUrl);
+        const email = String(claims[this.getConfig().emailClaim] || '').trim().toLowerCase();
+
+        if (!email || claims.email_verified === false) {
+            return { userType, error: 'no_email' };
+        }
+
+        if (userType === 'admin') {
+            // Admin accounts are never created from SSO
+            const result = await db.query(
+                'SELECT * FROM admin_users WHERE LOWER(email) = LOWER($1) AND is_active = true',
+                [email]
+            );
+            return result.rows.length > 0 ? { userType, account: result.rows[0] } : { userType, error: 'no_account' };
+        }
+
+        const participant = await this.findOrCreateParticipant(email, claims);
+        return participant ? { userType, account: participant } : { userType, error: 'no_account' };
+    }
+
+    // The browser is sent back to the login page with a short-lived code for the session, so the
+    // page gets the same login response (and token) as a password login
+    async createHandoff(userType, accountId) {
+        const code = this.base64Url(crypto.randomBytes(32));
+        await redisHelper.set(`oidc_handoff:${this.hash(code)}`, { userType, accountId }, 60);
+        return code;
+    }
+
+    async takeHandoff(code) {
+        return code ? redisHelper.take(`oidc_handoff:${this.hash(code)}`) : null;
+    }
+}
+
+module.exports = new OidcService();
+module.exports.USER_TYPES = USER_TYPES;
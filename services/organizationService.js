@@ -0,0 +1,212 @@
+const db = require('../config/database');
+const { hasPermission } = require('../utils/adminPermissions');
+const { TENANT_ENTITIES, scopeCondition, isInScope } = require('../utils/tenancy');
+
+class OrganizationService {
+
+    // Organisation IDs an admin can see, or null when they can see every organisation
+    async getScope(admin) {
+        if (hasPermission(admin.role, 'organizations:all')) {
+            return null;
+        }
+
+        const result = await db.query(
+            'SELECT organization_id FROM admin_organizations WHERE admin_id = $1 ORDER BY organization_id',
+            [admin.id]
+        );
+        return result.rows.map(row => row.organization_id);
+    }
+
+    // Organisations in a scope with how much each holds, for the organisations page and the pickers
+    async list(scope) {
+        const params = [];
+        const result = await db.query(`
+            SELECT o.id, o.name, o.is_active, o.created_at,
+                   (SELECT COUNT(*) FROM participants p WHERE p.organization_id = o.id) as participant_count,
+                   (SELECT COUNT(*) FROM quizzes q WHERE q.organization_id = o.id) as quiz_count,
+                   (SELECT COUNT(*) FROM quiz_sessions qs WHERE qs.organization_id = o.id) as session_count,
+                   (SELECT COUNT(*) FROM admin_organizations ao WHERE ao.organization_id = o.id) as admin_count
+            FROM organizations o
+            WHERE ${scopeCondition(scope, 'o.id', params)}
+            ORDER BY o.name
+        `, params);
+
+        return result.rows;
+    }
+
+    validateName(name) {
+        name = String(name || '').trim();
+        if (name.length < 2 || name.length > 255) {
+            return { error: 'Organisation name must be between 2 and 255 characters' };
+        }
+        return { name };
+    }
+
+    // Returns { organization } or { error }
+    async create({ name }) {
+        const validated = this.validateName(name);
+        if (validated.error) {
+            return validated;
+        }
+
+        const existing = await db.query('SELECT id FROM organizations WHERE LOWER(name) = LOWER($1)', [validated.name]);
+        if (existing.rows.length > 0) {
+            return { error: 'An organisation with this name already exists' };
+        }
+
+        const result = await db.query(
+            'INSERT INTO organizations (name) VALUES ($1) RETURNING id, name, is_active, created_at',
+            [validated.name]
+        );
+        return { organization: result.rows[0] };
+    }
+
+    // Rename or (de)activate an organisation; inactive organisations keep their data but get no new records
+    // Returns { organization, before }, { error }, or null if the organisation does not exist
+    async update(organizationId, { name, is_active }) {
+        const current = await db.query('SELECT id, name, is_active FROM organizations WHERE id = $1', [organizationId]);
+        const before = current.rows[0];
+        if (!before) {
+            return null;
+        }
+
+        let newName = before.name;
+        if (name !== undefined) {
+            const validated = this.validateName(name);
+            if (validated.error) {
+                return validated;
+            }
+            newName = validated.name;
+
+            const existing = await db.query(
+                'SELECT id FROM organizations WHERE LOWER(name) = LOWER($1) AND id <> $2',
+                [newName, organizationId]
+            );
+            if (existing.rows.length > 0) {
+                return { error: 'An organisation with this name already exists' };
+            }
+        }
+
+        const isActive = is_active === undefined ? before.is_active : is_active === true || is_active === 'true';
+
+        const result = await db.query(
+            'UPDATE organizations SET name = $1, is_active = $2 WHERE id = $3 RETURNING id, name, is_active, created_at',
+            [newName, isActive, organizationId]
+        );
+        return { organization: result.rows[0], before };
+    }
+
+    // Check a list of organisation IDs chosen for an admin
+    // Returns { organizationIds } or { error }
+    async validateOrganizationIds(organizationIds) {
+        if (!Array.isArray(organizationIds)) {
+            return { error: 'Organisations must be a list of organisation IDs' };
+        }
+
+        const ids = [...new Set(organizationIds.map(id => parseInt(id)))];
+        if (ids.some(id => isNaN(id))) {
+            return { error: 'Organisations must be a list of organisation IDs' };
+        }
+        if (ids.length === 0) {
+            return { organizationIds: [] };
+        }
+
+        const result = await db.query('SELECT id FROM organizations WHERE id = ANY($1::int[])', [ids]);
+        if (result.rows.length !== ids.length) {
+            return { error: 'One or more organisations were not found' };
+        }
+        return { organizationIds: ids.sort((a, b) => a - b) };
+    }
+
+    // Replace the organisations an admin is assigned to
+    // Returns { organizationIds, previousIds }, { error }, or null if the admin does not exist
+    async setAdminOrganizations(adminId, organizationIds, client = db) {
+        const validated = await this.validateOrganizationIds(organizationIds);
+        if (validated.error) {
+            return validated;
+        }
+
+        const admin = await client.query('SELECT id FROM admin_users WHERE id = $1', [adminId]);
+        if (admin.rows.length === 0) {
+            return null;
+        }
+
+        const previous = await client.query(
+            'SELECT organization_id FROM admin_organizations WHERE admin_id = $1 ORDER BY organization_id',
+            [adminId]
+        );
+
+        await client.query('DELETE FROM admin_organizations WHERE admin_id = $1', [adminId]);
+        if (validated.organizationIds.length > 0) {
+            await client.query(`
+                INSERT INTO admin_organizations (admin_id, organization_id)
+                SELECT $1, UNNEST($2::int[])
+            `, [adminId, validated.organizationIds]);
+        }
+
+        return {
+            organizationIds: validated.organizationIds,
+            previousIds: previous.rows.map(row => row.organization_id)
+        };
+    }
+
+    // Organisation a new record goes into: the one requested, or the admin's only organisation
+    // Returns { organizationId } or { error }
+    async resolveForCreate(scope, requestedId) {
+        if (requestedId === undefined || requestedId === null || requestedId === '') {
+            const params = [];
+            const result = await db.query(
+                `SELECT id FROM organizations o WHERE o.is_active = true AND ${scopeCondition(scope, 'o.id', params)}`,
+                params
+            );
+            if (result.rows.length === 1) {
+                return { organizationId: result.rows[0].id };
+            }
+            return { error: result.rows.length === 0 ? 'You are not assigned to an active organisation' : 'Please choose an organisation' };
+        }
+
+        const organizationId = parseInt(requestedId);
+        if (isNaN(organizationId) || !isInScope(scope, organizationId)) {
+            return { error: 'Organisation not found' };
+        }
+
+        const result = await db.query('SELECT id, is_active FROM organizations WHERE id = $1', [organizationId]);
+        if (result.rows.length === 0) {
+            return { error: 'Organisation not found' };
+        }
+        if (!result.rows[0].is_active) {
+            return { error: 'This organisation is inactive' };
+        }
+        return { organizationId };
+    }
+
+    // Organisation new participants from SSO sign-ups are created in (the first one)
+    async getDefaultOrganizationId(client = db) {
+        const result = await client.query('SELECT MIN(id) as id FROM organizations');
+        return result.rows[0].id;
+    }
+
+    // Organisation of one participant, quiz, session or question (null if it does not exist)
+    async getEntityOrganization(entityType, entityId) {
+        const { table } = TENANT_ENTITIES[entityType];
+        const result = await db.query(`SELECT organization_id FROM ${table} WHERE id = $1`, [entityId]);
+        return result.rows.length > 0 ? result.rows[0].organization_id : null;
+    }
+
+    // IDs from a request that exist but belong to an organisation outside the scope
+    async findOutsideScope(scope, entityType, ids) {
+        const numericIds = (ids || []).map(id => parseInt(id)).filter(id => !isNaN(id));
+        if (scope === null || numericIds.length === 0) {
+            return [];
+        }
+
+        const { table } = TENANT_ENTITIES[entityType];
+        const result = await db.query(
+            `SELECT id FROM ${table} WHERE id = ANY($1::int[]) AND NOT (organization_id = ANY($2::int[]))`,
+            [numericIds, scope]
+        );
+        return result.rows.map(row => row.id);
+    }
+}
+
+module.exports = new OrganizationService();
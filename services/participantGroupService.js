@@ -0,0 +1,187 @@
+const db = require('../config/database');
+const { scopeCondition } = require('../utils/tenancy');
+
+class ParticipantGroupService {
+
+    // Groups in the admin's organisations (optionally one organisation) with how many members each has
+    async list(scope, organizationId = null) {
+        const params = [];
+        const conditions = [scopeCondition(scope, 'g.organization_id', params)];
+
+        if (organizationId) {
+            params.push(organizationId);
+            conditions.push(`g.organization_id = $${params.length}`);
+        }
+
+        const result = await db.query(`
+            SELECT g.id, g.organization_id, o.name as organization_name, g.name, g.description, g.created_at,
+                   (SELECT COUNT(*) FROM participant_group_members m WHERE m.group_id = g.id) as member_count
+            FROM participant_groups g
+            JOIN organizations o ON g.organization_id = o.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY o.name, g.name
+        `, params);
+
+        return result.rows;
+    }
+
+    validate({ name, description }) {
+        name = String(name || '').trim();
+        if (name.length < 1 || name.length > 255) {
+            return { error: 'Group name must be between 1 and 255 characters' };
+        }
+        return { name, description: description ? String(description).trim() : null };
+    }
+
+    async nameTaken(organizationId, name, exceptId = null) {
+        const result = await db.query(
+            'SELECT id FROM participant_groups WHERE organization_id = $1 AND LOWER(name) = LOWER($2) AND id <> COALESCE($3, 0)',
+            [organizationId, name, exceptId]
+        );
+        return result.rows.length > 0;
+    }
+
+    // Returns { group } or { error }
+    async create(data, organizationId) {
+        const validated = this.validate(data);
+        if (validated.error) {
+            return validated;
+        }
+
+        if (await this.nameTaken(organizationId, validated.name)) {
+            return { error: 'A group with this name already exists in the organisation' };
+        }
+
+        const result = await db.query(`
+            INSERT INTO participant_groups (organization_id, name, description)
+            VALUES ($1, $2, $3)
+            RETURNING *
+        `, [organizationId, validated.name, validated.description]);
+
+        return { group: result.rows[0] };
+    }
+
+    // Returns { group, before }, { error }, or null if the group does not exist
+    async update(groupId, data) {
+        const current = await db.query('SELECT * FROM participant_groups WHERE id = $1', [groupId]);
+        const before = current.rows[0];
+        if (!before) {
+            return null;
+        }
+
+        const validated = this.validate({
+            name: data.name === undefined ? before.name : data.name,
+            description: data.description === undefined ? before.description : data.description
+        });
+        if (validated.error) {
+            return validated;
+        }
+
+        if (await this.nameTaken(before.organization_id, validated.name, before.id)) {
+            return { error: 'A group with this name already exists in the organisation' };
+        }
+
+        const result = await db.query(
+            'UPDATE participant_groups SET name = $1, description = $2 WHERE id = $3 RETURNING *',
+            [validated.name, validated.description, groupId]
+        );
+        return { group: result.rows[0], before };
+    }
+
+    // Members leave the group and sessions it was invited to no longer admit them through it;
+    // participants who already joined those sessions keep their place
+    async delete(groupId) {
+        const result = await db.query('DELETE FROM participant_groups WHERE id = $1 RETURNING *', [groupId]);
+        return result.rows[0] || null;
+    }
+
+    async getMembers(groupId) {
+        const result = await db.query(`
+            SELECT p.id, p.name, p.email, p.company, p.designation, uc.is_active, m.added_at
+            FROM participant_group_members m
+            JOIN participants p ON m.participant_id = p.id
+            LEFT JOIN user_credentials uc ON uc.participant_id = p.id
+            WHERE m.group_id = $1
+            ORDER BY p.name
+        `, [groupId]);
+
+        return result.rows;
+    }
+
+    // Add participants of the group's organisation; participants already in the group are skipped
+    // Returns { added }, { error }, or null if the group does not exist
+    async addMembers(groupId, participantIds, client = db) {
+        const ids = [...new Set((participantIds || []).map(id => parseInt(id)).filter(id => !isNaN(id)))];
+        if (ids.length === 0) {
+            return { error: 'No participants selected' };
+        }
+
+        const group = await client.query('SELECT organization_id FROM participant_groups WHERE id = $1', [groupId]);
+        if (group.rows.length === 0) {
+            return null;
+        }
+
+        const participants = await client.query(
+            'SELECT id FROM participants WHERE id = ANY($1::int[]) AND organization_id = $2',
+            [ids, group.rows[0].organization_id]
+        );
+        if (participants.rows.length !== ids.length) {
+            return { error: 'Participants can only be added to groups of their own organisation' };
+        }
+
+        const result = await client.query(`
+            INSERT INTO participant_group_members (group_id, participant_id)
+            SELECT $1, UNNEST($2::int[])
+            ON CONFLICT (group_id, participant_id) DO NOTHING
+        `, [groupId, ids]);
+
+        return { added: result.rowCount };
+    }
+
+    // Returns { removed }
+    async removeMembers(groupId, participantIds) {
+        const ids = (participantIds || []).map(id => parseInt(id)).filter(id => !isNaN(id));
+        const result = await db.query(
+            'DELETE FROM participant_group_members WHERE group_id = $1 AND participant_id = ANY($2::int[])',
+            [groupId, ids]
+        );
+        return { removed: result.rowCount };
+    }
+
+    // Group an upload batch is put in: an existing group of the organisation with this name, or a new one
+    // Returns { groupId } or { error }
+    async findOrCreate(organizationId, name) {
+        const validated = this.validate({ name });
+        if (validated.error) {
+            return validated;
+        }
+
+        const existing = await db.query(
+            'SELECT id FROM participant_groups WHERE organization_id = $1 AND LOWER(name) = LOWER($2) ORDER BY id LIMIT 1',
+            [organizationId, validated.name]
+        );
+        if (existing.rows.length > 0) {
+            return { groupId: existing.rows[0].id };
+        }
+
+        const result = await db.query(`
+            INSERT INTO participant_groups (organization_id, name)
+            VALUES ($1, $2)
+            ON CONFLICT (organization_id, name) DO UPDATE SET name = EXCLUDED.name
+            RETURNING id
+        `, [organizationId, validated.name]);
+
+        return { groupId: result.rows[0].id };
+    }
+
+    // A participant moved to another organisation leaves the groups of the old one
+    async removeFromOtherOrganizations(participantId, organizationId, client = db) {
+        await client.query(`
+            DELETE FROM participant_group_members
+            WHERE participant_id = $1
+              AND group_id IN (SELECT id FROM participant_groups WHERE organization_id <> $2)
+        `, [participantId, organizationId]);
+    }
+}
+
+module.exports = new ParticipantGroupService();
@@ -1,28 +1,19 @@
 const bcrypt = require('bcryptjs');
+const validator = require('validator');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const notificationService = require('./notificationService');
+const { getDefaultCountry, normalizeCountry, parsePhoneNumber, formatE164 } = require('../utils/phoneNumber');
+const { getDefaultCredentialMode, generateRandomPassword, generatePassphrase, validateNewPassword } = require('../utils/credentials');
 
 class ParticipantService {
     
-    // Clean mobile number - remove +91, spaces, and ensure 10 digits
-    cleanMobileNumber(mobile) {
+    // Clean mobile number - validate it for its country and return it in E.164 format (+919876543210)
+    // Numbers without a country code are read as numbers of defaultCountry
+    cleanMobileNumber(mobile, defaultCountry = getDefaultCountry()) {
         if (!mobile) return '';
         
-        // Remove all non-digit characters
-        let cleaned = mobile.replace(/\D/g, '');
-        
-        // Remove country code +91 if present
-        if (cleaned.startsWith('91') && cleaned.length === 12) {
-            cleaned = cleaned.substring(2);
-        }
-        
-        // Ensure it's exactly 10 digits
-        if (cleaned.length === 10) {
-            return cleaned;
-        }
-        
-        throw new Error(`Invalid mobile number: ${mobile}. Must be 10 digits.`);
+        return formatE164(String(mobile), defaultCountry);
     }
     
     // Generate username from email (use email as username)
@@ -30,9 +21,29 @@ class ParticipantService {
         return email.toLowerCase().trim();
     }
     
-    // Generate password from mobile number
+    // Generate password from mobile number (the national number, without country code)
+    // Numbers stored before E.164 (10 digits, no country code) give the same password as before
     generatePassword(mobile) {
-        return this.cleanMobileNumber(mobile);
+        if (!mobile) return '';
+        
+        return parsePhoneNumber(String(mobile)).nationalNumber;
+    }
+    
+    // Issue a password for a credential mode (see utils/credentials.js)
+    issuePassword(mobile, mode) {
+        if (mode === 'random') return generateRandomPassword();
+        if (mode === 'passphrase') return generatePassphrase();
+        return this.generatePassword(mobile);
+    }
+    
+    // Fill in defaults for credential options: generated passwords must be changed on first login unless told otherwise
+    resolveCredentialOptions({ mode, forcePasswordChange } = {}) {
+        const credentialMode = mode || getDefaultCredentialMode();
+        
+        return {
+            mode: credentialMode,
+            forcePasswordChange: forcePasswordChange === undefined ? credentialMode !== 'mobile' : Boolean(forcePasswordChange)
+        };
     }
     
     // Helper function to parse CSV line handling quoted fields
@@ -58,14 +69,53 @@ class ParticipantService {
         return result;
     }
     
-    // Parse Excel/CSV data
-    async parseParticipantData(data, fileType) {
+    // Check and clean one parsed row; invalid rows keep their data and get an error message
+    // A Country column on the row overrides the upload's default country for the mobile number
+    validateParticipantRow(participant, defaultCountry = getDefaultCountry()) {
+        const cleaned = {
+            row: participant.row,
+            name: String(participant.name || '').trim(),
+            email: String(participant.email || '').trim().toLowerCase(),
+            company: String(participant.company || '').trim(),
+            designation: String(participant.designation || '').trim(),
+            mobile: String(participant.mobile || '').trim(),
+            error: null
+        };
+        
+        if (!cleaned.name || !cleaned.email || !cleaned.mobile) {
+            cleaned.error = 'Missing required fields (Name, Email, Mobile)';
+            return cleaned;
+        }
+        
+        if (!validator.isEmail(cleaned.email)) {
+            cleaned.error = `Invalid email address: ${cleaned.email}`;
+            return cleaned;
+        }
+        
+        const rowCountry = String(participant.country || '').trim();
+        const country = rowCountry ? normalizeCountry(rowCountry) : defaultCountry;
+        if (!country) {
+            cleaned.error = `Unsupported country: ${rowCountry}`;
+            return cleaned;
+        }
+        
+        try {
+            cleaned.mobile = this.cleanMobileNumber(cleaned.mobile, country);
+        } catch (error) {
+            cleaned.error = error.message;
+        }
+        
+        return cleaned;
+    }
+    
+    // Parse Excel/CSV data into rows numbered as in the file; invalid rows are returned with an error
+    async parseParticipantData(data, fileType, { defaultCountry = getDefaultCountry() } = {}) {
         const participants = [];
         
         try {
             if (fileType === 'csv') {
                 // Parse CSV data
-                const lines = data.split('\n');
+                const lines = data.replace(/^\uFEFF/, '').split('\n');
                 const headers = lines[0].split(',').map(h => h.trim().toLowerCase().replace(/"/g, ''));
                 
                 // Find column indices for exact field mapping
@@ -74,6 +124,7 @@ class ParticipantService {
                 const companyIndex = headers.findIndex(h => h === 'company');
                 const designationIndex = headers.findIndex(h => h === 'designation');
                 const mobileIndex = headers.findIndex(h => h === 'mobile');
+                const countryIndex = headers.findIndex(h => h === 'country'); // Optional
                 
                 // Validate required columns exist
                 if (nameIndex === -1 || emailIndex === -1 || companyIndex === -1 || designationIndex === -1 || mobileIndex === -1) {
@@ -87,67 +138,161 @@ class ParticipantService {
                     // Parse CSV line properly handling quoted fields
                     const fields = this.parseCSVLine(line);
                     
-                    try {
-                        const participant = {
-                            name: fields[nameIndex]?.trim() || '',
-                            email: fields[emailIndex]?.trim() || '',
-                            company: fields[companyIndex]?.trim() || '',
-                            designation: fields[designationIndex]?.trim() || '',
-                            mobile: fields[mobileIndex]?.trim() || ''
-                        };
-                        
-                        // Validate required fields
-                        if (!participant.name || !participant.email || !participant.mobile) {
-                            console.warn(`Skipping row ${i}: Missing required fields (Name, Email, Mobile)`);
-                            continue;
-                        }
-                        
-                        // Validate and clean mobile number
-                        participant.mobile = this.cleanMobileNumber(participant.mobile);
-                        
-                        participants.push(participant);
-                    } catch (error) {
-                        console.warn(`Skipping row ${i}: ${error.message}`);
-                    }
+                    participants.push(this.validateParticipantRow({
+                        row: i + 1,
+                        name: fields[nameIndex],
+                        email: fields[emailIndex],
+                        company: fields[companyIndex],
+                        designation: fields[designationIndex],
+                        mobile: fields[mobileIndex],
+                        country: countryIndex === -1 ? '' : fields[countryIndex]
+                    }, defaultCountry));
                 }
             } else {
                 // Handle Excel data (assuming it's already parsed)
-                for (const row of data) {
-                    try {
-                        const participant = {
-                            name: row.Name || row.name || '',
-                            email: row.Email || row.email || '',
-                            company: row.Company || row.company || '',
-                            designation: row.Designation || row.designation || '',
-                            mobile: row.Mobile || row.mobile || ''
-                        };
-                        
-                        // Validate required fields
-                        if (!participant.name || !participant.email || !participant.mobile) {
-                            console.warn(`Skipping Excel row: Missing required fields (Name, Email, Mobile)`);
-                            continue;
-                        }
-                        
-                        // Validate and clean mobile number
-                        participant.mobile = this.cleanMobileNumber(participant.mobile);
-                        
-                        participants.push(participant);
-                    } catch (error) {
-                        console.warn(`Skipping Excel row: ${error.message}`);
-                    }
-                }
+                data.forEach((row, index) => {
+                    participants.push(this.validateParticipantRow({
+                        // sheet_to_json skips blank rows and records the 0-based sheet row in __rowNum__
+                        row: row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2,
+                        name: row.Name || row.name,
+                        email: row.Email || row.email,
+                        company: row.Company || row.company,
+                        designation: row.Designation || row.designation,
+                        mobile: row.Mobile || row.mobile,
+                        country: row.Country || row.country
+                    }, defaultCountry));
+                });
             }
             
+            // The same email twice would silently overwrite the first row
+            const seenEmails = new Map();
+            participants.forEach(participant => {
+                if (participant.error) return;
+                
+                if (seenEmails.has(participant.email)) {
+                    participant.error = `Duplicate email, already used in row ${seenEmails.get(participant.email)}`;
+                } else {
+                    seenEmails.set(participant.email, participant.row);
+                }
+            });
+            
             return participants;
             
         } catch (error) {
             console.error('Parse participant data error:', error);
-            throw new Error('Failed to parse participant data');
+            throw new Error(`Failed to parse participant data: ${error.message}`);
         }
     }
     
-    // Bulk upload participants with credential generation
-    async bulkUploadParticipants(participantsData, sessionId = null) {
+    // Compare parsed rows with the participants of an organisation (matched by email)
+    // Returns new, changed (with the changed fields), unchanged and invalid rows,
+    // plus active participants of the organisation that are missing from the file.
+    // Emails are unique across organisations, so a row for another organisation's participant is invalid
+    async diffParticipants(rows, organizationId) {
+        const existingResult = await db.query(`
+            SELECT p.id, p.name, LOWER(p.email) as email, p.company, p.designation, p.mobile,
+                   COALESCE(uc.is_active, false) as is_active
+            FROM participants p
+            LEFT JOIN user_credentials uc ON uc.participant_id = p.id
+            WHERE p.organization_id = $1
+        `, [organizationId]);
+        
+        // Only the file's own emails are looked up in other organisations
+        const elsewhereResult = await db.query(`
+            SELECT LOWER(email) as email
+            FROM participants
+            WHERE LOWER(email) = ANY($1::text[]) AND organization_id <> $2
+        `, [[...new Set(rows.map(row => row.email).filter(Boolean))], organizationId]);
+        
+        const existingByEmail = new Map(existingResult.rows.map(participant => [participant.email, participant]));
+        const elsewhereEmails = new Set(elsewhereResult.rows.map(participant => participant.email));
+        const fileEmails = new Set();
+        const diff = { new: [], changed: [], unchanged: [], invalid: [], missing: [] };
+        
+        rows.forEach(row => {
+            // Invalid rows still count as present, so sync never deactivates someone because of a typo elsewhere in their row
+            if (row.email) fileEmails.add(row.email);
+            
+            if (row.error) {
+                diff.invalid.push(row);
+                return;
+            }
+            
+            if (elsewhereEmails.has(row.email)) {
+                diff.invalid.push({ ...row, error: 'Email belongs to a participant in another organisation' });
+                return;
+            }
+            
+            const existing = existingByEmail.get(row.email);
+            if (!existing) {
+                diff.new.push(row);
+                return;
+            }
+            
+            const changes = ['name', 'company', 'designation', 'mobile']
+                .filter(field => (existing[field] || '') !== row[field])
+                .map(field => ({ field, from: existing[field] || '', to: row[field] }));
+            
+            if (!existing.is_active) {
+                changes.push({ field: 'status', from: 'inactive', to: 'active' });
+            }
+            
+            if (changes.length > 0) {
+                diff.changed.push({ ...row, id: existing.id, changes });
+            } else {
+                diff.unchanged.push({ ...row, id: existing.id });
+            }
+        });
+        
+        diff.missing = existingResult.rows
+            .filter(participant => participant.is_active && !fileEmails.has(participant.email))
+            .map(({ id, name, email, company }) => ({ id, name, email, company }));
+        
+        return diff;
+    }
+    
+    // Apply a diff made for an organisation: create new participants in it, update changed ones and
+    // (in sync mode) deactivate missing ones. Unchanged participants are not touched, apart from being added
+    // to the session and the group
+    async applyParticipantDiff(diff, { organizationId, sessionId = null, groupId = null, sync = false, credentialOptions = {} } = {}) {
+        const results = await this.bulkUploadParticipants([...diff.new, ...diff.changed], sessionId, credentialOptions, organizationId);
+        
+        if (sessionId && diff.unchanged.length > 0) {
+            await db.query(`
+                INSERT INTO session_participants (session_id, participant_id)
+                SELECT $1, UNNEST($2::int[])
+                ON CONFLICT (session_id, participant_id) DO NOTHING
+            `, [sessionId, diff.unchanged.map(participant => participant.id)]);
+        }
+        
+        // Every participant of the batch goes into the group, apart from rows that failed to save
+        if (groupId) {
+            const participantIds = [
+                ...results.success.map(participant => participant.id),
+                ...diff.unchanged.map(participant => participant.id)
+            ];
+            await db.query(`
+                INSERT INTO participant_group_members (group_id, participant_id)
+                SELECT $1, UNNEST($2::int[])
+                ON CONFLICT (group_id, participant_id) DO NOTHING
+            `, [groupId, participantIds]);
+        }
+        
+        let deactivated = 0;
+        if (sync && diff.missing.length > 0) {
+            const deactivateResult = await db.query(
+                'UPDATE user_credentials SET is_active = false WHERE participant_id = ANY($1::int[]) AND is_active = true',
+                [diff.missing.map(participant => participant.id)]
+            );
+            deactivated = deactivateResult.rowCount;
+        }
+        
+        return { ...results, deactivated };
+    }
+    
+    // Bulk upload participants into an organisation with credential generation
+    // credentialOptions: { mode, forcePasswordChange } for participants that get a new password
+    async bulkUploadParticipants(participantsData, sessionId = null, credentialOptions = {}, organizationId) {
         const client = await db.getClient();
         const results = {
             success: [],
@@ -173,12 +318,21 @@ class ParticipantService {
                         continue;
                     }
                     
-                    // Check if participant already exists
+                    // Check if participant already exists (emails are compared case-insensitively)
                     const existingResult = await client.query(
-                        'SELECT id FROM participants WHERE email = $1',
+                        'SELECT id, organization_id FROM participants WHERE LOWER(email) = LOWER($1) ORDER BY id LIMIT 1',
                         [email]
                     );
                     
+                    if (existingResult.rows.length > 0 && existingResult.rows[0].organization_id !== organizationId) {
+                        await client.query('ROLLBACK');
+                        results.errors.push({
+                            participant: participantData,
+                            error: 'Email belongs to a participant in another organisation'
+                        });
+                        continue;
+                    }
+                    
                     let participantId;
                     
                     if (existingResult.rows.length > 0) {
@@ -192,16 +346,16 @@ class ParticipantService {
                     } else {
                         // Insert new participant
                         const insertResult = await client.query(`
-                            INSERT INTO participants (name, email, designation, mobile, company)
-                            VALUES ($1, $2, $3, $4, $5)
+                            INSERT INTO participants (name, email, designation, mobile, company, organization_id)
+                            VALUES ($1, $2, $3, $4, $5, $6)
                             RETURNING id
-                        `, [name, email, designation, mobile, company]);
+                        `, [name, email, designation, mobile, company, organizationId]);
                         
                         participantId = insertResult.rows[0].id;
                     }
                     
                     // Generate credentials
-                    const credentials = await this.generateCredentials(client, participantId, name, email, mobile);
+                    const credentials = await this.generateCredentials(client, participantId, name, email, mobile, credentialOptions);
                     
                     // Add to session if sessionId provided
                     if (sessionId) {
@@ -262,20 +416,23 @@ class ParticipantService {
     }
     
     // Generate credentials for a participant
-    async generateCredentials(client, participantId, name, email, mobile) {
+    // Existing passwords are only replaced when a mobile-number password is switched to a generated one, so
+    // re-uploading a participant never changes their login (password is null in the result); other changes
+    // wait for an admin reset
+    async generateCredentials(client, participantId, name, email, mobile, options = {}) {
         try {
+            const { mode, forcePasswordChange } = this.resolveCredentialOptions(options);
+            
             // Check if credentials already exist
             const existingCreds = await client.query(
-                'SELECT username, id FROM user_credentials WHERE participant_id = $1',
+                'SELECT username, id, credential_type FROM user_credentials WHERE participant_id = $1',
                 [participantId]
             );
             
             let username, password, passwordHash;
             
-            // Use email as username and cleaned mobile as password
+            // Use email as username; the password depends on the credential mode
             username = this.generateUsername(email);
-            password = this.generatePassword(mobile);
-            passwordHash = await bcrypt.hash(password, 10);
             
             if (existingCreds.rows.length > 0) {
                 // Check if username needs to be updated and if it's available
@@ -294,11 +451,25 @@ class ParticipantService {
                     }
                 }
                 
+                if ((existingCreds.rows[0].credential_type || 'mobile') !== 'mobile' || mode === 'mobile') {
+                    await client.query(
+                        'UPDATE user_credentials SET username = $1, is_active = true WHERE participant_id = $2',
+                        [username, participantId]
+                    );
+                    
+                    return { username, password: null };
+                }
+                
+                password = this.issuePassword(mobile, mode);
+                passwordHash = await bcrypt.hash(password, 10);
+                
                 // Update existing credentials
-                await client.query(
-                    'UPDATE user_credentials SET username = $1, password_hash = $2, is_active = true WHERE participant_id = $3',
-                    [username, passwordHash, participantId]
-                );
+                await client.query(`
+                    UPDATE user_credentials
+                    SET username = $1, password_hash = $2, is_active = true,
+                        credential_type = $3, must_change_password = $4
+                    WHERE participant_id = $5
+                `, [username, passwordHash, mode, forcePasswordChange, participantId]);
             } else {
                 // Check if username is available before inserting
                 const usernameCheck = await client.query(
@@ -325,11 +496,14 @@ class ParticipantService {
                     console.log(`Username conflict resolved, using: ${username}`);
                 }
                 
+                password = this.issuePassword(mobile, mode);
+                passwordHash = await bcrypt.hash(password, 10);
+                
                 // Generate new credentials
                 await client.query(`
-                    INSERT INTO user_credentials (participant_id, username, password_hash, is_active)
-                    VALUES ($1, $2, $3, true)
-                `, [participantId, username, passwordHash]);
+                    INSERT INTO user_credentials (participant_id, username, password_hash, is_active, credential_type, must_change_password)
+                    VALUES ($1, $2, $3, true, $4, $5)
+                `, [participantId, username, passwordHash, mode, forcePasswordChange]);
             }
             
             return { username, password };
@@ -386,8 +560,9 @@ class ParticipantService {
                     );
                     
                     if (result.rows.length > 0 && result.rows[0].mobile) {
+                        // SMS providers need E.164; numbers stored before it have no country code
                         await notificationService.sendCredentialsSMS(
-                            result.rows[0].mobile,
+                            this.cleanMobileNumber(result.rows[0].mobile),
                             credentials.name,
                             credentials.username,
                             credentials.password
@@ -412,13 +587,15 @@ class ParticipantService {
     }
     
     // Get credentials for manual distribution
+    // Only passwords derived from the mobile number can be shown again; others are returned as null
     async getCredentialsForDisplay(participantIds) {
         try {
             const results = [];
             
             for (const participantId of participantIds) {
                 const participantResult = await db.query(`
-                    SELECT p.id, p.name, p.email, p.designation, p.company, p.mobile, uc.username
+                    SELECT p.id, p.name, p.email, p.designation, p.company, p.mobile, uc.username,
+                           uc.credential_type, uc.must_change_password
                     FROM participants p
                     JOIN user_credentials uc ON p.id = uc.participant_id
                     WHERE p.id = $1 AND uc.is_active = true
@@ -426,17 +603,20 @@ class ParticipantService {
                 
                 if (participantResult.rows.length > 0) {
                     const participant = participantResult.rows[0];
+                    const credentialType = participant.credential_type || 'mobile';
+                    let password = null;
                     
                     // Since password is mobile number, we can regenerate it
-                    const password = this.generatePassword(participant.mobile);
-                    const bcrypt = require('bcryptjs');
-                    const passwordHash = await bcrypt.hash(password, 10);
-                    
-                    // Update the password in database to ensure consistency
-                    await db.query(
-                        'UPDATE user_credentials SET password_hash = $1 WHERE participant_id = $2',
-                        [passwordHash, participantId]
-                    );
+                    if (credentialType === 'mobile') {
+                        password = this.generatePassword(participant.mobile);
+                        const passwordHash = await bcrypt.hash(password, 10);
+                        
+                        // Update the password in database to ensure consistency
+                        await db.query(
+                            'UPDATE user_credentials SET password_hash = $1 WHERE participant_id = $2',
+                            [passwordHash, participantId]
+                        );
+                    }
                     
                     results.push({
                         id: participant.id,
@@ -445,7 +625,9 @@ class ParticipantService {
                         designation: participant.designation,
                         company: participant.company,
                         username: participant.username, // This is the email
-                        password: password // This is the cleaned mobile number
+                        password: password, // The mobile number, or null if it was generated or chosen by the participant
+                        credentialType,
+                        mustChangePassword: participant.must_change_password === true
                     });
                 }
             }
@@ -511,8 +693,11 @@ class ParticipantService {
     }
     
     // Reset participant password
-    async resetParticipantPassword(participantId) {
+    // options: { mode, forcePasswordChange } as for uploads; the new password is returned so the admin can share it
+    async resetParticipantPassword(participantId, options = {}) {
         try {
+            const { mode, forcePasswordChange } = this.resolveCredentialOptions(options);
+            
             // Get participant's mobile number
             const participantResult = await db.query(
                 'SELECT mobile FROM participants WHERE id = $1',
@@ -525,19 +710,21 @@ class ParticipantService {
             
             const mobile = participantResult.rows[0].mobile;
             
-            // Generate new password from mobile number
-            const newPassword = this.generatePassword(mobile);
+            // Generate new password for the credential mode
+            const newPassword = this.issuePassword(mobile, mode);
             const passwordHash = await bcrypt.hash(newPassword, 10);
             
             // Update password in database
-            await db.query(
-                'UPDATE user_credentials SET password_hash = $1 WHERE participant_id = $2',
-                [passwordHash, participantId]
-            );
+            await db.query(`
+                UPDATE user_credentials
+                SET password_hash = $1, credential_type = $2, must_change_password = $3
+                WHERE participant_id = $4
+            `, [passwordHash, mode, forcePasswordChange, participantId]);
             
             return {
                 success: true,
-                newPassword: newPassword
+                newPassword: newPassword,
+                mustChangePassword: forcePasswordChange
             };
             
         } catch (error) {
@@ -545,6 +732,46 @@ class ParticipantService {
             throw error;
         }
     }
+    
+    // Change a participant's own password after checking the current one
+    // Returns an error message, or null when the password was changed
+    async changeParticipantPassword(participantId, currentPassword, newPassword) {
+        const result = await db.query(`
+            SELECT p.mobile, uc.username, uc.password_hash
+            FROM participants p
+            JOIN user_credentials uc ON p.id = uc.participant_id
+            WHERE p.id = $1 AND uc.is_active = true
+        `, [participantId]);
+        
+        if (result.rows.length === 0) {
+            throw new Error('Participant not found');
+        }
+        
+        const credentials = result.rows[0];
+        
+        if (!(await bcrypt.compare(String(currentPassword || ''), credentials.password_hash))) {
+            return 'Current password is incorrect';
+        }
+        
+        if (currentPassword === newPassword) {
+            return 'New password must be different from the current password';
+        }
+        
+        const validationError = validateNewPassword(newPassword, { username: credentials.username, mobile: credentials.mobile });
+        if (validationError) {
+            return validationError;
+        }
+        
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+        await db.query(`
+            UPDATE user_credentials
+            SET password_hash = $1, credential_type = 'custom', must_change_password = false,
+                password_changed_at = CURRENT_TIMESTAMP
+            WHERE participant_id = $2
+        `, [passwordHash, participantId]);
+        
+        return null;
+    }
 }
 
 module.exports = new ParticipantService();
\ No newline at end of file
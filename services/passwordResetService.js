@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const { redisHelper } = require('../config/redis');
+const notificationService = require('./notificationService');
+const { validateNewPassword } = require('../utils/credentials');
+
+const USER_TYPES = ['participant', 'admin'];
+
+class PasswordResetService {
+
+    // How long a reset link stays valid
+    getTokenLifetimeMinutes() {
+        return parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 30;
+    }
+
+    // How many reset emails one account can receive per hour
+    getMaxRequestsPerHour() {
+        return parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR) || 3;
+    }
+
+    // Tokens are looked up by their SHA-256 hash; the token itself only exists in the emailed link
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    // Find an active account by email
+    async findAccount(email, userType) {
+        if (userType === 'admin') {
+            const result = await db.query(
+                'SELECT id, username as name, email, username FROM admin_users WHERE LOWER(email) = LOWER($1) AND is_active = true',
+                [email]
+            );
+            return result.rows[0] || null;
+        }
+
+        const result = await db.query(`
+            SELECT p.id, p.name, p.email, p.mobile, uc.username
+            FROM participants p
+            JOIN user_credentials uc ON p.id = uc.participant_id
+            WHERE LOWER(p.email) = LOWER($1) AND uc.is_active = true
+            ORDER BY p.id
+            LIMIT 1
+        `, [email]);
+        return result.rows[0] || null;
+    }
+
+    // Store a new single-use token for an account and return the link that uses it
+    // A new link replaces any earlier one that has not been used; invitations open the page as "set your password"
+    async createLink(userType, userId, { baseUrl, ip = null, lifetimeMinutes, invitation = false }) {
+        const token = crypto.randomBytes(32).toString('hex');
+
+        await db.query(`
+            UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+            WHERE user_type = $1 AND user_id = $2 AND used_at IS NULL
+        `, [userType, userId]);
+
+        await db.query(`
+            INSERT INTO password_reset_tokens (user_type, user_id, token_hash, expires_at, requested_ip)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4), $5)
+        `, [userType, userId, this.hashToken(token), lifetimeMinutes, ip]);
+
+        return `${baseUrl}/reset-password.html?type=${userType}${invitation ? '&invite=1' : ''}&token=${token}`;
+    }
+
+    // Create a reset token and email the link
+    // Always resolves the same way whether or not the account exists, so callers cannot probe for emails
+    async requestReset(email, userType, { baseUrl, ip = null } = {}) {
+        if (!USER_TYPES.includes(userType)) {
+            throw new Error(`Invalid user type. Must be one of: ${USER_TYPES.join(', ')}`);
+        }
+
+        const account = await this.findAccount(String(email || '').trim(), userType);
+        if (!account) {
+            return;
+        }
+
+        // Per-account limit, independent of the IP the requests come from
+        const recentResult = await db.query(`
+            SELECT COUNT(*) as count FROM password_reset_tokens
+            WHERE user_type = $1 AND user_id = $2 AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 hour'
+        `, [userType, account.id]);
+
+        if (parseInt(recentResult.rows[0].count) >= this.getMaxRequestsPerHour()) {
+            console.log(`Password reset rate limit reached for ${userType} ${account.id}`);
+            return;
+        }
+
+        const lifetimeMinutes = this.getTokenLifetimeMinutes();
+        const resetLink = await this.createLink(userType, account.id, { baseUrl, ip, lifetimeMinutes });
+
+        try {
+            await notificationService.sendPasswordResetEmail(account.email, account.name, resetLink, lifetimeMinutes);
+        } catch (error) {
+            // The response must not reveal whether an email was sent
+            console.error(`Password reset email could not be sent for ${userType} ${account.id}:`, error.message);
+        }
+    }
+
+    // Set a new password with a reset token
+    // Returns an error message, or null when the password was changed
+    async confirmReset(token, newPassword) {
+        const tokenHash = this.hashToken(token);
+
+        const tokenResult = await db.query(`
+            SELECT id, user_type, user_id FROM password_reset_tokens
+            WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        `, [tokenHash]);
+
+        if (tokenResult.rows.length === 0) {
+            return 'This reset link is invalid or has expired. Please request a new one';
+        }
+
+        const { user_type: userType, user_id: userId } = tokenResult.rows[0];
+
+        const accountResult = userType === 'admin'
+            ? await db.query('SELECT username FROM admin_users WHERE id = $1 AND is_active = true', [userId])
+            : await db.query(`
+                SELECT uc.username, p.mobile FROM participants p
+                JOIN user_credentials uc ON p.id = uc.participant_id
+                WHERE p.id = $1 AND uc.is_active = true
+            `, [userId]);
+
+        if (accountResult.rows.length === 0) {
+            return 'This reset link is invalid or has expired. Please request a new one';
+        }
+
+        // Check the password before using up the token, so a weak password can be corrected
+        const validationError = validateNewPassword(newPassword, accountResult.rows[0]);
+        if (validationError) {
+            return validationError;
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            // Mark the token used in the same statement that checks it, so two requests cannot both use it
+            const claimResult = await client.query(`
+                UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+                RETURNING id
+            `, [tokenResult.rows[0].id]);
+
+            if (claimResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return 'This reset link is invalid or has expired. Please request a new one';
+            }
+
+            if (userType === 'admin') {
+                await client.query(
+                    'UPDATE admin_users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP WHERE id = $2',
+                    [passwordHash, userId]
+                );
+            } else {
+                await client.query(`
+                    UPDATE user_credentials
+                    SET password_hash = $1, credential_type = 'custom', must_change_password = false,
+                        password_changed_at = CURRENT_TIMESTAMP
+                    WHERE participant_id = $2
+                `, [passwordHash, userId]);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // Whoever asked for the reset may not be the only one with the old password: tokens issued before
+        // password_changed_at are refused by the auth middleware, and the Redis session goes with them
+        await redisHelper.deleteSession(userType === 'admin' ? `admin_${userId}` : userId);
+
+        return null;
+    }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { redisHelper } = require('../config/redis');
+const notificationService = require('./notificationService');
+const { formatE164 } = require('../utils/phoneNumber');
+
+const LOGIN_METHODS = ['email_link', 'email_otp', 'sms_otp'];
+
+class PasswordlessLoginService {
+
+    // How long an emailed login link stays valid
+    getLinkLifetimeMinutes() {
+        return parseInt(process.env.LOGIN_LINK_MINUTES) || 15;
+    }
+
+    // How long a one-time code stays valid
+    getCodeLifetimeMinutes() {
+        return parseInt(process.env.LOGIN_OTP_MINUTES) || 5;
+    }
+
+    // Wrong guesses allowed before a code is thrown away
+    getMaxCodeAttempts() {
+        return parseInt(process.env.LOGIN_OTP_MAX_ATTEMPTS) || 5;
+    }
+
+    // How many links/codes one participant can be sent per 15 minutes
+    getMaxRequestsPerWindow() {
+        return parseInt(process.env.LOGIN_CODE_MAX_PER_15_MIN) || 5;
+    }
+
+    hash(value) {
+        return crypto.createHash('sha256').update(String(value)).digest('hex');
+    }
+
+    // Find an active participant by email, or by mobile number in any common format
+    async findParticipant({ email, mobile }) {
+        let column = 'LOWER(p.email)';
+        let value = String(email || '').trim().toLowerCase();
+
+        if (!value) {
+            try {
+                value = formatE164(mobile);
+            } catch (error) {
+                return null;
+            }
+            column = 'p.mobile';
+        }
+
+        const result = await db.query(`
+            SELECT p.*, uc.username
+            FROM participants p
+            JOIN user_credentials uc ON p.id = uc.participant_id
+            WHERE ${column} = $1 AND uc.is_active = true
+            ORDER BY p.id
+            LIMIT 1
+        `, [value]);
+        return result.rows[0] || null;
+    }
+
+    // Count a send against the participant's 15 minute window; returns false once the limit is reached
+    async consumeRequestAllowance(participantId) {
+        const count = await redisHelper.increment(`login_code_requests:${participantId}`, 15 * 60);
+        return count !== null && count <= this.getMaxRequestsPerWindow();
+    }
+
+    // Send a login link or code
+    // Always resolves the same way whether or not the participant exists, so callers cannot probe for accounts
+    async requestLogin({ email, mobile, method, baseUrl }) {
+        if (!LOGIN_METHODS.includes(method)) {
+            throw new Error(`Invalid login method. Must be one of: ${LOGIN_METHODS.join(', ')}`);
+        }
+
+        const participant = await this.findParticipant({ email, mobile });
+        if (!participant) {
+            return;
+        }
+
+        if (method === 'sms_otp' && !participant.mobile) {
+            return;
+        }
+
+        if (!(await this.consumeRequestAllowance(participant.id))) {
+            console.log(`Passwordless login rate limit reached for participant ${participant.id}`);
+            return;
+        }
+
+        try {
+            if (method === 'email_link') {
+                const token = crypto.randomBytes(32).toString('hex');
+                const lifetimeMinutes = this.getLinkLifetimeMinutes();
+
+                // Only the hash is kept, so a Redis dump cannot be turned into logins
+                await redisHelper.set(`login_link:${this.hash(token)}`, {
+                    participantId: participant.id
+                }, lifetimeMinutes * 60);
+
+                // The login page posts the token back, so mail scanners that prefetch links do not use it up
+                const link = `${baseUrl}/quiz/login.html?login_token=${token}`;
+                await notificationService.sendLoginEmail(participant.email, participant.name, { link, expiresInMinutes: lifetimeMinutes });
+                return;
+            }
+
+            const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+            const lifetimeMinutes = this.getCodeLifetimeMinutes();
+
+            // One live code per participant; a new request replaces the previous code and resets its attempts
+            await redisHelper.set(`login_otp:${participant.id}`, {
+                codeHash: this.hash(code),
+                expiresAt: Date.now() + lifetimeMinutes * 60 * 1000
+            }, lifetimeMinutes * 60);
+            await redisHelper.del(`login_otp_attempts:${participant.id}`);
+
+            if (method === 'sms_otp') {
+                await notificationService.sendLoginCodeSMS(participant.mobile, code, lifetimeMinutes);
+            } else {
+                await notificationService.sendLoginEmail(participant.email, participant.name, { code, expiresInMinutes: lifetimeMinutes });
+            }
+        } catch (error) {
+            // The response must not reveal whether anything was sent
+            console.error(`Passwordless login ${method} could not be sent for participant ${participant.id}:`, error.message);
+        }
+    }
+
+    // Check a one-time code; returns the participant on success, null otherwise
+    async verifyCode({ email, mobile, code }) {
+        const participant = await this.findParticipant({ email, mobile });
+        if (!participant) {
+            return null;
+        }
+
+        const key = `login_otp:${participant.id}`;
+        const attemptsKey = `login_otp_attempts:${participant.id}`;
+        const stored = await redisHelper.get(key);
+        if (!stored || stored.expiresAt <= Date.now()) {
+            return null;
+        }
+
+        // Count the attempt before checking it, so parallel guesses cannot get past the limit
+        const remainingSeconds = Math.max(Math.ceil((stored.expiresAt - Date.now()) / 1000), 1);
+        const attempts = await redisHelper.increment(attemptsKey, remainingSeconds);
+        if (attempts === null || attempts > this.getMaxCodeAttempts()) {
+            await redisHelper.del(key);
+            return null;
+        }
+
+        const expected = Buffer.from(stored.codeHash, 'hex');
+        const actual = Buffer.from(this.hash(String(code || '').trim()), 'hex');
+
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        // Codes are single use
+        if (!(await redisHelper.take(key))) {
+            return null;
+        }
+        await redisHelper.del(attemptsKey);
+
+        return participant;
+    }
+
+    // Use a login link; returns the participant on success, null otherwise
+    async verifyLink(token) {
+        if (!token) {
+            return null;
+        }
+
+        // Links are single use
+        const stored = await redisHelper.take(`login_link:${this.hash(token)}`);
+        if (!stored) {
+            return null;
+        }
+
+        const result = await db.query(`
+            SELECT p.*, uc.username
+            FROM participants p
+            JOIN user_credentials uc ON p.id = uc.participant_id
+            WHERE p.id = $1 AND uc.is_active = true
+        `, [stored.participantId]);
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new PasswordlessLoginService();
+module.exports.LOGIN_METHODS = LOGIN_METHODS;
@@ -0,0 +1,236 @@
+const db = require('../config/database');
+
+const ACCESS_MODES = ['organization', 'invited'];
+
+// Who may take a session: participants of its organisation, and for invitation-only sessions only those
+// invited directly or through one of their groups. Aliases name the session row and the participant's ID
+// and organisation columns or parameters in the surrounding query.
+function eligibleCondition(session, participantId, organizationId) {
+    return `(${session}.organization_id = ${organizationId} AND (
+        ${session}.access_mode = 'organization'
+        OR EXISTS (
+            SELECT 1 FROM session_participant_invitations spi
+            WHERE spi.session_id = ${session}.id AND spi.participant_id = ${participantId}
+        )
+        OR EXISTS (
+            SELECT 1 FROM session_group_invitations sgi
+            JOIN participant_group_members pgm ON pgm.group_id = sgi.group_id
+            WHERE sgi.session_id = ${session}.id AND pgm.participant_id = ${participantId}
+        )
+    ))`;
+}
+
+class SessionInvitationService {
+
+    isValidAccessMode(accessMode) {
+        return ACCESS_MODES.includes(accessMode);
+    }
+
+    // SQL condition for the sessions a participant may join (see eligibleCondition)
+    eligibleCondition(session, participantId, organizationId) {
+        return eligibleCondition(session, participantId, organizationId);
+    }
+
+    // Whether a participant may join a session they have not joined yet
+    async isEligible(sessionId, participantId) {
+        const result = await db.query(`
+            SELECT 1
+            FROM quiz_sessions qs
+            JOIN participants p ON p.id = $2
+            WHERE qs.id = $1 AND ${eligibleCondition('qs', 'p.id', 'p.organization_id')}
+        `, [sessionId, participantId]);
+
+        return result.rows.length > 0;
+    }
+
+    // Whether a participant has joined a session or may join it
+    async canAccess(sessionId, participantId) {
+        const result = await db.query(`
+            SELECT 1
+            FROM quiz_sessions qs
+            JOIN participants p ON p.id = $2
+            LEFT JOIN session_participants sp ON sp.session_id = qs.id AND sp.participant_id = p.id
+            WHERE qs.id = $1 AND (sp.id IS NOT NULL OR ${eligibleCondition('qs', 'p.id', 'p.organization_id')})
+        `, [sessionId, participantId]);
+
+        return result.rows.length > 0;
+    }
+
+    // Register a participant for a session they may join, unless it is full. The session row stays locked
+    // from the count to the insert, so concurrent joins cannot take it past max_participants.
+    // Returns { joined } (false if they had already joined), { error } when full, or null if the session does not exist
+    async join(sessionId, participantId) {
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const sessionResult = await client.query(
+                'SELECT id, max_participants FROM quiz_sessions WHERE id = $1 FOR UPDATE',
+                [sessionId]
+            );
+            const session = sessionResult.rows[0];
+            if (!session) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const existing = await client.query(
+                'SELECT 1 FROM session_participants WHERE session_id = $1 AND participant_id = $2',
+                [sessionId, participantId]
+            );
+            if (existing.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return { joined: false };
+            }
+
+            const countResult = await client.query(
+                'SELECT COUNT(*) FROM session_participants WHERE session_id = $1',
+                [sessionId]
+            );
+            if (parseInt(countResult.rows[0].count) >= session.max_participants) {
+                await client.query('ROLLBACK');
+                return { error: 'Session is full' };
+            }
+
+            await client.query(`
+                INSERT INTO session_participants (session_id, participant_id, joined_at, status)
+                VALUES ($1, $2, CURRENT_TIMESTAMP, 'joined')
+            `, [sessionId, participantId]);
+
+            await client.query('COMMIT');
+            return { joined: true };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Access mode and the groups and participants invited to a session (null if the session does not exist)
+    async getInvitations(sessionId) {
+        const session = await db.query('SELECT id, organization_id, access_mode FROM quiz_sessions WHERE id = $1', [sessionId]);
+        if (session.rows.length === 0) {
+            return null;
+        }
+
+        const groups = await db.query(`
+            SELECT g.id, g.name,
+                   (SELECT COUNT(*) FROM participant_group_members m WHERE m.group_id = g.id) as member_count
+            FROM session_group_invitations sgi
+            JOIN participant_groups g ON sgi.group_id = g.id
+            WHERE sgi.session_id = $1
+            ORDER BY g.name
+        `, [sessionId]);
+
+        const participants = await db.query(`
+            SELECT p.id, p.name, p.email
+            FROM session_participant_invitations spi
+            JOIN participants p ON spi.participant_id = p.id
+            WHERE spi.session_id = $1
+            ORDER BY p.name
+        `, [sessionId]);
+
+        return {
+            organization_id: session.rows[0].organization_id,
+            access_mode: session.rows[0].access_mode,
+            groups: groups.rows,
+            participants: participants.rows
+        };
+    }
+
+    // Replace who is invited to a session; groups and participants must belong to the session's organisation.
+    // Participants who already joined keep their place whatever is changed here.
+    // Returns { invitations, before }, { error }, or null if the session does not exist
+    async setInvitations(sessionId, { access_mode, groupIds = [], participantIds = [] }) {
+        if (!Array.isArray(groupIds) || !Array.isArray(participantIds)) {
+            return { error: 'Groups and participants must be lists of IDs' };
+        }
+
+        const groups = [...new Set(groupIds.map(id => parseInt(id)))].sort((a, b) => a - b);
+        const participants = [...new Set(participantIds.map(id => parseInt(id)))].sort((a, b) => a - b);
+        if (groups.some(id => isNaN(id)) || participants.some(id => isNaN(id))) {
+            return { error: 'Groups and participants must be lists of IDs' };
+        }
+
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const sessionResult = await client.query(
+                'SELECT id, organization_id, access_mode, status FROM quiz_sessions WHERE id = $1 FOR UPDATE',
+                [sessionId]
+            );
+            const session = sessionResult.rows[0];
+            if (!session) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const accessMode = access_mode === undefined ? session.access_mode : access_mode;
+            if (!this.isValidAccessMode(accessMode)) {
+                await client.query('ROLLBACK');
+                return { error: `Access must be one of: ${ACCESS_MODES.join(', ')}` };
+            }
+            if (session.status === 'completed' || session.status === 'cancelled') {
+                await client.query('ROLLBACK');
+                return { error: 'Cannot change invitations of a completed or cancelled session' };
+            }
+
+            const groupCheck = await client.query(
+                'SELECT COUNT(*) FROM participant_groups WHERE id = ANY($1::int[]) AND organization_id = $2',
+                [groups, session.organization_id]
+            );
+            const participantCheck = await client.query(
+                'SELECT COUNT(*) FROM participants WHERE id = ANY($1::int[]) AND organization_id = $2',
+                [participants, session.organization_id]
+            );
+            if (parseInt(groupCheck.rows[0].count) !== groups.length || parseInt(participantCheck.rows[0].count) !== participants.length) {
+                await client.query('ROLLBACK');
+                return { error: 'Only groups and participants of the session\'s organisation can be invited' };
+            }
+
+            const previousGroups = await client.query(
+                'SELECT group_id FROM session_group_invitations WHERE session_id = $1 ORDER BY group_id',
+                [sessionId]
+            );
+            const previousParticipants = await client.query(
+                'SELECT participant_id FROM session_participant_invitations WHERE session_id = $1 ORDER BY participant_id',
+                [sessionId]
+            );
+
+            await client.query('UPDATE quiz_sessions SET access_mode = $1 WHERE id = $2', [accessMode, sessionId]);
+            await client.query('DELETE FROM session_group_invitations WHERE session_id = $1', [sessionId]);
+            await client.query('DELETE FROM session_participant_invitations WHERE session_id = $1', [sessionId]);
+            await client.query(`
+                INSERT INTO session_group_invitations (session_id, group_id)
+                SELECT $1, UNNEST($2::int[])
+            `, [sessionId, groups]);
+            await client.query(`
+                INSERT INTO session_participant_invitations (session_id, participant_id)
+                SELECT $1, UNNEST($2::int[])
+            `, [sessionId, participants]);
+
+            await client.query('COMMIT');
+
+            return {
+                invitations: { access_mode: accessMode, group_ids: groups, participant_ids: participants },
+                before: {
+                    access_mode: session.access_mode,
+                    group_ids: previousGroups.rows.map(row => row.group_id),
+                    participant_ids: previousParticipants.rows.map(row => row.participant_id)
+                }
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new SessionInvitationService();
+module.exports.ACCESS_MODES = ACCESS_MODES;
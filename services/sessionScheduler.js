@@ -1,5 +1,10 @@
+const os = require('os');
+const crypto = require('crypto');
 const db = require('../config/database');
+const { redisHelper } = require('../config/redis');
 const moment = require('moment-timezone');
+const sessionTimerService = require('./sessionTimerService');
+const { INSTRUCTION_END } = sessionTimerService;
 
 class SessionScheduler {
     constructor() {
@@ -7,12 +12,26 @@ class SessionScheduler {
         this.isRunning = false;
         this.checkInterval = 30000; // Check every 30 seconds to reduce noise and improve precision
         this.lastCleanup = 0; // Track last cleanup time to run cleanup once per hour
+        this.io = null;
+        this.deadlineTimers = new Map(); // Session ID -> timeout ending it exactly at its deadline
+
+        // Every server process runs a scheduler, but only the one holding the leader lease in Redis does the
+        // work. The leader renews the lease well before it expires; if it dies, another process takes the
+        // lease over within leaseTtl.
+        this.leaseKey = 'scheduler:leader';
+        this.leaseTtl = 30000;
+        this.leaseRenewInterval = 10000;
+        this.leaseTimer = null;
+        this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+        this.isLeader = false;
+        this.isChecking = false;
     }
 
     /**
      * Start the session scheduler
+     * @param {Object} io - Socket.io server, to tell participants when their quiz time is up (optional)
      */
-    start() {
+    start(io = null) {
         if (this.isRunning) {
             console.log('Session scheduler is already running');
             return;
@@ -20,16 +39,20 @@ class SessionScheduler {
 
         console.log('Starting session scheduler...');
         this.isRunning = true;
+        this.io = io;
         
-        // Run initial check
-        this.checkScheduledSessions();
+        // Take or renew the leader lease, then run the initial check if this process got it
+        this.leaseTimer = setInterval(() => {
+            this.renewLease();
+        }, this.leaseRenewInterval);
+        this.renewLease().then(() => this.runCheck());
         
         // Set up periodic checking
         this.schedulerInterval = setInterval(() => {
-            this.checkScheduledSessions();
+            this.runCheck();
         }, this.checkInterval);
         
-        console.log(`Session scheduler started with ${this.checkInterval}ms interval`);
+        console.log(`Session scheduler started with ${this.checkInterval}ms interval (instance ${this.instanceId})`);
     }
 
     /**
@@ -48,10 +71,62 @@ class SessionScheduler {
             this.schedulerInterval = null;
         }
         
+        if (this.leaseTimer) {
+            clearInterval(this.leaseTimer);
+            this.leaseTimer = null;
+        }
+        
+        this.clearDeadlineTimers();
+        
+        // Hand over straight away instead of letting another process wait for the lease to expire
+        if (this.isLeader) {
+            this.isLeader = false;
+            redisHelper.releaseLease(this.leaseKey, this.instanceId);
+        }
+        
         this.isRunning = false;
         console.log('Session scheduler stopped');
     }
 
+    /**
+     * Take the leader lease, or extend it while this process holds it. Without Redis no process is leader,
+     * so sessions are never handled twice; they are caught up once Redis is back.
+     */
+    async renewLease() {
+        const wasLeader = this.isLeader;
+        this.isLeader = await redisHelper.acquireLease(this.leaseKey, this.instanceId, this.leaseTtl);
+        
+        if (this.isLeader && !wasLeader) {
+            console.log(`[SessionScheduler] Instance ${this.instanceId} is now the scheduler leader`);
+        } else if (!this.isLeader && wasLeader) {
+            console.log(`[SessionScheduler] Instance ${this.instanceId} lost the scheduler lease`);
+            this.clearDeadlineTimers();
+        }
+        
+        return this.isLeader;
+    }
+
+    /**
+     * Run one check if this process is the leader and the previous check has finished
+     */
+    async runCheck() {
+        if (!this.isLeader || this.isChecking) {
+            return;
+        }
+        
+        this.isChecking = true;
+        try {
+            await this.checkScheduledSessions();
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    clearDeadlineTimers() {
+        this.deadlineTimers.forEach(timer => clearTimeout(timer));
+        this.deadlineTimers.clear();
+    }
+
     /**
      * Clean up old scheduled sessions that are more than 24 hours past their start time
      */
@@ -162,6 +237,9 @@ class SessionScheduler {
             // Check for instruction phases that should transition to quiz phase
             await this.checkInstructionPhaseTransitions();
 
+            // End quiz phases whose time is up
+            await this.checkQuizDeadlines();
+
         } catch (error) {
             console.error('Error checking scheduled sessions:', error);
         }
@@ -295,14 +373,13 @@ class SessionScheduler {
             // Move session to active (quiz) phase using the calculated instruction end time
             const result = await db.query(`
                 UPDATE quiz_sessions 
-                SET status = 'active', 
-                    quiz_start_time = instruction_start_time + INTERVAL '1 minute' * COALESCE((SELECT instruction_time_minutes FROM quizzes WHERE id = quiz_id), 5)
+                SET ${sessionTimerService.quizPhaseAssignments(INSTRUCTION_END)}
                 WHERE id = $1 AND status = 'instruction'
                 RETURNING *
             `, [sessionId]);
 
             if (result.rows.length > 0) {
-                console.log(`[Auto-Start] Session ${sessionId} quiz phase auto-started successfully`);
+                console.log(`[Auto-Start] Session ${sessionId} quiz phase auto-started successfully, ends at ${new Date(result.rows[0].quiz_end_time).toISOString()}`);
                 
                 // Emit socket event to notify participants (if we have access to io)
                 // Note: We don't have direct access to io here, but the session status will be picked up
@@ -317,12 +394,64 @@ class SessionScheduler {
         }
     }
 
+    /**
+     * End sessions whose quiz time is up, finish results that were interrupted, and set timers for
+     * deadlines that fall before the next check. Deadlines are stored on the session, so this also
+     * catches up on sessions that expired while the server was down.
+     */
+    async checkQuizDeadlines() {
+        try {
+            const expiredSessionIds = await sessionTimerService.getExpiredSessionIds();
+            for (const sessionId of expiredSessionIds) {
+                await this.endExpiredSession(sessionId);
+            }
+
+            const unfinalizedSessionIds = await sessionTimerService.getUnfinalizedSessionIds();
+            for (const sessionId of unfinalizedSessionIds) {
+                console.log(`[SessionScheduler] Working out results of ended session ${sessionId}`);
+                await sessionTimerService.finalizeResults(sessionId, this.io);
+            }
+
+            const upcoming = await sessionTimerService.getUpcomingDeadlines(this.checkInterval);
+            for (const session of upcoming) {
+                if (this.deadlineTimers.has(session.id)) {
+                    continue;
+                }
+                const delay = Math.max(0, new Date(session.quiz_end_time).getTime() - Date.now());
+                this.deadlineTimers.set(session.id, setTimeout(() => {
+                    this.deadlineTimers.delete(session.id);
+                    this.endExpiredSession(session.id);
+                }, delay));
+            }
+
+        } catch (error) {
+            console.error('Error checking quiz deadlines:', error);
+        }
+    }
+
+    /**
+     * Auto-submit and end one session whose quiz time is up (no-op if it already ended)
+     */
+    async endExpiredSession(sessionId) {
+        if (!this.isLeader) {
+            return;
+        }
+        
+        try {
+            await sessionTimerService.finishExpiredSession(sessionId, this.io);
+        } catch (error) {
+            console.error(`Error ending expired session ${sessionId}:`, error);
+        }
+    }
+
     /**
      * Get scheduler status
      */
     getStatus() {
         return {
             isRunning: this.isRunning,
+            isLeader: this.isLeader,
+            instanceId: this.instanceId,
             checkInterval: this.checkInterval,
             lastCheck: new Date()
         };
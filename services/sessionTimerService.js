@@ -0,0 +1,147 @@
+const db = require('../config/database');
+const { calculatePrizeWinners } = require('../utils/prizeCalculator');
+
+// Answers sent just before time ran out can arrive a little late
+const QUIZ_DEADLINE_GRACE_MS = 5000;
+
+// When the instruction phase of a session ends and its quiz phase starts (now if there was no instruction phase)
+const INSTRUCTION_END = `COALESCE(
+    instruction_start_time + INTERVAL '1 minute' * COALESCE((SELECT instruction_time_minutes FROM quizzes WHERE id = quiz_id), 5),
+    CURRENT_TIMESTAMP
+)`;
+
+// SET assignments of an UPDATE on quiz_sessions that starts the quiz phase at `start` (an SQL expression).
+// The deadline is stored with it, so it outlives the process that started the quiz.
+function quizPhaseAssignments(start) {
+    return `status = 'active',
+            quiz_start_time = ${start},
+            quiz_end_time = ${start} + INTERVAL '1 minute' * COALESCE((SELECT quiz_time_minutes FROM quizzes WHERE id = quiz_id), 15)`;
+}
+
+class SessionTimerService {
+
+    quizPhaseAssignments(start) {
+        return quizPhaseAssignments(start);
+    }
+
+    // Whether a session row is in its quiz phase and its deadline (if any) has not passed, so answers still count.
+    // The session scheduler ends the session shortly after; this closes the gap until it does.
+    isAcceptingAnswers(session) {
+        if (!session || session.status !== 'active') {
+            return false;
+        }
+        return !session.quiz_end_time || Date.now() <= new Date(session.quiz_end_time).getTime() + QUIZ_DEADLINE_GRACE_MS;
+    }
+
+    // Active sessions whose quiz time is up
+    async getExpiredSessionIds() {
+        const result = await db.query(`
+            SELECT id FROM quiz_sessions
+            WHERE status = 'active' AND quiz_end_time <= CURRENT_TIMESTAMP
+            ORDER BY quiz_end_time
+        `);
+        return result.rows.map(row => row.id);
+    }
+
+    // Active sessions whose quiz time runs out within the next `milliseconds`, with their deadline
+    async getUpcomingDeadlines(milliseconds) {
+        const result = await db.query(`
+            SELECT id, quiz_end_time FROM quiz_sessions
+            WHERE status = 'active' AND quiz_end_time > CURRENT_TIMESTAMP
+              AND quiz_end_time <= CURRENT_TIMESTAMP + INTERVAL '1 millisecond' * $1
+        `, [milliseconds]);
+        return result.rows;
+    }
+
+    // Sessions that ended on time (or by hand) but whose results were never worked out, e.g. after a crash
+    async getUnfinalizedSessionIds() {
+        const result = await db.query(`
+            SELECT id FROM quiz_sessions
+            WHERE status = 'completed' AND prizes_calculated = false AND quiz_end_time IS NOT NULL
+            ORDER BY end_time
+        `);
+        return result.rows.map(row => row.id);
+    }
+
+    // End a session whose quiz time is up: everyone who started or answered but has not submitted is submitted
+    // with the answers they gave, then results and prizes are worked out. Only one caller can end a session; returns
+    // false when it was not due or already ended.
+    async finishExpiredSession(sessionId, io = null) {
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            // Results are worked out again below, including the participants submitted here
+            const claimed = await client.query(`
+                UPDATE quiz_sessions
+                SET status = 'completed', end_time = quiz_end_time, prizes_calculated = false
+                WHERE id = $1 AND status = 'active' AND quiz_end_time <= CURRENT_TIMESTAMP
+                RETURNING id
+            `, [sessionId]);
+            if (claimed.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return false;
+            }
+
+            // Submitted at the deadline, so late saves do not count towards completion time
+            const submitted = await client.query(`
+                UPDATE session_participants sp
+                SET status = 'submitted',
+                    submitted_at = qs.quiz_end_time,
+                    completion_time_seconds = GREATEST(0, EXTRACT(EPOCH FROM (qs.quiz_end_time - COALESCE(sp.started_quiz_at, qs.quiz_start_time))))::int
+                FROM quiz_sessions qs
+                WHERE qs.id = sp.session_id AND sp.session_id = $1
+                  AND sp.status IN ('joined', 'started')
+                  AND (sp.status = 'started' OR EXISTS (
+                      SELECT 1 FROM participant_answers pa
+                      WHERE pa.session_id = sp.session_id AND pa.participant_id = sp.participant_id
+                  ))
+            `, [sessionId]);
+
+            await client.query('COMMIT');
+            console.log(`[SessionTimer] Session ${sessionId} ended at its deadline, ${submitted.rowCount} participant(s) auto-submitted`);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (io) {
+            io.to(`session_${sessionId}`).emit('quiz_completed', {
+                reason: 'timeout',
+                message: 'Quiz time has expired. All answers have been auto-submitted.'
+            });
+        }
+
+        await this.finalizeResults(sessionId, io);
+        return true;
+    }
+
+    // Work out results and prize winners of an ended session; safe to repeat, as results are only added
+    // for participants without one and prizes are reassigned
+    async finalizeResults(sessionId, io = null) {
+        const prizes = await calculatePrizeWinners(sessionId);
+
+        // Also set when nobody took part, so the scheduler does not retry it
+        await db.query('UPDATE quiz_sessions SET prizes_calculated = true WHERE id = $1', [sessionId]);
+
+        if (io && prizes.success) {
+            io.to(`session_${sessionId}`).emit('prize_winners_announced', {
+                winners: prizes.winners.map(winner => ({
+                    position: winner.position,
+                    name: winner.participant.name,
+                    score: winner.score,
+                    completionTime: winner.completionTime,
+                    prize: winner.position === 1 ? '🥇 First Prize' : winner.position === 2 ? '🥈 Second Prize' : '🥉 Third Prize'
+                }))
+            });
+        }
+
+        return prizes;
+    }
+}
+
+module.exports = new SessionTimerService();
+module.exports.INSTRUCTION_END = INSTRUCTION_END;
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { redisHelper } = require('../config/redis');
+const {
+    generateSecret,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    encryptSecret,
+    decryptSecret
+} = require('../utils/totp');
+
+const REQUIRED_SETTING = 'admin_two_factor_required';
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+class TwoFactorService {
+
+    // Name shown next to the account in authenticator apps
+    getIssuer() {
+        return process.env.TOTP_ISSUER || 'Quiz Competition';
+    }
+
+    // Whether a super admin has made two-factor mandatory for every admin
+    async isRequired() {
+        const result = await db.query('SELECT value FROM app_settings WHERE key = $1', [REQUIRED_SETTING]);
+        return result.rows.length > 0 && result.rows[0].value === true;
+    }
+
+    async setRequired(required, adminId) {
+        await db.query(`
+            INSERT INTO app_settings (key, value, updated_by, updated_at)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+            ON CONFLICT (key) DO UPDATE SET value = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+        `, [REQUIRED_SETTING, JSON.stringify(Boolean(required)), adminId]);
+    }
+
+    // Sign out admins who logged in without a second factor, once it becomes mandatory; the auth middleware
+    // refuses their tokens issued before sessions_revoked_at, so they set it up when they log in again
+    async signOutAdminsWithoutTwoFactor() {
+        const result = await db.query(`
+            UPDATE admin_users SET sessions_revoked_at = CURRENT_TIMESTAMP
+            WHERE is_active = true AND totp_enabled IS NOT TRUE
+            RETURNING id
+        `);
+
+        for (const admin of result.rows) {
+            await redisHelper.deleteSession(`admin_${admin.id}`);
+        }
+        return result.rows.length;
+    }
+
+    // Two-factor state for an admin's own security page
+    async getStatus(adminId) {
+        const result = await db.query(`
+            SELECT a.totp_enabled, a.totp_enabled_at,
+                   (SELECT COUNT(*) FROM admin_recovery_codes rc WHERE rc.admin_id = a.id AND rc.used_at IS NULL) as recovery_codes_remaining
+            FROM admin_users a WHERE a.id = $1
+        `, [adminId]);
+
+        const admin = result.rows[0];
+        return {
+            enabled: admin.totp_enabled === true,
+            enabledAt: admin.totp_enabled_at,
+            recoveryCodesRemaining: parseInt(admin.recovery_codes_remaining),
+            required: await this.isRequired()
+        };
+    }
+
+    // Start enrolment: the new secret is kept in Redis until the admin proves their app has it
+    async startEnrolment(admin) {
+        const secret = generateSecret();
+        await redisHelper.set(`totp_enrolment:${admin.id}`, { secret: encryptSecret(secret) }, 10 * 60);
+
+        return {
+            secret,
+            otpauthUri: buildOtpauthUri(secret, admin.email || admin.username, this.getIssuer())
+        };
+    }
+
+    // Finish enrolment with a code from the app
+    // Returns { recoveryCodes } or { error }
+    async confirmEnrolment(adminId, code) {
+        const pending = await redisHelper.get(`totp_enrolment:${adminId}`);
+        if (!pending) {
+            return { error: 'Setup has expired. Please start again' };
+        }
+
+        const secret = decryptSecret(pending.secret);
+        const step = verifyCode(secret, code);
+        if (step === null) {
+            return { error: 'Invalid code. Check the time on your device and try again' };
+        }
+
+        const client = await db.getClient();
+        let recoveryCodes;
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(`
+                UPDATE admin_users
+                SET totp_secret = $1, totp_enabled = true, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $2
+                WHERE id = $3
+            `, [pending.secret, step, adminId]);
+
+            recoveryCodes = await this.replaceRecoveryCodes(client, adminId);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await redisHelper.del(`totp_enrolment:${adminId}`);
+        return { recoveryCodes };
+    }
+
+    async replaceRecoveryCodes(client, adminId) {
+        const codes = generateRecoveryCodes();
+
+        await client.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [adminId]);
+        for (const code of codes) {
+            await client.query(
+                'INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES ($1, $2)',
+                [adminId, hashRecoveryCode(code)]
+            );
+        }
+
+        return codes;
+    }
+
+    // Check a code from the authenticator app or an unused recovery code
+    // Returns 'totp' or 'recovery_code' for the method that matched, or null
+    async verify(adminId, code) {
+        const result = await db.query(
+            'SELECT totp_secret, totp_last_step FROM admin_users WHERE id = $1 AND totp_enabled = true',
+            [adminId]
+        );
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const { totp_secret: storedSecret, totp_last_step: lastStep } = result.rows[0];
+        const step = verifyCode(decryptSecret(storedSecret), code, lastStep === null ? null : parseInt(lastStep));
+
+        if (step !== null) {
+            // Recording the step in the same statement that checks it stops two logins sharing one code
+            const claimResult = await db.query(`
+                UPDATE admin_users SET totp_last_step = $1
+                WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+                RETURNING id
+            `, [step, adminId]);
+            return claimResult.rows.length > 0 ? 'totp' : null;
+        }
+
+        const recoveryResult = await db.query(`
+            UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP
+            WHERE admin_id = $1 AND code_hash = $2 AND used_at IS NULL
+            RETURNING id
+        `, [adminId, hashRecoveryCode(code)]);
+
+        return recoveryResult.rows.length > 0 ? 'recovery_code' : null;
+    }
+
+    // Turn two-factor off; needs a current code. Returns an error message or null
+    async disable(adminId, code) {
+        if (await this.isRequired()) {
+            return 'Two-factor authentication is required for all admins and cannot be turned off';
+        }
+
+        if (!(await this.verify(adminId, code))) {
+            return 'Invalid code';
+        }
+
+        await db.query(`
+            UPDATE admin_users
+            SET totp_secret = NULL, totp_enabled = false, totp_enabled_at = NULL, totp_last_step = NULL
+            WHERE id = $1
+        `, [adminId]);
+        await db.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [adminId]);
+
+        return null;
+    }
+
+    // New recovery codes (the old ones stop working); needs a current code
+    // Returns { recoveryCodes } or { error }
+    async regenerateRecoveryCodes(adminId, code) {
+        if (!(await this.verify(adminId, code))) {
+            return { error: 'Invalid code' };
+        }
+
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+            const recoveryCodes = await this.replaceRecoveryCodes(client, adminId);
+            await client.query('COMMIT');
+            return { recoveryCodes };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // What an admin must do after their password (or SSO) check: null, 'verify' or 'enrol'
+    async getLoginRequirement(admin) {
+        if (admin.totp_enabled) {
+            return 'verify';
+        }
+        return (await this.isRequired()) ? 'enrol' : null;
+    }
+
+    // Pending second login step, identified by a random token held by the login page
+    async createChallenge(adminId, purpose) {
+        const token = crypto.randomBytes(32).toString('hex');
+        await redisHelper.set(`admin_2fa_challenge:${this.hashToken(token)}`, { adminId, purpose }, 5 * 60);
+        return token;
+    }
+
+    async getChallenge(token) {
+        return token ? redisHelper.get(`admin_2fa_challenge:${this.hashToken(token)}`) : null;
+    }
+
+    // Count a code attempt against a challenge; the challenge is dropped after too many wrong codes
+    async consumeChallengeAttempt(token) {
+        const key = `admin_2fa_challenge:${this.hashToken(token)}`;
+        const attempts = await redisHelper.increment(`${key}:attempts`, 5 * 60);
+
+        if (attempts === null || attempts > MAX_CHALLENGE_ATTEMPTS) {
+            await redisHelper.del(key);
+            return false;
+        }
+        return true;
+    }
+
+    async completeChallenge(token) {
+        return redisHelper.take(`admin_2fa_challenge:${this.hashToken(token)}`);
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+}
+
+module.exports = new TwoFactorService();
@@ -1,11 +1,37 @@
 const jwt = require('jsonwebtoken');
 const { redisHelper } = require('../config/redis');
 const db = require('../config/database');
+const { normalizeAnswer, isAnswerCorrect } = require('../utils/questionTypes');
+const { calculateParticipantResult } = require('../utils/prizeCalculator');
+const { resolveParticipantQuestionIds } = require('../utils/questionPool');
+const { getStoredOptionMapping, mapAnswerToOriginal } = require('../utils/questionShuffler');
+const { hasPermission } = require('../utils/adminPermissions');
+const { isInScope } = require('../utils/tenancy');
+const organizationService = require('../services/organizationService');
+const sessionInvitationService = require('../services/sessionInvitationService');
+const sessionTimerService = require('../services/sessionTimerService');
+const { INSTRUCTION_END } = sessionTimerService;
 
 // Store active connections
 const activeConnections = new Map();
 const sessionRooms = new Map();
 
+// Admin socket controls need an admin token, a role allowed to run sessions and the session's organisation
+// among the admin's; both are read fresh so a changed role or assignment applies without reconnecting
+async function canRunSessions(socket, sessionId) {
+    if (!socket.authenticated || socket.userType !== 'admin' || socket.tokenType !== 'admin') {
+        return false;
+    }
+    
+    const result = await db.query('SELECT id, role FROM admin_users WHERE id = $1 AND is_active = true', [socket.userId]);
+    if (result.rows.length === 0 || !hasPermission(result.rows[0].role, 'sessions:run') || isNaN(sessionId)) {
+        return false;
+    }
+    
+    const organizationId = await organizationService.getEntityOrganization('session', sessionId);
+    return organizationId !== null && isInScope(await organizationService.getScope(result.rows[0]), organizationId);
+}
+
 const socketHandlers = {
     initializeHandlers: (socket, io) => {
         // Authenticate socket connection
@@ -16,6 +42,7 @@ const socketHandlers = {
                 
                 socket.userId = decoded.id;
                 socket.userType = userType; // 'participant' or 'admin'
+                socket.tokenType = decoded.type;
                 socket.authenticated = true;
                 
                 activeConnections.set(socket.id, {
@@ -56,6 +83,12 @@ const socketHandlers = {
                 
                 const session = sessionResult.rows[0];
                 
+                // Participants only get the rooms of sessions they joined or are invited to
+                if (socket.tokenType !== 'admin' && !(await sessionInvitationService.canAccess(session.id, socket.userId))) {
+                    socket.emit('error', { message: 'Session not found' });
+                    return;
+                }
+                
                 // Join socket room
                 socket.join(`session_${sessionId}`);
                 socket.currentSession = sessionId;
@@ -140,19 +173,49 @@ const socketHandlers = {
                     return;
                 }
                 
-                // Get correct answer
-                const questionResult = await db.query(
-                    'SELECT correct_answer FROM questions WHERE id = $1',
-                    [questionId]
-                );
+                const sessionResult = await db.query('SELECT status, quiz_end_time FROM quiz_sessions WHERE id = $1', [sessionId]);
+                if (!sessionTimerService.isAcceptingAnswers(sessionResult.rows[0])) {
+                    socket.emit('error', { message: 'Quiz time has expired' });
+                    return;
+                }
+                
+                // With a randomised pool, only the participant's own draw can be answered
+                const assignedQuestionIds = await resolveParticipantQuestionIds(db, sessionId, socket.userId);
+                if (assignedQuestionIds && !assignedQuestionIds.includes(parseInt(questionId))) {
+                    socket.emit('error', { message: 'Question is not part of your quiz' });
+                    return;
+                }
+                
+                // Get the question so the answer can be checked for its type
+                const questionResult = await db.query(`
+                    SELECT question_type, option_a, option_b, option_c, option_d, option_e, option_f, option_g, option_h,
+                           correct_answer, numeric_tolerance
+                    FROM questions WHERE id = $1
+                `, [questionId]);
                 
                 if (questionResult.rows.length === 0) {
                     socket.emit('error', { message: 'Question not found' });
                     return;
                 }
                 
-                const correctAnswer = questionResult.rows[0].correct_answer;
-                const isCorrect = answer === correctAnswer;
+                // Map shuffled option keys back to the original keys
+                const orderResult = await db.query(
+                    'SELECT shuffled_question_order FROM session_participants WHERE session_id = $1 AND participant_id = $2',
+                    [sessionId, socket.userId]
+                );
+                const optionMapping = orderResult.rows.length > 0
+                    ? getStoredOptionMapping(orderResult.rows[0].shuffled_question_order, questionId)
+                    : null;
+                
+                let selectedAnswer;
+                try {
+                    selectedAnswer = normalizeAnswer(questionResult.rows[0], mapAnswerToOriginal(answer, { option_mapping: optionMapping }));
+                } catch (validationError) {
+                    socket.emit('error', { message: validationError.message });
+                    return;
+                }
+                
+                const isCorrect = isAnswerCorrect(questionResult.rows[0], selectedAnswer);
                 
                 // Store answer in database
                 await db.query(
@@ -161,12 +224,12 @@ const socketHandlers = {
                      VALUES ($1, $2, $3, $4, $5, $6)
                      ON CONFLICT (session_id, participant_id, question_id)
                      DO UPDATE SET selected_answer = $4, is_correct = $5, time_taken_seconds = $6, answered_at = CURRENT_TIMESTAMP`,
-                    [sessionId, socket.userId, questionId, answer, isCorrect, Math.floor(timeTaken / 1000)]
+                    [sessionId, socket.userId, questionId, selectedAnswer, isCorrect, Math.floor(timeTaken / 1000)]
                 );
                 
                 // Update quiz state in Redis
                 quizState.answers[questionId] = {
-                    answer: answer,
+                    answer: selectedAnswer,
                     isCorrect: isCorrect,
                     timeTaken: timeTaken
                 };
@@ -255,13 +318,13 @@ const socketHandlers = {
         
         // Admin controls
         socket.on('admin_start_session', async (data) => {
-            if (!socket.authenticated || socket.userType !== 'admin') {
+            const { sessionId } = data;
+            
+            if (!(await canRunSessions(socket, parseInt(sessionId)))) {
                 socket.emit('error', { message: 'Unauthorized' });
                 return;
             }
             
-            const { sessionId } = data;
-            
             // Update session status using scheduled start time
             await db.query(
                 'UPDATE quiz_sessions SET status = $1, instruction_start_time = start_time WHERE id = $2',
@@ -275,23 +338,34 @@ const socketHandlers = {
         });
         
         socket.on('admin_start_quiz_timer', async (data) => {
-            if (!socket.authenticated || socket.userType !== 'admin') {
+            const { sessionId } = data;
+            
+            if (!(await canRunSessions(socket, parseInt(sessionId)))) {
                 socket.emit('error', { message: 'Unauthorized' });
                 return;
             }
             
-            const { sessionId } = data;
-            
-            // Update session status using calculated instruction end time
-            await db.query(
-                'UPDATE quiz_sessions SET status = $1, quiz_start_time = instruction_start_time + INTERVAL \'1 minute\' * COALESCE((SELECT instruction_time_minutes FROM quizzes WHERE id = quiz_id), 5) WHERE id = $2',
-                ['active', sessionId]
+            // Start the quiz phase at the calculated instruction end time; the stored deadline is enforced by
+            // the session scheduler (services/sessionScheduler.js), which auto-submits when it passes
+            const result = await db.query(
+                `UPDATE quiz_sessions SET ${sessionTimerService.quizPhaseAssignments(INSTRUCTION_END)}
+                 WHERE id = $1 AND status = 'instruction'
+                 RETURNING quiz_start_time, quiz_end_time`,
+                [sessionId]
             );
+            // Only a session in its instruction phase can start; a running or ended one keeps its deadline
+            if (result.rows.length === 0) {
+                socket.emit('error', { message: 'Session not found or cannot start quiz phase' });
+                return;
+            }
+            
+            const startTime = new Date(result.rows[0].quiz_start_time).getTime();
+            const duration = new Date(result.rows[0].quiz_end_time).getTime() - startTime;
             
             // Set timer in Redis
             const timerData = {
-                startTime: Date.now(),
-                duration: 15 * 60 * 1000, // 15 minutes
+                startTime,
+                duration,
                 sessionId: sessionId
             };
             
@@ -299,14 +373,9 @@ const socketHandlers = {
             
             // Broadcast quiz start to all participants
             io.to(`session_${sessionId}`).emit('quiz_timer_started', {
-                startTime: Date.now(),
-                duration: 15 * 60 * 1000
+                startTime,
+                duration
             });
-            
-            // Set auto-submit timer
-            setTimeout(async () => {
-                await handleAutoSubmit(sessionId, io);
-            }, 15 * 60 * 1000);
         });
     },
     
@@ -331,68 +400,8 @@ const socketHandlers = {
 // Helper functions
 async function calculateResults(sessionId, participantId) {
     try {
-        // Get session details
-        const sessionResult = await db.query(
-            'SELECT * FROM quiz_sessions qs JOIN quizzes q ON qs.quiz_id = q.id WHERE qs.id = $1',
-            [sessionId]
-        );
-        
-        if (sessionResult.rows.length === 0) {
-            throw new Error('Session not found');
-        }
-        
-        const session = sessionResult.rows[0];
-        
-        // Get participant answers
-        const answersResult = await db.query(
-            'SELECT * FROM participant_answers WHERE session_id = $1 AND participant_id = $2',
-            [sessionId, participantId]
-        );
-        
-        const answers = answersResult.rows;
-        const totalQuestions = session.total_questions;
-        const correctAnswers = answers.filter(a => a.is_correct).length;
-        const incorrectAnswers = answers.filter(a => !a.is_correct).length;
-        const unanswered = totalQuestions - answers.length;
-        const percentageScore = (correctAnswers / totalQuestions) * 100;
-        
-        // Get completion time
-        const participantResult = await db.query(
-            'SELECT completion_time_seconds FROM session_participants WHERE session_id = $1 AND participant_id = $2',
-            [sessionId, participantId]
-        );
-        
-        const completionTimeSeconds = participantResult.rows[0]?.completion_time_seconds || 0;
-        
-        // Determine performance category
-        let performanceCategory = 'Needs Improvement';
-        if (percentageScore >= 80) performanceCategory = 'Excellent';
-        else if (percentageScore >= 60) performanceCategory = 'Good';
-        
-        // Store results
-        await db.query(
-            `INSERT INTO results 
-             (session_id, participant_id, total_questions, correct_answers, incorrect_answers, 
-              unanswered, total_score, percentage_score, completion_time_seconds, performance_category)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-             ON CONFLICT (session_id, participant_id)
-             DO UPDATE SET correct_answers = $4, incorrect_answers = $5, unanswered = $6,
-                          total_score = $7, percentage_score = $8, completion_time_seconds = $9,
-                          performance_category = $10`,
-            [sessionId, participantId, totalQuestions, correctAnswers, incorrectAnswers,
-             unanswered, correctAnswers, percentageScore, completionTimeSeconds, performanceCategory]
-        );
-        
-        return {
-            totalQuestions,
-            correctAnswers,
-            incorrectAnswers,
-            unanswered,
-            percentageScore,
-            completionTimeSeconds,
-            performanceCategory
-        };
-        
+        // Use the shared scoring engine so socket submissions are weighted like every other path
+        return await calculateParticipantResult(sessionId, participantId);
     } catch (error) {
         console.error('Calculate results error:', error);
         throw error;
@@ -460,62 +469,4 @@ async function checkAndAnnouncePrizeWinners(sessionId, io) {
     }
 }
 
-async function handleAutoSubmit(sessionId, io) {
-    try {
-        // Get all participants who haven't submitted
-        const pendingParticipants = await db.query(
-            `SELECT participant_id FROM session_participants 
-             WHERE session_id = $1 AND status = 'started'`,
-            [sessionId]
-        );
-        
-        // Auto-submit for all pending participants
-        for (const participant of pendingParticipants.rows) {
-            await db.query(
-                `UPDATE session_participants 
-                 SET submitted_at = CURRENT_TIMESTAMP, completion_time_seconds = 900, status = 'timeout'
-                 WHERE session_id = $1 AND participant_id = $2`,
-                [sessionId, participant.participant_id]
-            );
-            
-            // Don't calculate individual results here - will calculate all together after session ends
-        }
-        
-        // Update session status
-        await db.query(
-            'UPDATE quiz_sessions SET status = $1, end_time = CURRENT_TIMESTAMP WHERE id = $2',
-            ['completed', sessionId]
-        );
-        
-        // Calculate results for all participants now that session has ended
-        try {
-            const { calculateSessionResults, calculatePrizeWinners } = require('../utils/prizeCalculator');
-            console.log(`Session ${sessionId} auto-ended due to timeout - calculating all results and prize winners`);
-            
-            // Calculate all participant results with proper rankings
-            await calculateSessionResults(sessionId);
-            
-            // Calculate and assign prize winners
-            await calculatePrizeWinners(sessionId);
-            
-            console.log(`Results and prize winners calculated for auto-ended session ${sessionId}`);
-        } catch (calcError) {
-            console.error('Error calculating results when session auto-ended:', calcError);
-            // Don't fail the auto-submit if result calculation fails
-        }
-        
-        // Broadcast quiz completion
-        io.to(`session_${sessionId}`).emit('quiz_completed', {
-            reason: 'timeout',
-            message: 'Quiz time has expired. All answers have been auto-submitted.'
-        });
-        
-        // Announce final prize winners (this will use the newly calculated results)
-        await checkAndAnnouncePrizeWinners(sessionId, io);
-        
-    } catch (error) {
-        console.error('Auto-submit error:', error);
-    }
-}
-
 module.exports = socketHandlers;
\ No newline at end of file
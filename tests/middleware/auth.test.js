@@ -0,0 +1,104 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../config/redis', () => ({ redisClient: {}, redisHelper: {} }));
+jest.mock('../../services/organizationService', () => ({ getScope: jest.fn().mockResolvedValue(null) }));
+
+const jwt = require('jsonwebtoken');
+const db = require('../../config/database');
+
+process.env.JWT_SECRET = 'test-secret';
+const { authenticateParticipant, authenticateAdmin } = require('../../middleware/auth');
+
+// Token signed at a given time (seconds since the epoch)
+const tokenIssuedAt = (payload, iat) => jwt.sign({ ...payload, iat }, process.env.JWT_SECRET, { expiresIn: '24h' });
+
+const run = async (middleware, req) => {
+    const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+    };
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { res, next };
+};
+
+const now = Math.floor(Date.now() / 1000);
+
+beforeEach(() => {
+    db.query.mockReset();
+});
+
+describe('authenticateParticipant', () => {
+    const participant = changedAt => ({
+        rows: [{ id: 4, username: 'asha', is_active: true, must_change_password: false, password_changed_at: changedAt }]
+    });
+
+    test('refuses a token issued before a password reset', async () => {
+        db.query.mockResolvedValue(participant(new Date((now - 60) * 1000)));
+        const token = tokenIssuedAt({ id: 4, type: 'participant' }, now - 3600);
+
+        const { res, next } = await run(authenticateParticipant, { cookies: { participantToken: token }, headers: {} });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Your password has been changed. Please log in again' });
+    });
+
+    test('accepts a token issued after the reset, or in the same second', async () => {
+        db.query.mockResolvedValue(participant(new Date((now - 60) * 1000 + 500)));
+
+        for (const iat of [now - 30, now - 60]) {
+            const token = tokenIssuedAt({ id: 4, type: 'participant' }, iat);
+            const { next } = await run(authenticateParticipant, { cookies: { participantToken: token }, headers: {} });
+            expect(next).toHaveBeenCalled();
+        }
+    });
+
+    test('accepts tokens when the password was never changed', async () => {
+        db.query.mockResolvedValue(participant(null));
+        const token = tokenIssuedAt({ id: 4, type: 'participant' }, now - 3600);
+
+        const { next } = await run(authenticateParticipant, { cookies: { participantToken: token }, headers: {} });
+
+        expect(next).toHaveBeenCalled();
+    });
+});
+
+describe('authenticateAdmin', () => {
+    const admin = changedAt => ({
+        rows: [{ id: 2, username: 'root', role: 'super_admin', is_active: true, password_changed_at: changedAt }]
+    });
+
+    test('refuses a token issued before a password reset', async () => {
+        db.query.mockResolvedValue(admin(new Date((now - 60) * 1000)));
+        const token = tokenIssuedAt({ id: 2, type: 'admin' }, now - 3600);
+
+        const { res, next } = await run(authenticateAdmin, { cookies: {}, headers: { authorization: `Bearer ${token}` } });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('refuses a token issued before two-factor became mandatory', async () => {
+        db.query.mockResolvedValue({
+            rows: [{ id: 2, username: 'root', role: 'admin', is_active: true, password_changed_at: null, sessions_revoked_at: new Date((now - 60) * 1000) }]
+        });
+        const token = tokenIssuedAt({ id: 2, type: 'admin' }, now - 3600);
+
+        const { res, next } = await run(authenticateAdmin, { cookies: { adminToken: token }, headers: {} });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Two-factor authentication is now required. Please log in again' });
+    });
+
+    test('accepts a token issued after the reset', async () => {
+        db.query.mockResolvedValue(admin(new Date((now - 60) * 1000)));
+        const token = tokenIssuedAt({ id: 2, type: 'admin' }, now - 30);
+        const req = { cookies: { adminToken: token }, headers: {} };
+
+        const { next } = await run(authenticateAdmin, req);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.userType).toBe('admin');
+    });
+});
@@ -0,0 +1,54 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../config/redis', () => ({ redisClient: {}, redisHelper: {} }));
+jest.mock('../../middleware/auth', () => {
+    const pass = (req, res, next) => next();
+    return {
+        authenticateParticipant: (req, res, next) => {
+            req.user = { id: 7 };
+            next();
+        },
+        checkSessionAccess: pass,
+        checkNotSubmitted: pass,
+        checkQuizState: () => pass,
+        checkQuizDeadline: pass
+    };
+});
+
+const db = require('../../config/database');
+const participantRoutes = require('../../routes/participant');
+
+const app = express();
+app.use(express.json());
+app.use('/api/participant', participantRoutes);
+
+beforeEach(() => {
+    db.query.mockReset();
+});
+
+describe('DELETE /sessions/:sessionId/answers/:questionId', () => {
+    test('removes the stored answer so it is not graded', async () => {
+        db.query.mockResolvedValue({ rows: [], rowCount: 1 });
+
+        const res = await request(app).delete('/api/participant/sessions/3/answers/42');
+
+        expect(res.status).toBe(200);
+        expect(res.body.success).toBe(true);
+        expect(db.query).toHaveBeenCalledTimes(1);
+        expect(db.query.mock.calls[0][0]).toMatch(/DELETE FROM participant_answers/);
+        expect(db.query.mock.calls[0][1]).toEqual(['3', 7, '42']);
+    });
+
+    test('reports database failures', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        db.query.mockRejectedValue(new Error('connection lost'));
+
+        const res = await request(app).delete('/api/participant/sessions/3/answers/42');
+
+        expect(res.status).toBe(500);
+        expect(res.body).toEqual({ success: false, message: 'Failed to clear answer' });
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,45 @@
+const notificationService = require('../../services/notificationService');
+
+const results = answers => ({
+    totalQuestions: answers.length,
+    correctAnswers: 0,
+    incorrectAnswers: answers.length,
+    unanswered: 0,
+    percentageScore: 0,
+    performanceCategory: 'Needs Improvement',
+    answers
+});
+
+describe('getQuizResultsEmailTemplate', () => {
+    test('escapes the stored text of each answer', () => {
+        const html = notificationService.getQuizResultsEmailTemplate('Asha', results([{
+            questionText: 'Is <b>this</b> bold?',
+            yourAnswer: '<img src=x onerror=alert(1)>',
+            correctAnswer: 'Yes & no',
+            isCorrect: false,
+            explanation: '<iframe src="//evil"></iframe>',
+            reference: '<script>alert(1)</script>'
+        }]));
+
+        expect(html).toContain('Reference: &lt;script&gt;alert(1)&lt;/script&gt;');
+        expect(html).toContain('Is &lt;b&gt;this&lt;/b&gt; bold?');
+        expect(html).toContain('Your answer: &lt;img src=x onerror=alert(1)&gt;');
+        expect(html).toContain('Correct answer: Yes &amp; no');
+        expect(html).toContain('&lt;iframe src=&quot;//evil&quot;&gt;&lt;/iframe&gt;');
+        expect(html).not.toMatch(/<(script|img|iframe)/);
+    });
+
+    test('shows unanswered questions', () => {
+        const html = notificationService.getQuizResultsEmailTemplate('Asha', results([{
+            questionText: 'Maximum weekly hours?',
+            yourAnswer: null,
+            correctAnswer: '48',
+            isCorrect: false,
+            explanation: null,
+            reference: null
+        }]));
+
+        expect(html).toContain('Your answer: Not answered');
+        expect(html).not.toContain('Reference:');
+    });
+});
@@ -0,0 +1,159 @@
+const {
+    hashIdentifier,
+    redactBody,
+    redactChanges,
+    getOutcome,
+    hashAuditEntry
+} = require('../../utils/auditLog');
+
+const originalKey = process.env.AUDIT_LOG_KEY;
+
+beforeEach(() => {
+    process.env.AUDIT_LOG_KEY = 'test-key';
+});
+
+afterAll(() => {
+    if (originalKey === undefined) {
+        delete process.env.AUDIT_LOG_KEY;
+    } else {
+        process.env.AUDIT_LOG_KEY = originalKey;
+    }
+});
+
+describe('hashIdentifier', () => {
+    test('gives the same hash however the value is typed', () => {
+        expect(hashIdentifier(' Asha@Example.com ')).toBe(hashIdentifier('asha@example.com'));
+        expect(hashIdentifier('asha@example.com')).toMatch(/^hmac:[0-9a-f]{16}$/);
+        expect(hashIdentifier('')).toBeNull();
+    });
+
+    test('depends on the key', () => {
+        const hash = hashIdentifier('asha@example.com');
+        process.env.AUDIT_LOG_KEY = 'other-key';
+        expect(hashIdentifier('asha@example.com')).not.toBe(hash);
+    });
+});
+
+describe('redactBody', () => {
+    test('redacts secrets at any depth and hashes identifiers', () => {
+        const stored = redactBody('edit_admin', {
+            username: 'asha',
+            Password: 'hunter22',
+            email: 'asha@example.com',
+            profile: { mobile: '+919876543210', settings: [{ token: 'abc' }] }
+        });
+
+        expect(stored).toEqual({
+            username: 'asha',
+            Password: '[REDACTED]',
+            email: hashIdentifier('asha@example.com'),
+            profile: { mobile: hashIdentifier('+919876543210'), settings: [{ token: '[REDACTED]' }] }
+        });
+    });
+
+    test('keeps only the allowed fields for actions with an allow list', () => {
+        expect(redactBody('reset_password', { participantId: 4, credential_mode: 'mobile', note: 'hi' })).toEqual({
+            participantId: 4,
+            credential_mode: 'mobile',
+            note: '[REDACTED]'
+        });
+        expect(redactBody('enable_two_factor', { code: '123456', label: 'phone' })).toEqual({
+            code: '[REDACTED]',
+            label: '[REDACTED]'
+        });
+    });
+
+    test('applies per-action deny and hash lists', () => {
+        expect(redactBody('manage_questions', { quizId: 3, questions: [{ id: 1 }] })).toEqual({
+            quizId: 3,
+            questions: '[REDACTED]'
+        });
+        expect(redactBody('edit_participant', { name: 'Asha' }).name).toBe(hashIdentifier('Asha'));
+    });
+});
+
+describe('redactChanges', () => {
+    test('redacts and hashes both sides of each change', () => {
+        const changes = [{
+            entity_type: 'participant',
+            entity_id: 4,
+            changes: [
+                { field: 'password_hash', before: '$2b$old', after: '$2b$new' },
+                { field: 'email', before: 'old@example.com', after: null },
+                { field: 'group_name', before: 'A', after: 'B' }
+            ]
+        }];
+
+        expect(redactChanges('edit_participant', changes)).toEqual([{
+            entity_type: 'participant',
+            entity_id: 4,
+            changes: [
+                { field: 'password_hash', before: '[REDACTED]', after: '[REDACTED]' },
+                { field: 'email', before: hashIdentifier('old@example.com'), after: null },
+                { field: 'group_name', before: 'A', after: 'B' }
+            ]
+        }]);
+        expect(changes[0].changes[0].before).toBe('$2b$old');
+    });
+});
+
+describe('getOutcome', () => {
+    test('classifies the response', () => {
+        expect(getOutcome(200, true)).toBe('success');
+        expect(getOutcome(403, true)).toBe('denied');
+        expect(getOutcome(409, true)).toBe('rejected');
+        expect(getOutcome(500, true)).toBe('error');
+        expect(getOutcome(200, false)).toBe('aborted');
+    });
+});
+
+describe('hashAuditEntry', () => {
+    const entry = {
+        id: 1,
+        created_at_text: '2024-03-01 10:00:00.000000+00',
+        admin_id: 2,
+        admin_username: 'asha',
+        action: 'edit_participant',
+        entity_type: 'participant',
+        entity_id: 4,
+        details: { method: 'PUT', outcome: 'success', body: { group: 'A' } },
+        ip_address: '10.0.0.1'
+    };
+
+    test('ignores key order in the details, as after a JSONB round trip', () => {
+        const reordered = { ...entry, details: { body: { group: 'A' }, outcome: 'success', method: 'PUT' } };
+        expect(hashAuditEntry(reordered, null)).toBe(hashAuditEntry(entry, null));
+    });
+
+    test('ignores admin_id, which is cleared when the admin is deleted', () => {
+        expect(hashAuditEntry({ ...entry, admin_id: null }, null)).toBe(hashAuditEntry(entry, null));
+    });
+
+    test('changes when the entry is edited or chained to another entry', () => {
+        const hash = hashAuditEntry(entry, null);
+        expect(hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(hashAuditEntry({ ...entry, action: 'delete_participant' }, null)).not.toBe(hash);
+        expect(hashAuditEntry({ ...entry, details: { ...entry.details, outcome: 'denied' } }, null)).not.toBe(hash);
+        expect(hashAuditEntry(entry, hash)).not.toBe(hash);
+    });
+
+    test('breaks the chain from an edited entry onwards', () => {
+        const next = { ...entry, id: 2, action: 'reset_password' };
+        const chain = [entry, next].reduce((hashes, item) => [...hashes, hashAuditEntry(item, hashes[hashes.length - 1] || null)], []);
+
+        const tampered = hashAuditEntry({ ...entry, ip_address: '10.0.0.2' }, null);
+        expect(tampered).not.toBe(chain[0]);
+        expect(hashAuditEntry(next, tampered)).not.toBe(chain[1]);
+    });
+
+    test('requires a key', () => {
+        delete process.env.AUDIT_LOG_KEY;
+        const jwtSecret = process.env.JWT_SECRET;
+        delete process.env.JWT_SECRET;
+        try {
+            expect(() => hashAuditEntry(entry, null)).toThrow('AUDIT_LOG_KEY or JWT_SECRET must be set to write the audit log');
+        } finally {
+            if (jwtSecret !== undefined) process.env.JWT_SECRET = jwtSecret;
+        }
+    });
+});
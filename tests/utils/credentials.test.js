@@ -0,0 +1,43 @@
+const {
+    MIN_PASSWORD_LENGTH,
+    generateRandomPassword,
+    generatePassphrase,
+    validateNewPassword
+} = require('../../utils/credentials');
+
+describe('generateRandomPassword', () => {
+    test('mixes cases and digits without look-alike characters', () => {
+        for (let i = 0; i < 50; i++) {
+            const password = generateRandomPassword();
+            expect(password).toHaveLength(12);
+            expect(password).toMatch(/[A-Z]/);
+            expect(password).toMatch(/[a-z]/);
+            expect(password).toMatch(/[0-9]/);
+            expect(password).not.toMatch(/[0O1lI]/);
+        }
+    });
+});
+
+describe('generatePassphrase', () => {
+    test('joins four words and a two-digit number', () => {
+        expect(generatePassphrase()).toMatch(/^[a-z]+(-[a-z]+){3}-[1-9][0-9]$/);
+    });
+
+    test('passes the rules for chosen passwords', () => {
+        expect(validateNewPassword(generatePassphrase())).toBeNull();
+    });
+});
+
+describe('validateNewPassword', () => {
+    test('requires length, letters and numbers', () => {
+        expect(validateNewPassword('abc12')).toBe(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        expect(validateNewPassword('abcdefghij')).toBe('Password must contain letters and numbers');
+        expect(validateNewPassword('1234567890')).toBe('Password must contain letters and numbers');
+        expect(validateNewPassword('quiz2024!')).toBeNull();
+    });
+
+    test('refuses the username and the mobile number', () => {
+        expect(validateNewPassword('Asha2024', { username: 'asha2024' })).toBe('Password must not be your username');
+        expect(validateNewPassword('pw76543210', { mobile: '+919876543210' })).toBe('Password must not contain your mobile number');
+    });
+});
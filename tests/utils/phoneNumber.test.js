@@ -0,0 +1,70 @@
+const { getDefaultCountry, normalizeCountry, parsePhoneNumber, formatE164 } = require('../../utils/phoneNumber');
+
+describe('getDefaultCountry', () => {
+    const original = process.env.DEFAULT_PHONE_COUNTRY;
+
+    afterEach(() => {
+        if (original === undefined) {
+            delete process.env.DEFAULT_PHONE_COUNTRY;
+        } else {
+            process.env.DEFAULT_PHONE_COUNTRY = original;
+        }
+    });
+
+    test('reads DEFAULT_PHONE_COUNTRY and falls back to India', () => {
+        process.env.DEFAULT_PHONE_COUNTRY = 'ae';
+        expect(getDefaultCountry()).toBe('AE');
+
+        process.env.DEFAULT_PHONE_COUNTRY = 'XX';
+        expect(getDefaultCountry()).toBe('IN');
+
+        delete process.env.DEFAULT_PHONE_COUNTRY;
+        expect(getDefaultCountry()).toBe('IN');
+    });
+});
+
+describe('normalizeCountry', () => {
+    test('accepts ISO codes, calling codes and names', () => {
+        expect(normalizeCountry('ae')).toBe('AE');
+        expect(normalizeCountry('+971')).toBe('AE');
+        expect(normalizeCountry('00971')).toBe('AE');
+        expect(normalizeCountry('United Arab Emirates')).toBe('AE');
+    });
+
+    test('returns null for unsupported or empty values', () => {
+        expect(normalizeCountry('Atlantis')).toBeNull();
+        expect(normalizeCountry('')).toBeNull();
+        expect(normalizeCountry(null)).toBeNull();
+    });
+});
+
+describe('parsePhoneNumber', () => {
+    test('reads local numbers in the default country', () => {
+        expect(parsePhoneNumber('98765 43210', 'IN')).toEqual({ e164: '+919876543210', country: 'IN', nationalNumber: '9876543210' });
+        expect(parsePhoneNumber('050-123-4567', 'AE').e164).toBe('+971501234567');
+    });
+
+    test('reads the country code with or without a plus', () => {
+        expect(parsePhoneNumber('+971 50 123 4567', 'IN').country).toBe('AE');
+        expect(parsePhoneNumber('00971501234567', 'IN').country).toBe('AE');
+        expect(parsePhoneNumber('919876543210', 'IN').e164).toBe('+919876543210');
+    });
+
+    test('rejects numbers that are not valid mobiles for their country', () => {
+        expect(() => parsePhoneNumber('12345', 'IN')).toThrow('Not a valid India mobile number');
+        expect(() => parsePhoneNumber('+971 4 123 4567', 'IN')).toThrow('Not a valid United Arab Emirates mobile number');
+        expect(() => parsePhoneNumber('+999 123456789', 'IN')).toThrow('Country code is not supported');
+        expect(() => parsePhoneNumber('', 'IN')).toThrow('Invalid mobile number');
+    });
+
+    test('checks countries without a validator locale by length', () => {
+        expect(parsePhoneNumber('+974 3312 3456', 'IN').e164).toBe('+97433123456');
+        expect(() => parsePhoneNumber('+974 3312 345', 'IN')).toThrow('Not a valid Qatar mobile number');
+    });
+});
+
+describe('formatE164', () => {
+    test('returns the E.164 form', () => {
+        expect(formatE164('+91 98765-43210')).toBe('+919876543210');
+    });
+});
@@ -0,0 +1,99 @@
+const {
+    normalizeDrawRules,
+    checkDrawRules,
+    drawQuestions,
+    getStoredQuestionIds
+} = require('../../utils/questionPool');
+
+// 4 easy, 4 medium and 2 hard questions; the even ones are tagged POSH
+const pool = Array.from({ length: 10 }, (_, index) => ({
+    id: index + 1,
+    difficulty: index < 4 ? 'easy' : index < 8 ? 'medium' : 'hard',
+    category: index < 5 ? 'Wages' : 'Leave',
+    tags: index % 2 === 0 ? ['POSH'] : []
+}));
+
+describe('normalizeDrawRules', () => {
+    test('treats empty rules as "use every question"', () => {
+        expect(normalizeDrawRules(null)).toBeNull();
+        expect(normalizeDrawRules('')).toBeNull();
+        expect(normalizeDrawRules([])).toBeNull();
+    });
+
+    test('accepts JSON and normalises the filters', () => {
+        expect(normalizeDrawRules('[{"count": "3", "difficulty": "Easy ", "tag": " POSH"}]')).toEqual([
+            { count: 3, difficulty: 'easy', category: null, tag: 'POSH' }
+        ]);
+    });
+
+    test('rejects invalid counts and difficulties', () => {
+        expect(() => normalizeDrawRules([{ count: 0 }])).toThrow('Rule 1: count must be a positive whole number');
+        expect(() => normalizeDrawRules([{ count: '2.5' }])).toThrow('count must be a positive whole number');
+        expect(() => normalizeDrawRules([{ count: 1 }, { count: 1, difficulty: 'expert' }])).toThrow('Rule 2: difficulty');
+        expect(() => normalizeDrawRules('not json')).toThrow('Draw rules must be valid JSON');
+        expect(() => normalizeDrawRules({ count: 1 })).toThrow('Draw rules must be a list of rules');
+    });
+});
+
+describe('checkDrawRules', () => {
+    test('accepts rules the pool can always satisfy', () => {
+        expect(checkDrawRules(pool, normalizeDrawRules([{ count: 4, difficulty: 'easy' }, { count: 2, difficulty: 'hard' }]))).toEqual([]);
+    });
+
+    test('reports a rule without enough questions', () => {
+        expect(checkDrawRules(pool, normalizeDrawRules([{ count: 3, difficulty: 'hard' }]))).toEqual([
+            'Rule 1 needs 3 questions but only 2 are guaranteed to be left after earlier rules'
+        ]);
+    });
+
+    test('counts questions earlier rules may have taken', () => {
+        // Rule 1 can take up to 3 of the 5 POSH questions, leaving only 2 for rule 2
+        const rules = normalizeDrawRules([{ count: 3, tag: 'POSH' }, { count: 3, tag: 'posh' }]);
+        expect(checkDrawRules(pool, rules)).toHaveLength(1);
+    });
+});
+
+describe('drawQuestions', () => {
+    const rules = normalizeDrawRules([{ count: 2, difficulty: 'easy' }, { count: 1, category: 'leave', tag: 'POSH' }]);
+
+    test('draws the requested number of matching questions in quiz order', () => {
+        const drawn = drawQuestions(pool, rules, 7, 3);
+        const ids = drawn.map(question => question.id);
+
+        expect(drawn).toHaveLength(3);
+        expect(drawn.filter(question => question.difficulty === 'easy')).toHaveLength(2);
+        expect(ids).toEqual([...ids].sort((a, b) => a - b));
+    });
+
+    test('gives a participant the same draw every time', () => {
+        expect(drawQuestions(pool, rules, 7, 3)).toEqual(drawQuestions(pool, rules, 7, 3));
+    });
+
+    test('varies the draw between participants', () => {
+        const draws = new Set(Array.from({ length: 20 }, (_, participantId) =>
+            drawQuestions(pool, rules, participantId, 3).map(question => question.id).join(',')));
+        expect(draws.size).toBeGreaterThan(1);
+    });
+
+    test('never draws a question twice', () => {
+        const overlapping = normalizeDrawRules([{ count: 4, difficulty: 'easy' }, { count: 5, tag: 'POSH' }]);
+        const ids = drawQuestions(pool, overlapping, 1, 1).map(question => question.id);
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+});
+
+describe('getStoredQuestionIds', () => {
+    test('returns the stored questions in the order shown', () => {
+        expect(getStoredQuestionIds({
+            order: [
+                { questionId: 5, shuffledOrder: 2 },
+                { questionId: 9, shuffledOrder: 1 }
+            ]
+        })).toEqual([9, 5]);
+    });
+
+    test('returns null before anything was stored', () => {
+        expect(getStoredQuestionIds(null)).toBeNull();
+        expect(getStoredQuestionIds({})).toBeNull();
+    });
+});
@@ -0,0 +1,73 @@
+const { getQuestionKey, validateQuestionRows, summarizeReport } = require('../../utils/questionUpload');
+
+// A row as the CSV/Excel parser returns it
+const row = (number, fields) => ({
+    row: number,
+    question_type: 'single_choice',
+    question_text: `Question ${number}`,
+    option_a: 'Basic wages',
+    option_b: 'Dearness allowance',
+    option_c: 'House rent allowance',
+    option_d: 'Overtime',
+    correct_answer: 'c',
+    ...fields
+});
+
+describe('getQuestionKey', () => {
+    test('ignores case and whitespace', () => {
+        expect(getQuestionKey('  What is   EPF?\n')).toBe(getQuestionKey('what is epf?'));
+    });
+});
+
+describe('validateQuestionRows', () => {
+    test('accepts a valid row without warnings', () => {
+        const [item] = validateQuestionRows([row(2)]);
+
+        expect(item.errors).toEqual([]);
+        expect(item.warnings).toEqual([]);
+        expect(item.question).toMatchObject({ question_type: 'single_choice', correct_answer: 'c' });
+    });
+
+    test('reports invalid rows without stopping at them', () => {
+        const report = validateQuestionRows([row(2, { correct_answer: 'f' }), row(3)]);
+
+        expect(report[0].errors).toHaveLength(1);
+        expect(report[0].question).toBeNull();
+        expect(report[1].errors).toEqual([]);
+        expect(summarizeReport(report)).toEqual({ total: 2, valid: 1, withErrors: 1, withWarnings: 0 });
+    });
+
+    test('resolves answers written as option text', () => {
+        const [item] = validateQuestionRows([row(2, { correct_answer: 'house rent allowance' })]);
+
+        expect(item.correct_answer).toBe('c');
+        expect(item.warnings[0]).toMatch(/matches the text of option C/);
+    });
+
+    test('warns when an option number could mean an option text', () => {
+        const [item] = validateQuestionRows([row(2, { option_a: '2', option_b: '1', correct_answer: '1' })]);
+
+        expect(item.correct_answer).toBe('a');
+        expect(item.warnings).toEqual(['Answer "1" was read as option A, but option B has the text "1"']);
+    });
+
+    test('flags duplicate questions in the file', () => {
+        const report = validateQuestionRows([row(2), row(3, { question_text: 'QUESTION  2' })]);
+        expect(report[1].warnings).toEqual(['Duplicate of row 2']);
+    });
+
+    test('flags text saved in the wrong encoding', () => {
+        const [item] = validateQuestionRows([row(2, { question_text: 'Employerâ€™s share?' })]);
+        expect(item.warnings[0]).toMatch(/garbled/);
+    });
+
+    test('notes blank trailing options and options on numeric questions', () => {
+        const report = validateQuestionRows([
+            row(2, { option_d: '' }),
+            row(3, { question_type: 'numeric', correct_answer: '48' })
+        ]);
+
+        expect(report[0].warnings).toEqual(['Option D is blank; the question will have 3 options']);
+        expect(report[1].warnings).toEqual(['Options are ignored for numeric questions']);
+    });
+});
@@ -0,0 +1,200 @@
+const {
+    detectQuizFormat,
+    exportQuiz,
+    parseQuizFile,
+    parseQuizJSON,
+    parseGIFT
+} = require('../../utils/quizInterchange');
+
+const quiz = {
+    title: 'Labour Law Basics',
+    description: 'Monthly quiz',
+    instruction_time_minutes: 5,
+    quiz_time_minutes: 15,
+    negative_marking: '0.25',
+    partial_credit: true,
+    speed_bonus_enabled: false,
+    speed_bonus_window_seconds: 30,
+    draw_rules: null,
+    shuffle_questions: true,
+    shuffle_options: false,
+    start_date: '2024-01-01',
+    is_active: true
+};
+
+// Rows as they come back from the database (DECIMAL columns are strings)
+const questions = [
+    {
+        question_type: 'single_choice',
+        question_text: 'Which one is **not** covered: {wages} = pay?',
+        option_a: 'Basic wages', option_b: 'Dearness allowance', option_c: 'House rent allowance ~ HRA',
+        correct_answer: 'c', numeric_tolerance: '0', points: '2.00',
+        explanation: 'HRA is excluded.', reference: 'EPF Act s.2(b)',
+        category: 'PF', difficulty: 'medium', tags: ['EPF']
+    },
+    {
+        question_type: 'multi_select',
+        question_text: 'Which acts apply to a factory?',
+        option_a: 'Factories Act', option_b: 'Shops Act', option_c: 'Payment of Wages Act',
+        correct_answer: 'a,c', numeric_tolerance: '0', points: '1.00',
+        explanation: null, reference: null,
+        category: 'PF', difficulty: 'hard', tags: []
+    },
+    {
+        question_type: 'true_false',
+        question_text: 'Gratuity needs five years of service',
+        option_a: 'True', option_b: 'False',
+        correct_answer: 'a', numeric_tolerance: '0', points: '1.00',
+        explanation: null, reference: null,
+        category: 'Gratuity', difficulty: 'easy', tags: ['Gratuity', 'Service']
+    },
+    {
+        question_type: 'numeric',
+        question_text: 'Maximum weekly hours?',
+        correct_answer: '48', numeric_tolerance: '0.5000', points: '1.50',
+        explanation: 'Factories Act s.51', reference: null,
+        category: 'Gratuity', difficulty: 'medium', tags: []
+    }
+];
+
+// The fields an import must keep for each question
+const essentials = question => ({
+    question_type: question.question_type,
+    question_text: question.question_text,
+    correct_answer: question.correct_answer,
+    points: parseFloat(question.points),
+    difficulty: question.difficulty,
+    category: question.category,
+    tags: question.tags
+});
+
+describe('detectQuizFormat', () => {
+    test('uses the requested format, then the file extension', () => {
+        expect(detectQuizFormat('xml')).toBe('moodle');
+        expect(detectQuizFormat('GIFT')).toBe('gift');
+        expect(detectQuizFormat('', 'export.json')).toBe('json');
+        expect(detectQuizFormat(null, 'questions.txt')).toBe('gift');
+        expect(detectQuizFormat('docx', 'quiz.docx')).toBeNull();
+    });
+});
+
+describe.each(['json', 'moodle', 'gift'])('%s round trip', format => {
+    const imported = parseQuizFile(format, exportQuiz(format, quiz, questions));
+
+    test('keeps the quiz settings but not the schedule', () => {
+        expect(imported.settings).toMatchObject({
+            title: 'Labour Law Basics',
+            quiz_time_minutes: 15,
+            negative_marking: 0.25,
+            partial_credit: true,
+            shuffle_questions: true
+        });
+        expect(imported.settings).not.toHaveProperty('start_date');
+        expect(imported.settings).not.toHaveProperty('is_active');
+    });
+
+    test('keeps every question with its answer, points and metadata', () => {
+        expect(imported.skipped).toEqual([]);
+        expect(imported.questions.map(essentials)).toEqual(questions.map(essentials));
+    });
+
+    test('keeps options, tolerance, explanation and reference', () => {
+        expect(imported.questions[0]).toMatchObject({
+            option_a: 'Basic wages',
+            option_c: 'House rent allowance ~ HRA',
+            explanation: 'HRA is excluded.',
+            reference: 'EPF Act s.2(b)'
+        });
+        expect(parseFloat(imported.questions[3].numeric_tolerance)).toBe(0.5);
+    });
+});
+
+describe('parseQuizJSON', () => {
+    test('rejects files that are not quiz exports', () => {
+        expect(() => parseQuizJSON('{oops')).toThrow('The file is not valid JSON');
+        expect(() => parseQuizJSON('{"questions": []}')).toThrow('Unsupported JSON file');
+        expect(() => parseQuizJSON('{"format": "quiz-competition-app/quiz", "version": 2, "questions": []}'))
+            .toThrow('Unsupported JSON format version 2');
+    });
+
+    test('numbers the invalid question', () => {
+        const file = JSON.stringify({
+            format: 'quiz-competition-app/quiz',
+            version: 1,
+            questions: [
+                { question_type: 'single_choice', question_text: 'OK?', options: ['Yes', 'No'], correct_answer: 'a' },
+                { question_type: 'single_choice', question_text: 'Broken', options: ['Yes', 'No'], correct_answer: 'z' }
+            ]
+        });
+        expect(() => parseQuizJSON(file)).toThrow(/^Question 2: /);
+    });
+});
+
+describe('parseGIFT', () => {
+    test('reads questions written for other systems', () => {
+        const gift = [
+            '$CATEGORY: $course$/top/Safety Quiz/Fire',
+            '',
+            '::Exits:: How many fire exits are required? {',
+            '  ~One#Too few',
+            '  =Two',
+            '  ~None',
+            '}',
+            '',
+            'Smoking is allowed in the store room {FALSE}',
+            '',
+            'Pick the extinguisher classes for electrical fires {',
+            '  ~%50%CO2',
+            '  ~%50%Dry powder',
+            '  ~%-100%Water',
+            '}',
+            '',
+            'Fire drill interval in months? {#6:1}'
+        ].join('\n');
+
+        const { settings, questions: parsed, skipped } = parseGIFT(gift);
+
+        expect(settings.title).toBe('Safety Quiz');
+        expect(skipped).toEqual([]);
+        expect(parsed.map(question => [question.question_type, question.correct_answer, question.category])).toEqual([
+            ['single_choice', 'b', 'Fire'],
+            ['true_false', 'b', 'Fire'],
+            ['multi_select', 'a,b', 'Fire'],
+            ['numeric', '6', 'Fire']
+        ]);
+        expect(parsed[0]).toMatchObject({ question_text: 'How many fire exits are required?', option_a: 'One', option_b: 'Two' });
+        expect(parseFloat(parsed[3].numeric_tolerance)).toBe(1);
+    });
+
+    test('unescapes special characters', () => {
+        const { questions: parsed } = parseGIFT('What is 2\\=2? {=\\{yes\\} ~no \\~ never}');
+        expect(parsed[0]).toMatchObject({
+            question_text: 'What is 2=2?',
+            option_a: '{yes}',
+            option_b: 'no ~ never'
+        });
+    });
+
+    test('skips question types the app does not support', () => {
+        const { questions: parsed, skipped } = parseGIFT([
+            '::Essay:: Describe the grievance process {}',
+            '',
+            '::Match:: Match the acts {=Wages -> 1936 =Gratuity -> 1972}',
+            '',
+            '::Short:: Name the act {=Factories Act =Factories Act 1948}',
+            '',
+            'Kept {=Yes ~No}'
+        ].join('\n'));
+
+        expect(parsed).toHaveLength(1);
+        expect(skipped).toEqual([
+            'Essay: short answer questions are not supported',
+            'Match: matching questions are not supported',
+            'Short: short answer questions are not supported'
+        ]);
+    });
+
+    test('refuses a file without supported questions', () => {
+        expect(() => parseGIFT('// only a comment')).toThrow('The file does not contain any supported questions');
+    });
+});
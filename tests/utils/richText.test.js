@@ -0,0 +1,77 @@
+const { escapeHtml, renderRichText, toPlainText, addRichTextHtml } = require('../../utils/richText');
+
+describe('escapeHtml', () => {
+    test('escapes markup and quotes', () => {
+        expect(escapeHtml('<a href="x" title=\'y\'>&</a>')).toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    });
+});
+
+describe('renderRichText', () => {
+    test('escapes raw HTML before applying Markdown', () => {
+        expect(renderRichText('<script>alert(1)</script> **bold**'))
+            .toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt; <strong>bold</strong></p>');
+        expect(renderRichText('**<img src=x onerror=alert(1)>**'))
+            .toBe('<p><strong>&lt;img src=x onerror=alert(1)&gt;</strong></p>');
+    });
+
+    test('renders inline formatting', () => {
+        expect(renderRichText('**a** *b* `c*d*`')).toBe('<p><strong>a</strong> <em>b</em> <code>c*d*</code></p>');
+    });
+
+    test('only renders images uploaded through the admin panel', () => {
+        expect(renderRichText('![Chart](/uploads/question-images/chart-1.png)'))
+            .toBe('<p><img src="/uploads/question-images/chart-1.png" alt="Chart" class="rich-text-image"></p>');
+        expect(renderRichText('![Tracker](https://evil.example/pixel.png)')).toBe('<p>Tracker</p>');
+        expect(renderRichText('![x](javascript:alert(1))')).not.toContain('<img');
+    });
+
+    test('keeps quotes in image alt text inside the attribute', () => {
+        expect(renderRichText('![a" onload="x](/uploads/question-images/a.png)'))
+            .toContain('alt="a&quot; onload=&quot;x"');
+    });
+
+    test('renders lists, tables and code blocks', () => {
+        expect(renderRichText('- one\n- two')).toBe('<ul><li>one</li><li>two</li></ul>');
+        expect(renderRichText('1. one\n2. two')).toBe('<ol><li>one</li><li>two</li></ol>');
+        expect(renderRichText('| A | B |\n|---|---|\n| 1 | 2 |'))
+            .toBe('<table><thead><tr><th>A</th><th>B</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>');
+        expect(renderRichText('```\n<b>**x**</b>\n```')).toBe('<pre><code>&lt;b&gt;**x**&lt;/b&gt;</code></pre>');
+    });
+
+    test('splits paragraphs on blank lines', () => {
+        expect(renderRichText('a\nb\n\nc')).toBe('<p>a<br>b</p><p>c</p>');
+    });
+
+    test('renders options inline without paragraphs', () => {
+        expect(renderRichText('**yes**\nreally', { inline: true })).toBe('<strong>yes</strong><br>really');
+    });
+
+    test('renders nothing for empty text', () => {
+        expect(renderRichText(null)).toBe('');
+        expect(renderRichText('')).toBe('');
+    });
+});
+
+describe('toPlainText', () => {
+    test('drops formatting and keeps image alt text', () => {
+        expect(toPlainText('**Wages** and `HRA` ![chart](/uploads/question-images/a.png)')).toBe('Wages and HRA chart');
+    });
+});
+
+describe('addRichTextHtml', () => {
+    test('adds HTML for the question, explanation and options', () => {
+        const question = addRichTextHtml({
+            question_text: '*Which*?',
+            explanation: '**Because**',
+            options: [{ key: 'a', text: '<b>A</b>' }]
+        });
+
+        expect(question.question_html).toBe('<p><em>Which</em>?</p>');
+        expect(question.explanation_html).toBe('<p><strong>Because</strong></p>');
+        expect(question.options).toEqual([{ key: 'a', text: '<b>A</b>', html: '&lt;b&gt;A&lt;/b&gt;' }]);
+    });
+
+    test('leaves out explanation_html when there is no explanation field', () => {
+        expect(addRichTextHtml({ question_text: 'Q' })).not.toHaveProperty('explanation_html');
+    });
+});
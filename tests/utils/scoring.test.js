@@ -0,0 +1,132 @@
+const {
+    getScoringSettings,
+    getQuestionPoints,
+    getPartialCredit,
+    getSpeedFactor,
+    scoreAnswer,
+    roundScore
+} = require('../../utils/scoring');
+
+const singleChoice = { question_type: 'single_choice', correct_answer: 'b', points: '2.00' };
+const multiSelect = { question_type: 'multi_select', correct_answer: 'a,c,d', points: '3.00' };
+
+describe('getScoringSettings', () => {
+    test('defaults to plain scoring', () => {
+        expect(getScoringSettings({})).toEqual({
+            negativeMarking: 0,
+            partialCredit: false,
+            speedBonus: false,
+            speedBonusWindowSeconds: 30
+        });
+    });
+
+    test('ignores a negative or unreadable penalty', () => {
+        expect(getScoringSettings({ negative_marking: '-1' }).negativeMarking).toBe(0);
+        expect(getScoringSettings({ negative_marking: 'abc' }).negativeMarking).toBe(0);
+        expect(getScoringSettings({ negative_marking: '0.25' }).negativeMarking).toBe(0.25);
+    });
+});
+
+describe('getQuestionPoints', () => {
+    test('reads the stored weight and falls back to 1', () => {
+        expect(getQuestionPoints({ points: '2.50' })).toBe(2.5);
+        expect(getQuestionPoints({ points: null })).toBe(1);
+        expect(getQuestionPoints({ points: -3 })).toBe(1);
+    });
+
+    test('allows zero-point questions', () => {
+        expect(getQuestionPoints({ points: 0 })).toBe(0);
+    });
+});
+
+describe('getPartialCredit', () => {
+    test('gives a share per correct option selected', () => {
+        expect(getPartialCredit(multiSelect, 'a')).toBeCloseTo(1 / 3);
+        expect(getPartialCredit(multiSelect, 'a,c')).toBeCloseTo(2 / 3);
+    });
+
+    test('lets each wrong option cancel a correct one', () => {
+        expect(getPartialCredit(multiSelect, 'a,c,b')).toBeCloseTo(1 / 3);
+    });
+
+    test('never goes below zero', () => {
+        expect(getPartialCredit(multiSelect, 'a,b,e')).toBe(0);
+        expect(getPartialCredit(multiSelect, 'b')).toBe(0);
+    });
+});
+
+describe('scoreAnswer', () => {
+    test('awards the question weight for a correct answer', () => {
+        expect(scoreAnswer(singleChoice, 'b')).toEqual({ score: 2, isCorrect: true });
+    });
+
+    test('scores unanswered questions as zero, even with negative marking', () => {
+        expect(scoreAnswer(singleChoice, null, { negativeMarking: 0.5 })).toEqual({ score: 0, isCorrect: false });
+        expect(scoreAnswer(singleChoice, '', { negativeMarking: 0.5 })).toEqual({ score: 0, isCorrect: false });
+    });
+
+    test('deducts a fraction of the weight for a wrong answer', () => {
+        expect(scoreAnswer(singleChoice, 'a', { negativeMarking: 0.25 })).toEqual({ score: -0.5, isCorrect: false });
+        expect(scoreAnswer(singleChoice, 'a', {})).toEqual({ score: 0, isCorrect: false });
+    });
+
+    test('gives partial credit on multi-select questions only when enabled', () => {
+        expect(scoreAnswer(multiSelect, 'a,c', { partialCredit: true })).toEqual({ score: 2, isCorrect: false });
+        expect(scoreAnswer(multiSelect, 'a,c', { partialCredit: false })).toEqual({ score: 0, isCorrect: false });
+    });
+
+    test('applies negative marking when partial credit cancels out', () => {
+        expect(scoreAnswer(multiSelect, 'a,b', { partialCredit: true, negativeMarking: 1 }))
+            .toEqual({ score: -3, isCorrect: false });
+    });
+
+    test('grades numeric answers within the tolerance', () => {
+        const numeric = { question_type: 'numeric', correct_answer: '10', numeric_tolerance: '0.5', points: 1 };
+        expect(scoreAnswer(numeric, '10.4').isCorrect).toBe(true);
+        expect(scoreAnswer(numeric, '10.6').isCorrect).toBe(false);
+    });
+});
+
+describe('getSpeedFactor', () => {
+    test('keeps all points for an instant answer', () => {
+        expect(getSpeedFactor(0, 30)).toBe(1);
+    });
+
+    test('decays linearly to half over the window', () => {
+        expect(getSpeedFactor(15, 30)).toBe(0.75);
+        expect(getSpeedFactor(30, 30)).toBe(0.5);
+    });
+
+    test('never drops below half or rises above one', () => {
+        expect(getSpeedFactor(300, 30)).toBe(0.5);
+        expect(getSpeedFactor(-5, 30)).toBe(1);
+    });
+
+    test('gives no penalty when the response time is unknown', () => {
+        expect(getSpeedFactor(null, 30)).toBe(1);
+    });
+});
+
+describe('scoreAnswer with a speed bonus', () => {
+    const settings = { speedBonus: true, speedBonusWindowSeconds: 20, negativeMarking: 0.5, partialCredit: true };
+
+    test('scales correct answers by response time', () => {
+        expect(scoreAnswer(singleChoice, 'b', settings, 10).score).toBe(1.5);
+        expect(scoreAnswer(singleChoice, 'b', settings, 60).score).toBe(1);
+    });
+
+    test('scales partial credit too', () => {
+        expect(scoreAnswer(multiSelect, 'a,c', settings, 20).score).toBe(1);
+    });
+
+    test('does not soften the penalty of a wrong answer', () => {
+        expect(scoreAnswer(singleChoice, 'a', settings, 0).score).toBe(-1);
+    });
+});
+
+describe('roundScore', () => {
+    test('rounds to two decimals', () => {
+        expect(roundScore(1 / 3)).toBe(0.33);
+        expect(roundScore(2 / 3)).toBe(0.67);
+    });
+});
@@ -0,0 +1,134 @@
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    encryptSecret,
+    decryptSecret,
+    RECOVERY_CODE_COUNT
+} = require('../../utils/totp');
+
+// Secret of the RFC 6238 test vectors ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('base32', () => {
+    test('round-trips bytes', () => {
+        expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+        expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    });
+
+    test('ignores case, spaces and padding', () => {
+        expect(base32Decode('gezd gnbv====').toString('hex')).toBe(base32Decode('GEZDGNBV').toString('hex'));
+    });
+
+    test('rejects characters outside the alphabet', () => {
+        expect(() => base32Decode('GEZ1')).toThrow('Invalid base32 character in secret');
+    });
+
+    test('generates 160-bit secrets', () => {
+        expect(base32Decode(generateSecret())).toHaveLength(20);
+    });
+});
+
+describe('generateCode', () => {
+    test('matches the RFC 6238 SHA-1 test vectors', () => {
+        expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+        expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+        expect(generateCode(RFC_SECRET, getTimeStep(1234567890 * 1000))).toBe('005924');
+    });
+});
+
+describe('verifyCode', () => {
+    const now = 1234567890 * 1000;
+    const step = getTimeStep(now);
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('accepts the current code and one step of drift either way', () => {
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step))).toBe(step);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    });
+
+    test('refuses codes outside the window', () => {
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+    });
+
+    test('refuses a code from a step already used', () => {
+        const code = generateCode(RFC_SECRET, step);
+        expect(verifyCode(RFC_SECRET, code, step)).toBeNull();
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), step - 1)).toBeNull();
+        expect(verifyCode(RFC_SECRET, code, step - 1)).toBe(step);
+    });
+
+    test('allows spaces but refuses malformed codes', () => {
+        const code = generateCode(RFC_SECRET, step);
+        expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(step);
+        expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+        expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+        expect(verifyCode(RFC_SECRET, null)).toBeNull();
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    test('labels the account with the issuer', () => {
+        const uri = buildOtpauthUri(RFC_SECRET, 'admin@example.com', 'Quiz App');
+        expect(uri).toMatch(/^otpauth:\/\/totp\/Quiz%20App%3Aadmin%40example\.com\?/);
+        expect(new URL(uri).searchParams.get('secret')).toBe(RFC_SECRET);
+        expect(new URL(uri).searchParams.get('period')).toBe('30');
+    });
+});
+
+describe('recovery codes', () => {
+    test('generates distinct readable codes', () => {
+        const codes = generateRecoveryCodes();
+        expect(codes).toHaveLength(RECOVERY_CODE_COUNT);
+        expect(new Set(codes).size).toBe(RECOVERY_CODE_COUNT);
+        codes.forEach(code => expect(code).toMatch(/^[a-z2-9]{4}-[a-z2-9]{4}-[a-z2-9]{4}$/));
+    });
+
+    test('hashes codes the same however they are typed', () => {
+        expect(hashRecoveryCode(' K7M2 X9QP-4RTW ')).toBe(hashRecoveryCode('k7m2-x9qp-4rtw'));
+        expect(hashRecoveryCode('k7m2-x9qp-4rtw')).not.toBe(hashRecoveryCode('k7m2-x9qp-4rtx'));
+    });
+});
+
+describe('secret encryption', () => {
+    const original = process.env.TOTP_ENCRYPTION_KEY;
+
+    beforeEach(() => {
+        process.env.TOTP_ENCRYPTION_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+        if (original === undefined) {
+            delete process.env.TOTP_ENCRYPTION_KEY;
+        } else {
+            process.env.TOTP_ENCRYPTION_KEY = original;
+        }
+    });
+
+    test('round-trips a secret with a fresh IV each time', () => {
+        const first = encryptSecret(RFC_SECRET);
+        expect(first).not.toBe(encryptSecret(RFC_SECRET));
+        expect(decryptSecret(first)).toBe(RFC_SECRET);
+    });
+
+    test('refuses a secret encrypted with another key', () => {
+        const stored = encryptSecret(RFC_SECRET);
+        process.env.TOTP_ENCRYPTION_KEY = 'other-key';
+        expect(() => decryptSecret(stored)).toThrow();
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Admin Permissions
+ * Roles an admin account can have and what each role is allowed to do.
+ * Routes are guarded by permission (authorizeAdmin('quizzes:edit')), never by role name,
+ * so a role's reach is changed here and nowhere else.
+ */
+
+const PERMISSIONS = {
+    'participants:view': 'See participants and their details',
+    'participants:manage': 'Upload, edit and deactivate participants',
+    'credentials:manage': 'Reveal, reset and send participant passwords',
+    'quizzes:view': 'See quizzes and their questions',
+    'quizzes:edit': 'Create, edit and delete quizzes and question bank questions',
+    'sessions:view': 'See sessions and monitor who has joined',
+    'sessions:manage': 'Schedule, edit and delete sessions',
+    'sessions:run': 'Start and end sessions',
+    'results:view': 'See and export results',
+    'results:manage': 'Calculate prizes and email results to participants',
+    'settings:manage': 'Change app-wide security settings',
+    'admins:manage': 'Create and manage admin accounts',
+    'audit:view': 'See and export the admin audit log',
+    'organizations:manage': 'Create and rename organisations',
+    'organizations:all': 'See every organisation, not only the ones the admin is assigned to'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+    super_admin: ALL_PERMISSIONS,
+    admin: [
+        'participants:view', 'participants:manage',
+        'quizzes:view', 'quizzes:edit',
+        'sessions:view', 'sessions:manage', 'sessions:run',
+        'results:view', 'results:manage'
+    ],
+    question_author: ['quizzes:view', 'quizzes:edit'],
+    proctor: ['participants:view', 'sessions:view', 'sessions:run'],
+    analyst: ['sessions:view', 'results:view'],
+    credential_manager: ['participants:view', 'credentials:manage']
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const ROLE_LABELS = {
+    super_admin: 'Super Admin',
+    admin: 'Admin',
+    question_author: 'Question Author',
+    proctor: 'Proctor',
+    analyst: 'Analyst',
+    credential_manager: 'Credential Manager'
+};
+
+/**
+ * Permissions granted to a role
+ * @param {string} role - Admin role
+ * @returns {Array} - Permission names (empty for unknown roles)
+ */
+function getRolePermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - Admin role
+ * @param {string} permission - Permission name, e.g. 'quizzes:edit'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+    return getRolePermissions(role).includes(permission);
+}
+
+/**
+ * Check that a role name is one of the known roles
+ * @param {string} role - Role to check
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+    return ADMIN_ROLES.includes(role);
+}
+
+module.exports = {
+    PERMISSIONS,
+    ADMIN_ROLES,
+    ROLE_LABELS,
+    getRolePermissions,
+    hasPermission,
+    isValidRole
+};
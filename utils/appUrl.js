@@ -0,0 +1,18 @@
+/**
+ * App URL Utility
+ * Public address of the app, for links in emails and redirects
+ */
+
+/**
+ * Base URL of the app without a trailing slash
+ * APP_URL avoids building links from the Host header, which a client controls
+ * @param {Object} req - Express request, used when APP_URL is not set
+ * @returns {string} - e.g. 'https://quiz.example.com'
+ */
+function getBaseUrl(req) {
+    return (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+module.exports = {
+    getBaseUrl
+};
@@ -0,0 +1,290 @@
+/**
+ * Audit Log Utility
+ * Helpers for routes to describe what an audited admin action changed, the redaction applied
+ * before anything is stored, and the keyed hashes that chain log entries together.
+ * logAdminAction (middleware/auth.js) stores whatever a handler records here with the log entry.
+ */
+
+const crypto = require('crypto');
+
+// Bookkeeping columns that change on every update and say nothing about the edit
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+// Never stored, on any route (matched case-insensitively, at any depth)
+const REDACTED_FIELDS = [
+    'password', 'newpassword', 'new_password', 'currentpassword', 'current_password', 'confirmpassword',
+    'password_hash', 'token', 'challengetoken', 'code', 'otp', 'secret', 'totp_secret', 'recoverycodes', 'recovery_codes'
+];
+
+// Stored as a keyed hash: the same value always gives the same hash, so entries can still be matched up
+const HASHED_FIELDS = ['email', 'mobile', 'phone'];
+
+const REDACTED = '[REDACTED]';
+
+// Per-action additions to the lists above:
+// allow - only these body fields are kept, the rest are redacted
+// deny  - body and diff fields to redact
+// hash  - body and diff fields to hash
+const AUDIT_POLICIES = {
+    enable_two_factor: { allow: [] },
+    disable_two_factor: { allow: [] },
+    regenerate_recovery_codes: { allow: [] },
+    invite_admin: { allow: ['username', 'email', 'role', 'organizationIds'] },
+    upload_participants: { allow: ['sessionId', 'organization_id', 'group', 'dry_run', 'sync', 'default_country', 'credential_mode', 'force_password_change'] },
+    get_credentials: { allow: ['participantIds'] },
+    reset_password: { allow: ['participantId', 'credential_mode', 'force_password_change'] },
+    send_credentials: { allow: ['participantIds', 'method', 'credential_mode', 'force_password_change'] },
+    edit_participant: { hash: ['name'] },
+    // Each question's changes are in the diff; the full editor payload adds nothing
+    manage_questions: { deny: ['questions'] }
+};
+
+/**
+ * Value as stored in the log (dates as ISO text, empty values as null)
+ * @param {*} value - Column or request value
+ * @returns {*} - JSON-safe value
+ */
+function normalizeValue(value) {
+    if (value === undefined || value === '') return null;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+}
+
+// DECIMAL columns come back from pg as strings ('1.00') while requests carry numbers (1)
+function valuesEqual(a, b) {
+    const left = normalizeValue(a);
+    const right = normalizeValue(b);
+    if (typeof left === 'number' || typeof right === 'number') {
+        return left !== null && right !== null && Number(left) === Number(right);
+    }
+    return JSON.stringify(left) === JSON.stringify(right);
+}
+
+/**
+ * Fields that differ between two versions of a record
+ * @param {Object|null} before - Record before the change (null when it was created)
+ * @param {Object|null} after - Record after the change (null when it was deleted)
+ * @param {Array} fields - Fields to compare (default: every field of either version)
+ * @returns {Array} - [{ field, before, after }] for each changed field
+ */
+function diffRecords(before, after, fields = null) {
+    const oldRecord = before || {};
+    const newRecord = after || {};
+    const names = fields || [...new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)])]
+        .filter(field => !IGNORED_FIELDS.includes(field));
+
+    return names
+        .filter(field => !valuesEqual(oldRecord[field], newRecord[field]))
+        .map(field => ({
+            field,
+            before: normalizeValue(oldRecord[field]),
+            after: normalizeValue(newRecord[field])
+        }));
+}
+
+/**
+ * Record the change an action made to one entity, shown as a diff in the audit log
+ * Nothing is recorded when no compared field changed
+ * @param {Object} req - Express request of the audited action
+ * @param {string} entityType - e.g. 'question'
+ * @param {number} entityId - Entity ID
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @param {Array} fields - Fields to compare (optional)
+ */
+function recordAuditChange(req, entityType, entityId, before, after, fields = null) {
+    const changes = diffRecords(before, after, fields);
+    if (changes.length === 0) return;
+
+    req.auditChanges = req.auditChanges || [];
+    req.auditChanges.push({
+        entity_type: entityType,
+        entity_id: entityId ? parseInt(entityId) : null,
+        changes
+    });
+}
+
+/**
+ * Set the entity an action applies to when it is not in the URL (e.g. a record the action created)
+ * @param {Object} req - Express request of the audited action
+ * @param {number} entityId - Entity ID
+ */
+function setAuditEntity(req, entityId) {
+    req.auditEntityId = entityId;
+}
+
+/**
+ * Entity an audited request applies to, following the route conventions:
+ * :id or :<type>Id in the URL, or <type>Id / <type>Ids in the body
+ * @param {Object} req - Express request
+ * @param {string|null} entityType - e.g. 'participant'
+ * @returns {Object} - { entityId, entityIds } (entityIds only for actions on several entities)
+ */
+function getAuditEntity(req, entityType) {
+    if (!entityType) {
+        return { entityId: null, entityIds: null };
+    }
+
+    const body = req.body || {};
+    const candidates = [req.auditEntityId, req.params[`${entityType}Id`], req.params.id, body[`${entityType}Id`]];
+    const single = candidates.find(value => value !== undefined && value !== null && !isNaN(parseInt(value)));
+    if (single !== undefined) {
+        return { entityId: parseInt(single), entityIds: null };
+    }
+
+    const many = Array.isArray(body[`${entityType}Ids`])
+        ? body[`${entityType}Ids`].map(value => parseInt(value)).filter(value => !isNaN(value))
+        : [];
+    if (many.length === 1) {
+        return { entityId: many[0], entityIds: null };
+    }
+    return { entityId: null, entityIds: many.length > 0 ? many : null };
+}
+
+// Key for identifier hashes and the entry chain; changing it makes existing hashes unverifiable
+function getAuditKey() {
+    const keySource = process.env.AUDIT_LOG_KEY || process.env.JWT_SECRET;
+    if (!keySource) {
+        throw new Error('AUDIT_LOG_KEY or JWT_SECRET must be set to write the audit log');
+    }
+    return keySource;
+}
+
+function hmac(purpose, text) {
+    return crypto.createHmac('sha256', `${purpose}:${getAuditKey()}`).update(text).digest('hex');
+}
+
+/**
+ * Keyed hash of a sensitive identifier (case and surrounding spaces are ignored)
+ * @param {*} value - e.g. an email address
+ * @returns {string|null} - 'hmac:' followed by 16 hex characters, or null for empty values
+ */
+function hashIdentifier(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return `hmac:${hmac('identifier', String(value).trim().toLowerCase()).substring(0, 16)}`;
+}
+
+/**
+ * Apply a policy's redaction and hashing to one field
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @param {Object} policy - Entry from AUDIT_POLICIES
+ * @returns {*} - Value to store
+ */
+function redactField(field, value, policy) {
+    const name = field.toLowerCase();
+
+    if (REDACTED_FIELDS.includes(name) || (policy.deny || []).includes(field)) {
+        return REDACTED;
+    }
+    if (HASHED_FIELDS.includes(name) || (policy.hash || []).includes(field)) {
+        return Array.isArray(value) ? value.map(hashIdentifier) : hashIdentifier(value);
+    }
+    return redactValue(value, policy);
+}
+
+// Nested objects and arrays get the global lists and the policy's deny and hash lists, but not its allow list
+function redactValue(value, policy) {
+    if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, policy));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, redactField(field, item, policy)]));
+    }
+    return value;
+}
+
+/**
+ * Request body as it may be stored in the audit log for an action
+ * @param {string} action - Audited action, e.g. 'reset_password'
+ * @param {Object} body - Request body
+ * @returns {Object} - Copy with secrets redacted and identifiers hashed
+ */
+function redactBody(action, body) {
+    if (!body || typeof body !== 'object') return body;
+
+    const policy = AUDIT_POLICIES[action] || {};
+    return Object.fromEntries(Object.entries(body).map(([field, value]) => [
+        field,
+        policy.allow && !policy.allow.includes(field) ? REDACTED : redactField(field, value, policy)
+    ]));
+}
+
+/**
+ * Recorded changes (see recordAuditChange) as they may be stored for an action
+ * @param {string} action - Audited action
+ * @param {Array} changes - [{ entity_type, entity_id, changes: [{ field, before, after }] }]
+ * @returns {Array} - Copy with secret fields redacted and identifiers hashed
+ */
+function redactChanges(action, changes) {
+    const policy = AUDIT_POLICIES[action] || {};
+
+    return changes.map(change => ({
+        ...change,
+        changes: change.changes.map(({ field, before, after }) => ({
+            field,
+            before: redactField(field, before, policy),
+            after: redactField(field, after, policy)
+        }))
+    }));
+}
+
+/**
+ * What became of an audited request
+ * @param {number} statusCode - HTTP status sent
+ * @param {boolean} finished - Whether the response was sent in full
+ * @returns {string} - 'success', 'denied', 'rejected', 'error' or 'aborted'
+ */
+function getOutcome(statusCode, finished) {
+    if (!finished) return 'aborted';
+    if (statusCode < 400) return 'success';
+    if (statusCode === 401 || statusCode === 403) return 'denied';
+    if (statusCode < 500) return 'rejected';
+    return 'error';
+}
+
+// JSON with object keys sorted, so a value hashes the same after a round trip through JSONB
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash of a stored log entry chained to the entry before it; editing, removing or reordering
+ * entries breaks the chain from that point on.
+ * admin_id is left out because it is cleared when the admin is deleted; admin_username is covered.
+ * @param {Object} entry - Row as read back from admin_audit_log (created_at as created_at_text)
+ * @param {string|null} previousHash - entry_hash of the previous entry (null for the first one)
+ * @returns {string} - 64 hex characters
+ */
+function hashAuditEntry(entry, previousHash) {
+    return hmac('chain', canonicalJson({
+        id: entry.id,
+        created_at: entry.created_at_text,
+        admin_username: entry.admin_username,
+        action: entry.action,
+        entity_type: entry.entity_type,
+        entity_id: entry.entity_id,
+        details: entry.details,
+        ip_address: entry.ip_address,
+        previous_hash: previousHash
+    }));
+}
+
+module.exports = {
+    AUDIT_POLICIES,
+    diffRecords,
+    recordAuditChange,
+    setAuditEntity,
+    getAuditEntity,
+    hashIdentifier,
+    redactBody,
+    redactChanges,
+    getOutcome,
+    hashAuditEntry
+};
@@ -0,0 +1,124 @@
+/**
+ * Credentials Utility
+ * Generates participant passwords and checks passwords chosen by participants
+ */
+
+const crypto = require('crypto');
+
+// mobile: password is the mobile number (legacy); random: 12 random characters; passphrase: four words and a number
+const CREDENTIAL_MODES = ['mobile', 'random', 'passphrase'];
+
+// No 0/O, 1/l/I so passwords can be read out or copied from paper
+const RANDOM_PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+const RANDOM_PASSWORD_LENGTH = 12;
+const PASSPHRASE_WORD_COUNT = 4;
+const MIN_PASSWORD_LENGTH = 8;
+
+const PASSPHRASE_WORDS = [
+    'acorn', 'actor', 'adapt', 'agent', 'alarm', 'album', 'alert', 'alley', 'amber', 'angle', 'ankle',
+    'apple', 'apron', 'arena', 'arrow', 'atlas', 'audio', 'autumn', 'bacon', 'badge', 'baker', 'bamboo',
+    'banjo', 'barn', 'basil', 'basin', 'beach', 'beard', 'berry', 'bison', 'blade', 'blanket', 'blossom',
+    'boat', 'bonus', 'border', 'bottle', 'branch', 'brave', 'bread', 'brick', 'bridge', 'brook', 'brush',
+    'bucket', 'bugle', 'cabin', 'cactus', 'camel', 'candle', 'canoe', 'canyon', 'carbon', 'cargo', 'carpet',
+    'castle', 'cedar', 'cello', 'chalk', 'cherry', 'chess', 'chili', 'cider', 'circle', 'citrus', 'clock',
+    'cloud', 'clover', 'cobalt', 'cocoa', 'comet', 'copper', 'coral', 'cotton', 'crane', 'crater', 'crayon',
+    'cricket', 'crown', 'crystal', 'cumin', 'dairy', 'daisy', 'delta', 'denim', 'desert', 'diesel', 'dinner',
+    'dolphin', 'donkey', 'dragon', 'drum', 'eagle', 'echo', 'elbow', 'ember', 'engine', 'falcon', 'fern',
+    'ferry', 'fiddle', 'field', 'finch', 'flame', 'flute', 'forest', 'fossil', 'fountain', 'fox', 'galaxy',
+    'garden', 'garlic', 'gecko', 'ginger', 'glacier', 'globe', 'goose', 'granite', 'grape', 'gravel',
+    'guitar', 'hammer', 'harbor', 'harvest', 'hazel', 'helmet', 'heron', 'hockey', 'honey', 'horizon',
+    'hotel', 'igloo', 'island', 'ivory', 'jacket', 'jasmine', 'jelly', 'jigsaw', 'jungle', 'kayak', 'kettle',
+    'kiwi', 'ladder', 'lagoon', 'lantern', 'laser', 'lemon', 'lentil', 'lilac', 'lily', 'linen', 'lizard',
+    'lobster', 'locket', 'lotus', 'magnet', 'mango', 'maple', 'marble', 'meadow', 'melon', 'meteor', 'mint',
+    'mirror', 'monkey', 'mosaic', 'motor', 'muffin', 'mustard', 'napkin', 'nectar', 'needle', 'nickel',
+    'noodle', 'nutmeg', 'oasis', 'ocean', 'olive', 'onion', 'orange', 'orbit', 'orchid', 'otter', 'oyster',
+    'paddle', 'panda', 'paper', 'parrot', 'pasta', 'peach', 'peanut', 'pebble', 'pencil', 'pepper', 'piano',
+    'pickle', 'pillow', 'pilot', 'pine', 'planet', 'plum', 'pocket', 'polar', 'pony', 'poppy', 'potato',
+    'prism', 'pumpkin', 'puzzle', 'quartz', 'quill', 'rabbit', 'radar', 'radio', 'raisin', 'raven', 'ribbon',
+    'river', 'robin', 'rocket', 'rose', 'ruby', 'saddle', 'saffron', 'salmon', 'sand', 'satin', 'scarf',
+    'shell', 'silver', 'sketch', 'sled', 'slipper', 'snow', 'socket', 'sofa', 'spice', 'spoon', 'spring',
+    'squash', 'stamp', 'star', 'stone', 'sugar', 'summit', 'sunset', 'swan', 'tablet', 'tango', 'teapot',
+    'tiger', 'timber', 'toast', 'tomato', 'topaz', 'torch', 'tower', 'tractor', 'trumpet', 'tulip', 'tunnel',
+    'turtle', 'umbrella', 'valley', 'velvet', 'violet', 'violin', 'walnut', 'walrus', 'wagon', 'water',
+    'whale', 'willow', 'window', 'winter', 'wizard', 'yacht', 'yogurt', 'zebra', 'zipper'
+];
+
+/**
+ * Credential mode used when none is given for an upload or reset
+ * @returns {string} - CREDENTIAL_MODE from the environment, 'mobile' if unset or unknown
+ */
+function getDefaultCredentialMode() {
+    const mode = (process.env.CREDENTIAL_MODE || 'mobile').toLowerCase().trim();
+    return CREDENTIAL_MODES.includes(mode) ? mode : 'mobile';
+}
+
+/**
+ * Generate a random password from an unambiguous alphabet
+ * @param {number} length - Number of characters
+ * @returns {string} - Password with at least one upper-case letter, lower-case letter and digit
+ */
+function generateRandomPassword(length = RANDOM_PASSWORD_LENGTH) {
+    while (true) {
+        let password = '';
+        for (let i = 0; i < length; i++) {
+            password += RANDOM_PASSWORD_ALPHABET[crypto.randomInt(RANDOM_PASSWORD_ALPHABET.length)];
+        }
+
+        if (/[A-Z]/.test(password) && /[a-z]/.test(password) && /[0-9]/.test(password)) {
+            return password;
+        }
+    }
+}
+
+/**
+ * Generate a passphrase that is easy to type, e.g. 'maple-otter-copper-kiwi-47'
+ * @param {number} wordCount - Number of words
+ * @returns {string} - Passphrase
+ */
+function generatePassphrase(wordCount = PASSPHRASE_WORD_COUNT) {
+    const words = [];
+    for (let i = 0; i < wordCount; i++) {
+        words.push(PASSPHRASE_WORDS[crypto.randomInt(PASSPHRASE_WORDS.length)]);
+    }
+
+    return `${words.join('-')}-${crypto.randomInt(10, 100)}`;
+}
+
+/**
+ * Check a password chosen by a participant
+ * @param {string} password - New password
+ * @param {Object} context - { username, mobile } values the password must not equal
+ * @returns {string|null} - Error message, or null if the password is acceptable
+ */
+function validateNewPassword(password, context = {}) {
+    const value = String(password || '');
+
+    if (value.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+
+    if (!/[A-Za-z]/.test(value) || !/[0-9]/.test(value)) {
+        return 'Password must contain letters and numbers';
+    }
+
+    if (context.username && value.toLowerCase() === String(context.username).toLowerCase()) {
+        return 'Password must not be your username';
+    }
+
+    // The last 8 digits are the same with or without a country code
+    const mobileDigits = String(context.mobile || '').replace(/\D/g, '');
+    if (mobileDigits.length >= 8 && value.includes(mobileDigits.slice(-8))) {
+        return 'Password must not contain your mobile number';
+    }
+
+    return null;
+}
+
+module.exports = {
+    CREDENTIAL_MODES,
+    MIN_PASSWORD_LENGTH,
+    getDefaultCredentialMode,
+    generateRandomPassword,
+    generatePassphrase,
+    validateNewPassword
+};
@@ -0,0 +1,145 @@
+/**
+ * Phone Number Utility
+ * Validates mobile numbers per country and stores them in E.164 format (e.g. +971501234567)
+ */
+
+const validator = require('validator');
+
+// Countries participants are imported from. locale is the validator.js mobile locale;
+// countries without one are checked by length only
+const PHONE_COUNTRIES = {
+    IN: { name: 'India', callingCode: '91', locale: 'en-IN', lengths: [10] },
+    AE: { name: 'United Arab Emirates', callingCode: '971', locale: 'ar-AE', lengths: [9] },
+    SA: { name: 'Saudi Arabia', callingCode: '966', locale: 'ar-SA', lengths: [9] },
+    QA: { name: 'Qatar', callingCode: '974', locale: null, lengths: [8] },
+    KW: { name: 'Kuwait', callingCode: '965', locale: 'ar-KW', lengths: [8] },
+    BH: { name: 'Bahrain', callingCode: '973', locale: 'ar-BH', lengths: [8] },
+    OM: { name: 'Oman', callingCode: '968', locale: 'ar-OM', lengths: [8] },
+    SG: { name: 'Singapore', callingCode: '65', locale: 'en-SG', lengths: [8] },
+    MY: { name: 'Malaysia', callingCode: '60', locale: 'ms-MY', lengths: [9, 10] },
+    ID: { name: 'Indonesia', callingCode: '62', locale: 'id-ID', lengths: [9, 10, 11, 12] },
+    TH: { name: 'Thailand', callingCode: '66', locale: 'th-TH', lengths: [9] },
+    PH: { name: 'Philippines', callingCode: '63', locale: 'en-PH', lengths: [10] },
+    VN: { name: 'Vietnam', callingCode: '84', locale: 'vi-VN', lengths: [9] },
+    LK: { name: 'Sri Lanka', callingCode: '94', locale: 'si-LK', lengths: [9] },
+    BD: { name: 'Bangladesh', callingCode: '880', locale: 'bn-BD', lengths: [10] },
+    NP: { name: 'Nepal', callingCode: '977', locale: 'ne-NP', lengths: [10] },
+    HK: { name: 'Hong Kong', callingCode: '852', locale: 'en-HK', lengths: [8] },
+    AU: { name: 'Australia', callingCode: '61', locale: 'en-AU', lengths: [9] },
+    GB: { name: 'United Kingdom', callingCode: '44', locale: 'en-GB', lengths: [10] },
+    US: { name: 'United States', callingCode: '1', locale: 'en-US', lengths: [10] }
+};
+
+/**
+ * Default country for numbers written without a country code
+ * @returns {string} - ISO country code from DEFAULT_PHONE_COUNTRY (India if unset or unknown)
+ */
+function getDefaultCountry() {
+    const country = (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase().trim();
+    return PHONE_COUNTRIES[country] ? country : 'IN';
+}
+
+/**
+ * Resolve a country given as an ISO code ('AE'), a calling code ('+971', '971') or a name
+ * @param {string} value - Country as written in a file or form
+ * @returns {string|null} - ISO country code, or null if it is not supported
+ */
+function normalizeCountry(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    const code = text.toUpperCase();
+    if (PHONE_COUNTRIES[code]) return code;
+
+    const callingCode = text.replace(/^\+|^00/, '');
+    const match = Object.keys(PHONE_COUNTRIES).find(key =>
+        PHONE_COUNTRIES[key].callingCode === callingCode || PHONE_COUNTRIES[key].name.toLowerCase() === text.toLowerCase()
+    );
+
+    return match || null;
+}
+
+/**
+ * Check a national number against a country's rules
+ * @param {string} country - ISO country code
+ * @param {string} nationalNumber - Digits without country code or trunk prefix
+ * @returns {boolean} - Whether it is a valid mobile number
+ */
+function isValidNationalNumber(country, nationalNumber) {
+    const { callingCode, locale, lengths } = PHONE_COUNTRIES[country];
+
+    if (!lengths.includes(nationalNumber.length)) return false;
+
+    return !locale || validator.isMobilePhone(`+${callingCode}${nationalNumber}`, locale, { strictMode: true });
+}
+
+/**
+ * Parse a mobile number written in any common format
+ * Numbers starting with + or 00 carry their own country code; others use the default country
+ * @param {string} input - e.g. '+971 50 123 4567', '0501234567', '98765 43210'
+ * @param {string} defaultCountry - ISO country code for numbers without a country code
+ * @returns {Object} - { e164, country, nationalNumber }
+ * @throws {Error} - If the number is not a valid mobile number
+ */
+function parsePhoneNumber(input, defaultCountry = getDefaultCountry()) {
+    const raw = String(input || '').trim();
+    let digits = raw.replace(/\D/g, '');
+
+    if (!digits) {
+        throw new Error(`Invalid mobile number: ${raw}`);
+    }
+
+    const isInternational = raw.startsWith('+') || digits.startsWith('00');
+    let candidates = [];
+
+    if (isInternational) {
+        digits = raw.startsWith('+') ? digits : digits.substring(2);
+        candidates = Object.keys(PHONE_COUNTRIES)
+            .filter(country => digits.startsWith(PHONE_COUNTRIES[country].callingCode))
+            .map(country => ({ country, nationalNumber: digits.substring(PHONE_COUNTRIES[country].callingCode.length) }));
+
+        if (candidates.length === 0) {
+            throw new Error(`Invalid mobile number: ${raw}. Country code is not supported`);
+        }
+    } else {
+        const { callingCode } = PHONE_COUNTRIES[defaultCountry];
+
+        // Local format with a trunk prefix (0501234567) or the country code without + (919876543210)
+        candidates.push({ country: defaultCountry, nationalNumber: digits.replace(/^0+/, '') });
+        if (digits.startsWith(callingCode)) {
+            candidates.push({ country: defaultCountry, nationalNumber: digits.substring(callingCode.length) });
+        }
+    }
+
+    const match = candidates.find(candidate => isValidNationalNumber(candidate.country, candidate.nationalNumber));
+
+    if (!match) {
+        const country = isInternational ? candidates[0].country : defaultCountry;
+        throw new Error(`Invalid mobile number: ${raw}. Not a valid ${PHONE_COUNTRIES[country].name} mobile number`);
+    }
+
+    return {
+        e164: `+${PHONE_COUNTRIES[match.country].callingCode}${match.nationalNumber}`,
+        country: match.country,
+        nationalNumber: match.nationalNumber
+    };
+}
+
+/**
+ * Format a mobile number as E.164
+ * @param {string} input - Mobile number in any common format
+ * @param {string} defaultCountry - ISO country code for numbers without a country code
+ * @returns {string} - e.g. '+919876543210'
+ * @throws {Error} - If the number is not a valid mobile number
+ */
+function formatE164(input, defaultCountry = getDefaultCountry()) {
+    return parsePhoneNumber(input, defaultCountry).e164;
+}
+
+module.exports = {
+    PHONE_COUNTRIES,
+    getDefaultCountry,
+    normalizeCountry,
+    parsePhoneNumber,
+    formatE164
+};
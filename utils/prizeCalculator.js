@@ -1,4 +1,6 @@
 const db = require('../config/database');
+const { getScoringSettings, scoreAnswer, getQuestionPoints, roundScore } = require('./scoring');
+const { resolveParticipantQuestionIds } = require('./questionPool');
 
 /**
  * Calculate and assign prize winners for a quiz session
@@ -18,6 +20,18 @@ async function calculatePrizeWinners(sessionId) {
         // First, calculate results for all participants who haven't been processed yet
         await calculateSessionResults(sessionId, client);
         
+        // Rank everyone by weighted score, fastest completion breaking ties
+        await client.query(`
+            UPDATE results r
+            SET rank_position = ranked.position
+            FROM (
+                SELECT id, ROW_NUMBER() OVER (ORDER BY total_score DESC, completion_time_seconds ASC) as position
+                FROM results
+                WHERE session_id = $1
+            ) ranked
+            WHERE r.id = ranked.id
+        `, [sessionId]);
+        
         // Get top performers for prize assignment
         const winnersResult = await client.query(`
             SELECT r.*, p.name, p.email, p.company
@@ -126,20 +140,30 @@ async function calculateParticipantResult(sessionId, participantId, client = nul
     const dbClient = client || db;
     
     try {
-        // Get participant answers and calculate scores
+        // Only the questions drawn for this participant count (null = every quiz question)
+        const assignedQuestionIds = await resolveParticipantQuestionIds(dbClient, sessionId, participantId);
+        
+        // Get every quiz question with the participant's answer (if any) so each one is scored
         const answersResult = await dbClient.query(`
-            SELECT 
-                COUNT(*) as total_answered,
-                COUNT(*) FILTER (WHERE is_correct = true) as correct_answers,
-                COUNT(*) FILTER (WHERE is_correct = false) as incorrect_answers,
-                SUM(time_taken_seconds) as total_time_taken
-            FROM participant_answers
-            WHERE session_id = $1 AND participant_id = $2
-        `, [sessionId, participantId]);
+            SELECT q.id, q.question_type, q.correct_answer, q.numeric_tolerance, q.points,
+                   pa.selected_answer,
+                   -- Response time from when the question was first shown (falls back to quiz start)
+                   EXTRACT(EPOCH FROM (pa.answered_at - COALESCE(qv.first_shown_at, sp.started_quiz_at, qs.quiz_start_time))) as response_seconds
+            FROM quiz_sessions qs
+            JOIN quiz_questions qq ON qq.quiz_id = qs.quiz_id
+            JOIN questions q ON qq.question_id = q.id
+            LEFT JOIN participant_answers pa ON pa.question_id = q.id
+                AND pa.session_id = qs.id AND pa.participant_id = $2
+            LEFT JOIN question_views qv ON qv.question_id = q.id
+                AND qv.session_id = qs.id AND qv.participant_id = $2
+            LEFT JOIN session_participants sp ON sp.session_id = qs.id AND sp.participant_id = $2
+            WHERE qs.id = $1 AND ($3::int[] IS NULL OR q.id = ANY($3::int[]))
+        `, [sessionId, participantId, assignedQuestionIds]);
         
-        // Get total questions in quiz
+        // Get total questions and scoring settings of the quiz
         const quizResult = await dbClient.query(`
-            SELECT q.total_questions
+            SELECT q.total_questions, q.negative_marking, q.partial_credit,
+                   q.speed_bonus_enabled, q.speed_bonus_window_seconds
             FROM quiz_sessions qs
             JOIN quizzes q ON qs.quiz_id = q.id
             WHERE qs.id = $1
@@ -153,22 +177,40 @@ async function calculateParticipantResult(sessionId, participantId, client = nul
             WHERE session_id = $1 AND participant_id = $2
         `, [sessionId, participantId]);
         
-        if (answersResult.rows.length === 0 || quizResult.rows.length === 0 || submissionResult.rows.length === 0) {
+        if (quizResult.rows.length === 0 || submissionResult.rows.length === 0) {
             throw new Error('Missing data for result calculation');
         }
         
-        const answers = answersResult.rows[0];
-        const totalQuestions = parseInt(quizResult.rows[0].total_questions);
+        const totalQuestions = assignedQuestionIds
+            ? answersResult.rows.length
+            : parseInt(quizResult.rows[0].total_questions);
         const submission = submissionResult.rows[0];
+        const scoringSettings = getScoringSettings(quizResult.rows[0]);
         
-        const correctAnswers = parseInt(answers.correct_answers) || 0;
-        const incorrectAnswers = parseInt(answers.incorrect_answers) || 0;
-        const totalAnswered = parseInt(answers.total_answered) || 0;
-        const unanswered = totalQuestions - totalAnswered;
+        let totalScore = 0;
+        let maxScore = 0;
+        let correctAnswers = 0;
+        let totalAnswered = 0;
         
-        // Calculate scores
-        const totalScore = correctAnswers; // 1 point per correct answer
-        const percentageScore = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0;
+        // Calculate weighted scores (partial credit, negative marking and speed bonus per quiz settings)
+        answersResult.rows.forEach(row => {
+            const { score, isCorrect } = scoreAnswer(row, row.selected_answer, scoringSettings, row.response_seconds);
+            
+            maxScore += getQuestionPoints(row);
+            totalScore += score;
+            
+            if (row.selected_answer !== null) {
+                totalAnswered++;
+                if (isCorrect) correctAnswers++;
+            }
+        });
+        
+        totalScore = roundScore(totalScore);
+        maxScore = roundScore(maxScore);
+        
+        const incorrectAnswers = totalAnswered - correctAnswers;
+        const unanswered = totalQuestions - totalAnswered;
+        const percentageScore = maxScore > 0 ? Math.max(0, roundScore((totalScore / maxScore) * 100)) : 0;
         const completionTimeSeconds = Math.floor(parseFloat(submission.completion_time_seconds) || 0);
         
         // Determine performance category
@@ -182,23 +224,25 @@ async function calculateParticipantResult(sessionId, participantId, client = nul
         // Insert or update results
         await dbClient.query(`
             INSERT INTO results (
-                session_id, participant_id, total_questions, total_score, percentage_score, 
+                session_id, participant_id, total_questions, total_score, max_score, percentage_score, 
                 correct_answers, incorrect_answers, unanswered,
                 completion_time_seconds, performance_category
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
             ON CONFLICT (session_id, participant_id)
             DO UPDATE SET 
-                total_questions = $3, total_score = $4, percentage_score = $5,
-                correct_answers = $6, incorrect_answers = $7, unanswered = $8,
-                completion_time_seconds = $9, performance_category = $10
+                total_questions = $3, total_score = $4, max_score = $5, percentage_score = $6,
+                correct_answers = $7, incorrect_answers = $8, unanswered = $9,
+                completion_time_seconds = $10, performance_category = $11
         `, [
-            sessionId, participantId, totalQuestions, totalScore, percentageScore,
+            sessionId, participantId, totalQuestions, totalScore, maxScore, percentageScore,
             correctAnswers, incorrectAnswers, unanswered,
             completionTimeSeconds, performanceCategory
         ]);
         
         return {
+            totalQuestions,
             totalScore,
+            maxScore,
             percentageScore,
             correctAnswers,
             incorrectAnswers,
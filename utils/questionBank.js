@@ -0,0 +1,239 @@
+/**
+ * Question Bank Utility
+ * Stores questions once and links them to any number of quizzes through quiz_questions.
+ * Each question belongs to an organisation and is only linked to quizzes of the same organisation.
+ */
+
+const { normalizeQuestion } = require('./questionTypes');
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+// Fields that decide how an answer is scored and which options it maps to
+const ANSWER_KEY_FIELDS = [
+    'question_type',
+    'option_a', 'option_b', 'option_c', 'option_d', 'option_e', 'option_f', 'option_g', 'option_h',
+    'correct_answer', 'numeric_tolerance', 'points'
+];
+
+/**
+ * Split tags into a clean, de-duplicated list
+ * @param {string|Array} value - e.g. 'POSH, Labour law' or ['POSH', 'Labour law']
+ * @returns {Array} - Trimmed tags in their original order
+ */
+function normalizeTags(value) {
+    if (value === null || value === undefined) return [];
+
+    const parts = Array.isArray(value) ? value : String(value).split(/[,;|]+/);
+    const tags = [];
+
+    parts.forEach(part => {
+        const tag = String(part).trim();
+        if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+            tags.push(tag);
+        }
+    });
+
+    return tags;
+}
+
+/**
+ * Normalise a question together with its bank metadata (category, difficulty, tags)
+ * @param {Object} input - Raw question data from the editor, bank or a file upload
+ * @returns {Object} - Question fields ready to be stored
+ * @throws {Error} - If the question or its metadata is invalid
+ */
+function normalizeBankQuestion(input) {
+    const question = normalizeQuestion(input);
+
+    const difficulty = (input.difficulty || 'medium').toString().toLowerCase().trim();
+    if (!DIFFICULTY_LEVELS.includes(difficulty)) {
+        throw new Error(`Invalid difficulty "${input.difficulty}". Must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+    }
+
+    const category = (input.category || '').toString().trim();
+
+    return {
+        ...question,
+        category: category || null,
+        difficulty,
+        tags: normalizeTags(input.tags)
+    };
+}
+
+/**
+ * Insert a normalised question into an organisation's bank
+ * @param {Object} client - Database client
+ * @param {Object} question - Question from normalizeBankQuestion
+ * @param {number} organizationId - Organisation the question belongs to
+ * @returns {Promise<number>} - New question ID
+ */
+async function insertQuestion(client, question, organizationId) {
+    const result = await client.query(`
+        INSERT INTO questions (
+            question_type, question_text,
+            option_a, option_b, option_c, option_d, option_e, option_f, option_g, option_h,
+            correct_answer, numeric_tolerance, points, explanation, reference, category, difficulty, tags,
+            organization_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+        RETURNING id
+    `, [
+        question.question_type, question.question_text,
+        question.option_a, question.option_b, question.option_c, question.option_d,
+        question.option_e, question.option_f, question.option_g, question.option_h,
+        question.correct_answer, question.numeric_tolerance, question.points,
+        question.explanation, question.reference,
+        question.category, question.difficulty, question.tags,
+        organizationId
+    ]);
+
+    return result.rows[0].id;
+}
+
+/**
+ * Update a bank question in place (the change applies to every quiz it is linked to)
+ * @param {Object} client - Database client
+ * @param {number} questionId - Question ID
+ * @param {Object} question - Question from normalizeBankQuestion
+ * @returns {Promise<boolean>} - Whether the question existed
+ */
+async function updateQuestion(client, questionId, question) {
+    const result = await client.query(`
+        UPDATE questions
+        SET question_type = $1, question_text = $2,
+            option_a = $3, option_b = $4, option_c = $5, option_d = $6,
+            option_e = $7, option_f = $8, option_g = $9, option_h = $10,
+            correct_answer = $11, numeric_tolerance = $12, points = $13,
+            explanation = $14, reference = $15,
+            category = $16, difficulty = $17, tags = $18, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $19
+    `, [
+        question.question_type, question.question_text,
+        question.option_a, question.option_b, question.option_c, question.option_d,
+        question.option_e, question.option_f, question.option_g, question.option_h,
+        question.correct_answer, question.numeric_tolerance, question.points,
+        question.explanation, question.reference,
+        question.category, question.difficulty, question.tags, questionId
+    ]);
+
+    return result.rowCount > 0;
+}
+
+/**
+ * Whether a question has been shown or answered in any session, so past results depend on it
+ * @param {Object} client - Database client
+ * @param {number} questionId - Question ID
+ * @returns {Promise<boolean>}
+ */
+async function isQuestionAnswered(client, questionId) {
+    const result = await client.query(`
+        SELECT EXISTS (SELECT 1 FROM participant_answers WHERE question_id = $1)
+            OR EXISTS (SELECT 1 FROM question_views WHERE question_id = $1) as answered
+    `, [questionId]);
+
+    return result.rows[0].answered;
+}
+
+/**
+ * Whether an edit changes how the question is scored (type, options, answer, tolerance or points)
+ * @param {Object} previous - Stored question row
+ * @param {Object} question - Question from normalizeBankQuestion
+ * @returns {boolean}
+ */
+function changesAnswerKey(previous, question) {
+    return ANSWER_KEY_FIELDS.some(field => {
+        const before = previous[field];
+        const after = question[field];
+        if (field === 'numeric_tolerance' || field === 'points') {
+            return parseFloat(before || 0) !== parseFloat(after || 0);
+        }
+        return (before === null || before === undefined ? '' : String(before)) !==
+            (after === null || after === undefined ? '' : String(after));
+    });
+}
+
+/**
+ * Replace the questions linked to a quiz, in the given order
+ * Unlinked questions stay in the bank; questions of another organisation are skipped
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} quizId - Quiz ID
+ * @param {Array} questionIds - Question IDs in display order
+ */
+async function setQuizQuestions(client, quizId, questionIds) {
+    await client.query('DELETE FROM quiz_questions WHERE quiz_id = $1', [quizId]);
+
+    for (let i = 0; i < questionIds.length; i++) {
+        await client.query(`
+            INSERT INTO quiz_questions (quiz_id, question_id, question_order)
+            SELECT qz.id, q.id, $3
+            FROM quizzes qz
+            JOIN questions q ON q.id = $2 AND q.organization_id = qz.organization_id
+            WHERE qz.id = $1
+            ON CONFLICT (quiz_id, question_id) DO NOTHING
+        `, [quizId, questionIds[i], i + 1]);
+    }
+
+    await updateQuizQuestionCount(client, quizId);
+}
+
+/**
+ * Append bank questions to the end of a quiz, skipping ones already linked or of another organisation
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} quizId - Quiz ID
+ * @param {Array} questionIds - Question IDs to attach
+ * @returns {Promise<Array>} - IDs that were newly attached
+ */
+async function attachQuestionsToQuiz(client, quizId, questionIds) {
+    const orderResult = await client.query(
+        'SELECT COALESCE(MAX(question_order), 0) as max_order FROM quiz_questions WHERE quiz_id = $1',
+        [quizId]
+    );
+    let nextOrder = parseInt(orderResult.rows[0].max_order) + 1;
+
+    const attached = [];
+    for (const questionId of questionIds) {
+        const result = await client.query(`
+            INSERT INTO quiz_questions (quiz_id, question_id, question_order)
+            SELECT qz.id, q.id, $3
+            FROM quizzes qz
+            JOIN questions q ON q.id = $2 AND q.organization_id = qz.organization_id
+            WHERE qz.id = $1
+            ON CONFLICT (quiz_id, question_id) DO NOTHING
+            RETURNING question_id
+        `, [quizId, questionId, nextOrder]);
+
+        if (result.rows.length > 0) {
+            attached.push(result.rows[0].question_id);
+            nextOrder++;
+        }
+    }
+
+    await updateQuizQuestionCount(client, quizId);
+    return attached;
+}
+
+/**
+ * Keep quizzes.total_questions in sync with the linked questions
+ * @param {Object} client - Database client
+ * @param {number} quizId - Quiz ID
+ */
+async function updateQuizQuestionCount(client, quizId) {
+    await client.query(`
+        UPDATE quizzes
+        SET total_questions = (SELECT COUNT(*) FROM quiz_questions WHERE quiz_id = $1)
+        WHERE id = $1
+    `, [quizId]);
+}
+
+module.exports = {
+    DIFFICULTY_LEVELS,
+    normalizeTags,
+    normalizeBankQuestion,
+    insertQuestion,
+    updateQuestion,
+    isQuestionAnswered,
+    changesAnswerKey,
+    setQuizQuestions,
+    attachQuestionsToQuiz,
+    updateQuizQuestionCount
+};
@@ -0,0 +1,189 @@
+/**
+ * Question Pool Utility
+ * Draws a per-participant subset of a quiz's questions from draw rules
+ * (e.g. 5 easy + 10 medium + 5 hard tagged "POSH")
+ */
+
+const seedrandom = require('seedrandom');
+const { DIFFICULTY_LEVELS } = require('./questionBank');
+
+/**
+ * Validate and normalise a quiz's draw rules
+ * @param {Array|string|null} value - Rules as an array or JSON string, e.g. [{ count: 5, difficulty: 'easy', tag: 'POSH' }]
+ * @returns {Array|null} - Normalised rules, or null when every question should be used
+ * @throws {Error} - If a rule is invalid
+ */
+function normalizeDrawRules(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    let rules = value;
+    if (typeof rules === 'string') {
+        try {
+            rules = JSON.parse(rules);
+        } catch (error) {
+            throw new Error('Draw rules must be valid JSON');
+        }
+    }
+
+    if (!Array.isArray(rules)) {
+        throw new Error('Draw rules must be a list of rules');
+    }
+
+    if (rules.length === 0) return null;
+
+    return rules.map((rule, index) => {
+        const count = parseInt(rule.count);
+        if (isNaN(count) || count < 1 || String(count) !== String(rule.count).trim()) {
+            throw new Error(`Rule ${index + 1}: count must be a positive whole number`);
+        }
+
+        const difficulty = rule.difficulty ? String(rule.difficulty).toLowerCase().trim() : null;
+        if (difficulty && !DIFFICULTY_LEVELS.includes(difficulty)) {
+            throw new Error(`Rule ${index + 1}: difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+        }
+
+        return {
+            count,
+            difficulty,
+            category: rule.category ? String(rule.category).trim() : null,
+            tag: rule.tag ? String(rule.tag).trim() : null
+        };
+    });
+}
+
+/**
+ * Check whether a question satisfies a draw rule (category and tag match case-insensitively)
+ * @param {Object} question - Question row with difficulty, category and tags
+ * @param {Object} rule - Normalised draw rule
+ * @returns {boolean} - Whether the question can be drawn by the rule
+ */
+function matchesRule(question, rule) {
+    if (rule.difficulty && question.difficulty !== rule.difficulty) {
+        return false;
+    }
+
+    if (rule.category && (question.category || '').toLowerCase() !== rule.category.toLowerCase()) {
+        return false;
+    }
+
+    if (rule.tag && !(question.tags || []).some(tag => tag.toLowerCase() === rule.tag.toLowerCase())) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check that a pool has enough questions for every rule, whatever each participant draws
+ * Rules are applied in order and a question drawn by one rule is not available to later ones,
+ * so each rule is checked against the worst case where earlier rules took its matching questions
+ * @param {Array} questions - Quiz question pool
+ * @param {Array} rules - Normalised draw rules
+ * @returns {Array} - Problems as messages (empty when the rules can always be satisfied)
+ */
+function checkDrawRules(questions, rules) {
+    const problems = [];
+
+    rules.forEach((rule, index) => {
+        const earlierRules = rules.slice(0, index);
+        const candidates = questions.filter(question => matchesRule(question, rule));
+        const shared = candidates.filter(question => earlierRules.some(earlier => matchesRule(question, earlier))).length;
+        const earlierCount = earlierRules.reduce((sum, earlier) => sum + earlier.count, 0);
+        const available = candidates.length - Math.min(shared, earlierCount);
+
+        if (available < rule.count) {
+            problems.push(`Rule ${index + 1} needs ${rule.count} questions but only ${available} are guaranteed to be left after earlier rules`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Draw a participant's questions from the pool
+ * The RNG is seeded from the session and participant, so the same participant always gets the same draw
+ * @param {Array} questions - Quiz question pool in quiz order
+ * @param {Array} rules - Normalised draw rules
+ * @param {number} participantId - Participant ID
+ * @param {number} sessionId - Session ID
+ * @returns {Array} - Drawn questions, kept in quiz order
+ */
+function drawQuestions(questions, rules, participantId, sessionId) {
+    const rng = seedrandom(`draw-${sessionId}-${participantId}`);
+    const drawnIds = new Set();
+
+    rules.forEach(rule => {
+        const candidates = questions.filter(question => !drawnIds.has(question.id) && matchesRule(question, rule));
+
+        // Partial Fisher-Yates: only the first `count` positions need to be random
+        const picks = Math.min(rule.count, candidates.length);
+        for (let i = 0; i < picks; i++) {
+            const j = i + Math.floor(rng() * (candidates.length - i));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+            drawnIds.add(candidates[i].id);
+        }
+    });
+
+    return questions.filter(question => drawnIds.has(question.id));
+}
+
+/**
+ * Get the question IDs stored for a participant, in the order they were shown
+ * @param {Object|null} storedOrder - session_participants.shuffled_question_order
+ * @returns {Array|null} - Question IDs or null if nothing has been stored yet
+ */
+function getStoredQuestionIds(storedOrder) {
+    if (!storedOrder || !Array.isArray(storedOrder.order)) return null;
+
+    return [...storedOrder.order]
+        .sort((a, b) => a.shuffledOrder - b.shuffledOrder)
+        .map(item => item.questionId);
+}
+
+/**
+ * Get the questions a participant is answering in a session
+ * Uses the stored set when the participant has loaded the quiz; otherwise repeats the
+ * (deterministic) draw, so scoring never counts questions the participant could not see
+ * @param {Object} client - Database client or pool
+ * @param {number} sessionId - Session ID
+ * @param {number} participantId - Participant ID
+ * @returns {Promise<Array|null>} - Question IDs, or null when the participant gets every quiz question
+ */
+async function resolveParticipantQuestionIds(client, sessionId, participantId) {
+    const result = await client.query(`
+        SELECT sp.shuffled_question_order, qz.draw_rules, qs.quiz_id
+        FROM quiz_sessions qs
+        JOIN quizzes qz ON qs.quiz_id = qz.id
+        LEFT JOIN session_participants sp ON sp.session_id = qs.id AND sp.participant_id = $2
+        WHERE qs.id = $1
+    `, [sessionId, participantId]);
+
+    if (result.rows.length === 0) return null;
+
+    const { shuffled_question_order, draw_rules, quiz_id } = result.rows[0];
+
+    const storedIds = getStoredQuestionIds(shuffled_question_order);
+    if (storedIds) return storedIds;
+
+    const rules = normalizeDrawRules(draw_rules);
+    if (!rules) return null;
+
+    const poolResult = await client.query(`
+        SELECT q.id, q.difficulty, q.category, q.tags
+        FROM quiz_questions qq
+        JOIN questions q ON qq.question_id = q.id
+        WHERE qq.quiz_id = $1
+        ORDER BY qq.question_order ASC
+    `, [quiz_id]);
+
+    return drawQuestions(poolResult.rows, rules, participantId, sessionId).map(question => question.id);
+}
+
+module.exports = {
+    normalizeDrawRules,
+    matchesRule,
+    checkDrawRules,
+    drawQuestions,
+    getStoredQuestionIds,
+    resolveParticipantQuestionIds
+};
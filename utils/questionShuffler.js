@@ -3,6 +3,8 @@
  * Handles randomization of questions and answer options to prevent copying
  */
 
+const { OPTION_KEYS, getQuestionOptions, parseAnswerKeys } = require('./questionTypes');
+
 /**
  * Fisher-Yates shuffle algorithm for proper randomization
  * @param {Array} array - Array to shuffle
@@ -60,6 +62,9 @@ function generateShuffledQuestionOrder(questions, participantId, sessionId) {
     };
 }
 
+// Numeric questions have no options and true/false reads oddly as "False / True"
+const SHUFFLED_OPTION_TYPES = ['single_choice', 'multi_select'];
+
 /**
  * Shuffle answer options within a question
  * @param {Object} question - Question object with options
@@ -67,12 +72,11 @@ function generateShuffledQuestionOrder(questions, participantId, sessionId) {
  * @returns {Object} - Question with shuffled options and correct answer mapping
  */
 function shuffleQuestionOptions(question, participantId) {
-    const options = [
-        { key: 'a', value: question.option_a },
-        { key: 'b', value: question.option_b },
-        { key: 'c', value: question.option_c },
-        { key: 'd', value: question.option_d }
-    ];
+    if (!SHUFFLED_OPTION_TYPES.includes(question.question_type || 'single_choice')) {
+        return question;
+    }
+    
+    const options = getQuestionOptions(question);
     
     // Use participant ID and question ID for consistent shuffling
     const seed = `${participantId}-${question.id}`;
@@ -85,24 +89,59 @@ function shuffleQuestionOptions(question, participantId) {
         [options[i], options[j]] = [options[j], options[i]];
     }
     
-    // Create mapping of shuffled options
-    const shuffledQuestion = { ...question };
+    // Map each original key to the position it is shown in
     const optionMapping = {};
-    
     options.forEach((option, index) => {
-        const newKey = String.fromCharCode(97 + index); // 'a', 'b', 'c', 'd'
-        shuffledQuestion[`option_${newKey}`] = option.value;
-        optionMapping[option.key] = newKey;
+        optionMapping[option.key] = OPTION_KEYS[index];
+    });
+    
+    return applyOptionMapping(question, optionMapping);
+}
+
+/**
+ * Rebuild a question with its options in the order a participant saw them
+ * @param {Object} question - Question row in original option order
+ * @param {Object|null} optionMapping - Original key -> shown key (e.g. { a: 'c', b: 'a', c: 'b' })
+ * @returns {Object} - Question with options and correct answer in shown order
+ */
+function applyOptionMapping(question, optionMapping) {
+    if (!optionMapping) {
+        return question;
+    }
+    
+    const shuffledQuestion = { ...question };
+    
+    OPTION_KEYS.forEach(key => {
+        shuffledQuestion[`option_${key}`] = null;
+    });
+    
+    Object.entries(optionMapping).forEach(([originalKey, shownKey]) => {
+        shuffledQuestion[`option_${shownKey}`] = question[`option_${originalKey}`];
     });
     
     // Update correct answer to match new option order
-    shuffledQuestion.correct_answer = optionMapping[question.correct_answer];
+    shuffledQuestion.correct_answer = mapAnswerToShown(question.correct_answer, optionMapping);
     shuffledQuestion.original_correct_answer = question.correct_answer;
     shuffledQuestion.option_mapping = optionMapping;
     
     return shuffledQuestion;
 }
 
+/**
+ * Get the option mapping stored for one question in a participant's shuffled order
+ * @param {Object|null} storedOrder - session_participants.shuffled_question_order
+ * @param {number} questionId - Question ID
+ * @returns {Object|null} - Original key -> shown key, or null if options were not shuffled
+ */
+function getStoredOptionMapping(storedOrder, questionId) {
+    if (!storedOrder || !Array.isArray(storedOrder.order)) {
+        return null;
+    }
+    
+    const orderItem = storedOrder.order.find(item => item.questionId === parseInt(questionId));
+    return orderItem && orderItem.optionMapping ? orderItem.optionMapping : null;
+}
+
 /**
  * Get shuffled questions for a participant
  * @param {Array} questions - Original questions array
@@ -131,23 +170,42 @@ function getShuffledQuestionsForParticipant(questions, participantId, sessionId,
 
 /**
  * Map participant's answer back to original question structure
- * @param {string} participantAnswer - Answer given by participant (a, b, c, d)
+ * @param {string|Array} participantAnswer - Answer given by participant (e.g. 'b' or 'a,c' in shown keys)
  * @param {Object} questionData - Question data with option mapping
- * @returns {string} - Original answer key
+ * @returns {string} - Answer in original keys
  */
 function mapAnswerToOriginal(participantAnswer, questionData) {
     if (!questionData.option_mapping) {
         return participantAnswer; // No shuffling was applied
     }
     
-    // Find original key that maps to participant's answer
-    for (const [originalKey, shuffledKey] of Object.entries(questionData.option_mapping)) {
-        if (shuffledKey === participantAnswer) {
-            return originalKey;
-        }
+    const originalKeys = {};
+    Object.entries(questionData.option_mapping).forEach(([originalKey, shownKey]) => {
+        originalKeys[shownKey] = originalKey;
+    });
+    
+    // Unknown keys are kept so answer validation can reject them
+    return parseAnswerKeys(participantAnswer)
+        .map(key => originalKeys[key] || key)
+        .sort()
+        .join(',');
+}
+
+/**
+ * Map an answer in original keys to the keys a participant saw
+ * @param {string|null} answer - Answer in original keys (e.g. 'a,c')
+ * @param {Object|null} optionMapping - Original key -> shown key
+ * @returns {string|null} - Answer in shown keys
+ */
+function mapAnswerToShown(answer, optionMapping) {
+    if (!optionMapping || answer === null || answer === undefined) {
+        return answer;
     }
     
-    return participantAnswer; // Fallback
+    return parseAnswerKeys(answer)
+        .map(key => optionMapping[key] || key)
+        .sort()
+        .join(',');
 }
 
 /**
@@ -158,7 +216,10 @@ function mapAnswerToOriginal(participantAnswer, questionData) {
  */
 function verifyAnswer(participantAnswer, questionData) {
     const originalAnswer = mapAnswerToOriginal(participantAnswer, questionData);
-    return originalAnswer === questionData.original_correct_answer || originalAnswer === questionData.correct_answer;
+    const correctAnswer = questionData.option_mapping
+        ? questionData.original_correct_answer
+        : questionData.correct_answer;
+    return parseAnswerKeys(originalAnswer).join(',') === parseAnswerKeys(correctAnswer).join(',');
 }
 
 /**
@@ -198,8 +259,11 @@ module.exports = {
     shuffleArray,
     generateShuffledQuestionOrder,
     shuffleQuestionOptions,
+    applyOptionMapping,
+    getStoredOptionMapping,
     getShuffledQuestionsForParticipant,
     mapAnswerToOriginal,
+    mapAnswerToShown,
     verifyAnswer,
     generateShuffleStatistics
 };
\ No newline at end of file
@@ -0,0 +1,253 @@
+/**
+ * Question Types Utility
+ * Normalises, validates and grades the supported question types
+ */
+
+const QUESTION_TYPES = ['single_choice', 'true_false', 'multi_select', 'numeric'];
+
+// Options are stored in option_a .. option_h, so a question can have 2-8 options
+const OPTION_KEYS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = OPTION_KEYS.length;
+
+/**
+ * Get the non-empty options of a question as an ordered list
+ * @param {Object} question - Question row with option_a .. option_h
+ * @returns {Array} - Options as [{ key, text }]
+ */
+function getQuestionOptions(question) {
+    return OPTION_KEYS
+        .map(key => ({ key, text: question[`option_${key}`] }))
+        .filter(option => option.text !== null && option.text !== undefined && String(option.text).trim() !== '');
+}
+
+/**
+ * Split a stored or submitted multi-select answer into sorted option keys
+ * @param {string|Array} value - e.g. 'a,c', 'A; C', ['c', 'a']
+ * @returns {Array} - Unique, lower-cased, sorted keys
+ */
+function parseAnswerKeys(value) {
+    if (value === null || value === undefined) return [];
+
+    const parts = Array.isArray(value) ? value : String(value).split(/[\s,;|]+/);
+    const keys = parts
+        .map(part => String(part).toLowerCase().trim())
+        .filter(part => part !== '');
+
+    return [...new Set(keys)].sort();
+}
+
+/**
+ * Convert a single answer token to an option key
+ * Accepts letters (a-h), 1-based numbers (1-8) and option text prefixed by a letter ("b) ...")
+ * @param {string} token - Raw answer token
+ * @returns {string|null} - Option key or null if it cannot be mapped
+ */
+function toOptionKey(token) {
+    const value = String(token).toLowerCase().trim();
+
+    if (OPTION_KEYS.includes(value)) {
+        return value;
+    }
+
+    if (/^[1-8]$/.test(value)) {
+        return OPTION_KEYS[parseInt(value) - 1];
+    }
+
+    const match = value.match(/^([a-h])[).:]/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Normalise a question coming from the admin editor or a file upload
+ * @param {Object} input - Raw question data
+ * @returns {Object} - Question fields ready to be stored
+ * @throws {Error} - If the question is invalid for its type
+ */
+function normalizeQuestion(input) {
+    const questionType = (input.question_type || 'single_choice').toString().toLowerCase().trim();
+
+    if (!QUESTION_TYPES.includes(questionType)) {
+        throw new Error(`Unknown question type "${input.question_type}". Must be one of: ${QUESTION_TYPES.join(', ')}`);
+    }
+
+    const questionText = (input.question_text || input.question || '').toString().trim();
+    if (!questionText) {
+        throw new Error('Question text is required');
+    }
+
+    const points = input.points === undefined || input.points === null || String(input.points).trim() === ''
+        ? 1
+        : parseFloat(input.points);
+    if (isNaN(points) || points < 0) {
+        throw new Error(`Invalid points "${input.points}". Must be zero or a positive number`);
+    }
+
+    const reference = (input.reference || '').toString().trim();
+    if (reference.length > 255) {
+        throw new Error('Reference must be 255 characters or less');
+    }
+
+    const question = {
+        question_type: questionType,
+        question_text: questionText,
+        correct_answer: null,
+        numeric_tolerance: 0,
+        points,
+        explanation: (input.explanation || '').toString().trim() || null,
+        reference: reference || null
+    };
+
+    OPTION_KEYS.forEach(key => {
+        const value = input[`option_${key}`];
+        question[`option_${key}`] = value === null || value === undefined || String(value).trim() === ''
+            ? null
+            : String(value).trim();
+    });
+
+    const rawAnswer = input.correct_answer === null || input.correct_answer === undefined
+        ? ''
+        : input.correct_answer;
+
+    if (questionType === 'numeric') {
+        // Numeric questions have no options
+        OPTION_KEYS.forEach(key => { question[`option_${key}`] = null; });
+
+        const answer = parseFloat(String(rawAnswer).trim());
+        if (isNaN(answer)) {
+            throw new Error(`Invalid correct_answer "${rawAnswer}". Numeric questions need a number`);
+        }
+
+        const tolerance = parseFloat(input.numeric_tolerance || 0);
+        if (isNaN(tolerance) || tolerance < 0) {
+            throw new Error(`Invalid numeric_tolerance "${input.numeric_tolerance}". Must be zero or a positive number`);
+        }
+
+        question.correct_answer = String(answer);
+        question.numeric_tolerance = tolerance;
+        return question;
+    }
+
+    if (questionType === 'true_false') {
+        question.option_a = question.option_a || 'True';
+        question.option_b = question.option_b || 'False';
+        OPTION_KEYS.slice(2).forEach(key => { question[`option_${key}`] = null; });
+
+        const value = String(rawAnswer).toLowerCase().trim();
+        const trueFalseMap = { 'true': 'a', 't': 'a', 'yes': 'a', 'false': 'b', 'f': 'b', 'no': 'b' };
+        const key = trueFalseMap[value] || toOptionKey(value);
+
+        if (key !== 'a' && key !== 'b') {
+            throw new Error(`Invalid correct_answer "${rawAnswer}". True/false questions need true, false, a or b`);
+        }
+
+        question.correct_answer = key;
+        return question;
+    }
+
+    // Choice questions: options must be filled in order without gaps
+    const options = getQuestionOptions(question);
+    if (options.length < MIN_OPTIONS) {
+        throw new Error(`At least ${MIN_OPTIONS} options are required`);
+    }
+
+    const expectedKeys = OPTION_KEYS.slice(0, options.length);
+    if (options.some((option, index) => option.key !== expectedKeys[index])) {
+        throw new Error(`Options must be filled in order (${expectedKeys.map(k => k.toUpperCase()).join(', ')}) without gaps`);
+    }
+
+    const tokens = Array.isArray(rawAnswer)
+        ? rawAnswer
+        : questionType === 'multi_select'
+            ? String(rawAnswer).split(/[\s,;|]+/)
+            : [String(rawAnswer)];
+
+    const keys = tokens
+        .filter(token => String(token).trim() !== '')
+        .map(token => {
+            const key = toOptionKey(token);
+            if (!key || !expectedKeys.includes(key)) {
+                throw new Error(`Invalid correct_answer "${rawAnswer}". Must reference one of the options (${expectedKeys.join(', ')} or 1-${expectedKeys.length})`);
+            }
+            return key;
+        });
+
+    const uniqueKeys = [...new Set(keys)].sort();
+
+    if (uniqueKeys.length === 0) {
+        throw new Error('Correct answer is required');
+    }
+
+    if (questionType === 'single_choice' && uniqueKeys.length > 1) {
+        throw new Error('Single choice questions can only have one correct answer');
+    }
+
+    question.correct_answer = uniqueKeys.join(',');
+    return question;
+}
+
+/**
+ * Normalise a participant's submitted answer for a question
+ * @param {Object} question - Question row (question_type and options)
+ * @param {string|number|Array} answer - Submitted answer
+ * @returns {string} - Canonical answer as stored in participant_answers.selected_answer
+ * @throws {Error} - If the answer is not valid for the question
+ */
+function normalizeAnswer(question, answer) {
+    const questionType = question.question_type || 'single_choice';
+
+    if (questionType === 'numeric') {
+        const value = parseFloat(String(answer).trim());
+        if (isNaN(value)) {
+            throw new Error('Answer must be a number');
+        }
+        return String(value);
+    }
+
+    const validKeys = getQuestionOptions(question).map(option => option.key);
+    const keys = parseAnswerKeys(answer);
+
+    if (keys.length === 0 || keys.some(key => !validKeys.includes(key))) {
+        throw new Error('Invalid answer option');
+    }
+
+    if (questionType !== 'multi_select' && keys.length > 1) {
+        throw new Error('Only one option can be selected for this question');
+    }
+
+    return keys.join(',');
+}
+
+/**
+ * Check whether a canonical answer is correct for a question
+ * @param {Object} question - Question row with correct_answer
+ * @param {string} answer - Canonical answer (see normalizeAnswer)
+ * @returns {boolean} - Whether the answer is fully correct
+ */
+function isAnswerCorrect(question, answer) {
+    if (answer === null || answer === undefined || answer === '') {
+        return false;
+    }
+
+    if ((question.question_type || 'single_choice') === 'numeric') {
+        const expected = parseFloat(question.correct_answer);
+        const given = parseFloat(answer);
+        const tolerance = parseFloat(question.numeric_tolerance || 0);
+        return !isNaN(expected) && !isNaN(given) && Math.abs(given - expected) <= tolerance + 1e-9;
+    }
+
+    return parseAnswerKeys(answer).join(',') === parseAnswerKeys(question.correct_answer).join(',');
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    OPTION_KEYS,
+    MIN_OPTIONS,
+    MAX_OPTIONS,
+    getQuestionOptions,
+    parseAnswerKeys,
+    toOptionKey,
+    normalizeQuestion,
+    normalizeAnswer,
+    isAnswerCorrect
+};
@@ -0,0 +1,219 @@
+/**
+ * Question Upload Utility
+ * Checks every row of an uploaded question file and reports errors and warnings per row,
+ * so an admin can review a file before anything is written
+ */
+
+const { OPTION_KEYS, getQuestionOptions, toOptionKey } = require('./questionTypes');
+const { normalizeBankQuestion } = require('./questionBank');
+
+const UPLOAD_MODES = ['replace', 'append'];
+
+// UTF-8 text that was decoded as Windows-1252/Latin-1 (e.g. "â€™" for ’, "Ã©" for é)
+const MOJIBAKE_PATTERN = /\u00E2\u20AC.|\u00C3[\u0080-\u00BF]|\u00C2[\u00A0-\u00BF]/;
+
+/**
+ * Key used to spot the same question twice (case and whitespace insensitive)
+ * @param {string} text - Question text
+ * @returns {string} - Comparison key
+ */
+function getQuestionKey(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find encoding problems in a row's text fields
+ * @param {Object} row - Parsed row
+ * @returns {Array} - Warning messages
+ */
+function checkEncoding(row) {
+    const values = Object.values(row).filter(value => typeof value === 'string');
+    const warnings = [];
+
+    if (values.some(value => value.includes('\uFFFD'))) {
+        warnings.push('Contains characters that could not be read. Save the file as UTF-8 and upload it again');
+    }
+
+    const garbled = values.map(value => value.match(MOJIBAKE_PATTERN)).find(match => match);
+    if (garbled) {
+        warnings.push(`Text looks garbled ("${garbled[0]}"). The file was probably saved in a different encoding than UTF-8`);
+    }
+
+    return warnings;
+}
+
+/**
+ * Resolve answers written as option text (e.g. "Basic wages" instead of "b")
+ * and flag numeric answers that could mean an option's text rather than its position
+ * @param {Object} row - Parsed row (modified in place when an answer is resolved)
+ * @returns {Array} - Warning messages
+ */
+function checkAnswerAgainstOptions(row) {
+    const questionType = (row.question_type || 'single_choice').toString().toLowerCase().trim();
+    if (questionType !== 'single_choice' && questionType !== 'multi_select') return [];
+
+    const options = getQuestionOptions(row);
+    const answer = String(row.correct_answer || '').trim();
+    if (!answer || options.length === 0) return [];
+
+    const findByText = text => options.find(option => String(option.text).toLowerCase().trim() === text.toLowerCase().trim());
+    const warnings = [];
+
+    // The whole answer is one option's text (option text may itself contain commas)
+    const wholeMatch = toOptionKey(answer) === null ? findByText(answer) : null;
+    if (wholeMatch) {
+        row.correct_answer = wholeMatch.key;
+        return [`Answer "${answer}" matches the text of option ${wholeMatch.key.toUpperCase()}; using ${wholeMatch.key.toUpperCase()}. Use option letters to avoid ambiguity`];
+    }
+
+    const tokens = questionType === 'multi_select' ? answer.split(/[,;|]+/) : [answer];
+    const keys = tokens.map(token => token.trim()).filter(token => token).map(token => {
+        const key = toOptionKey(token);
+        const textMatch = findByText(token);
+
+        if (key === null && textMatch) {
+            warnings.push(`Answer "${token}" matches the text of option ${textMatch.key.toUpperCase()}; using ${textMatch.key.toUpperCase()}`);
+            return textMatch.key;
+        }
+
+        if (key !== null && textMatch && textMatch.key !== key) {
+            warnings.push(`Answer "${token}" was read as option ${key.toUpperCase()}, but option ${textMatch.key.toUpperCase()} has the text "${textMatch.text}"`);
+        } else if (key !== null && token.length > 1 && !/^[1-8]$/.test(token)) {
+            warnings.push(`Answer "${token}" was read as option ${key.toUpperCase()}`);
+        }
+
+        return key === null ? token : key;
+    });
+
+    row.correct_answer = keys.join(',');
+    return warnings;
+}
+
+/**
+ * Check option cells for the question type
+ * @param {Object} row - Parsed row
+ * @param {Array} optionKeys - Option columns used anywhere in the file (e.g. ['a', 'b', 'c', 'd'])
+ * @returns {Array} - Warning messages
+ */
+function checkOptions(row, optionKeys) {
+    const questionType = (row.question_type || 'single_choice').toString().toLowerCase().trim();
+    const isBlank = key => row[`option_${key}`] === undefined || row[`option_${key}`] === null || String(row[`option_${key}`]).trim() === '';
+    const filledKeys = OPTION_KEYS.filter(key => !isBlank(key));
+
+    if (questionType === 'numeric') {
+        return filledKeys.length > 0 ? ['Options are ignored for numeric questions'] : [];
+    }
+
+    if (questionType === 'true_false') {
+        return filledKeys.some(key => !['a', 'b'].includes(key)) ? ['Only options A and B are used for true/false questions'] : [];
+    }
+
+    // Blank cells after the last filled option shorten the question; gaps before it are errors (see normalizeQuestion)
+    const lastFilled = filledKeys.length > 0 ? OPTION_KEYS.indexOf(filledKeys[filledKeys.length - 1]) : -1;
+    if (filledKeys.length !== lastFilled + 1) return [];
+
+    const blankKeys = optionKeys.filter(key => OPTION_KEYS.indexOf(key) > lastFilled && isBlank(key));
+
+    return blankKeys.length > 0 && filledKeys.length > 0
+        ? [`Option${blankKeys.length > 1 ? 's' : ''} ${blankKeys.map(key => key.toUpperCase()).join(', ')} ${blankKeys.length > 1 ? 'are' : 'is'} blank; the question will have ${filledKeys.length} options`]
+        : [];
+}
+
+/**
+ * Validate parsed upload rows without writing anything
+ * @param {Array} rows - Rows from the CSV/Excel parser, each with a `row` number
+ * @returns {Array} - [{ row, question_text, question_type, errors, warnings, question }]
+ *                    where question is the normalised question (null when the row has errors)
+ */
+function validateQuestionRows(rows) {
+    const seen = new Map();
+    const optionKeys = OPTION_KEYS.filter(key => rows.some(row => row[`option_${key}`] !== undefined && String(row[`option_${key}`]).trim() !== ''));
+
+    return rows.map(parsed => {
+        const row = { ...parsed };
+        const warnings = [
+            ...checkEncoding(row),
+            ...checkOptions(row, optionKeys),
+            ...checkAnswerAgainstOptions(row)
+        ];
+        const errors = [];
+        let question = null;
+
+        try {
+            question = normalizeBankQuestion(row);
+        } catch (validationError) {
+            errors.push(validationError.message);
+        }
+
+        const key = getQuestionKey(row.question_text || row.question);
+        if (key) {
+            if (seen.has(key)) {
+                warnings.push(`Duplicate of row ${seen.get(key)}`);
+            } else {
+                seen.set(key, parsed.row);
+            }
+        }
+
+        return {
+            row: parsed.row,
+            question_text: String(row.question_text || row.question || ''),
+            question_type: question ? question.question_type : String(row.question_type || ''),
+            correct_answer: question ? question.correct_answer : String(row.correct_answer || ''),
+            errors,
+            warnings,
+            question
+        };
+    });
+}
+
+/**
+ * Warn about rows whose question is already in the quiz or in the bank of the quiz's organisation
+ * @param {Object} client - Database client or pool
+ * @param {number} quizId - Quiz the file is uploaded to
+ * @param {Array} report - Rows from validateQuestionRows (warnings are added in place)
+ */
+async function addExistingQuestionWarnings(client, quizId, report) {
+    const keys = [...new Set(report.map(item => getQuestionKey(item.question_text)).filter(key => key))];
+    if (keys.length === 0) return;
+
+    const result = await client.query(`
+        SELECT q.id,
+               lower(regexp_replace(trim(q.question_text), '\\s+', ' ', 'g')) as question_key,
+               EXISTS (SELECT 1 FROM quiz_questions qq WHERE qq.question_id = q.id AND qq.quiz_id = $2) as in_quiz
+        FROM questions q
+        WHERE lower(regexp_replace(trim(q.question_text), '\\s+', ' ', 'g')) = ANY($1)
+          AND q.organization_id = (SELECT organization_id FROM quizzes WHERE id = $2)
+        ORDER BY in_quiz DESC, q.id ASC
+    `, [keys, quizId]);
+
+    report.forEach(item => {
+        const match = result.rows.find(existing => existing.question_key === getQuestionKey(item.question_text));
+        if (!match) return;
+
+        item.warnings.push(match.in_quiz
+            ? `Already in this quiz (question #${match.id})`
+            : `Same text as bank question #${match.id}; a second copy will be added to the bank`);
+    });
+}
+
+/**
+ * Summarise a validation report
+ * @param {Array} report - Rows from validateQuestionRows
+ * @returns {Object} - { total, valid, withErrors, withWarnings }
+ */
+function summarizeReport(report) {
+    return {
+        total: report.length,
+        valid: report.filter(item => item.errors.length === 0).length,
+        withErrors: report.filter(item => item.errors.length > 0).length,
+        withWarnings: report.filter(item => item.warnings.length > 0).length
+    };
+}
+
+module.exports = {
+    UPLOAD_MODES,
+    getQuestionKey,
+    validateQuestionRows,
+    addExistingQuestionWarnings,
+    summarizeReport
+};
@@ -0,0 +1,939 @@
+/**
+ * Quiz Interchange Utility
+ * Exports and imports whole quizzes (settings and questions) as JSON, Moodle XML and GIFT
+ *
+ * Moodle XML and GIFT have no place for quiz settings, so they are written as a
+ * "quiz-settings" comment at the top of the file. LMS importers ignore it; our importer reads it back.
+ */
+
+const { OPTION_KEYS, getQuestionOptions, parseAnswerKeys } = require('./questionTypes');
+const { normalizeBankQuestion } = require('./questionBank');
+
+const QUIZ_FORMATS = {
+    json: { extension: '.json', contentType: 'application/json' },
+    moodle: { extension: '.xml', contentType: 'application/xml' },
+    gift: { extension: '.gift', contentType: 'text/plain' }
+};
+
+// Format identifier and version written to (and required in) JSON exports
+const JSON_FORMAT_NAME = 'quiz-competition-app/quiz';
+const JSON_FORMAT_VERSION = 1;
+
+// Quiz columns carried in an export. Scheduling (start date/time, active flag) belongs to one run of a quiz and is left out
+const QUIZ_SETTING_FIELDS = [
+    'title',
+    'description',
+    'instruction_time_minutes',
+    'quiz_time_minutes',
+    'negative_marking',
+    'partial_credit',
+    'speed_bonus_enabled',
+    'speed_bonus_window_seconds',
+    'draw_rules',
+    'shuffle_questions',
+    'shuffle_options'
+];
+
+/**
+ * Work out the interchange format from a requested name or file name
+ * @param {string} format - 'json', 'moodle', 'xml' or 'gift' (optional)
+ * @param {string} fileName - Uploaded file name (optional)
+ * @returns {string|null} - Format key from QUIZ_FORMATS or null if unknown
+ */
+function detectQuizFormat(format, fileName = '') {
+    const requested = (format || '').toString().toLowerCase().trim();
+    if (requested === 'xml') return 'moodle';
+    if (QUIZ_FORMATS[requested]) return requested;
+
+    const name = fileName.toLowerCase();
+    if (name.endsWith('.json')) return 'json';
+    if (name.endsWith('.xml')) return 'moodle';
+    if (name.endsWith('.gift') || name.endsWith('.txt')) return 'gift';
+
+    return null;
+}
+
+/**
+ * Pick the exportable settings from a quiz row
+ * @param {Object} quiz - Quiz row
+ * @returns {Object} - Settings keyed by QUIZ_SETTING_FIELDS
+ */
+function getQuizSettings(quiz) {
+    const settings = {};
+
+    QUIZ_SETTING_FIELDS.forEach(field => {
+        if (quiz[field] === undefined) return;
+
+        // DECIMAL columns come back from pg as strings
+        settings[field] = field === 'negative_marking' ? parseFloat(quiz[field]) || 0 : quiz[field];
+    });
+
+    return settings;
+}
+
+/**
+ * Keep only known settings from an imported file
+ * @param {Object} settings - Settings read from the file
+ * @returns {Object} - Known settings
+ */
+function pickQuizSettings(settings) {
+    const picked = {};
+
+    if (!settings || typeof settings !== 'object') return picked;
+
+    QUIZ_SETTING_FIELDS.forEach(field => {
+        if (settings[field] !== undefined && settings[field] !== null) {
+            picked[field] = settings[field];
+        }
+    });
+
+    return picked;
+}
+
+/**
+ * Convert a stored question to the interchange representation
+ * @param {Object} question - Question row
+ * @returns {Object} - Portable question with options as a list
+ */
+function toPortableQuestion(question) {
+    const isNumeric = question.question_type === 'numeric';
+
+    return {
+        question_type: question.question_type,
+        question_text: question.question_text,
+        options: isNumeric ? [] : getQuestionOptions(question).map(option => option.text),
+        correct_answer: question.correct_answer,
+        numeric_tolerance: isNumeric ? parseFloat(question.numeric_tolerance) || 0 : undefined,
+        points: parseFloat(question.points),
+        explanation: question.explanation || null,
+        reference: question.reference || null,
+        category: question.category || null,
+        difficulty: question.difficulty || 'medium',
+        tags: question.tags || []
+    };
+}
+
+/**
+ * Convert an interchange question back to editor fields (option_a .. option_h)
+ * @param {Object} portable - Portable question
+ * @returns {Object} - Raw question for normalizeBankQuestion
+ */
+function fromPortableQuestion(portable) {
+    const question = { ...portable };
+    const options = Array.isArray(portable.options) ? portable.options : [];
+
+    if (options.length > OPTION_KEYS.length) {
+        throw new Error(`A question can have at most ${OPTION_KEYS.length} options`);
+    }
+
+    delete question.options;
+    options.forEach((text, index) => {
+        question[`option_${OPTION_KEYS[index]}`] = text;
+    });
+
+    return question;
+}
+
+/**
+ * Validate imported questions, numbering errors by position in the file
+ * @param {Array} questions - Raw questions (editor fields)
+ * @returns {Array} - Normalised questions ready for insertQuestion
+ * @throws {Error} - On the first invalid question
+ */
+function normalizeImportedQuestions(questions) {
+    if (questions.length === 0) {
+        throw new Error('The file does not contain any supported questions');
+    }
+
+    return questions.map((question, index) => {
+        try {
+            return normalizeBankQuestion(question);
+        } catch (validationError) {
+            throw new Error(`Question ${index + 1}: ${validationError.message}`);
+        }
+    });
+}
+
+/**
+ * Split an explanation from a trailing "Reference: ..." line (used by formats without a reference field)
+ * @param {string} feedback - General feedback text
+ * @returns {Object} - { explanation, reference }
+ */
+function splitFeedback(feedback) {
+    const text = (feedback || '').trim();
+    const match = text.match(/(?:^|\n)Reference: ([^\n]+)$/);
+
+    if (!match) {
+        return { explanation: text || null, reference: null };
+    }
+
+    return {
+        explanation: text.slice(0, match.index).trim() || null,
+        reference: match[1].trim()
+    };
+}
+
+/**
+ * Join an explanation and reference into one feedback text
+ * @param {Object} question - Question with explanation and reference
+ * @returns {string} - Feedback text (may be empty)
+ */
+function joinFeedback(question) {
+    return [question.explanation, question.reference ? `Reference: ${question.reference}` : null]
+        .filter(part => part)
+        .join('\n\n');
+}
+
+/**
+ * Format a Moodle/GIFT grade fraction (Moodle only accepts a fixed set, e.g. 33.33333)
+ * @param {number} value - Percentage
+ * @returns {string} - Formatted percentage
+ */
+function formatFraction(value) {
+    return parseFloat(value.toFixed(5)).toString();
+}
+
+/**
+ * Grade fractions for each option of a choice question
+ * Multi-select: correct options share 100%, wrong options share -100%
+ * @param {Object} question - Question row
+ * @returns {Array} - [{ key, text, fraction }]
+ */
+function getOptionFractions(question) {
+    const correctKeys = parseAnswerKeys(question.correct_answer);
+    const options = getQuestionOptions(question);
+    const wrongCount = options.length - correctKeys.length;
+
+    return options.map(option => {
+        const isCorrect = correctKeys.includes(option.key);
+        let fraction = isCorrect ? 100 : 0;
+
+        if (question.question_type === 'multi_select') {
+            fraction = isCorrect ? 100 / correctKeys.length : (wrongCount > 0 ? -100 / wrongCount : 0);
+        }
+
+        return { ...option, fraction };
+    });
+}
+
+// ===== JSON =====
+
+/**
+ * Export a quiz as the documented JSON format
+ * @param {Object} quiz - Quiz row
+ * @param {Array} questions - Question rows in quiz order
+ * @returns {string} - JSON text
+ */
+function exportQuizJSON(quiz, questions) {
+    return JSON.stringify({
+        format: JSON_FORMAT_NAME,
+        version: JSON_FORMAT_VERSION,
+        quiz: getQuizSettings(quiz),
+        questions: questions.map(toPortableQuestion)
+    }, null, 2);
+}
+
+/**
+ * Parse a JSON quiz export
+ * @param {string} text - File contents
+ * @returns {Object} - { settings, questions, skipped }
+ * @throws {Error} - If the file is not a valid quiz export
+ */
+function parseQuizJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (!data || data.format !== JSON_FORMAT_NAME) {
+        throw new Error(`Unsupported JSON file. Expected "format": "${JSON_FORMAT_NAME}"`);
+    }
+
+    if (parseInt(data.version) > JSON_FORMAT_VERSION) {
+        throw new Error(`Unsupported JSON format version ${data.version}. This app reads version ${JSON_FORMAT_VERSION}`);
+    }
+
+    if (!Array.isArray(data.questions)) {
+        throw new Error('The file must contain a "questions" list');
+    }
+
+    const questions = data.questions.map((question, index) => {
+        try {
+            return fromPortableQuestion(question || {});
+        } catch (error) {
+            throw new Error(`Question ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return {
+        settings: pickQuizSettings(data.quiz),
+        questions: normalizeImportedQuestions(questions),
+        skipped: []
+    };
+}
+
+// ===== Moodle XML =====
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap text in CDATA, splitting any "]]>" it contains
+ * @param {string} text - Raw text
+ * @returns {string} - CDATA section
+ */
+function cdata(text) {
+    return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Export a quiz as Moodle XML
+ * Question text and feedback use Moodle's "markdown" format; difficulty travels as a "difficulty:<level>" tag
+ * @param {Object} quiz - Quiz row
+ * @param {Array} questions - Question rows in quiz order
+ * @returns {string} - XML text
+ */
+function exportMoodleXML(quiz, questions) {
+    // "--" is not allowed inside XML comments; it can only appear inside JSON strings, where - is equivalent
+    const settingsJson = JSON.stringify(getQuizSettings(quiz)).replace(/--/g, '-\\u002d');
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<!-- quiz-settings: ${settingsJson} -->`,
+        '<quiz>'
+    ];
+
+    let currentCategory;
+
+    questions.forEach((question, index) => {
+        const category = question.category || '';
+        if (category !== currentCategory) {
+            currentCategory = category;
+            const path = ['$course$', 'top', quiz.title, category].filter(part => part).join('/');
+            lines.push(
+                '  <question type="category">',
+                `    <category><text>${escapeXml(path)}</text></category>`,
+                '  </question>'
+            );
+        }
+
+        const type = {
+            single_choice: 'multichoice',
+            multi_select: 'multichoice',
+            true_false: 'truefalse',
+            numeric: 'numerical'
+        }[question.question_type];
+
+        lines.push(
+            `  <question type="${type}">`,
+            `    <name><text>${escapeXml(`Q${index + 1}`)}</text></name>`,
+            `    <questiontext format="markdown"><text>${cdata(question.question_text)}</text></questiontext>`,
+            `    <generalfeedback format="markdown"><text>${cdata(joinFeedback(question))}</text></generalfeedback>`,
+            `    <defaultgrade>${parseFloat(question.points)}</defaultgrade>`
+        );
+
+        if (question.question_type === 'numeric') {
+            lines.push(
+                `    <answer fraction="100"><text>${escapeXml(question.correct_answer)}</text><tolerance>${parseFloat(question.numeric_tolerance) || 0}</tolerance></answer>`
+            );
+        } else if (question.question_type === 'true_false') {
+            lines.push(
+                `    <answer fraction="${question.correct_answer === 'a' ? 100 : 0}"><text>true</text></answer>`,
+                `    <answer fraction="${question.correct_answer === 'b' ? 100 : 0}"><text>false</text></answer>`
+            );
+        } else {
+            lines.push(
+                `    <single>${question.question_type === 'single_choice' ? 'true' : 'false'}</single>`,
+                '    <shuffleanswers>1</shuffleanswers>',
+                '    <answernumbering>abc</answernumbering>'
+            );
+            getOptionFractions(question).forEach(option => {
+                lines.push(`    <answer fraction="${formatFraction(option.fraction)}" format="markdown"><text>${cdata(option.text)}</text></answer>`);
+            });
+        }
+
+        const tags = [...(question.tags || []), `difficulty:${question.difficulty || 'medium'}`];
+        lines.push(
+            `    <tags>${tags.map(tag => `<tag><text>${escapeXml(tag)}</text></tag>`).join('')}</tags>`,
+            '  </question>'
+        );
+    });
+
+    lines.push('</quiz>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Decode the XML entities used in Moodle exports
+ * @param {string} text - Escaped text
+ * @returns {string} - Decoded text
+ */
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|nbsp);/gi, (match, entity) => {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+        const lower = entity.toLowerCase();
+
+        if (named[lower]) return named[lower];
+        if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+        return String.fromCodePoint(parseInt(lower.slice(1), 10));
+    });
+}
+
+/**
+ * Parse XML into a simple element tree (enough for Moodle question exports)
+ * @param {string} xml - XML text
+ * @returns {Object} - { root, comments } where elements are { name, attributes, children, text }
+ * @throws {Error} - If the XML is malformed
+ */
+function parseXml(xml) {
+    const document = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [document];
+    const comments = [];
+    const tokenPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--([\s\S]*?)-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+    let position = 0;
+    let match;
+
+    while ((match = tokenPattern.exec(xml)) !== null) {
+        if (match.index !== position) break;
+        position = tokenPattern.lastIndex;
+
+        const current = stack[stack.length - 1];
+        const [, cdataText, comment, closeName, openName, attributeText, selfClosing, text] = match;
+
+        if (cdataText !== undefined) {
+            current.text += cdataText;
+        } else if (comment !== undefined) {
+            comments.push(comment);
+        } else if (closeName) {
+            if (current.name !== closeName) {
+                throw new Error(`Invalid XML: unexpected </${closeName}>`);
+            }
+            stack.pop();
+        } else if (openName) {
+            const attributes = {};
+            (attributeText || '').replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (attr, name, doubleQuoted, singleQuoted) => {
+                attributes[name] = decodeXmlEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+                return attr;
+            });
+
+            const element = { name: openName, attributes, children: [], text: '' };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        } else if (text !== undefined) {
+            current.text += decodeXmlEntities(text);
+        }
+    }
+
+    if (position !== xml.length) {
+        throw new Error(`Invalid XML near: ${xml.slice(position, position + 40)}`);
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+
+    return { root: document, comments };
+}
+
+/**
+ * Find a child element by name
+ * @param {Object} element - Parent element
+ * @param {string} name - Child name
+ * @returns {Object|null} - Child element
+ */
+function findChild(element, name) {
+    return element ? element.children.find(child => child.name === name) || null : null;
+}
+
+/**
+ * Read the <text> of a Moodle text field (e.g. questiontext), converting HTML to Markdown
+ * @param {Object} element - Field element with a format attribute and a <text> child
+ * @returns {string} - Markdown text
+ */
+function readMoodleText(element) {
+    if (!element) return '';
+
+    const textElement = findChild(element, 'text');
+    const text = textElement ? textElement.text : element.text;
+    const format = element.attributes.format || 'html';
+
+    return format === 'html' || format === 'moodle_auto_format' ? htmlToMarkdown(text) : text.trim();
+}
+
+/**
+ * Reduce LMS HTML to the Markdown subset we render (formatting kept, everything else dropped)
+ * Embedded images are not imported; their alt text is kept
+ * @param {string} html - HTML text
+ * @returns {string} - Markdown
+ */
+function htmlToMarkdown(html) {
+    return decodeXmlEntities(
+        String(html)
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|h[1-6]|tr)>/gi, '\n\n')
+            .replace(/<li[^>]*>/gi, '- ')
+            .replace(/<\/li>/gi, '\n')
+            .replace(/<\/?(strong|b)>/gi, '**')
+            .replace(/<\/?(em|i)>/gi, '*')
+            .replace(/<\/?code>/gi, '`')
+            .replace(/<img[^>]*alt="([^"]*)"[^>]*>/gi, '$1')
+            .replace(/<[^>]+>/g, '')
+    )
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Parse a Moodle XML question export
+ * Multiple choice, true/false and numerical questions are imported; other types are reported as skipped
+ * @param {string} xml - File contents
+ * @returns {Object} - { settings, questions, skipped }
+ */
+function parseMoodleXML(xml) {
+    const { root, comments } = parseXml(xml);
+    const quizElement = findChild(root, 'quiz');
+
+    if (!quizElement) {
+        throw new Error('Not a Moodle XML file: <quiz> element not found');
+    }
+
+    let settings = {};
+    comments.forEach(comment => {
+        const match = comment.match(/^\s*quiz-settings:\s*([\s\S]*?)\s*$/);
+        if (match) {
+            try {
+                settings = pickQuizSettings(JSON.parse(match[1]));
+            } catch (error) {
+                throw new Error('The quiz-settings comment is not valid JSON');
+            }
+        }
+    });
+
+    const questions = [];
+    const skipped = [];
+    let category = null;
+    let quizTitle = settings.title || null;
+
+    quizElement.children.filter(element => element.name === 'question').forEach(element => {
+        const type = element.attributes.type;
+        const name = readMoodleText(findChild(element, 'name')) || `Question ${questions.length + skipped.length + 1}`;
+
+        if (type === 'category') {
+            // $course$/top/<quiz title>/<category>: the first level below "top" names the quiz, the last one is the category
+            const path = readMoodleText(findChild(element, 'category'))
+                .split('/')
+                .map(part => part.trim())
+                .filter(part => part && !part.startsWith('$') && part !== 'top');
+            if (!quizTitle && path.length > 0) quizTitle = path[0];
+            category = path.length > 1 ? path[path.length - 1] : null;
+            return;
+        }
+
+        const answers = element.children
+            .filter(child => child.name === 'answer')
+            .map(answer => ({
+                text: readMoodleText(answer),
+                fraction: parseFloat(answer.attributes.fraction) || 0,
+                tolerance: findChild(answer, 'tolerance') ? parseFloat(findChild(answer, 'tolerance').text) || 0 : 0
+            }));
+
+        const tagsElement = findChild(element, 'tags');
+        const allTags = tagsElement
+            ? tagsElement.children.filter(tag => tag.name === 'tag').map(tag => readMoodleText(tag))
+            : [];
+        const difficultyTag = allTags.find(tag => /^difficulty:/i.test(tag));
+        const grade = findChild(element, 'defaultgrade');
+
+        const question = {
+            question_text: readMoodleText(findChild(element, 'questiontext')),
+            points: grade ? grade.text.trim() : 1,
+            category,
+            difficulty: difficultyTag ? difficultyTag.split(':')[1] : 'medium',
+            tags: allTags.filter(tag => tag !== difficultyTag),
+            ...splitFeedback(readMoodleText(findChild(element, 'generalfeedback')))
+        };
+
+        if (type === 'multichoice') {
+            if (answers.length > OPTION_KEYS.length) {
+                skipped.push(`${name}: more than ${OPTION_KEYS.length} options`);
+                return;
+            }
+
+            const single = findChild(element, 'single');
+            question.question_type = single && single.text.trim() === 'false' ? 'multi_select' : 'single_choice';
+            answers.forEach((answer, index) => {
+                question[`option_${OPTION_KEYS[index]}`] = answer.text;
+            });
+            question.correct_answer = question.question_type === 'multi_select'
+                ? answers.map((answer, index) => answer.fraction > 0 ? OPTION_KEYS[index] : null).filter(key => key)
+                : OPTION_KEYS[answers.findIndex(answer => answer.fraction === 100)] || '';
+        } else if (type === 'truefalse') {
+            const correct = answers.find(answer => answer.fraction === 100);
+            question.question_type = 'true_false';
+            question.correct_answer = correct ? correct.text.toLowerCase() : '';
+        } else if (type === 'numerical') {
+            const correct = answers.find(answer => answer.fraction === 100);
+            question.question_type = 'numeric';
+            question.correct_answer = correct ? correct.text : '';
+            question.numeric_tolerance = correct ? correct.tolerance : 0;
+        } else {
+            skipped.push(`${name}: question type "${type}" is not supported`);
+            return;
+        }
+
+        questions.push(question);
+    });
+
+    if (quizTitle && !settings.title) settings.title = quizTitle;
+
+    return {
+        settings,
+        questions: normalizeImportedQuestions(questions),
+        skipped
+    };
+}
+
+// ===== GIFT =====
+
+/**
+ * Escape GIFT control characters; newlines are written as \n so Markdown paragraphs survive
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeGift(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/([~=#{}:])/g, '\\$1')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Undo escapeGift
+ * @param {string} text - Escaped text
+ * @returns {string} - Raw text
+ */
+function unescapeGift(text) {
+    return String(text)
+        .replace(/\\(.)/g, (match, char) => char === 'n' ? '\n' : char)
+        .trim();
+}
+
+/**
+ * Export a quiz as GIFT
+ * Points, difficulty, tags and the reference have no GIFT syntax and are kept in a "// meta:" comment per question
+ * @param {Object} quiz - Quiz row
+ * @param {Array} questions - Question rows in quiz order
+ * @returns {string} - GIFT text
+ */
+function exportGIFT(quiz, questions) {
+    const blocks = [`// quiz-settings: ${JSON.stringify(getQuizSettings(quiz))}`];
+    let currentCategory;
+
+    questions.forEach((question, index) => {
+        const category = question.category || '';
+        if (category !== currentCategory) {
+            currentCategory = category;
+            blocks.push(`$CATEGORY: ${['$course$', 'top', quiz.title, category].filter(part => part).join('/')}`);
+        }
+
+        const meta = {
+            points: parseFloat(question.points),
+            difficulty: question.difficulty || 'medium',
+            tags: question.tags || [],
+            reference: question.reference || undefined
+        };
+        const feedback = question.explanation ? `####${escapeGift(question.explanation)}` : '';
+        let answerBlock;
+
+        if (question.question_type === 'numeric') {
+            const tolerance = parseFloat(question.numeric_tolerance) || 0;
+            answerBlock = `{#${question.correct_answer}${tolerance ? `:${tolerance}` : ''}${feedback}}`;
+        } else if (question.question_type === 'true_false') {
+            answerBlock = `{${question.correct_answer === 'a' ? 'TRUE' : 'FALSE'}${feedback}}`;
+        } else {
+            const options = getOptionFractions(question).map(option => {
+                if (question.question_type === 'single_choice') {
+                    return `\t${option.fraction === 100 ? '=' : '~'}${escapeGift(option.text)}`;
+                }
+                return `\t~%${formatFraction(option.fraction)}%${escapeGift(option.text)}`;
+            });
+            answerBlock = `{\n${options.join('\n')}${feedback ? `\n\t${feedback}` : ''}\n}`;
+        }
+
+        blocks.push([
+            `// meta: ${JSON.stringify(meta)}`,
+            `::Q${index + 1}::[markdown]${escapeGift(question.question_text)}${answerBlock}`
+        ].join('\n'));
+    });
+
+    return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Find the first unescaped occurrence of a character
+ * @param {string} text - GIFT text
+ * @param {string} char - Character to find
+ * @param {number} from - Start index
+ * @returns {number} - Index or -1
+ */
+function indexOfUnescaped(text, char, from = 0) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === char) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split a GIFT answer block into answers, each starting with an unescaped = or ~
+ * @param {string} block - Text between { and }
+ * @returns {Array} - Answer tokens including their leading marker
+ */
+function splitGiftAnswers(block) {
+    const answers = [];
+    let start = -1;
+
+    for (let i = 0; i < block.length; i++) {
+        if (block[i] === '\\') {
+            i++;
+        } else if (block[i] === '=' || block[i] === '~') {
+            if (start !== -1) answers.push(block.slice(start, i));
+            start = i;
+        }
+    }
+
+    if (start !== -1) answers.push(block.slice(start));
+    return answers;
+}
+
+/**
+ * Parse one GIFT question
+ * @param {string} text - Question text including its answer block
+ * @param {Object} meta - Values from the preceding "// meta:" comment
+ * @returns {Object|string} - Raw question, or a reason string when the question type is not supported
+ */
+function parseGiftQuestion(text, meta) {
+    let body = text.trim();
+
+    const titleMatch = body.match(/^::((?:\\.|[^:\\])*)::/);
+    if (titleMatch) body = body.slice(titleMatch[0].length).trim();
+
+    const formatMatch = body.match(/^\[(html|markdown|plain|moodle)\]/i);
+    const format = formatMatch ? formatMatch[1].toLowerCase() : 'moodle';
+    if (formatMatch) body = body.slice(formatMatch[0].length);
+
+    const open = indexOfUnescaped(body, '{');
+    const close = open === -1 ? -1 : indexOfUnescaped(body, '}', open);
+    if (open === -1 || close === -1) {
+        return 'description/essay items without answers are not supported';
+    }
+
+    const readText = value => format === 'html' ? htmlToMarkdown(unescapeGift(value)) : unescapeGift(value);
+    let answerBlock = body.slice(open + 1, close).trim();
+
+    // General feedback: the part after an unescaped ####
+    let generalFeedback = '';
+    const feedbackIndex = answerBlock.search(/(^|[^\\])####/);
+    if (feedbackIndex !== -1) {
+        const markerIndex = answerBlock.indexOf('####', feedbackIndex);
+        generalFeedback = readText(answerBlock.slice(markerIndex + 4));
+        answerBlock = answerBlock.slice(0, markerIndex).trim();
+    }
+
+    const feedback = splitFeedback(generalFeedback);
+    const question = {
+        question_text: readText(body.slice(0, open) + ' ' + body.slice(close + 1)),
+        points: meta.points,
+        difficulty: meta.difficulty,
+        tags: meta.tags,
+        explanation: feedback.explanation,
+        reference: meta.reference || feedback.reference
+    };
+
+    if (/^(T|TRUE|F|FALSE)(#|$)/i.test(answerBlock)) {
+        question.question_type = 'true_false';
+        question.correct_answer = /^T/i.test(answerBlock) ? 'true' : 'false';
+        return question;
+    }
+
+    if (answerBlock.startsWith('#')) {
+        const value = unescapeGift(answerBlock.slice(1).replace(/^=/, '').split(/(?<!\\)#/)[0]);
+        const rangeMatch = value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+
+        question.question_type = 'numeric';
+        if (rangeMatch) {
+            const min = parseFloat(rangeMatch[1]);
+            const max = parseFloat(rangeMatch[2]);
+            question.correct_answer = (min + max) / 2;
+            question.numeric_tolerance = (max - min) / 2;
+        } else {
+            const [answer, tolerance] = value.split(':');
+            question.correct_answer = answer;
+            question.numeric_tolerance = tolerance || 0;
+        }
+        return question;
+    }
+
+    if (answerBlock.includes('->')) {
+        return 'matching questions are not supported';
+    }
+
+    const answers = splitGiftAnswers(answerBlock).map(token => {
+        const weightMatch = token.slice(1).match(/^%(-?[\d.]+)%/);
+        const optionText = token.slice(1 + (weightMatch ? weightMatch[0].length : 0));
+        const feedbackStart = indexOfUnescaped(optionText, '#');
+
+        return {
+            marker: token[0],
+            weight: weightMatch ? parseFloat(weightMatch[1]) : (token[0] === '=' ? 100 : 0),
+            text: readText(feedbackStart === -1 ? optionText : optionText.slice(0, feedbackStart))
+        };
+    });
+
+    if (answers.length === 0 || answers.every(answer => answer.marker === '=')) {
+        return 'short answer questions are not supported';
+    }
+
+    if (answers.length > OPTION_KEYS.length) {
+        return `more than ${OPTION_KEYS.length} options`;
+    }
+
+    const correctKeys = answers
+        .map((answer, index) => answer.weight > 0 ? OPTION_KEYS[index] : null)
+        .filter(key => key);
+
+    // Weighted ~%n%answers mark a multiple-answer question; = marks the single correct answer
+    question.question_type = answers.some(answer => answer.marker === '~' && answer.weight > 0) ? 'multi_select' : 'single_choice';
+    question.correct_answer = correctKeys;
+    answers.forEach((answer, index) => {
+        question[`option_${OPTION_KEYS[index]}`] = answer.text;
+    });
+
+    return question;
+}
+
+/**
+ * Parse a GIFT file
+ * Questions are separated by blank lines; "$CATEGORY:" lines set the category for the questions that follow
+ * @param {string} text - File contents
+ * @returns {Object} - { settings, questions, skipped }
+ */
+function parseGIFT(text) {
+    let settings = {};
+    let category = null;
+    let quizTitle = null;
+    const questions = [];
+    const skipped = [];
+
+    const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+
+    blocks.forEach(block => {
+        let meta = {};
+        const questionLines = [];
+
+        block.split('\n').forEach(line => {
+            const trimmed = line.trim();
+            const settingsMatch = trimmed.match(/^\/\/\s*quiz-settings:\s*(.*)$/);
+            const metaMatch = trimmed.match(/^\/\/\s*meta:\s*(.*)$/);
+            const categoryMatch = trimmed.match(/^\$CATEGORY:\s*(.*)$/);
+
+            try {
+                if (settingsMatch) {
+                    settings = pickQuizSettings(JSON.parse(settingsMatch[1]));
+                } else if (metaMatch) {
+                    meta = JSON.parse(metaMatch[1]);
+                }
+            } catch (error) {
+                throw new Error(`Invalid JSON in comment: ${trimmed}`);
+            }
+
+            if (categoryMatch) {
+                const path = categoryMatch[1].split('/').map(part => part.trim())
+                    .filter(part => part && !part.startsWith('$') && part !== 'top');
+                if (!quizTitle && path.length > 0) quizTitle = path[0];
+                category = path.length > 1 ? path[path.length - 1] : null;
+            } else if (!trimmed.startsWith('//') && trimmed !== '') {
+                questionLines.push(line);
+            }
+        });
+
+        if (questionLines.length === 0) return;
+
+        const questionText = questionLines.join('\n');
+        const titleMatch = questionText.trim().match(/^::((?:\\.|[^:\\])*)::/);
+        const name = titleMatch ? unescapeGift(titleMatch[1]) : `Question ${questions.length + skipped.length + 1}`;
+        const question = parseGiftQuestion(questionText, meta);
+
+        if (typeof question === 'string') {
+            skipped.push(`${name}: ${question}`);
+            return;
+        }
+
+        question.category = category;
+        questions.push(question);
+    });
+
+    if (quizTitle && !settings.title) settings.title = quizTitle;
+
+    return {
+        settings,
+        questions: normalizeImportedQuestions(questions),
+        skipped
+    };
+}
+
+/**
+ * Export a quiz in the given format
+ * @param {string} format - Key of QUIZ_FORMATS
+ * @param {Object} quiz - Quiz row
+ * @param {Array} questions - Question rows in quiz order
+ * @returns {string} - File contents
+ */
+function exportQuiz(format, quiz, questions) {
+    if (format === 'moodle') return exportMoodleXML(quiz, questions);
+    if (format === 'gift') return exportGIFT(quiz, questions);
+    return exportQuizJSON(quiz, questions);
+}
+
+/**
+ * Parse an imported quiz file in the given format
+ * @param {string} format - Key of QUIZ_FORMATS
+ * @param {string} text - File contents
+ * @returns {Object} - { settings, questions, skipped }
+ * @throws {Error} - If the file or one of its questions is invalid
+ */
+function parseQuizFile(format, text) {
+    if (format === 'moodle') return parseMoodleXML(text);
+    if (format === 'gift') return parseGIFT(text);
+    return parseQuizJSON(text);
+}
+
+module.exports = {
+    QUIZ_FORMATS,
+    QUIZ_SETTING_FIELDS,
+    detectQuizFormat,
+    exportQuiz,
+    exportQuizJSON,
+    exportMoodleXML,
+    exportGIFT,
+    parseQuizFile,
+    parseQuizJSON,
+    parseMoodleXML,
+    parseGIFT
+};
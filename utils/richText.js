@@ -0,0 +1,197 @@
+/**
+ * Rich Text Utility
+ * Renders the Markdown subset allowed in questions, options and explanations to safe HTML.
+ * All input is HTML-escaped before any formatting is applied, so raw HTML never reaches participants.
+ *
+ * Supported: **bold**, *italic*, `code`, ``` code blocks ```, - / 1. lists, | tables |
+ * and images uploaded through the admin panel: ![alt](/uploads/question-images/file.png)
+ */
+
+// Images may only point at files uploaded through the question image endpoint
+const IMAGE_URL_PATTERN = /^\/uploads\/question-images\/[A-Za-z0-9._-]+$/;
+
+/**
+ * Escape text for use in HTML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render inline formatting (images, code spans, bold, italic) in one line of escaped text
+ * @param {string} text - HTML-escaped text
+ * @returns {string} - HTML
+ */
+function renderInline(text) {
+    const codeSpans = [];
+
+    // Keep code spans out of the other replacements
+    let html = text.replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html.replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => {
+        return IMAGE_URL_PATTERN.test(url)
+            ? `<img src="${url}" alt="${alt}" class="rich-text-image">`
+            : alt;
+    });
+
+    html = html
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+        .replace(/\*([^*\s][^*]*)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, '$1<em>$2</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+/**
+ * Split a Markdown table row into cells
+ * @param {string} line - e.g. '| a | b |'
+ * @returns {Array} - Cell texts
+ */
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Render Markdown to safe HTML
+ * @param {string|null} source - Markdown source as stored in the database
+ * @param {Object} options - { inline: true } renders a single block without paragraphs (used for options)
+ * @returns {string} - HTML
+ */
+function renderRichText(source, options = {}) {
+    if (source === null || source === undefined || source === '') return '';
+
+    const lines = escapeHtml(source).replace(/\r\n?/g, '\n').split('\n');
+
+    if (options.inline) {
+        return lines.map(renderInline).join('<br>');
+    }
+
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Fenced code block
+        if (/^```/.test(line.trim())) {
+            flushParagraph();
+            const code = [];
+            i++;
+            while (i < lines.length && !/^```/.test(lines[i].trim())) {
+                code.push(lines[i]);
+                i++;
+            }
+            blocks.push(`<pre><code>${code.join('\n')}</code></pre>`);
+            continue;
+        }
+
+        // Table: header row followed by a |---|---| separator row
+        if (/^\s*\|.*\|\s*$/.test(line) && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+            flushParagraph();
+            const header = splitTableRow(line);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i])) {
+                rows.push(splitTableRow(lines[i]));
+                i++;
+            }
+            i--;
+            blocks.push(
+                '<table><thead><tr>' + header.map(cell => `<th>${renderInline(cell)}</th>`).join('') + '</tr></thead>' +
+                '<tbody>' + rows.map(row => '<tr>' + row.map(cell => `<td>${renderInline(cell)}</td>`).join('') + '</tr>').join('') + '</tbody></table>'
+            );
+            continue;
+        }
+
+        // Bulleted or numbered list
+        const listMatch = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+        if (listMatch) {
+            flushParagraph();
+            const ordered = /\d/.test(listMatch[1]);
+            const items = [];
+            while (i < lines.length) {
+                const itemMatch = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+                if (!itemMatch || /\d/.test(itemMatch[1]) !== ordered) break;
+                items.push(`<li>${renderInline(itemMatch[2])}</li>`);
+                i++;
+            }
+            i--;
+            blocks.push(ordered ? `<ol>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`);
+            continue;
+        }
+
+        if (line.trim() === '') {
+            flushParagraph();
+        } else {
+            paragraph.push(line);
+        }
+    }
+
+    flushParagraph();
+    return blocks.join('');
+}
+
+/**
+ * Reduce Markdown to plain text (for emails, exports and other places that cannot show HTML)
+ * @param {string|null} source - Markdown source
+ * @returns {string} - Plain text with images replaced by their alt text
+ */
+function toPlainText(source) {
+    if (source === null || source === undefined) return '';
+
+    return String(source)
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/```/g, '')
+        .replace(/\*\*([^*]+)\*\*/g, '$1')
+        .replace(/__([^_]+)__/g, '$1')
+        .replace(/`([^`]+)`/g, '$1')
+        .trim();
+}
+
+/**
+ * Add rendered HTML to a question row for participants and the admin review
+ * @param {Object} question - Question row with question_text, explanation and options ({ key, text })
+ * @returns {Object} - The same row with question_html, explanation_html and options[].html
+ */
+function addRichTextHtml(question) {
+    question.question_html = renderRichText(question.question_text);
+
+    if (question.explanation !== undefined) {
+        question.explanation_html = renderRichText(question.explanation);
+    }
+
+    if (Array.isArray(question.options)) {
+        question.options = question.options.map(option => ({
+            ...option,
+            html: renderRichText(option.text, { inline: true })
+        }));
+    }
+
+    return question;
+}
+
+module.exports = {
+    IMAGE_URL_PATTERN,
+    escapeHtml,
+    renderRichText,
+    toPlainText,
+    addRichTextHtml
+};
@@ -0,0 +1,120 @@
+/**
+ * Scoring Utility
+ * Weighted, partial-credit, negative-marking and speed-bonus scoring for quiz answers
+ */
+
+const { parseAnswerKeys, isAnswerCorrect } = require('./questionTypes');
+
+/**
+ * Read the scoring settings configured on a quiz
+ * @param {Object} quiz - Quiz row with negative_marking, partial_credit and speed bonus settings
+ * @returns {Object} - { negativeMarking, partialCredit, speedBonus, speedBonusWindowSeconds }
+ */
+function getScoringSettings(quiz = {}) {
+    const negativeMarking = parseFloat(quiz.negative_marking);
+    const speedBonusWindowSeconds = parseInt(quiz.speed_bonus_window_seconds);
+
+    return {
+        negativeMarking: isNaN(negativeMarking) || negativeMarking < 0 ? 0 : negativeMarking,
+        partialCredit: !!quiz.partial_credit,
+        speedBonus: !!quiz.speed_bonus_enabled,
+        speedBonusWindowSeconds: isNaN(speedBonusWindowSeconds) || speedBonusWindowSeconds <= 0 ? 30 : speedBonusWindowSeconds
+    };
+}
+
+/**
+ * Speed multiplier for a correct answer (Kahoot-style)
+ * An instant answer keeps all its points, an answer at or after the end of the window keeps half
+ * @param {number|null} responseSeconds - Seconds between the question being shown and answered
+ * @param {number} windowSeconds - Seconds over which the bonus decays
+ * @returns {number} - Multiplier between 0.5 and 1
+ */
+function getSpeedFactor(responseSeconds, windowSeconds) {
+    const elapsed = parseFloat(responseSeconds);
+
+    if (isNaN(elapsed)) return 1;
+
+    const ratio = Math.min(Math.max(elapsed, 0) / windowSeconds, 1);
+    return 1 - ratio / 2;
+}
+
+/**
+ * Get the point weight of a question (defaults to 1)
+ * @param {Object} question - Question row with points
+ * @returns {number} - Points awarded for a fully correct answer
+ */
+function getQuestionPoints(question) {
+    const points = parseFloat(question.points);
+    return isNaN(points) || points < 0 ? 1 : points;
+}
+
+/**
+ * Fraction of a multi-select question's points earned by an answer
+ * Each correct option selected earns a share, each wrong option selected cancels one
+ * @param {Object} question - Question row with correct_answer
+ * @param {string} answer - Canonical answer (e.g. 'a,c')
+ * @returns {number} - Credit between 0 and 1
+ */
+function getPartialCredit(question, answer) {
+    const correctKeys = parseAnswerKeys(question.correct_answer);
+    const selectedKeys = parseAnswerKeys(answer);
+
+    if (correctKeys.length === 0) return 0;
+
+    const hits = selectedKeys.filter(key => correctKeys.includes(key)).length;
+    const misses = selectedKeys.length - hits;
+
+    return Math.max(0, (hits - misses) / correctKeys.length);
+}
+
+/**
+ * Score a single answer
+ * @param {Object} question - Question row (type, correct_answer, points)
+ * @param {string|null} answer - Canonical answer or null when unanswered
+ * @param {Object} settings - Scoring settings (see getScoringSettings)
+ * @param {number|null} responseSeconds - Time taken to answer, used by the speed bonus
+ * @returns {Object} - { score, isCorrect }
+ */
+function scoreAnswer(question, answer, settings = {}, responseSeconds = null) {
+    if (answer === null || answer === undefined || answer === '') {
+        return { score: 0, isCorrect: false };
+    }
+
+    const points = getQuestionPoints(question);
+    const isCorrect = isAnswerCorrect(question, answer);
+    const speedFactor = settings.speedBonus
+        ? getSpeedFactor(responseSeconds, settings.speedBonusWindowSeconds)
+        : 1;
+
+    if (isCorrect) {
+        return { score: roundScore(points * speedFactor), isCorrect };
+    }
+
+    if (settings.partialCredit && question.question_type === 'multi_select') {
+        const credit = getPartialCredit(question, answer);
+        if (credit > 0) {
+            return { score: roundScore(points * credit * speedFactor), isCorrect };
+        }
+    }
+
+    const penalty = points * (settings.negativeMarking || 0);
+    return { score: penalty > 0 ? -roundScore(penalty) : 0, isCorrect };
+}
+
+/**
+ * Round a score to the two decimals stored in results.total_score
+ * @param {number} value - Raw score
+ * @returns {number} - Rounded score
+ */
+function roundScore(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    getScoringSettings,
+    getQuestionPoints,
+    getPartialCredit,
+    getSpeedFactor,
+    scoreAnswer,
+    roundScore
+};
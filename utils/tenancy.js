@@ -0,0 +1,47 @@
+/**
+ * Tenancy
+ * Participants, quizzes, sessions, question bank questions and participant groups belong to an organisation. An admin's
+ * scope (req.user.organizationIds, set by authenticateAdmin) lists the organisations they can see,
+ * or is null for admins with 'organizations:all', who see every organisation.
+ * Admin queries filter with scopeCondition; records outside the scope are reported as not found.
+ */
+
+// Table and not-found label for each entity type that belongs to an organisation
+const TENANT_ENTITIES = {
+    participant: { table: 'participants', label: 'Participant' },
+    quiz: { table: 'quizzes', label: 'Quiz' },
+    session: { table: 'quiz_sessions', label: 'Session' },
+    question: { table: 'questions', label: 'Question' },
+    group: { table: 'participant_groups', label: 'Group' }
+};
+
+/**
+ * SQL condition limiting a query to the admin's organisations
+ * @param {Array|null} scope - Organisation IDs (null = every organisation)
+ * @param {string} column - Organisation column, e.g. 'p.organization_id'
+ * @param {Array} params - Query parameters; the scope is appended when it is needed
+ * @returns {string} - Condition to AND into the WHERE clause ('TRUE' for every organisation)
+ */
+function scopeCondition(scope, column, params) {
+    if (scope === null || scope === undefined) {
+        return 'TRUE';
+    }
+    params.push(scope);
+    return `${column} = ANY($${params.length}::int[])`;
+}
+
+/**
+ * Check that an organisation is in the admin's scope
+ * @param {Array|null} scope - Organisation IDs (null = every organisation)
+ * @param {number} organizationId - Organisation to check
+ * @returns {boolean}
+ */
+function isInScope(scope, organizationId) {
+    return scope === null || scope === undefined || scope.includes(parseInt(organizationId));
+}
+
+module.exports = {
+    TENANT_ENTITIES,
+    scopeCondition,
+    isInScope
+};
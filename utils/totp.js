@@ -0,0 +1,198 @@
+/**
+ * TOTP Utility
+ * Time-based one-time passwords (RFC 6238, the codes shown by authenticator apps)
+ * and recovery codes for admin two-factor authentication
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode bytes as base32 (the format authenticator apps expect for secrets)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 text without padding
+ */
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+/**
+ * Decode base32 text (case, spaces and padding are ignored)
+ * @param {string} text - Base32 text
+ * @returns {Buffer} - Decoded bytes
+ */
+function base32Decode(text) {
+    const clean = String(text || '').toUpperCase().replace(/[\s=]/g, '');
+    let bits = '';
+
+    for (const char of clean) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 character in secret');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} - 160-bit secret in base32
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Time step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} - 30-second step counter
+ */
+function getTimeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Code for a secret at a time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} - 6-digit code
+ */
+function generateCode(secret, step = getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+
+    return value.toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} lastUsedStep - Step of the last accepted code; it and earlier steps are refused (no replay)
+ * @returns {number|null} - Step the code matched, or null
+ */
+function verifyCode(secret, code, lastUsedStep = null) {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^[0-9]{${TOTP_DIGITS}}$`).test(digits)) return null;
+
+    const currentStep = getTimeStep();
+    for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+        if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(digits))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI for the enrolment QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the authenticator app (e.g. the admin's email)
+ * @param {string} issuer - App name shown in the authenticator app
+ * @returns {string} - otpauth URI
+ */
+function buildOtpauthUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate single-use recovery codes
+ * @returns {Array} - Codes like 'k7m2-x9qp-4rtw'
+ */
+function generateRecoveryCodes() {
+    const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const chars = Array.from({ length: 12 }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+        return `${chars.substring(0, 4)}-${chars.substring(4, 8)}-${chars.substring(8)}`;
+    });
+}
+
+/**
+ * Normalise and hash a recovery code for storage and lookup
+ * @param {string} code - Recovery code as typed (case, spaces and dashes are ignored)
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Secrets are encrypted at rest so a database dump alone cannot generate codes
+function getEncryptionKey() {
+    const keySource = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!keySource) {
+        throw new Error('TOTP_ENCRYPTION_KEY or JWT_SECRET must be set to store two-factor secrets');
+    }
+    return crypto.createHash('sha256').update(keySource).digest();
+}
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} - 'iv:tag:ciphertext' in base64
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} - Base32 secret
+ */
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+    TOTP_DIGITS,
+    RECOVERY_CODE_COUNT,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    encryptSecret,
+    decryptSecret
+};